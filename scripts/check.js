@@ -0,0 +1,590 @@
+/**
+ * 纯函数模块的快速检查：npm run check
+ *
+ * 用一张含 LaTeX / Python / HTML 特殊字符、带反向轴的表格跑 LaTeX 与代码导出、汇总统计，与已知输出比较；
+ * 另有各归一化方式、表格解析、评测结果导入、表格视图的编辑、项目文件与分享链接以及 PNG / TIFF 编码的小例子。
+ * 不需要浏览器与构建，失败时 node:test 打印差异并以非零退出码结束
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseData, rowsToText } from '../src/lib/parse.js';
+import { buildChartModel } from '../src/lib/model.js';
+import {
+  projectFromOptions, parseProjectFile, encodeShareHash, decodeShareHash, DEFAULT_SETTINGS, DEFAULT_EXPORT,
+} from '../src/lib/project.js';
+import { latexDocument } from '../src/lib/export/latex.js';
+import { chartCode } from '../src/lib/export/code.js';
+import { summaryStatistics, sortStatistics, statisticsTable } from '../src/lib/stats.js';
+import { createTranslator } from '../src/lib/i18n/index.js';
+import { transposeGrid, sortRows, clipboardBlock, pasteBlock } from '../src/lib/grid.js';
+import { parseHarnessFile, collectTasks, harnessToRows } from '../src/lib/importers/index.js';
+import { setPngDpi, crc32 } from '../src/lib/export/png.js';
+import { lzwEncode, encodeTiff } from '../src/lib/export/tiff.js';
+import { scaleChartData, autoRange, tickValues, toRatio } from '../src/lib/scale.js';
+import { renderFigure } from '../src/lib/draw/figure.js';
+import { svgToScene, sceneHasNonLatinText } from '../src/lib/export/vector.js';
+import { sceneToPdf } from '../src/lib/export/pdf.js';
+import { renderChart } from '../src/cli/render.js';
+
+// Cost 为越小越好的反向轴：刻度从中心的 30 向外递减，最好的值是最小值
+const DATA = [
+  'Model,Acc_1 (%),Cost,Path\\x',
+  'A&B,80,10,5',
+  'C#_2,70,20,6',
+  '100% {x},60,5,7',
+].join('\n');
+
+const TITLE = 'R&D <2024>: 50% ~ok^ \\N';
+
+const fixture = (settings = {}, data = DATA) => {
+  const project = projectFromOptions({
+    settings: { title: TITLE, dimensionConfig: { Cost: { reverse: true } }, ...settings },
+  });
+  return { chart: buildChartModel(parseData(data), project.settings), settings: project.settings };
+};
+
+const SIZE = { width: 400, height: 400 };
+
+// 三个维度各 5 级刻度，Cost 为反向轴
+const TICKS = ['58', '66', '74', '82', '90', '24', '18', '12', '6', '0', '2', '4', '6', '8', '10'];
+
+test('latex: 标题、轴标签与图例中的特殊字符', () => {
+  const { chart, settings } = fixture();
+  const tex = latexDocument(chart, settings, SIZE);
+  // \node[选项] (名称) at (坐标) {文字};
+  const nodes = [...tex.matchAll(/^\\node\[.*?\](?: \(\w+\))? at \([^()]*\) \{(.*)\};$/gm)].map((m) => m[1]);
+  assert.ok(nodes.includes('R\\&D \\textless{}2024\\textgreater{}: 50\\% \\textasciitilde{}ok\\textasciicircum{} \\textbackslash{}N'));
+  for (const label of ['Acc\\_1 (\\%)', 'Path\\textbackslash{}x', 'A\\&B', 'C\\#\\_2', '100\\% \\{x\\}']) {
+    assert.ok(nodes.includes(label), label);
+  }
+});
+
+test('latex: 反向轴的刻度从中心向外递减', () => {
+  const { chart, settings } = fixture();
+  const ticks = [...latexDocument(chart, settings, SIZE).matchAll(/\\node\[sciradar tick\] at \S+ \{(.*)\};/g)]
+    .map((m) => m[1]);
+  assert.deepEqual(ticks, TICKS);
+});
+
+test('latex: 结果表格的转义与反向轴上的最优值', () => {
+  const { chart, settings } = fixture();
+  const tex = latexDocument(chart, settings, SIZE);
+  const body = tex.slice(tex.indexOf('\\begin{tabular}'));
+  assert.equal(body, [
+    '\\begin{tabular}{lccc}',
+    '\\toprule',
+    'Model & Acc\\_1 (\\%) & Cost & Path\\textbackslash{}x \\\\',
+    '\\midrule',
+    'A\\&B & \\textbf{80.00} & 10.00 & 5.00 \\\\',
+    'C\\#\\_2 & 70.00 & 20.00 & 6.00 \\\\',
+    '100\\% \\{x\\} & 60.00 & \\textbf{5.00} & \\textbf{7.00} \\\\',
+    '\\bottomrule',
+    '\\end{tabular}',
+    '',
+  ].join('\n'));
+});
+
+test('matplotlib: Python 字符串与文档字符串的转义，反向轴的范围', () => {
+  const { chart, settings } = fixture();
+  const lines = chartCode('matplotlib', chart, settings, SIZE).split('\n');
+  // 文档字符串不是原始字符串，\N 必须写成 \\N
+  assert.equal(lines[1], 'SciRadar: R&D <2024>: 50% ~ok^ \\\\N');
+  for (const line of [
+    'TITLE = "R&D <2024>: 50% ~ok^ \\\\N"',
+    '        dimensions=["Acc_1 (%)", "Cost", "Path\\\\x"],',
+    '        ranges=[(50, 90, False), (0, 30, True), (0, 10, False)],',
+  ]) {
+    assert.ok(lines.includes(line), line);
+  }
+  assert.deepEqual(
+    lines.filter((line) => line.includes('dict(name=')).map((line) => /name=("[^"]*"), .*values=(\[[^\]]*\])/.exec(line).slice(1)),
+    [['"A&B"', '[80, 10, 5]'], ['"C#_2"', '[70, 20, 6]'], ['"100% {x}"', '[60, 5, 7]']],
+  );
+});
+
+test('vega-lite: 文字原样写入 JSON，反向轴上的半径与刻度', () => {
+  const { chart, settings } = fixture();
+  const spec = JSON.parse(chartCode('vega-lite', chart, settings, SIZE));
+  assert.equal(spec.title.text, TITLE);
+  const values = spec.layer.flatMap((layer) => layer.data?.values ?? []);
+  assert.deepEqual(values.filter((v) => Array.isArray(v.text)).map((v) => v.text), [['Acc_1 (%)'], ['Cost'], ['Path\\x']]);
+  assert.deepEqual(values.filter((v) => typeof v.text === 'string').map((v) => v.text), TICKS);
+  const cost = values.filter((v) => v.dimension === 'Cost' && 'ratio' in v);
+  assert.deepEqual(cost.map((v) => [v.series, v.value, +v.ratio.toFixed(3)]), [['A&B', 10, 0.667], ['C#_2', 20, 0.333], ['100% {x}', 5, 0.833]]);
+});
+
+test('plotly: 名称与标题按 HTML 转义，反向轴上的半径与刻度', () => {
+  const { chart, settings } = fixture();
+  const figure = JSON.parse(chartCode('plotly', chart, settings, SIZE));
+  assert.equal(figure.layout.title.text, 'R&amp;D &lt;2024&gt;: 50% ~ok^ \\N');
+  const series = figure.data.filter((trace) => trace.name);
+  assert.deepEqual(series.map((trace) => [trace.name, trace.r]), [
+    ['100% {x}', [0.25, 0.833, 0.7, 0.25]],
+    ['C#_2', [0.5, 0.333, 0.6, 0.5]],
+    ['A&amp;B', [0.75, 0.667, 0.5, 0.75]],
+  ]);
+  assert.deepEqual(figure.data.find((trace) => trace.mode === 'text').text, TICKS);
+});
+
+test('stats: 反向轴上的归一化、排名与对基线的胜负', () => {
+  const { chart, settings } = fixture();
+  const stats = summaryStatistics(chart, settings, 'A&B');
+  const sorted = { ...stats, rows: sortStatistics(stats.rows, 'meanRank', false) };
+  assert.equal(rowsToText(statisticsTable(sorted, { t: createTranslator('en'), decimals: 2 }), ','), [
+    'Model,Mean,Normalized mean,Mean rank,Wins,Area,vs. A&B W/L/T',
+    '100% {x},24.00,0.667,1.67,2,0.322,2/1/0',
+    'A&B,31.67,0.556,2.00,1,0.403,',
+    'C#_2,32.00,0.333,2.33,0,0.222,1/2/0',
+  ].join('\n'));
+});
+
+test('stats: 缺失值不计入胜负，基线不在图中时取第一个系列', () => {
+  const { chart, settings } = fixture({}, 'Model,X,Y,Z\nA,1,2,3\nB,1,,4\nC,,,');
+  const stats = summaryStatistics(chart, settings, 'missing');
+  assert.equal(stats.baseline, 'A');
+  assert.deepEqual(stats.rows.map((row) => [row.model, row.mean, row.versus]), [
+    ['A', 2, null],
+    ['B', 2.5, { wins: 1, losses: 0, ties: 1 }],
+    ['C', null, { wins: 0, losses: 0, ties: 0 }],
+  ]);
+  // 缺失值排在最后，与方向无关
+  assert.deepEqual(sortStatistics(stats.rows, 'mean', false).map((row) => row.model), ['A', 'B', 'C']);
+  assert.deepEqual(sortStatistics(stats.rows, 'mean', true).map((row) => row.model), ['B', 'A', 'C']);
+});
+
+// 中文图中文字：页脚、差值说明与 PDF 数据页。没有字体文件时只能用 Latin-1 的标准字体书写
+const ZH_DATA = 'Model,X,Y,Z\nA,1,2,3\nB,2,3,4';
+const zhSettings = () => projectFromOptions({
+  settings: { figureLocale: 'zh-CN', annotations: { deltaModel: 'A', deltaBaseline: 'B' } },
+}).settings;
+const MM89 = { width: 89, height: 89, unit: 'mm' };
+
+// jsPDF 不压缩内容流，文字直接写在 (…) Tj 中
+const pdfTexts = (bytes) => [...Buffer.from(bytes).toString('latin1').matchAll(/\((.*?)\) Tj/g)].map((m) => m[1]);
+
+test('pdf / eps: 中文的页脚与差值说明用标准字体导出时改用英文', async () => {
+  const settings = zhSettings();
+  for (const format of ['pdf', 'eps']) {
+    await renderChart(parseData(ZH_DATA), { settings }, { format, size: MM89, footer: true, locale: 'zh-CN' });
+  }
+  const texts = pdfTexts(await renderChart(parseData(ZH_DATA), { settings }, {
+    format: 'pdf', size: MM89, footer: true, includeData: false, locale: 'zh-CN',
+  }));
+  assert.ok(texts.includes('2 models · 3 dimensions'));
+  assert.ok(texts.includes('+/-: A vs. B'));
+});
+
+test('footer: 中文页脚经 svgToScene 与 sceneToPdf 以 Latin-1 书写', () => {
+  const settings = zhSettings();
+  const chart = buildChartModel(parseData(ZH_DATA), settings);
+  const scene = (latin) => svgToScene(renderFigure(chart, settings, {
+    ...SIZE, footer: true, date: new Date(2024, 0, 2), latin,
+  }));
+  assert.ok(sceneHasNonLatinText(scene(false)));
+  assert.equal(sceneHasNonLatinText(scene(true)), false);
+  const texts = pdfTexts(sceneToPdf(scene(true)).output('arraybuffer'));
+  assert.deepEqual(texts.filter((text) => text.includes('·')), ['SciRadar · 2024/1/2', '2 models · 3 dimensions']);
+});
+
+test('pdf: 没有嵌入字体时统计页的表头与说明改用英文', async () => {
+  const texts = pdfTexts(await renderChart(parseData(ZH_DATA), { settings: zhSettings() }, {
+    format: 'pdf', size: MM89, includeStats: true, locale: 'zh-CN',
+  }));
+  const page = texts.slice(texts.indexOf('Summary statistics'));
+  assert.deepEqual(page, [
+    'Summary statistics',
+    'Model  Mean  Normalized mean  Mean rank  Wins  Area   vs. A W/L/T',
+    'B      3.00  1.000            1.00       3     0.087  3/0/0',
+    'A      2.00  0.000            2.00       0     0.037',
+    'Area depends on the axis order and the scaling of each dimension; reordering axes or',
+    'changing the normalization changes it, so do not use it alone as an overall score.',
+  ]);
+});
+
+// 元素树中 class 为 name 的第一个元素下的全部文字
+const textsIn = (node, name) => {
+  if (node.attrs?.class === name) return [...JSON.stringify(node).matchAll(/"text":"([^"]*)"/g)].map((m) => m[1]);
+  return (node.children ?? []).reduce((found, child) => found ?? textsIn(child, name), null);
+};
+
+test('figure: 窄图的页脚分两行，刻度文字按环间距隔级标注', () => {
+  const { chart, settings } = fixture();
+  const figure = (size) => renderFigure(chart, settings, {
+    width: size, height: size, footer: true, date: new Date(2024, 0, 2), locale: 'en',
+  });
+  const footer = (size) => svgToScene(figure(size)).items
+    .filter((item) => item.type === 'text' && item.text.includes('·'))
+    .map((item) => [item.text, Math.round(item.y)])
+    .sort((a, b) => a[1] - b[1]);
+  const [wide, narrow] = [footer(800), footer(336)];
+  assert.equal(wide[0][1], wide[1][1]);
+  assert.deepEqual(narrow.map(([text]) => text), ['SciRadar · 1/2/2024', '3 models · 3 dimensions']);
+  assert.ok(narrow[1][1] - narrow[0][1] >= 12, JSON.stringify(narrow));
+  // 宽图各级都标注；窄图每根轴至少保留最外一级
+  assert.deepEqual(textsIn(figure(800), 'sciradar-axis-ticks'), TICKS);
+  const ticks = textsIn(figure(336), 'sciradar-axis-ticks');
+  assert.ok(ticks.length < 12 && ['90', '0', '10'].every((tick) => ticks.includes(tick)), ticks.join(' '));
+});
+
+// 归一化：X 越大越好，C 为 0 分；Cost 越小越好，C 缺失
+const SCORES = [{ subject: 'X', A: 80, B: 40, C: 0 }, { subject: 'Cost', A: 10, B: 20, C: null }];
+const normalized = (normalization, options = {}) => scaleChartData(SCORES, ['A', 'B', 'C'], {
+  normalization, dimensionConfig: { Cost: { reverse: true } }, ...options,
+});
+const values = ({ data }, key = 'normalized') => data.map((point) => ['A', 'B', 'C'].map((m) => {
+  const v = point[key][m];
+  return typeof v === 'number' ? +v.toFixed(3) : v;
+}));
+
+test('scale: min-max 与最优值百分比，反向轴与 0 分', () => {
+  assert.deepEqual(values(normalized('minmax')), [[1, 0.5, 0], [1, 0, null]]);
+  const percent = normalized('percentBest');
+  // 0 分为 0%，不是缺失值；反向轴上最优为最小值
+  assert.deepEqual(values(percent), [[100, 50, 0], [100, 50, null]]);
+  assert.deepEqual(percent.ranges[0], { subject: 'X', unit: '', min: 0, max: 100, levels: 5 });
+  // 反向轴上的 0 是最优值，无法作除数
+  const zero = scaleChartData([{ subject: 'Cost', A: 0, B: 5 }], ['A', 'B'], {
+    normalization: 'percentBest', dimensionConfig: { Cost: { reverse: true } },
+  });
+  assert.deepEqual(values(zero).map((row) => row.slice(0, 2)), [[null, 0]]);
+});
+
+test('scale: z-score 与共用刻度', () => {
+  const z = normalized('zscore');
+  assert.deepEqual(values(z), [[1.225, 0, -1.225], [1, -1, null]]);
+  assert.deepEqual([z.ranges[1].min, z.ranges[1].max, z.shared], [-1.5, 1.5, true]);
+  assert.deepEqual(values(z, 'raw'), [[80, 40, 0], [10, 20, null]]);
+});
+
+test('scale: 排名与插入模型之间的参考线', () => {
+  const ranked = normalized('rank', { references: [{ name: 'SOTA', values: { X: 50, Cost: 5 } }] });
+  assert.deepEqual(values(ranked), [[1, 2, 3], [1, 2, null]]);
+  assert.deepEqual(ranked.data.map((point) => point.referenceNormalized.SOTA), [2, 1]);
+  assert.deepEqual(ranked.ranges[0], {
+    subject: 'X', unit: '', min: 1, max: 4, reverse: true, levels: 3, hideCenterTick: true,
+  });
+  // 第 1 名在最外环，最后一名留出一圈
+  assert.equal(ranked.data[0].A, 1);
+  assert.equal(+ranked.data[0].C.toFixed(3), 0.333);
+  // 并列名次
+  const tied = scaleChartData([{ subject: 'X', A: 5, B: 5, C: 1 }], ['A', 'B', 'C'], { normalization: 'rank' });
+  assert.deepEqual(values(tied), [[1, 1, 3]]);
+});
+
+test('scale: 相对基线模型，基线缺失或为 0 时为空', () => {
+  assert.deepEqual(values(normalized('baseline', { baselineModel: 'B' })), [[200, 100, 0], [200, 100, null]]);
+  assert.deepEqual(values(normalized('baseline', { baselineModel: 'C' })), [[null, null, null], [null, null, null]]);
+});
+
+test('scale: 按维度范围的自动刻度、手动范围与反向轴', () => {
+  assert.deepEqual(autoRange([12, 87]), { min: 10, max: 100 });
+  assert.deepEqual(autoRange([0.2, 0.8], false), { min: 0, max: 1 });
+  assert.deepEqual(autoRange([-5, 5]), { min: -10, max: 10 });
+  assert.deepEqual(autoRange([0, 0]), { min: 0, max: 10 });
+  assert.deepEqual(autoRange([null]), { min: 0, max: 1 });
+
+  const scaled = scaleChartData(SCORES, ['A', 'B', 'C'], {
+    dimensionConfig: { X: { min: 0, max: 160, unit: '%' }, Cost: { reverse: true } },
+  });
+  assert.deepEqual(scaled.ranges.map(({ min, max, reverse, unit }) => [min, max, reverse, unit]), [[0, 160, false, '%'], [0, 30, true, '']]);
+  assert.deepEqual(values(scaled, 'raw'), [[80, 40, 0], [10, 20, null]]);
+  assert.deepEqual(scaled.data.map((point) => [point.A, point.B].map((v) => +v.toFixed(3))), [[0.5, 0.25], [0.667, 0.333]]);
+  assert.deepEqual(tickValues(scaled.ranges[1]), [30, 24, 18, 12, 6, 0]);
+  // 超出手动范围的值压在边界上
+  assert.equal(toRatio(200, scaled.ranges[0]), 1);
+  assert.equal(toRatio(-5, scaled.ranges[1]), 1);
+});
+
+test('parse: RFC 4180 引号、分号分隔与小数逗号', () => {
+  const table = parseData([
+    'Model;"Acc; top-1";"Note ""x"""',
+    '"Ours\nv2";86,3;1.234,5',
+    'Base;80,1%;"  7,0  "',
+  ].join('\n'));
+  assert.equal(table.delimiter, ';');
+  assert.equal(table.decimalComma, true);
+  assert.deepEqual(table.dimensions, ['Acc; top-1', 'Note "x"']);
+  assert.deepEqual(table.models, ['Ours\nv2', 'Base']);
+  assert.deepEqual(table.values, [[86.3, 1234.5], [80.1, 7]]);
+  assert.deepEqual(table.issues, []);
+  // 写回的文本能被原样解析
+  assert.deepEqual(parseData(rowsToText([['Model', 'a,b'], ['x "y"', '1']], ',')).models, ['x "y"']);
+});
+
+test('parse: 千分位、± 误差与缺失值', () => {
+  const table = parseData([
+    'Model\tMME\tPOPE\tVQA',
+    'A\t1,896\t86.5 ± 0.25\t-',
+    'B\tN/A\t85+/-(1.5)\t70*',
+    'C\t—\t84 ±\t?',
+  ].join('\n'));
+  assert.equal(table.delimiter, '\t');
+  assert.equal(table.decimalComma, false);
+  assert.deepEqual(table.values, [[1896, 86.5, null], [null, 85, 70], [null, 84, null]]);
+  assert.deepEqual(table.uncertainty[0][1], { lower: 86.25, upper: 86.75, error: 0.25 });
+  assert.deepEqual(table.uncertainty[1][1], { lower: 83.5, upper: 86.5, error: 1.5 });
+  assert.deepEqual(table.issues.map(({ line, column, code }) => [line, column, code]), [[4, 3, 'invalidError']]);
+});
+
+test('parse: 问题定位到源行与表头中的列，误差列与分组行不占位置', () => {
+  const table = parseData([
+    'Model,X,X_std,Y,,Z',
+    'Group,g1,,g1,,g2',
+    'A,1,0.1,abc,,',
+    '"B',
+    'b",2,x,3',
+    'A,3,,4,5,,9',
+  ].join('\n'));
+  assert.deepEqual(table.dimensions, ['X', 'Y', 'Dim 4', 'Z']);
+  assert.deepEqual(table.groups, { X: 'g1', Y: 'g1', Z: 'g2' });
+  assert.deepEqual(table.models, ['A', 'B\nb', 'A (2)']);
+  assert.deepEqual(table.issues.map(({ line, column, code }) => [line, column ?? null, code]), [
+    [1, 5, 'unnamedDimension'],
+    [3, 4, 'invalidValue'],
+    [4, null, 'missingCells'],
+    [4, 3, 'invalidUncertainty'],
+    [6, 1, 'duplicateModel'],
+    [6, null, 'extraCells'],
+    [1, 6, 'emptyDimension'],
+  ]);
+});
+
+test('harness: lm-evaluation-harness 的结果 JSON', () => {
+  const runs = parseHarnessFile('results_2024-05-01T10-00-00.json', JSON.stringify({
+    results: {
+      arc_easy: { alias: 'arc_easy', 'acc,none': 0.7626, 'acc_stderr,none': 0.0087, 'acc_norm,none': 0.7462 },
+      mmlu_stem: { alias: ' - stem', 'acc,none': 0.4, 'acc_stderr,none': 'N/A' },
+    },
+    group_subtasks: { mmlu: ['mmlu_stem'] },
+    config: { model: 'hf', model_args: 'pretrained=meta-llama/Llama-2-7b-hf,dtype=float16' },
+  }));
+  assert.deepEqual(runs.map(({ name, fileModelName }) => [name, fileModelName]), [
+    ['results_2024-05-01T10-00-00', 'meta-llama/Llama-2-7b-hf'],
+  ]);
+  assert.deepEqual(collectTasks(runs), [
+    { task: 'arc_easy', label: 'arc_easy', subtask: false, metrics: ['acc', 'acc_norm'] },
+    { task: 'mmlu_stem', label: 'stem', subtask: true, metrics: ['acc'] },
+  ]);
+  assert.deepEqual(harnessToRows(runs, {
+    names: { 0: 'Llama-2-7B' },
+    tasks: [{ task: 'arc_easy', label: 'ARC-e', metric: 'acc' }, { task: 'mmlu_stem', label: 'STEM', metric: 'acc' }],
+    stderr: true,
+  }), [['Model', 'ARC-e', 'STEM'], ['Llama-2-7B', '76.26±0.87', '40']]);
+});
+
+test('harness: OpenCompass 的汇总 CSV，单模型时以文件名命名', () => {
+  const text = 'dataset,version,metric,mode,internlm2-chat-7b\nmmlu,-,naive_average,gen,65.2\ngsm8k,1d7fe4,accuracy,gen,70.1\nmath,-,accuracy,-,-';
+  const runs = parseHarnessFile('outputs/summary_20240501_100000.csv', text);
+  assert.deepEqual(runs.map(({ name, fileModelName }) => [name, fileModelName]), [['summary_20240501_100000', 'internlm2-chat-7b']]);
+  const tasks = collectTasks(runs).map(({ task, label, metrics }) => ({ task, label, metric: metrics[0] }));
+  assert.deepEqual(tasks.map(({ task, metric }) => [task, metric]), [['mmlu', 'naive_average (gen)'], ['gsm8k', 'accuracy (gen)']]);
+  // 百分制的数值不再放大
+  assert.deepEqual(harnessToRows(runs, { tasks }), [['Model', 'mmlu', 'gsm8k'], ['summary_20240501_100000', '65.2', '70.1']]);
+});
+
+test('harness: VLMEvalKit 的结果文件，模型名与数据集取自文件名', () => {
+  const acc = parseHarnessFile('InternVL2-8B_MMBench_DEV_EN_acc.csv', 'split,Overall,AR,CP\ndev,0.8131,0.7688,0.8209');
+  const score = parseHarnessFile('LLaVA_v1.5_7B_MathVista_MINI_gpt-4-turbo_score.csv', 'Task&Skill,tot,hit,acc\nOverall,1000,275,27.5\nFQA,269,60,22.3');
+  assert.deepEqual([...acc, ...score].map(({ name, tasks }) => [name, Object.keys(tasks)]), [
+    ['InternVL2-8B', ['MMBench_DEV_EN']],
+    ['LLaVA_v1.5_7B', ['MathVista_MINI']],
+  ]);
+  // 总分类指标排在前面
+  assert.deepEqual(Object.keys(acc[0].tasks.MMBench_DEV_EN.metrics), ['Overall', 'AR', 'CP']);
+  assert.equal(Object.keys(score[0].tasks.MathVista_MINI.metrics)[0], 'Overall · acc');
+  assert.deepEqual(harnessToRows([...acc, ...score], {
+    tasks: [
+      { task: 'MMBench_DEV_EN', label: 'MMBench', metric: 'Overall' },
+      { task: 'MathVista_MINI', label: 'MathVista', metric: 'Overall · acc' },
+    ],
+  }), [['Model', 'MMBench', 'MathVista'], ['InternVL2-8B', '81.31', ''], ['LLaVA_v1.5_7B', '', '27.5']]);
+  assert.equal(parseHarnessFile('notes.csv', 'a,b\n1,2'), null);
+});
+
+// PNG 块：长度、类型、数据与 CRC
+const GRID = [
+  ['Model', 'X', 'Y', 'Z'],
+  ['Group', 'G1', 'G1', 'G2'],
+  ['Target: Goal', '90', '90', '90'],
+  ['A', '3', '7', ''],
+  ['B', '', '5', '2'],
+];
+
+test('grid: 转置两次还原原表，分组行与参考行留在表头之后不转成列', () => {
+  const once = transposeGrid(GRID);
+  assert.deepEqual(once, [
+    ['Model', 'A', 'B'],
+    ['Group', 'G1', 'G1', 'G2'],
+    ['Target: Goal', '90', '90', '90'],
+    ['X', '3', ''],
+    ['Y', '7', '5'],
+    ['Z', '', '2'],
+  ]);
+  assert.deepEqual(transposeGrid(once), GRID);
+  // 数据行之间的参考行转置后移到表头之后
+  const [header, group, target, ...models] = GRID;
+  assert.deepEqual(transposeGrid(transposeGrid([header, group, ...models, target])), GRID);
+});
+
+test('grid: 排序时缺失与无法解析的值总在最后，分组行与参考行不动', () => {
+  const rows = [...GRID, ['C', 'n/a', '1', '1'], ['Model 10', '1', '', ''], ['Model 2', '12', '', '']];
+  const names = (sorted) => sorted.map((cells) => cells[0]);
+  const meta = ['Model', 'Group', 'Target: Goal'];
+  assert.deepEqual(names(sortRows(rows, 1)), [...meta, 'Model 10', 'A', 'Model 2', 'B', 'C']);
+  assert.deepEqual(names(sortRows(rows, 1, 'desc')), [...meta, 'Model 2', 'A', 'Model 10', 'B', 'C']);
+  assert.deepEqual(names(sortRows(rows, 0)), [...meta, 'A', 'B', 'C', 'Model 2', 'Model 10']);
+  assert.equal(rows[3][0], 'A');
+});
+
+test('grid: 粘贴超出表格时扩展行列，未覆盖的单元格保留或留空', () => {
+  const rows = [['Model', 'X'], ['A', '1']];
+  const block = clipboardBlock('2\t3\n4\r\n');
+  assert.deepEqual(block, [['2', '3'], ['4']]);
+  assert.equal(clipboardBlock('5\n'), null);
+  assert.deepEqual(pasteBlock(rows, 1, 1, block), [
+    ['Model', 'X', ''],
+    ['A', '2', '3'],
+    ['', '4', ''],
+  ]);
+  assert.deepEqual(pasteBlock(rows, 3, 0, [['B', '9']]), [
+    ['Model', 'X'],
+    ['A', '1'],
+    ['', ''],
+    ['B', '9'],
+  ]);
+  assert.deepEqual(rows, [['Model', 'X'], ['A', '1']]);
+});
+
+const pngChunk = (type, data) => {
+  const body = Uint8Array.from([...type].map((c) => c.charCodeAt(0)).concat([...data]));
+  const out = new Uint8Array(body.length + 8);
+  const view = new DataView(out.buffer);
+  view.setUint32(0, data.length);
+  out.set(body, 4);
+  view.setUint32(out.length - 4, crc32(body));
+  return out;
+};
+
+const pngChunks = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunks = [];
+  for (let offset = 8; offset < bytes.length;) {
+    const length = view.getUint32(offset);
+    const body = bytes.subarray(offset + 4, offset + 8 + length);
+    chunks.push({
+      type: String.fromCharCode(...body.subarray(0, 4)),
+      data: body.subarray(4),
+      crcOk: view.getUint32(offset + 8 + length) === crc32(body),
+    });
+    offset += 12 + length;
+  }
+  return chunks;
+};
+
+test('png: pHYs 紧跟 IHDR，按每米像素数写入并替换已有的值', () => {
+  const png = Uint8Array.from([
+    137, 80, 78, 71, 13, 10, 26, 10,
+    ...pngChunk('IHDR', [0, 0, 0, 1, 0, 0, 0, 1, 8, 2, 0, 0, 0]),
+    ...pngChunk('pHYs', [0, 0, 11, 19, 0, 0, 11, 19, 1]),
+    ...pngChunk('IDAT', [1, 2, 3]),
+    ...pngChunk('IEND', []),
+  ]);
+  const chunks = pngChunks(setPngDpi(png, 600));
+  assert.deepEqual(chunks.map(({ type, crcOk }) => [type, crcOk]), [['IHDR', true], ['pHYs', true], ['IDAT', true], ['IEND', true]]);
+  // 600 dpi = 23622 像素 / 米 (0x5c46)，单位为米
+  assert.deepEqual([...chunks[1].data], [0, 0, 0x5c, 0x46, 0, 0, 0x5c, 0x46, 1]);
+  assert.throws(() => setPngDpi(new Uint8Array(16), 300));
+});
+
+// TIFF 变体的 LZW 解码：码长在表长到 511、1023、2047 时提前增长
+const lzwDecode = (bytes) => {
+  const out = [];
+  let table;
+  let width;
+  let previous;
+  const reset = () => {
+    table = Array.from({ length: 258 }, (_, i) => [i]);
+    width = 9;
+    previous = null;
+  };
+  reset();
+  for (let bit = 0; bit + width <= bytes.length * 8;) {
+    let code = 0;
+    for (let i = 0; i < width; i++, bit++) code = (code << 1) | ((bytes[bit >> 3] >> (7 - (bit & 7))) & 1);
+    if (code === 257) return out;
+    if (code === 256) {
+      reset();
+      continue;
+    }
+    const entry = code < table.length ? table[code] : [...previous, previous[0]];
+    out.push(...entry);
+    if (previous) table.push([...previous, entry[0]]);
+    previous = entry;
+    if (table.length + 1 >= 1 << width && width < 12) width++;
+  }
+  throw new Error('缺少 EOI');
+};
+
+test('tiff: LZW 编码可还原，包括码长增长与清表', () => {
+  // 线性同余生成的伪随机字节：几乎每个字节都新增表项，覆盖 9 → 12 位与 4094 处的清表
+  let seed = 1;
+  const noise = Uint8Array.from({ length: 9000 }, () => {
+    seed = (seed * 1103515245 + 12345) % 2 ** 31;
+    return seed >> 23;
+  });
+  const runs = Uint8Array.from({ length: 3000 }, (_, i) => (i % 7 < 4 ? 255 : i % 3));
+  for (const data of [new Uint8Array(0), Uint8Array.of(42), runs, noise]) {
+    assert.deepEqual(lzwDecode(lzwEncode(data)), [...data]);
+  }
+  // 末尾码字恰好落在码长增长处
+  for (let length = 250; length <= 270; length++) {
+    const data = noise.subarray(0, length);
+    assert.deepEqual(lzwDecode(lzwEncode(data)), [...data], `length ${length}`);
+  }
+});
+
+test('tiff: 条带解压后为白底合成的 RGB，分辨率为 dpi × 1000 / 1000', () => {
+  const tiff = encodeTiff(Uint8Array.of(255, 0, 0, 255, 0, 0, 0, 0), 2, 1, { dpi: 600 });
+  const view = new DataView(tiff.buffer);
+  const count = view.getUint16(8);
+  const tags = Object.fromEntries(Array.from({ length: count }, (_, i) => {
+    const entry = 10 + i * 12;
+    return [view.getUint16(entry), entry + 8];
+  }));
+  const value = (tag) => view.getUint32(tags[tag]);
+  const strip = tiff.subarray(value(273), value(273) + value(279));
+  assert.deepEqual(lzwDecode(strip), [255, 0, 0, 255, 255, 255]);
+  const resolution = value(282);
+  assert.deepEqual([view.getUint32(resolution), view.getUint32(resolution + 4)], [600000, 1000]);
+});
+
+test('project: 分享链接还原除保存时间外的整个项目', () => {
+  const project = projectFromOptions({
+    data: ZH_DATA,
+    settings: {
+      title: '多模态 & <测试>', colors: { A: '#123456' }, references: { layer: 'above', custom: [], styles: {} },
+    },
+    export: { format: 'svg' },
+  });
+  const hash = encodeShareHash({ ...project, savedAt: '2024-01-01T00:00:00.000Z' });
+  assert.deepEqual(decodeShareHash(`#${hash}`), project);
+  assert.equal(decodeShareHash('#other=1'), null);
+  assert.throws(() => decodeShareHash(`#${hash.slice(0, -8)}`), { code: 'brokenShareLink' });
+});
+
+test('project: 旧项目缺少的新选项取默认值，类型不符的值回退，未知选项丢弃', () => {
+  const project = parseProjectFile(JSON.stringify({
+    format: 'sciradar',
+    version: 1,
+    name: 'Old',
+    data: 'Model,X\nA,1',
+    settings: { title: 'Old', fontSize: '14', canvas: { theme: 'dark' }, removed: true },
+    export: { dpi: 600 },
+  }));
+  assert.equal(project.savedAt, null);
+  assert.deepEqual(project.settings, {
+    ...DEFAULT_SETTINGS, title: 'Old', canvas: { ...DEFAULT_SETTINGS.canvas, theme: 'dark' },
+  });
+  assert.deepEqual(project.export, { ...DEFAULT_EXPORT, dpi: 600 });
+  assert.throws(() => parseProjectFile('{"format":"sciradar","version":2}'), { code: 'newerVersion' });
+});
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import {
   Radar,
   RadarChart,
@@ -6,16 +6,71 @@ import {
   PolarAngleAxis,
   PolarRadiusAxis,
   ResponsiveContainer,
-  Legend,
-  Tooltip
+  Tooltip,
+  Customized
 } from 'recharts';
 import {
-  Settings, Download, RefreshCw, Type, Palette, Layout, FileText, Info,
-  Image, FileImage, FileType, Printer, Share2, Copy
+  Settings, Download, RefreshCw, Type, Layout, FileText, Info,
+  Image, ImageDown, FileImage, FileType, Printer, Copy, FileCode, Braces, Table2, Languages
 } from 'lucide-react';
-import html2canvas from 'html2canvas';
-import { jsPDF } from 'jspdf';
-import domtoimage from 'dom-to-image';
+import DimensionSettings from './components/DimensionSettings';
+import RadarAxisTicks from './components/RadarAxisTicks';
+import ParseIssues from './components/ParseIssues';
+import DataImport from './components/DataImport';
+import DataGrid from './components/DataGrid';
+import ExportSizeSettings from './components/ExportSizeSettings';
+import ProjectMenu from './components/ProjectMenu';
+import ErrorBand from './components/ErrorBand';
+import StylePresets from './components/StylePresets';
+import SeriesMarker, { LegendSwatch, ReferenceSwatch } from './components/SeriesMarker';
+import PanelLayoutSettings from './components/PanelLayoutSettings';
+import AnnotationSettings from './components/AnnotationSettings';
+import CanvasSettings from './components/CanvasSettings';
+import ReferenceSettings from './components/ReferenceSettings';
+import ReferenceLayers from './components/ReferenceLayers';
+import StatisticsPanel from './components/StatisticsPanel';
+import SeriesManager from './components/SeriesManager';
+import ValueLabels from './components/ValueLabels';
+import GroupSectors from './components/GroupSectors';
+import AxisLabels from './components/AxisLabels';
+import ChartTypeSelector from './components/ChartTypeSelector';
+import PlotPanel from './components/PlotPanel';
+import ChartNavigator from './components/ChartNavigator';
+import VertexFocus from './components/VertexFocus';
+import { I18nContext } from './hooks/useI18n';
+import { parseData, rowsToText, DELIMITER_NAMES } from './lib/parse';
+import { textToGrid } from './lib/grid';
+import { formatNormalized, formatInterval } from './lib/scale';
+import { serializeChart } from './lib/export/svg';
+import { svgToScene, sceneHasNonLatinText } from './lib/export/vector';
+import {
+  sceneToPdf, addDataPage, dataTableLines, alignedLines, hasEmbeddedFont,
+} from './lib/export/pdf';
+import { sceneToEps } from './lib/export/eps';
+import { latexDocument } from './lib/export/latex';
+import { chartCode, CODE_FORMATS } from './lib/export/code';
+import { loadFont, outlineScene, FONT_ACCEPT, TEXT_MODES } from './lib/export/fonts';
+import {
+  PALETTES, FONTS, fontStack, paletteColor, toPt, loadUserPresets, saveUserPreset, removeUserPreset,
+} from './lib/styles';
+import { MUTED_OPACITY } from './lib/series';
+import { moveItem, correlationOrder } from './lib/order';
+import { plainLabel } from './lib/labels';
+import { panelLetter } from './lib/panels';
+import { chartTypeOf, SERIES_LEGEND_TYPES } from './lib/charts';
+import { chartSummary } from './lib/describe';
+import { summaryStatistics, sortStatistics, statisticsTable } from './lib/stats';
+import { canvasColors, outerRatio, isVerticalLegend } from './lib/canvas';
+import { buildChartModel, radiusTicks } from './lib/model';
+import { rasterizeSvg, canvasToPng, canvasToTiff } from './lib/export/raster';
+import { resolveExportSize, devicePixels } from './lib/export/size';
+import {
+  DEFAULT_SETTINGS, DEFAULT_EXPORT, createProject, parseProjectFile, serializeProject, projectFileName,
+  encodeShareHash, decodeShareHash, createProjectId, loadRecentProjects, saveRecentProject, removeRecentProject,
+} from './lib/project';
+import {
+  LOCALES, createTranslator, figureTranslator, latinTranslator, loadLocale, saveLocale,
+} from './lib/i18n';
 
 /**
  * SciRadar - A Scientific Radar Chart Generator with Export Features
@@ -27,57 +82,38 @@ MemVR\t1896\t86.3\t56.7\t65.2\t70.5
 LLaVA-1.5\t1500\t80.1\t40.5\t50.0\t60.2
 OPERA\t1600\t82.5\t45.0\t55.1\t62.8`;
 
-const DEFAULT_COLORS = [
-  '#34a853', // Google Green
-  '#ea4335', // Red
-  '#4285f4', // Blue
-  '#fbbc05', // Yellow
-  '#8e44ad', // Purple
-  '#2c3e50', // Dark Blue
-  '#e67e22', // Orange
-];
-
-const FONTS = [
-  { name: 'Sans-Serif (Arial)', value: 'font-sans', css: "'Segoe UI', Roboto, 'Helvetica Neue', Arial" },
-  { name: 'Serif (Times New Roman)', value: 'font-serif', css: "'Times New Roman', Times, serif" },
-  { name: 'Monospace (Courier)', value: 'font-mono', css: "'Courier New', Courier, monospace" },
-];
-
 // 添加导出格式选项
 const EXPORT_FORMATS = [
   { id: 'png', name: 'PNG 图片', icon: Image, desc: '高质量位图，适合论文插入' },
-  { id: 'svg', name: 'SVG 矢量图', icon: FileType, desc: '无限缩放不失真，适合演示文稿' },
-  { id: 'pdf', name: 'PDF 文档', icon: FileImage, desc: '包含图表和数据的完整报告' },
+  { id: 'tiff', name: 'TIFF 图片', icon: ImageDown, desc: '无损位图，期刊投稿常用' },
+  { id: 'svg', name: 'SVG 矢量图', icon: FileType, desc: '纯矢量，可在 Inkscape / Illustrator 中编辑' },
+  { id: 'pdf', name: 'PDF 文档', icon: FileImage, desc: '矢量 PDF，可附带原始数据' },
+  { id: 'eps', name: 'EPS 矢量图', icon: Printer, desc: 'PostScript 矢量，适合 LaTeX 与期刊投稿' },
+  { id: 'latex', name: 'LaTeX (TikZ)', icon: FileCode, desc: 'TikZ 图与 booktabs 表格，文字使用论文字体' },
+  { id: 'code', name: '导出为代码', icon: Braces, desc: 'matplotlib 脚本、Vega-Lite 或 Plotly，数据写在代码中' },
   { id: 'clipboard', name: '复制到剪贴板', icon: Copy, desc: '快速粘贴到其他文档' }
 ];
 
-// --- Helper Functions ---
-const parseData = (text) => {
-  const firstLine = text.trim().split('\n')[0];
-  const delimiter = firstLine.includes('\t') ? '\t' : ',';
-  const rows = text.trim().split('\n').map(row => row.split(delimiter).map(cell => cell.trim()));
-
-  if (rows.length < 2) return null;
-
-  const headers = rows[0];
-  const dataRows = rows.slice(1);
-  const dimensions = headers.slice(1);
-  const models = dataRows.map(row => row[0]);
-
-  const chartData = dimensions.map((dim, dimIndex) => {
-    const dataPoint = { subject: dim };
-    dataRows.forEach((row) => {
-      const modelName = row[0];
-      const val = parseFloat(row[dimIndex + 1]);
-      dataPoint[modelName] = isNaN(val) ? 0 : val;
-    });
-    return dataPoint;
-  });
+const VECTOR_FORMATS = ['svg', 'pdf', 'eps'];
+const RASTER_FORMATS = ['png', 'tiff', 'clipboard'];
+const TEXT_FORMATS = ['latex', 'code'];
 
-  return { chartData, models, rawData: text };
+// 预览中透明背景的棋盘格
+const TRANSPARENT_PATTERN = 'repeating-conic-gradient(#f1f5f9 0% 25%, #ffffff 0% 50%)';
+
+// 图例与图表的排布：上下方为纵向，左右两侧为横向，图内时叠在右上角
+const LEGEND_SLOTS = {
+  bottom: { box: 'flex flex-col', legend: 'pt-4 flex justify-center', after: true },
+  top: { box: 'flex flex-col', legend: 'pb-4 flex justify-center', after: false },
+  left: { box: 'flex flex-row items-center', legend: 'pr-4', after: false },
+  right: { box: 'flex flex-row items-center', legend: 'pl-4', after: true },
+  inside: { box: 'relative flex flex-col', legend: 'absolute top-0 right-0 z-[1]', after: true },
 };
 
 // --- 导出功能工具函数 ---
+// 参考线在提示框中的 dataKey：取半径比例，名称记在函数上，供 formatTooltipValue 查原始值
+const referenceDataKey = (name) => Object.assign((point) => point.reference?.[name], { reference: name });
+
 const downloadBlob = (blob, filename) => {
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
@@ -89,59 +125,507 @@ const downloadBlob = (blob, filename) => {
   URL.revokeObjectURL(url);
 };
 
+// 分享链接过长时部分浏览器和聊天软件会截断
+const MAX_SHARE_URL = 32000;
+
+// 编辑停止后再写入 localStorage
+const AUTOSAVE_DELAY = 800;
+
+// 等待 ResponsiveContainer 按新尺寸重新排版
+const waitForLayout = () => new Promise((resolve) => {
+  requestAnimationFrame(() => requestAnimationFrame(() => setTimeout(resolve, 50)));
+});
+
 // --- Main Component ---
 export default function SciRadar() {
+  // 界面语言只保存在本浏览器，不写入项目文件
+  const [locale, setLocale] = useState(loadLocale);
+  const t = useMemo(() => createTranslator(locale), [locale]);
+
+  const changeLocale = (id) => {
+    setLocale(id);
+    saveLocale(id);
+  };
+
   // State
   const [inputText, setInputText] = useState(DEFAULT_INPUT);
   const [parsedData, setParsedData] = useState(null);
   const [models, setModels] = useState([]);
+  const [parseIssues, setParseIssues] = useState([]);
+  const [parseInfo, setParseInfo] = useState(null);
+  const [dataView, setDataView] = useState('text'); // text, grid
 
   // Customization State
-  const [title, setTitle] = useState('Model Performance Comparison');
-  const [selectedFont, setSelectedFont] = useState('font-sans');
-  const [fontSize, setFontSize] = useState(12);
-  const [opacity, setOpacity] = useState(0.2);
-  const [strokeWidth, setStrokeWidth] = useState(2);
-  const [showDots, setShowDots] = useState(true);
-  const [customColors, setCustomColors] = useState({});
-  const [gridType, setGridType] = useState('polygon');
+  const [title, setTitle] = useState(DEFAULT_SETTINGS.title);
+  const [altText, setAltText] = useState(DEFAULT_SETTINGS.altText); // 为空时使用自动生成的摘要
+  const [figureLocale, setFigureLocale] = useState(DEFAULT_SETTINGS.figureLocale); // auto 表示跟随界面语言
+  const [chartType, setChartType] = useState(DEFAULT_SETTINGS.chartType);
+  const [selectedFont, setSelectedFont] = useState(DEFAULT_SETTINGS.font);
+  const [fontSize, setFontSize] = useState(DEFAULT_SETTINGS.fontSize);
+  const [opacity, setOpacity] = useState(DEFAULT_SETTINGS.opacity);
+  const [strokeWidth, setStrokeWidth] = useState(DEFAULT_SETTINGS.strokeWidth);
+  const [showDots, setShowDots] = useState(DEFAULT_SETTINGS.showDots);
+  const [palette, setPalette] = useState(DEFAULT_SETTINGS.palette);
+  const [customColors, setCustomColors] = useState(DEFAULT_SETTINGS.colors);
+  const [userPresets, setUserPresets] = useState(() => loadUserPresets());
+
+  // 系列：{model: {label, hidden, dash, marker, markerSize, fillOpacity}}，以及顺序与聚焦系列
+  const [seriesSettings, setSeriesSettings] = useState(DEFAULT_SETTINGS.series);
+  const [seriesOrder, setSeriesOrder] = useState(DEFAULT_SETTINGS.seriesOrder);
+  const [focusSeries, setFocusSeries] = useState(DEFAULT_SETTINGS.focusSeries);
+  const [gridType, setGridType] = useState(DEFAULT_SETTINGS.gridType);
+  const [connectNulls, setConnectNulls] = useState(DEFAULT_SETTINGS.connectNulls);
+
+  // 误差带
+  const [hiddenBands, setHiddenBands] = useState(DEFAULT_SETTINGS.hiddenBands); // {model: true} 表示隐藏
+  const [showWhiskers, setShowWhiskers] = useState(DEFAULT_SETTINGS.showWhiskers);
+
+  // 多图排版
+  const [panelLayout, setPanelLayout] = useState(DEFAULT_SETTINGS.panels);
+  const [dataGroups, setDataGroups] = useState({}); // 数据中分组行给出的 {dimension: group}
+
+  // 数值标注
+  const [annotations, setAnnotations] = useState(DEFAULT_SETTINGS.annotations);
+
+  // 画布：主题、背景、留白、图例位置
+  const [canvasSettings, setCanvasSettings] = useState(DEFAULT_SETTINGS.canvas);
+
+  // 参考线：数据中的参考行与手动输入的参考线
+  const [referenceSettings, setReferenceSettings] = useState(DEFAULT_SETTINGS.references);
+  const [dataReferences, setDataReferences] = useState([]);
+
+  // 汇总统计面板
+  const [statisticsSettings, setStatisticsSettings] = useState(DEFAULT_SETTINGS.statistics);
+
+  // 维度刻度
+  const [dimensionConfig, setDimensionConfig] = useState(DEFAULT_SETTINGS.dimensionConfig); // {subject: {min, max, unit, reverse, group}}
+  const [dimensionOrder, setDimensionOrder] = useState(DEFAULT_SETTINGS.dimensionOrder);
+  const [groupSectors, setGroupSectors] = useState(DEFAULT_SETTINGS.groupSectors);
+  const [labelWrap, setLabelWrap] = useState(DEFAULT_SETTINGS.labelWrap);
+  const [normalization, setNormalization] = useState(DEFAULT_SETTINGS.normalization);
+  const [baselineModel, setBaselineModel] = useState(DEFAULT_SETTINGS.baselineModel);
+  const [integerTicks, setIntegerTicks] = useState(DEFAULT_SETTINGS.integerTicks);
+  const [showAxisTicks, setShowAxisTicks] = useState(DEFAULT_SETTINGS.showAxisTicks);
 
   // 导出状态
   const [exporting, setExporting] = useState(false);
-  const [exportFormat, setExportFormat] = useState('png');
-  const [exportQuality, setExportQuality] = useState('high'); // high, medium, low
-  const [includeData, setIncludeData] = useState(true);
-  const [exportSize, setExportSize] = useState('original'); // original, a4, slide
+  const [exportFormat, setExportFormat] = useState(DEFAULT_EXPORT.format);
+  const [exportDpi, setExportDpi] = useState(DEFAULT_EXPORT.dpi);
+  const [includeData, setIncludeData] = useState(DEFAULT_EXPORT.includeData);
+  const [includeStats, setIncludeStats] = useState(DEFAULT_EXPORT.includeStats);
+  const [exportSize, setExportSize] = useState(DEFAULT_EXPORT.size);
+  const [exportLayout, setExportLayout] = useState(null); // 导出时临时固定的预览尺寸 (CSS 像素)
+  const [previewRect, setPreviewRect] = useState(null);
+  const [textMode, setTextMode] = useState(DEFAULT_EXPORT.textMode); // text, embed, outline
+  const [exportFont, setExportFont] = useState(null);
+  const [latexOptions, setLatexOptions] = useState(DEFAULT_EXPORT.latex);
+  const [codeOptions, setCodeOptions] = useState(DEFAULT_EXPORT.code);
+
+  // 项目与自动保存
+  const [projectId, setProjectId] = useState(createProjectId);
+  const [recentProjects, setRecentProjects] = useState([]);
+  const restoredRef = useRef(false);
+  // 打开页面后未做修改时不自动保存，以免把默认项目记为最近项目；修改过后为 false
+  const pristineRef = useRef(null);
 
   const chartRef = useRef(null);
+  const inputRef = useRef(null);
+  const gridRef = useRef(null);
   const exportModalRef = useRef(null);
+  const [keyboardCursor, setKeyboardCursor] = useState(null); // 键盘浏览中的顶点 { model, subject }
+  const fontInputRef = useRef(null);
 
   // Effect: Parse data on input change
   useEffect(() => {
+    const result = parseData(inputText);
+    setParseIssues(result.issues);
+    setParseInfo({
+      delimiter: result.delimiter,
+      decimalComma: result.decimalComma,
+      uncertaintyColumns: result.uncertaintyColumns.map((c) => c.name),
+    });
+    // 解析失败时保留上一次的图表，问题列表会给出原因
+    if (result.models.length === 0) return;
+
+    setParsedData(result.chartData);
+    setModels(result.models);
+    setDataGroups(result.groups);
+    setDataReferences(result.references);
+
+    const newColors = { ...customColors };
+    result.models.forEach((m, i) => {
+      if (!newColors[m]) {
+        newColors[m] = paletteColor(palette, i);
+      }
+    });
+    setCustomColors(newColors);
+  }, [inputText]);
+
+  // --- 项目文件 ---
+  const project = useMemo(() => createProject({
+    data: inputText,
+    settings: {
+      title,
+      altText,
+      figureLocale,
+      chartType,
+      font: selectedFont,
+      fontSize,
+      opacity,
+      strokeWidth,
+      showDots,
+      palette,
+      colors: customColors,
+      series: seriesSettings,
+      seriesOrder,
+      focusSeries,
+      gridType,
+      connectNulls,
+      dimensionConfig,
+      dimensionOrder,
+      groupSectors,
+      labelWrap,
+      normalization,
+      baselineModel,
+      integerTicks,
+      showAxisTicks,
+      hiddenBands,
+      showWhiskers,
+      panels: panelLayout,
+      annotations,
+      references: referenceSettings,
+      statistics: statisticsSettings,
+      canvas: canvasSettings,
+    },
+    exportSettings: {
+      format: exportFormat,
+      dpi: exportDpi,
+      includeData,
+      includeStats,
+      size: exportSize,
+      textMode,
+      latex: latexOptions,
+      code: codeOptions,
+    },
+  }), [
+    inputText, title, altText, figureLocale, chartType, selectedFont, fontSize, opacity, strokeWidth, showDots, palette, customColors, seriesSettings, seriesOrder, focusSeries, gridType,
+    connectNulls, dimensionConfig, dimensionOrder, groupSectors, labelWrap,
+    normalization, baselineModel, integerTicks, showAxisTicks,
+    hiddenBands, showWhiskers, panelLayout, annotations, referenceSettings, statisticsSettings, canvasSettings,
+    exportFormat, exportDpi, includeData, includeStats, exportSize, textMode, latexOptions, codeOptions,
+  ]);
+
+  // project 须已经过 normalizeProject，所有选项齐全
+  const applyProject = ({ data, settings, export: exportSettings }) => {
+    setInputText(data);
+    setTitle(settings.title);
+    setAltText(settings.altText);
+    setFigureLocale(settings.figureLocale);
+    setChartType(settings.chartType);
+    setSelectedFont(settings.font);
+    setFontSize(settings.fontSize);
+    setOpacity(settings.opacity);
+    setStrokeWidth(settings.strokeWidth);
+    setShowDots(settings.showDots);
+    setPalette(settings.palette);
+    setCustomColors(settings.colors);
+    setSeriesSettings(settings.series);
+    setSeriesOrder(settings.seriesOrder);
+    setFocusSeries(settings.focusSeries);
+    setGridType(settings.gridType);
+    setConnectNulls(settings.connectNulls);
+    setDimensionConfig(settings.dimensionConfig);
+    setDimensionOrder(settings.dimensionOrder);
+    setGroupSectors(settings.groupSectors);
+    setLabelWrap(settings.labelWrap);
+    setNormalization(settings.normalization);
+    setBaselineModel(settings.baselineModel);
+    setIntegerTicks(settings.integerTicks);
+    setShowAxisTicks(settings.showAxisTicks);
+    setHiddenBands(settings.hiddenBands);
+    setShowWhiskers(settings.showWhiskers);
+    setPanelLayout(settings.panels);
+    setAnnotations(settings.annotations);
+    setReferenceSettings(settings.references);
+    setStatisticsSettings(settings.statistics);
+    setCanvasSettings(settings.canvas);
+    setExportFormat(exportSettings.format);
+    setExportDpi(exportSettings.dpi);
+    setIncludeData(exportSettings.includeData);
+    setIncludeStats(exportSettings.includeStats);
+    setExportSize(exportSettings.size);
+    setTextMode(exportSettings.textMode);
+    setLatexOptions(exportSettings.latex);
+    setCodeOptions(exportSettings.code);
+  };
+
+  // 分享链接中的项目作为新项目打开，并从地址栏移除
+  const openSharedProject = () => {
     try {
-      const result = parseData(inputText);
-      if (result) {
-        setParsedData(result.chartData);
-        setModels(result.models);
-
-        const newColors = { ...customColors };
-        result.models.forEach((m, i) => {
-          if (!newColors[m]) {
-            newColors[m] = DEFAULT_COLORS[i % DEFAULT_COLORS.length];
-          }
-        });
-        setCustomColors(newColors);
+      const shared = decodeShareHash(window.location.hash);
+      if (!shared) return false;
+      applyProject(shared);
+      setProjectId(createProjectId());
+      showToast(t('toast.sharedOpened', { name: shared.name || t('project.untitled') }));
+    } catch (error) {
+      showToast(t.error(error), 'error');
+    }
+    window.history.replaceState(null, '', window.location.pathname + window.location.search);
+    return true;
+  };
+  // hashchange 监听只注册一次，经 ref 调用最新的函数，提示才会使用当前的界面语言
+  const openSharedRef = useRef(openSharedProject);
+  openSharedRef.current = openSharedProject;
+
+  // Effect: 启动时打开分享链接，否则恢复上次自动保存的项目
+  useEffect(() => {
+    const recent = loadRecentProjects();
+    setRecentProjects(recent);
+    if (!openSharedProject() && recent.length > 0) {
+      applyProject(recent[0].project);
+      setProjectId(recent[0].id);
+    }
+    restoredRef.current = true;
+
+    const onHashChange = () => openSharedRef.current();
+    window.addEventListener('hashchange', onHashChange);
+    return () => window.removeEventListener('hashchange', onHashChange);
+  }, []);
+
+  // Effect: 自动保存到最近项目
+  useEffect(() => {
+    if (!restoredRef.current) return undefined;
+    const timer = setTimeout(() => {
+      // 解析数据后自动分配的颜色也会改动项目，因此以第一次到期时的内容作为未修改的状态
+      if (pristineRef.current !== false) {
+        const { savedAt, ...content } = project;
+        const text = JSON.stringify(content);
+        pristineRef.current ??= text;
+        if (text === pristineRef.current) return;
+        pristineRef.current = false;
       }
-    } catch (e) {
-      console.error("Parsing error", e);
+      setRecentProjects(saveRecentProject(projectId, project));
+    }, AUTOSAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [project, projectId]);
+
+  const newProject = () => {
+    applyProject({ data: DEFAULT_INPUT, settings: DEFAULT_SETTINGS, export: DEFAULT_EXPORT });
+    setProjectId(createProjectId());
+    showToast(t('toast.projectCreated'));
+  };
+
+  const openProjectFile = async (file) => {
+    try {
+      const opened = parseProjectFile(await file.text());
+      applyProject(opened);
+      setProjectId(createProjectId());
+      showToast(t('toast.projectOpened', { name: opened.name || file.name }));
+    } catch (error) {
+      showToast(t('toast.projectOpenFailed', { message: t.error(error) }), 'error');
     }
-  }, [inputText]);
+  };
+
+  const saveProjectFile = () => {
+    downloadBlob(new Blob([serializeProject(project)], { type: 'application/json' }), projectFileName(project));
+    showToast(t('toast.projectSaved'));
+  };
+
+  const copyShareLink = async () => {
+    const url = `${window.location.origin}${window.location.pathname}${window.location.search}#${encodeShareHash(project)}`;
+    if (url.length > MAX_SHARE_URL) {
+      showToast(t('toast.shareTooLong'), 'error');
+      return;
+    }
+    try {
+      await navigator.clipboard.writeText(url);
+      showToast(t('toast.shareCopied'));
+    } catch {
+      showToast(t('toast.clipboardDenied'), 'error');
+    }
+  };
+
+  const restoreRecentProject = (id) => {
+    const entry = recentProjects.find((e) => e.id === id);
+    if (!entry) return;
+    applyProject(entry.project);
+    setProjectId(id);
+  };
+
+  // 页脚、提示框与 PDF 数据页等图中文字的语言，auto 时跟随界面
+  const figureT = useMemo(() => figureTranslator(figureLocale, locale), [figureLocale, locale]);
+  // 用 PDF / EPS 标准字体书写时的替代文字，中文退回英文
+  const latinFigureT = useMemo(() => latinTranslator(figureT), [figureT]);
+
+  // 系列、维度顺序、刻度换算与子图等由 lib/model 统一推导，命令行渲染共用同一份逻辑
+  const chart = useMemo(
+    () => buildChartModel({
+      chartData: parsedData, models, groups: dataGroups, references: dataReferences,
+    }, project.settings),
+    [parsedData, models, dataGroups, dataReferences, project.settings],
+  );
+
+  // 屏幕阅读器朗读的摘要按界面语言；导出 SVG 的 <desc> 按图中文字语言，填写了替代文字时以其为准
+  const summary = useMemo(() => chartSummary(chart, project.settings, t), [chart, project.settings, t]);
+  const figureDescription = altText || chartSummary(chart, project.settings, figureT);
+  const {
+    activeBaseline, monochrome, seriesStyles, orderedModels, visibleModels, seriesLabel, seriesColor, activeFocus,
+    orderedSubjects, chartData, customOrder, scaled, bandModels, groupOf, groupNames, groupColor, panels,
+    bestByDimension, deltaModel, deltaBaseline, deltas, showDeltas, multiPanel, grid, formatAxisLabel, drawOrder,
+    allReferences, references, referenceLayer: referenceLayerPosition,
+  } = chart;
+
+  // 汇总统计随数据与设置实时更新；CSV 与 PDF 附页按面板当前的排序输出
+  const stats = useMemo(
+    () => summaryStatistics(chart, project.settings, statisticsSettings.baseline),
+    [chart, project.settings, statisticsSettings.baseline],
+  );
+
+  // 差值说明与页脚计数，预览用 figureT，标准字体导出用 latinFigureT
+  const deltaCaption = (translate) => translate(
+    annotations.deltaMode === 'relative' ? 'figure.deltaRelative' : 'figure.deltaAbsolute',
+    { model: seriesLabel(deltaModel), baseline: seriesLabel(deltaBaseline) },
+  );
+  const footerCounts = (translate) => [
+    translate('figure.models', { count: models.length }),
+    translate('figure.dimensions', { count: parsedData?.length || 0 }),
+  ].join(' · ');
+
+  const statisticsRows = (translate) => statisticsTable(
+    { ...stats, rows: sortStatistics(stats.rows, statisticsSettings.sort, statisticsSettings.descending) },
+    { t: translate, decimals: annotations.decimals },
+  );
+
+  // 画布配色与图例位置，与命令行渲染共用 lib/canvas
+  const colors = canvasColors(project.settings);
+  const legendLayout = canvasSettings.legend;
 
   // Handlers
   const handleColorChange = (model, color) => {
     setCustomColors(prev => ({ ...prev, [model]: color }));
   };
 
+  const applyPalette = (id) => {
+    setPalette(id);
+    setCustomColors(Object.fromEntries(models.map((m, i) => [m, paletteColor(id, i)])));
+  };
+
+  const applyStylePreset = (preset) => {
+    setSelectedFont(preset.font);
+    setFontSize(preset.fontSize);
+    setStrokeWidth(preset.strokeWidth);
+    setOpacity(preset.opacity);
+    applyPalette(preset.palette);
+    setCanvasSettings(prev => ({ ...prev, theme: preset.theme || 'light' }));
+    setExportSize({ preset: 'custom', ...preset.size });
+    showToast(t('toast.presetApplied', {
+      name: t.option('stylePresets', preset),
+      size: `${preset.size.width} × ${preset.size.height} ${preset.size.unit}`,
+    }));
+  };
+
+  const saveStylePreset = (name) => {
+    const rect = chartRef.current?.getBoundingClientRect() || { width: 0, height: 0 };
+    const { width, height, unit } = resolveExportSize(exportSize, rect);
+    setUserPresets(saveUserPreset({
+      name, font: selectedFont, fontSize, strokeWidth, opacity, palette, theme: canvasSettings.theme, size: { width, height, unit },
+    }));
+    showToast(t('toast.presetSaved', { name }));
+  };
+
+  // 在输入框中选中问题所在的行；表格视图中聚焦对应的单元格
+  const locateIssue = (issue) => {
+    if (dataView === 'grid') {
+      const { lines } = textToGrid(inputText);
+      const row = lines.indexOf(issue.line);
+      gridRef.current?.querySelector(`[data-cell="${row},${Math.max(0, (issue.column || 1) - 1)}"]`)?.focus();
+      return;
+    }
+    const textarea = inputRef.current;
+    if (!textarea || !issue.line) return;
+    const lines = inputText.split('\n');
+    const start = lines.slice(0, issue.line - 1).reduce((sum, l) => sum + l.length + 1, 0);
+    const end = start + (lines[issue.line - 1]?.length ?? 0);
+    textarea.focus();
+    textarea.setSelectionRange(start, end);
+  };
+
+  const handleSeriesChange = (model, patch) => {
+    setSeriesSettings(prev => ({ ...prev, [model]: { ...prev[model], ...patch } }));
+  };
+
+  const reorderSeries = (from, to) => {
+    setSeriesOrder(moveItem(orderedModels, from, to));
+  };
+
+  const toggleBand = (model, visible) => {
+    setHiddenBands(prev => ({ ...prev, [model]: !visible }));
+  };
+
+  const handleImport = (text, table) => {
+    setInputText(text);
+    showToast(t('toast.tableImported', { name: table.name }));
+  };
+
+  const handleAnnotationChange = (patch) => {
+    setAnnotations(prev => ({ ...prev, ...patch }));
+  };
+
+  const handlePanelLayoutChange = (patch) => {
+    setPanelLayout(prev => ({ ...prev, ...patch }));
+  };
+
+  const handleCanvasChange = (patch) => {
+    setCanvasSettings(prev => ({ ...prev, ...patch }));
+  };
+
+  const handleReferenceChange = (patch) => {
+    setReferenceSettings(prev => ({ ...prev, ...patch }));
+  };
+
+  const handleStatisticsChange = (patch) => {
+    setStatisticsSettings(prev => ({ ...prev, ...patch }));
+  };
+
+  const exportStatisticsCsv = () => {
+    const csv = rowsToText(statisticsRows(t), ',');
+    // 带 BOM，表格软件才能正确识别中文
+    downloadBlob(new Blob([`\ufeff${csv}\n`], { type: 'text/csv;charset=utf-8' }), `SciRadar_statistics_${Date.now()}.csv`);
+    showToast(t('toast.statisticsExported'));
+  };
+
+  const reorderDimensions = (from, to) => {
+    setDimensionOrder(moveItem(orderedSubjects, from, to));
+  };
+
+  const autoOrderDimensions = () => {
+    setDimensionOrder(correlationOrder(parsedData, visibleModels, {
+      groupOf,
+      reverseOf: (subject) => !!dimensionConfig[subject]?.reverse,
+    }));
+    showToast(t('toast.dimensionsOrdered'));
+  };
+
+  const handleDimensionChange = (subject, patch) => {
+    setDimensionConfig(prev => ({ ...prev, [subject]: { ...prev[subject], ...patch } }));
+  };
+
+  // name 为显示名称，数据按 dataKey (模型名) 查找；参考线的 dataKey 为函数，名称记在其 reference 上
+  const formatTooltipValue = (value, name, item) => {
+    const reference = item?.dataKey?.reference;
+    const key = reference ?? item?.dataKey;
+    const raw = reference ? item?.payload?.referenceRaw?.[key] : item?.payload?.raw?.[key];
+    const interval = reference ? null : item?.payload?.interval?.[key];
+    const unit = dimensionConfig[item?.payload?.subject]?.unit;
+    const format = (v) => figureT.fixed(v, annotations.decimals);
+    const text = typeof raw === 'number'
+      ? `${format(raw)}${interval ? ` ${formatInterval(interval, format)}` : ''}${unit ? ` ${unit}` : ''}`
+      : '—';
+    if (normalization === 'none') return [text, name];
+    const normalizedValue = reference ? item.payload.referenceNormalized[key] : item.payload.normalized[key];
+    return [`${text} (${formatNormalized(normalizedValue, normalization)})`, name];
+  };
+
   // --- 导出功能函数 ---
   const exportChart = async () => {
     if (!chartRef.current || exporting) return;
@@ -149,139 +633,169 @@ export default function SciRadar() {
     setExporting(true);
 
     try {
+      const target = resolveExportSize(exportSize, chartRef.current.getBoundingClientRect());
+      // 按目标物理尺寸重新排版后再导出，与浏览器窗口大小无关 (LaTeX 与代码由图表模型生成，无需排版)
+      if (exportSize.preset !== 'preview' && !TEXT_FORMATS.includes(exportFormat)) {
+        setExportLayout({ width: target.cssWidth, height: target.cssHeight });
+        await waitForLayout();
+      }
       const chartElement = chartRef.current;
-      const options = {
-        backgroundColor: '#ffffff',
-        scale: getExportScale(),
-        useCORS: true,
-        logging: false,
-      };
 
       switch (exportFormat) {
         case 'png':
-          await exportAsPNG(chartElement, options);
+          await exportAsPNG(chartElement, target);
+          break;
+        case 'tiff':
+          await exportAsTIFF(chartElement, target);
           break;
         case 'svg':
-          await exportAsSVG(chartElement);
+          await exportAsSVG(chartElement, target);
           break;
         case 'pdf':
-          await exportAsPDF(chartElement, options);
+          await exportAsPDF(chartElement, target);
+          break;
+        case 'eps':
+          await exportAsEPS(chartElement, target);
           break;
         case 'clipboard':
-          await copyToClipboard(chartElement, options);
+          await copyToClipboard(chartElement, target);
+          break;
+        case 'latex':
+          await exportAsLatex(target);
+          break;
+        case 'code':
+          await exportAsCode(target);
           break;
       }
 
-      showToast(`图表已成功导出为 ${EXPORT_FORMATS.find(f => f.id === exportFormat)?.name}`);
+      const format = t.option('exportFormats', EXPORT_FORMATS.find(f => f.id === exportFormat));
+      // LaTeX 与代码只能生成雷达图，其他图表类型按雷达图导出并提示
+      showToast(radarFallback
+        ? t('toast.exportedAsRadar', { format, type: t.option('chartTypes', chartTypeOf(chartType)) })
+        : t('toast.exported', { format }));
     } catch (error) {
       console.error('导出失败:', error);
-      showToast('导出失败，请重试', 'error');
+      showToast(error.message ? t('toast.exportFailed', { message: t.error(error) }) : t('toast.exportRetry'), 'error');
     } finally {
+      setExportLayout(null);
       setExporting(false);
     }
   };
 
-  const getExportScale = () => {
-    const scales = {
-      high: 3,
-      medium: 2,
-      low: 1
-    };
-    return scales[exportQuality] || 2;
+  // 按 DPI 渲染出精确像素尺寸的位图
+  const rasterize = async (element, target) => {
+    if (!(exportDpi > 0)) throw new Error(t('export.invalidDpi'));
+    const width = devicePixels(target.width, target.unit, exportDpi);
+    const height = devicePixels(target.height, target.unit, exportDpi);
+    const { svg } = serializePreview(element, { width, height });
+    return rasterizeSvg(svg, width, height);
   };
 
-  const getExportDimensions = () => {
-    const sizes = {
-      original: { width: 800, height: 600 },
-      a4: { width: 1240, height: 1754 },
-      slide: { width: 1920, height: 1080 }
-    };
-    return sizes[exportSize] || sizes.original;
+  const exportAsPNG = async (element, target) => {
+    const canvas = await rasterize(element, target);
+    downloadBlob(await canvasToPng(canvas, exportDpi), `SciRadar_${Date.now()}.png`);
   };
 
-  const exportAsPNG = async (element, options) => {
-    const canvas = await html2canvas(element, options);
-    canvas.toBlob((blob) => {
-      if (blob) {
-        downloadBlob(blob, `SciRadar_${Date.now()}.png`);
-      }
-    }, 'image/png');
+  const exportAsTIFF = async (element, target) => {
+    const canvas = await rasterize(element, target);
+    downloadBlob(canvasToTiff(canvas, exportDpi), `SciRadar_${Date.now()}.tiff`);
   };
 
-  const exportAsSVG = async (element) => {
-    const svgData = await domtoimage.toSvg(element, {
-      quality: getExportScale() * 0.8,
-      style: {
-        transform: 'scale(' + getExportScale() + ')',
-        transformOrigin: 'top left'
-      }
+  // 矢量导出：直接序列化图表自身的 SVG，标题、图例、页脚一并转换；latin 时页脚等改用 data-latin 中的替代文字
+  const serializePreview = (element, size, mode = textMode, latin = false) => {
+    if (mode !== 'text' && !exportFont) throw new Error(t('export.fontRequired'));
+    return serializeChart(element, {
+      textMode: mode, font: exportFont, title, description: figureDescription, size,
+      background: colors.background, latin,
     });
+  };
 
-    const blob = new Blob([svgData], { type: 'image/svg+xml;charset=utf-8' });
-    downloadBlob(blob, `SciRadar_${Date.now()}.svg`);
+  // 矢量文件的根尺寸直接写物理单位
+  const physicalSize = (target) => ({
+    width: `${target.width}${target.unit}`,
+    height: `${target.height}${target.unit}`,
+  });
+
+  // PDF / EPS 由 SVG 转换而来；标准字体只含拉丁字符
+  const vectorScene = (element, target) => {
+    const scene = svgToScene(serializePreview(element, physicalSize(target), 'text', textMode === 'text').svg);
+    if (textMode === 'text' && sceneHasNonLatinText(scene)) {
+      throw new Error(t('export.nonLatin'));
+    }
+    return scene;
   };
 
-  const exportAsPDF = async (element, options) => {
-    // 先导出为 PNG
-    const canvas = await html2canvas(element, options);
+  const exportAsSVG = async (element, target) => {
+    const { svg } = serializePreview(element, physicalSize(target));
+    const blob = new Blob([svg], { type: 'image/svg+xml;charset=utf-8' });
+    downloadBlob(blob, `SciRadar_${Date.now()}.svg`);
+  };
 
-    // 创建 PDF
-    const pdf = new jsPDF({
-      orientation: 'landscape',
-      unit: 'mm',
-      format: exportSize === 'a4' ? 'a4' : 'letter'
-    });
+  const exportAsPDF = async (element, target) => {
+    const pdf = sceneToPdf(vectorScene(element, target), { font: exportFont, textMode, title });
+    const pageT = hasEmbeddedFont(pdf) ? figureT : latinFigureT;
 
-    // 添加图表
-    const imgData = canvas.toDataURL('image/png');
-    const pdfWidth = pdf.internal.pageSize.getWidth();
-    const pdfHeight = (canvas.height * pdfWidth) / canvas.width;
+    // 如果包含数据，添加数据表格
+    if (includeData && chartData) {
+      addDataPage(pdf, dataTableLines(chartData, visibleModels), pageT('figure.rawData'));
+    }
+    if (includeStats && stats.rows.length > 0) {
+      const lines = alignedLines(statisticsRows(pageT));
+      addDataPage(pdf, [...lines, '', pageT('statistics.areaWarning')], pageT('statistics.title'), 'Summary statistics');
+    }
 
-    pdf.addImage(imgData, 'PNG', 0, 20, pdfWidth, pdfHeight - 20);
+    pdf.save(`SciRadar_${Date.now()}.pdf`);
+  };
 
-    // 添加标题和元数据
-    pdf.setFontSize(20);
-    pdf.text(title, pdfWidth / 2, 15, { align: 'center' });
+  const exportAsEPS = async (element, target) => {
+    let scene = vectorScene(element, target);
+    // EPS 不能嵌入字体，选了字体文件时文字一律转为路径
+    if (textMode !== 'text') scene = outlineScene(scene, exportFont.font);
+    const blob = new Blob([sceneToEps(scene, { title })], { type: 'application/postscript' });
+    downloadBlob(blob, `SciRadar_${Date.now()}.eps`);
+  };
 
-    pdf.setFontSize(10);
-    pdf.text(`Generated by SciRadar - ${new Date().toLocaleString()}`, 10, pdfHeight + 10);
+  // TikZ 图与结果表格，文字由 LaTeX 排版
+  const exportAsLatex = async (target) => {
+    const tex = latexDocument(chart, project.settings, {
+      width: target.cssWidth,
+      height: target.cssHeight,
+      ...latexOptions,
+    });
+    if (latexOptions.output === 'clipboard') {
+      await navigator.clipboard.writeText(tex);
+    } else {
+      downloadBlob(new Blob([tex], { type: 'application/x-tex;charset=utf-8' }), `SciRadar_${Date.now()}.tex`);
+    }
+  };
 
-    // 如果包含数据，添加数据表格
-    if (includeData && parsedData) {
-      pdf.addPage();
-      pdf.setFontSize(16);
-      pdf.text('原始数据', 20, 20);
-
-      pdf.setFontSize(10);
-      const lines = inputText.split('\n');
-      lines.forEach((line, index) => {
-        pdf.text(line, 20, 30 + (index * 6));
-      });
+  // 可运行的绘图代码，数据与样式写在代码中
+  const exportAsCode = async (target) => {
+    const format = CODE_FORMATS.find((f) => f.id === codeOptions.language);
+    const code = chartCode(format.id, chart, project.settings, {
+      width: target.cssWidth,
+      height: target.cssHeight,
+      dpi: exportDpi,
+    });
+    if (codeOptions.output === 'clipboard') {
+      await navigator.clipboard.writeText(code);
+    } else {
+      downloadBlob(new Blob([code], { type: `${format.mime};charset=utf-8` }), `SciRadar_${Date.now()}.${format.ext}`);
     }
+  };
 
-    pdf.save(`SciRadar_${Date.now()}.pdf`);
+  const handleFontFile = async (file) => {
+    if (!file) return;
+    try {
+      setExportFont(loadFont(await file.arrayBuffer(), file.name));
+    } catch (error) {
+      showToast(t('toast.fontFailed', { message: t.error(error) }), 'error');
+    }
   };
 
-  const copyToClipboard = async (element, options) => {
-    const canvas = await html2canvas(element, options);
-    canvas.toBlob(async (blob) => {
-      if (blob) {
-        try {
-          await navigator.clipboard.write([
-            new ClipboardItem({
-              [blob.type]: blob
-            })
-          ]);
-          showToast('图表已复制到剪贴板', 'success');
-        } catch (err) {
-          // 降级方案：使用 data URL
-          canvas.toBlob((blob) => {
-            const item = new ClipboardItem({ 'image/png': blob });
-            navigator.clipboard.write([item]);
-          });
-        }
-      }
-    }, 'image/png');
+  const copyToClipboard = async (element, target) => {
+    const blob = await canvasToPng(await rasterize(element, target), exportDpi);
+    await navigator.clipboard.write([new ClipboardItem({ 'image/png': blob })]);
   };
 
   const showToast = (message, type = 'success') => {
@@ -299,372 +813,929 @@ export default function SciRadar() {
   };
 
   const openExportModal = () => {
+    const rect = chartRef.current?.getBoundingClientRect();
+    if (rect) setPreviewRect({ width: rect.width, height: rect.height });
     exportModalRef.current?.showModal();
   };
 
-  return (
-    <div className={`min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 text-slate-800 flex flex-col ${selectedFont}`}>
-      {/* Header */}
-      <header className="bg-white border-b border-gray-200 px-6 py-4 flex items-center justify-between shadow-lg sticky top-0 z-10">
-        <div className="flex items-center gap-3">
-          <div className="bg-gradient-to-r from-indigo-600 to-purple-600 text-white p-2 rounded-xl">
-            <RefreshCw size={22} />
-          </div>
-          <div>
-            <h1 className="text-xl font-bold text-gray-800">SciRadar <span className="text-sm font-normal text-gray-500 ml-2">科研雷达图生成器</span></h1>
-            <p className="text-xs text-gray-400">支持 Excel/CSV 数据导入，一键导出高质量图表</p>
-          </div>
-        </div>
-
-        <div className="flex items-center gap-3">
-          <button
-            onClick={openExportModal}
-            className="flex items-center gap-2 px-4 py-2 bg-gradient-to-r from-indigo-600 to-purple-600 text-white rounded-lg hover:from-indigo-700 hover:to-purple-700 transition-all shadow-md hover:shadow-lg"
-          >
-            <Download size={16} />
-            <span>导出图表</span>
-          </button>
-        </div>
-      </header>
-
-      <main className="flex-1 flex flex-col lg:flex-row overflow-hidden">
-        {/* Left Panel: Configuration & Data */}
-        <div className="w-full lg:w-1/3 bg-white border-r border-gray-200 overflow-y-auto p-6 flex flex-col gap-8 shadow-[4px_0_24px_rgba(0,0,0,0.02)]">
-
-          {/* Data Input Section */}
-          <section className="bg-gradient-to-br from-blue-50 to-indigo-50 p-4 rounded-xl border border-blue-100">
-            <div className="flex items-center gap-2 mb-3 text-indigo-700 font-semibold">
-              <FileText size={18} />
-              <h2>数据输入 (Excel/CSV)</h2>
-            </div>
-            <p className="text-xs text-gray-600 mb-3">
-              直接从 Excel 复制并粘贴。第一行应为指标名称，第一列为模型名称。
-            </p>
-            <textarea
-              className="w-full h-48 p-3 text-xs font-mono border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none resize-y bg-white/50 backdrop-blur-sm"
-              value={inputText}
-              onChange={(e) => setInputText(e.target.value)}
-              placeholder="Model&#9;MME&#9;POPE&#10;MyModel&#9;1800&#9;85&#10;Baseline&#9;1600&#9;80"
+  // 图例图标，坐标系为 32 × 32
+  const legendIcon = (model) => (seriesStyles[model].custom
+    ? <LegendSwatch color={seriesColor(model)} dash={seriesStyles[model].dash} marker={seriesStyles[model].marker} />
+    : <rect x={2} y={4} width={28} height={24} fill={seriesColor(model)} />);
+
+  // 参考线图层画在模型系列之下或之上；提示框用不可见的 <Radar> 给出各参考线的数值
+  const referenceLayer = references.length > 0 && (
+    <Customized component={<ReferenceLayers references={references} fontSize={Math.max(6, fontSize - 2)} />} />
+  );
+  const referenceTooltips = references.filter((ref) => ref.tooltip).map((ref) => (
+    <Radar
+      key={`${ref.name}-reference`}
+      name={ref.label || ref.name}
+      dataKey={referenceDataKey(ref.name)}
+      stroke={ref.color}
+      strokeOpacity={0}
+      fill="none"
+      dot={false}
+      activeDot={false}
+      legendType="none"
+      isAnimationActive={false}
+    />
+  ));
+
+  // 单张雷达图；多图排版时每个子图各调用一次，图例由 chartLegend 统一绘制
+  const renderRadar = (panel) => (
+    <ResponsiveContainer width="100%" height="100%">
+      <RadarChart cx="50%" cy="50%" outerRadius={`${outerRatio(project.settings, multiPanel) * 100}%`} data={panel.data}>
+        {groupSectors && groupNames.length > 0 && (
+          <Customized
+            component={
+              <GroupSectors groupOf={groupOf} colorOf={groupColor} sectorShape={gridType} fontSize={fontSize} />
+            }
+          />
+        )}
+        <PolarGrid gridType={gridType} stroke={colors.grid} />
+        <PolarAngleAxis dataKey="subject" tick={false} />
+        <Customized
+          component={
+            <AxisLabels
+              labelOf={formatAxisLabel}
+              offsetOf={(subject) => ({ dx: dimensionConfig[subject]?.labelDx, dy: dimensionConfig[subject]?.labelDy })}
+              wrap={labelWrap}
+              fontSize={fontSize}
+              fontFamily={fontStack(selectedFont)}
+              color={colors.label}
+            />
+          }
+        />
+        {/* 半径轴统一为 0–1 的比例，各维度刻度由 RadarAxisTicks 绘制 */}
+        <PolarRadiusAxis domain={[0, 1]} ticks={radiusTicks(panel.ranges)} tick={false} axisLine={false} />
+        {showAxisTicks && (
+          <Customized
+            component={
+              <RadarAxisTicks
+                ranges={panel.ranges}
+                shared={panel.shared}
+                fontSize={fontSize - 2}
+                integerTicks={integerTicks}
+                color={colors.tick}
+              />
+            }
+          />
+        )}
+
+        {referenceLayerPosition === 'below' && referenceLayer}
+
+        {/* 误差带画在系列线条之下 */}
+        {bandModels
+          .filter((model) => panel.models.includes(model) && (!hiddenBands[model] || showWhiskers))
+          .map((model) => (
+            <Radar
+              key={`${model}-band`}
+              name={figureT('figure.band', { name: seriesLabel(model) })}
+              dataKey={(point) => point.band[model]}
+              shape={
+                <ErrorBand
+                  color={seriesColor(model)}
+                  fillOpacity={Math.min(0.5, opacity + 0.1)}
+                  showBand={!hiddenBands[model]}
+                  whiskers={showWhiskers}
+                  strokeWidth={strokeWidth}
+                />
+              }
+              dot={false}
+              activeDot={false}
+              legendType="none"
+              tooltipType="none"
+              isAnimationActive={false}
             />
-          </section>
+          ))}
+
+        {drawOrder(panel.models).map((model) => {
+          const style = seriesStyles[model];
+          const color = seriesColor(model);
+          // 聚焦模式下其余系列淡化且不画数据点
+          const muted = !!activeFocus && model !== activeFocus;
+          let dot = false;
+          if (showDots && !muted && style.marker !== 'none') {
+            dot = style.custom
+              ? <SeriesMarker shape={style.marker} r={style.markerSize} fill={color} stroke={colors.surface} strokeWidth={1} />
+              : { r: style.markerSize, fillOpacity: 1 };
+          }
+          return (
+            <Radar
+              key={model}
+              name={seriesLabel(model)}
+              dataKey={model}
+              stroke={color}
+              strokeWidth={strokeWidth}
+              strokeOpacity={muted ? MUTED_OPACITY : 1}
+              strokeDasharray={style.dash || undefined}
+              fill={color}
+              fillOpacity={muted ? style.fillOpacity * MUTED_OPACITY : style.fillOpacity}
+              dot={dot}
+              activeDot={{ r: 6, strokeWidth: 2 }}
+              connectNulls={connectNulls}
+              isAnimationActive={!exportLayout}
+            />
+          );
+        })}
+
+        {referenceLayerPosition === 'above' && referenceLayer}
+        {referenceTooltips}
+
+        {(annotations.labels !== 'none' || annotations.best !== 'none' || showDeltas) && (
+          <Customized
+            component={
+              <ValueLabels
+                series={panel.models
+                  .filter((model) => !activeFocus || model === activeFocus)
+                  .map((model) => ({ model, color: seriesColor(model) }))}
+                labelMode={annotations.labels}
+                decimals={annotations.decimals}
+                best={bestByDimension}
+                bestMarker={annotations.best}
+                deltaModel={deltaModel}
+                deltas={deltas}
+                deltaMode={annotations.deltaMode}
+                fontSize={Math.max(6, fontSize - 2)}
+                markerSize={3 + strokeWidth / 2}
+                outline={colors.surface}
+              />
+            }
+          />
+        )}
+
+        {keyboardCursor && panel.models.includes(keyboardCursor.model) && (
+          <Customized
+            component={
+              <VertexFocus
+                model={keyboardCursor.model}
+                subject={keyboardCursor.subject}
+                color={seriesColor(keyboardCursor.model)}
+                radius={seriesStyles[keyboardCursor.model].markerSize + 4}
+                outline={colors.surface}
+              />
+            }
+          />
+        )}
+
+        <Tooltip
+          contentStyle={{
+            borderRadius: '8px',
+            border: `1px solid ${colors.grid}`,
+            boxShadow: '0 4px 12px rgba(0,0,0,0.1)',
+            backgroundColor: colors.surface,
+            color: colors.text,
+            backdropFilter: 'blur(10px)'
+          }}
+          formatter={formatTooltipValue}
+          labelFormatter={(subject) => plainLabel(formatAxisLabel(subject))}
+        />
+      </RadarChart>
+    </ResponsiveContainer>
+  );
 
-          {/* Style Customization Section */}
-          <section className="bg-gradient-to-br from-gray-50 to-white p-4 rounded-xl border border-gray-100">
-            <div className="flex items-center gap-2 mb-4 text-indigo-700 font-semibold">
-              <Settings size={18} />
-              <h2>图表设置</h2>
+  // 其他图表类型由 lib/draw/plots 绘制，与命令行输出一致
+  const plotType = chartTypeOf(chartType).id;
+  const radarFallback = TEXT_FORMATS.includes(exportFormat) && plotType !== 'radar';
+  const renderChart = (panel) => (plotType === 'radar' ? renderRadar(panel) : (
+    <PlotPanel
+      type={plotType}
+      chart={chart}
+      settings={project.settings}
+      panel={panel}
+      outerRatio={outerRatio(project.settings, multiPanel)}
+      fontFamily={fontStack(selectedFont)}
+    />
+  ));
+
+  // 系列图例，位置、列数与边框见画布设置；热力图的颜色表示数值，不画系列图例。
+  // 雷达图的图例文字沿用系列颜色，参考线排在系列之后
+  const legendColumns = legendLayout.columns || (isVerticalLegend(legendLayout.position) ? 1 : 0);
+  const legendReferences = plotType === 'radar' ? references.filter((ref) => ref.legend) : [];
+  const chartLegend = SERIES_LEGEND_TYPES.includes(plotType) && (
+    <div
+      className={`${legendColumns ? 'grid' : 'flex flex-wrap justify-center'} gap-x-4 gap-y-1${
+        legendLayout.frame ? ' border rounded px-2 py-1' : ''
+      }`}
+      style={{
+        fontSize: `${fontSize}px`,
+        borderColor: legendLayout.frame ? colors.frame : undefined,
+        gridTemplateColumns: legendColumns ? `repeat(${legendColumns}, minmax(max-content, 1fr))` : undefined,
+      }}
+    >
+      {visibleModels.map((model) => (
+        <span
+          key={model}
+          className="flex items-center gap-1"
+          style={{ color: plotType === 'radar' ? seriesColor(model) : colors.ink }}
+        >
+          <svg width={fontSize + 4} height={fontSize + 4} viewBox="0 0 32 32">
+            {legendIcon(model)}
+          </svg>
+          {seriesLabel(model)}
+        </span>
+      ))}
+      {legendReferences.map((ref) => (
+        <span key={`${ref.name}-reference`} className="flex items-center gap-1" style={{ color: ref.color }}>
+          <svg width={fontSize + 4} height={fontSize + 4} viewBox="0 0 32 32">
+            <ReferenceSwatch kind={ref.kind} color={ref.color} dash={ref.dash} />
+          </svg>
+          {ref.label || ref.name}
+        </span>
+      ))}
+    </div>
+  );
+
+  const legendSlot = LEGEND_SLOTS[legendLayout.position] || LEGEND_SLOTS.bottom;
+  const withLegend = (content) => {
+    const legend = chartLegend && <div className={`shrink-0 ${legendSlot.legend}`}>{chartLegend}</div>;
+    return (
+      <div className={`flex-1 min-h-0 ${legendSlot.box}`}>
+        {!legendSlot.after && legend}
+        <div className="flex-1 min-h-0 min-w-0 self-stretch flex flex-col">{content}</div>
+        {legendSlot.after && legend}
+      </div>
+    );
+  };
+
+  return (
+    <I18nContext.Provider value={t}>
+      <div className={`min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 text-slate-800 flex flex-col ${selectedFont}`}>
+        {/* Header */}
+        <header className="bg-white border-b border-gray-200 px-6 py-4 flex items-center justify-between shadow-lg sticky top-0 z-10">
+          <div className="flex items-center gap-3">
+            <div className="bg-gradient-to-r from-indigo-600 to-purple-600 text-white p-2 rounded-xl">
+              <RefreshCw size={22} />
             </div>
+            <div>
+              <h1 className="text-xl font-bold text-gray-800">SciRadar <span className="text-sm font-normal text-gray-500 ml-2">{t('app.subtitle')}</span></h1>
+              <p className="text-xs text-gray-400">{t('app.tagline')}</p>
+            </div>
+          </div>
 
-            <div className="space-y-4">
-              {/* Title Input */}
-              <div>
-                <label className="block text-xs font-medium text-gray-700 mb-1">图表标题</label>
-                <input
-                  type="text"
-                  value={title}
-                  onChange={(e) => setTitle(e.target.value)}
-                  className="w-full p-2 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
-                />
+          <div className="flex items-center gap-3">
+            <label className="flex items-center gap-1 text-gray-500" title={t('app.language')}>
+              <Languages size={16} />
+              <select
+                value={locale}
+                onChange={(e) => changeLocale(e.target.value)}
+                aria-label={t('app.language')}
+                className="py-1.5 pl-1 pr-6 text-sm bg-transparent border border-gray-200 rounded-lg focus:ring-2 focus:ring-indigo-500"
+              >
+                {LOCALES.map((l) => <option key={l.id} value={l.id}>{l.name}</option>)}
+              </select>
+            </label>
+            <ProjectMenu
+              recent={recentProjects}
+              currentId={projectId}
+              onNew={newProject}
+              onOpenFile={openProjectFile}
+              onSave={saveProjectFile}
+              onShare={copyShareLink}
+              onRestore={restoreRecentProject}
+              onRemove={(id) => setRecentProjects(removeRecentProject(id))}
+            />
+            <button
+              onClick={openExportModal}
+              className="flex items-center gap-2 px-4 py-2 bg-gradient-to-r from-indigo-600 to-purple-600 text-white rounded-lg hover:from-indigo-700 hover:to-purple-700 transition-all shadow-md hover:shadow-lg"
+            >
+              <Download size={16} />
+              <span>{t('export.button')}</span>
+            </button>
+          </div>
+        </header>
+
+        <main className="flex-1 flex flex-col lg:flex-row overflow-hidden">
+          {/* Left Panel: Configuration & Data */}
+          <div className="w-full lg:w-1/3 bg-white border-r border-gray-200 overflow-y-auto p-6 flex flex-col gap-8 shadow-[4px_0_24px_rgba(0,0,0,0.02)]">
+
+            {/* Data Input Section */}
+            <section className="bg-gradient-to-br from-blue-50 to-indigo-50 p-4 rounded-xl border border-blue-100">
+              <div className="flex items-center gap-2 mb-3 text-indigo-700 font-semibold">
+                <FileText size={18} />
+                <h2>{t('data.title')}</h2>
+                <div className="ml-auto flex rounded-md border border-indigo-200 overflow-hidden text-xs font-normal">
+                  {[
+                    { id: 'text', icon: FileText },
+                    { id: 'grid', icon: Table2 },
+                  ].map(({ id, icon: Icon }) => (
+                    <button
+                      key={id}
+                      type="button"
+                      aria-pressed={dataView === id}
+                      onClick={() => setDataView(id)}
+                      className={`flex items-center gap-1 px-2 py-1 ${
+                        dataView === id ? 'bg-indigo-600 text-white' : 'bg-white text-indigo-700 hover:bg-indigo-50'
+                      }`}
+                    >
+                      <Icon size={12} /> {t(`data.views.${id}`)}
+                    </button>
+                  ))}
+                </div>
               </div>
-
-              {/* Font Selection */}
-              <div>
-                <label className="block text-xs font-medium text-gray-700 mb-1 flex items-center gap-1">
-                  <Type size={12} /> 字体风格
-                </label>
-                <select
-                  value={selectedFont}
-                  onChange={(e) => setSelectedFont(e.target.value)}
-                  className="w-full p-2 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
-                >
-                  {FONTS.map(f => <option key={f.value} value={f.value}>{f.name}</option>)}
-                </select>
+              <p className="text-xs text-gray-600 mb-3">
+                {t('data.hint')}
+              </p>
+              <DataImport onImport={handleImport} onError={(message) => showToast(message, 'error')}>
+                {dataView === 'grid' ? (
+                  <div ref={gridRef}>
+                    <DataGrid text={inputText} issues={parseIssues} onChange={setInputText} />
+                  </div>
+                ) : (
+                  <textarea
+                    ref={inputRef}
+                    className="w-full h-48 p-3 text-xs font-mono border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 outline-none resize-y bg-white/50 backdrop-blur-sm"
+                    value={inputText}
+                    onChange={(e) => setInputText(e.target.value)}
+                    placeholder="Model&#9;MME&#9;POPE&#10;MyModel&#9;1800&#9;85&#10;Baseline&#9;1600&#9;80"
+                  />
+                )}
+                {parseInfo && (
+                  <p className="text-[11px] text-gray-500 mt-1">
+                    {t('data.delimiter', {
+                      name: t.option('delimiters', {
+                        id: parseInfo.delimiter,
+                        name: DELIMITER_NAMES[parseInfo.delimiter] || parseInfo.delimiter,
+                      }),
+                    })}
+                    {parseInfo.decimalComma ? ` • ${t('data.decimalComma')}` : ''}
+                    {` • ${t('data.formats')}`}
+                    {parseInfo.uncertaintyColumns.length > 0 && (
+                      <> • {t('data.uncertaintyColumns', { names: parseInfo.uncertaintyColumns.join(t('data.listSeparator')) })}</>
+                    )}
+                  </p>
+                )}
+                <ParseIssues issues={parseIssues} onLocate={locateIssue} />
+              </DataImport>
+            </section>
+
+            {/* Style Customization Section */}
+            <section className="bg-gradient-to-br from-gray-50 to-white p-4 rounded-xl border border-gray-100">
+              <div className="flex items-center gap-2 mb-4 text-indigo-700 font-semibold">
+                <Settings size={18} />
+                <h2>{t('chart.title')}</h2>
               </div>
 
-              {/* Sliders */}
-              <div className="grid grid-cols-2 gap-4">
+              <div className="space-y-4">
+                <ChartTypeSelector value={chartType} onChange={setChartType} />
+
+                {/* Title Input */}
                 <div>
-                  <label className="block text-xs font-medium text-gray-700 mb-1">字号 ({fontSize}px)</label>
+                  <label className="block text-xs font-medium text-gray-700 mb-1">{t('chart.chartTitle')}</label>
                   <input
-                    type="range" min="8" max="24"
-                    value={fontSize}
-                    onChange={(e) => setFontSize(Number(e.target.value))}
-                    className="w-full accent-indigo-600"
+                    type="text"
+                    value={title}
+                    onChange={(e) => setTitle(e.target.value)}
+                    className="w-full p-2 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
                   />
                 </div>
+
+                {/* 图中文字语言：页脚、提示框与 PDF 数据页 */}
                 <div>
-                  <label className="block text-xs font-medium text-gray-700 mb-1">填充透明度 ({Math.round(opacity * 100)}%)</label>
-                  <input
-                    type="range" min="0" max="1" step="0.1"
-                    value={opacity}
-                    onChange={(e) => setOpacity(Number(e.target.value))}
-                    className="w-full accent-indigo-600"
-                  />
+                  <label className="block text-xs font-medium text-gray-700 mb-1">{t('chart.figureLocale')}</label>
+                  <select
+                    value={figureLocale}
+                    onChange={(e) => setFigureLocale(e.target.value)}
+                    className="w-full p-2 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                  >
+                    <option value="auto">{t('chart.followUi')}</option>
+                    {LOCALES.map((l) => <option key={l.id} value={l.id}>{l.name}</option>)}
+                  </select>
+                  <p className="text-[11px] text-gray-500 mt-1">{t('chart.figureLocaleHint')}</p>
                 </div>
-              </div>
 
-              <div className="grid grid-cols-2 gap-4">
+                {/* 替代文字：屏幕阅读器与导出 SVG 的 <desc> */}
                 <div>
-                  <label className="block text-xs font-medium text-gray-700 mb-1">线条粗细 ({strokeWidth}px)</label>
-                  <input
-                    type="range" min="1" max="5"
-                    value={strokeWidth}
-                    onChange={(e) => setStrokeWidth(Number(e.target.value))}
-                    className="w-full accent-indigo-600"
+                  <label className="block text-xs font-medium text-gray-700 mb-1">{t('chart.altText')}</label>
+                  <textarea
+                    value={altText}
+                    onChange={(e) => setAltText(e.target.value)}
+                    placeholder={chartSummary(chart, project.settings, figureT)}
+                    rows={3}
+                    className="w-full p-2 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
                   />
+                  <p className="text-[11px] text-gray-500 mt-1">{t('chart.altTextHint')}</p>
                 </div>
-              </div>
 
-              {/* Toggles */}
-              <div className="flex items-center gap-4 mt-2">
-                <label className="flex items-center gap-2 cursor-pointer">
-                  <input
-                    type="checkbox"
-                    checked={showDots}
-                    onChange={(e) => setShowDots(e.target.checked)}
-                    className="rounded accent-indigo-600 focus:ring-indigo-500"
-                  />
-                  <span className="text-xs text-gray-700">显示数据点</span>
-                </label>
-                <label className="flex items-center gap-2 cursor-pointer">
-                  <input
-                    type="checkbox"
-                    checked={gridType === 'circle'}
-                    onChange={(e) => setGridType(e.target.checked ? 'circle' : 'polygon')}
-                    className="rounded accent-indigo-600 focus:ring-indigo-500"
-                  />
-                  <span className="text-xs text-gray-700">圆形网格</span>
-                </label>
-              </div>
-            </div>
-          </section>
+                {/* Font Selection */}
+                <div>
+                  <label className="block text-xs font-medium text-gray-700 mb-1 flex items-center gap-1">
+                    <Type size={12} /> {t('chart.font')}
+                  </label>
+                  <select
+                    value={selectedFont}
+                    onChange={(e) => setSelectedFont(e.target.value)}
+                    className="w-full p-2 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+                  >
+                    {FONTS.map(f => <option key={f.value} value={f.value}>{f.name}</option>)}
+                  </select>
+                </div>
 
-          {/* Color Customization */}
-          <section className="bg-gradient-to-br from-purple-50 to-pink-50 p-4 rounded-xl border border-purple-100">
-            <div className="flex items-center gap-2 mb-3 text-purple-700 font-semibold">
-              <Palette size={18} />
-              <h2>系列配色</h2>
-            </div>
-            <div className="space-y-2">
-              {models.map(model => (
-                <div key={model} className="flex items-center justify-between bg-white/50 p-2 rounded-lg">
-                  <span className="text-sm text-gray-600 truncate max-w-[120px]" title={model}>{model}</span>
-                  <div className="flex items-center gap-2">
-                    <div
-                      className="w-6 h-6 rounded border border-gray-300"
-                      style={{ backgroundColor: customColors[model] || DEFAULT_COLORS[0] }}
+                {/* Sliders */}
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-xs font-medium text-gray-700 mb-1">
+                      {t('chart.fontSize', { value: t.number(toPt(fontSize), { maximumFractionDigits: 1 }) })}
+                    </label>
+                    <input
+                      type="range" min="6" max="32" step="0.5"
+                      value={fontSize}
+                      onChange={(e) => setFontSize(Number(e.target.value))}
+                      className="w-full accent-indigo-600"
                     />
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-gray-700 mb-1">{t('chart.opacity', { value: t.number(opacity, { style: 'percent' }) })}</label>
                     <input
-                      type="color"
-                      value={customColors[model] || DEFAULT_COLORS[0]}
-                      onChange={(e) => handleColorChange(model, e.target.value)}
-                      className="h-8 w-14 rounded cursor-pointer border-0 p-0"
+                      type="range" min="0" max="1" step="0.1"
+                      value={opacity}
+                      onChange={(e) => setOpacity(Number(e.target.value))}
+                      className="w-full accent-indigo-600"
                     />
                   </div>
                 </div>
-              ))}
-            </div>
-          </section>
-
-          <div className="mt-auto bg-gradient-to-r from-blue-50 to-cyan-50 p-4 rounded-xl border border-blue-100">
-            <div className="flex items-start gap-2">
-              <Info size={18} className="text-blue-600 mt-0.5" />
-              <div>
-                <p className="text-sm font-medium text-blue-800 mb-1">导出提示</p>
-                <p className="text-xs text-blue-600">
-                  • PNG: 适合论文和报告<br/>
-                  • SVG: 无限缩放不失真<br/>
-                  • PDF: 包含完整数据和图表<br/>
-                  • 高质量模式适合打印
-                </p>
-              </div>
-            </div>
-          </div>
-        </div>
-
-        {/* Right Panel: Preview */}
-        <div className="w-full lg:w-2/3 bg-gradient-to-br from-slate-100 to-gray-100 flex items-center justify-center p-8 overflow-auto">
-          <div
-            className="bg-white p-8 rounded-2xl shadow-2xl w-full max-w-5xl aspect-square flex flex-col border border-gray-200"
-            ref={chartRef}
-          >
-            {/* Chart Title */}
-            {title && (
-              <h2 className="text-center font-bold mb-6 text-slate-800" style={{ fontSize: `${fontSize + 6}px` }}>
-                {title}
-              </h2>
-            )}
-
-            {/* The Chart */}
-            <div className="flex-1 min-h-0">
-              <ResponsiveContainer width="100%" height="100%">
-                <RadarChart cx="50%" cy="50%" outerRadius="80%" data={parsedData}>
-                  <PolarGrid gridType={gridType} stroke="#e2e8f0" />
-                  <PolarAngleAxis
-                    dataKey="subject"
-                    tick={{ fill: '#475569', fontSize: fontSize, fontWeight: 500 }}
-                  />
-                  <PolarRadiusAxis angle={30} domain={[0, 'auto']} tick={{ fontSize: fontSize - 2 }} />
-
-                  {models.map((model) => (
-                    <Radar
-                      key={model}
-                      name={model}
-                      dataKey={model}
-                      stroke={customColors[model] || DEFAULT_COLORS[0]}
-                      strokeWidth={strokeWidth}
-                      fill={customColors[model] || DEFAULT_COLORS[0]}
-                      fillOpacity={opacity}
-                      dot={showDots ? { r: 3, fillOpacity: 1 } : false}
-                      activeDot={{ r: 6, strokeWidth: 2 }}
+
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-xs font-medium text-gray-700 mb-1">
+                      {t('chart.strokeWidth', { value: t.number(toPt(strokeWidth), { maximumFractionDigits: 2 }) })}
+                    </label>
+                    <input
+                      type="range" min="0.5" max="5" step="0.25"
+                      value={strokeWidth}
+                      onChange={(e) => setStrokeWidth(Number(e.target.value))}
+                      className="w-full accent-indigo-600"
                     />
-                  ))}
+                  </div>
+                </div>
 
-                  <Legend
-                    wrapperStyle={{ paddingTop: '20px', fontSize: `${fontSize}px` }}
-                    iconSize={fontSize + 4}
-                  />
-                  <Tooltip
-                    contentStyle={{
-                      borderRadius: '8px',
-                      border: '1px solid #e2e8f0',
-                      boxShadow: '0 4px 12px rgba(0,0,0,0.1)',
-                      backgroundColor: 'rgba(255, 255, 255, 0.95)',
-                      backdropFilter: 'blur(10px)'
-                    }}
-                    formatter={(value) => [value.toFixed(2), '得分']}
-                  />
-                </RadarChart>
-              </ResponsiveContainer>
-            </div>
+                {/* Toggles */}
+                <div className="flex flex-wrap items-center gap-x-4 gap-y-2 mt-2">
+                  <label className="flex items-center gap-2 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={showDots}
+                      onChange={(e) => setShowDots(e.target.checked)}
+                      className="rounded accent-indigo-600 focus:ring-indigo-500"
+                    />
+                    <span className="text-xs text-gray-700">{t('chart.showDots')}</span>
+                  </label>
+                  <label className="flex items-center gap-2 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={gridType === 'circle'}
+                      onChange={(e) => setGridType(e.target.checked ? 'circle' : 'polygon')}
+                      className="rounded accent-indigo-600 focus:ring-indigo-500"
+                    />
+                    <span className="text-xs text-gray-700">{t('chart.circleGrid')}</span>
+                  </label>
+                  <label className="flex items-center gap-2 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={connectNulls}
+                      onChange={(e) => setConnectNulls(e.target.checked)}
+                      className="rounded accent-indigo-600 focus:ring-indigo-500"
+                    />
+                    <span className="text-xs text-gray-700">{t('chart.connectNulls')}</span>
+                  </label>
+                  {bandModels.length > 0 && (
+                    <label className="flex items-center gap-2 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={showWhiskers}
+                        onChange={(e) => setShowWhiskers(e.target.checked)}
+                        className="rounded accent-indigo-600 focus:ring-indigo-500"
+                      />
+                      <span className="text-xs text-gray-700">{t('chart.whiskers')}</span>
+                    </label>
+                  )}
+                </div>
+              </div>
+            </section>
 
-            {/* Chart Footer */}
-            <div className="mt-4 pt-4 border-t border-gray-100 text-xs text-gray-500 flex justify-between">
-              <span>SciRadar • {new Date().toLocaleDateString()}</span>
-              <span>{models.length} 个模型 • {parsedData?.length || 0} 个维度</span>
-            </div>
-          </div>
-        </div>
-      </main>
-
-      {/* 导出模态框 */}
-      <dialog ref={exportModalRef} className="rounded-xl shadow-2xl backdrop:bg-black/30 backdrop:backdrop-blur-sm border border-gray-200 p-0 w-full max-w-md">
-        <div className="p-6">
-          <div className="flex items-center justify-between mb-6">
-            <h3 className="text-lg font-bold text-gray-800">导出图表</h3>
-            <button
-              onClick={() => exportModalRef.current?.close()}
-              className="text-gray-400 hover:text-gray-600"
-            >
-              ✕
-            </button>
-          </div>
+            <StylePresets
+              userPresets={userPresets}
+              onApply={applyStylePreset}
+              onSave={saveStylePreset}
+              onRemove={(id) => setUserPresets(removeUserPreset(id))}
+            />
 
-          {/* 导出格式选择 */}
-          <div className="mb-6">
-            <label className="block text-sm font-medium text-gray-700 mb-2">导出格式</label>
-            <div className="grid grid-cols-2 gap-2">
-              {EXPORT_FORMATS.map((format) => {
-                const Icon = format.icon;
-                return (
-                  <button
-                    key={format.id}
-                    onClick={() => setExportFormat(format.id)}
-                    className={`p-3 rounded-lg border flex flex-col items-center justify-center transition-all ${
-                      exportFormat === format.id
-                        ? 'border-indigo-500 bg-indigo-50 text-indigo-700'
-                        : 'border-gray-200 hover:border-indigo-300 hover:bg-gray-50'
-                    }`}
-                  >
-                    <Icon size={20} />
-                    <span className="text-xs font-medium mt-1">{format.name}</span>
-                  </button>
-                );
-              })}
+            <PanelLayoutSettings
+              layout={panelLayout}
+              onChange={handlePanelLayoutChange}
+              models={models}
+              panels={panels}
+              hasGroups={groupNames.length > 0}
+            />
+
+            <AnnotationSettings annotations={annotations} onChange={handleAnnotationChange} models={models} />
+
+            <ReferenceSettings
+              settings={referenceSettings}
+              onChange={handleReferenceChange}
+              references={allReferences}
+              subjects={orderedSubjects}
+            />
+
+            <CanvasSettings canvas={canvasSettings} onChange={handleCanvasChange} />
+
+            <DimensionSettings
+              ranges={scaled.ranges}
+              models={models}
+              dimensionConfig={dimensionConfig}
+              onDimensionChange={handleDimensionChange}
+              normalization={normalization}
+              onNormalizationChange={setNormalization}
+              baselineModel={activeBaseline}
+              onBaselineChange={setBaselineModel}
+              integerTicks={integerTicks}
+              onIntegerTicksChange={setIntegerTicks}
+              showAxisTicks={showAxisTicks}
+              onShowAxisTicksChange={setShowAxisTicks}
+              dataGroups={dataGroups}
+              onReorder={reorderDimensions}
+              onAutoOrder={autoOrderDimensions}
+              onResetOrder={() => setDimensionOrder([])}
+              customOrder={customOrder}
+              groupSectors={groupSectors}
+              onGroupSectorsChange={setGroupSectors}
+              labelWrap={labelWrap}
+              onLabelWrapChange={setLabelWrap}
+            />
+
+            <SeriesManager
+              models={orderedModels}
+              styles={seriesStyles}
+              overrides={seriesSettings}
+              colorOf={seriesColor}
+              onColorChange={handleColorChange}
+              onStyleChange={handleSeriesChange}
+              onReorder={reorderSeries}
+              focus={activeFocus}
+              onFocusChange={setFocusSeries}
+              palette={palette}
+              palettes={PALETTES}
+              onPaletteChange={applyPalette}
+              monochrome={monochrome}
+              bandModels={bandModels}
+              hiddenBands={hiddenBands}
+              onToggleBand={toggleBand}
+            />
+
+            <div className="mt-auto bg-gradient-to-r from-blue-50 to-cyan-50 p-4 rounded-xl border border-blue-100">
+              <div className="flex items-start gap-2">
+                <Info size={18} className="text-blue-600 mt-0.5" />
+                <div>
+                  <p className="text-sm font-medium text-blue-800 mb-1">{t('exportTips.title')}</p>
+                  <p className="text-xs text-blue-600">
+                    • {t('exportTips.raster')}<br/>
+                    • {t('exportTips.vector')}<br/>
+                    • {t('exportTips.pdf')}<br/>
+                    • {t('exportTips.dpi')}
+                  </p>
+                </div>
+              </div>
             </div>
           </div>
 
-          {/* 导出选项 */}
-          <div className="space-y-4">
-            {/* 质量选择 */}
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">导出质量</label>
-              <div className="flex gap-2">
-                {['low', 'medium', 'high'].map((quality) => (
-                  <button
-                    key={quality}
-                    onClick={() => setExportQuality(quality)}
-                    className={`flex-1 py-2 text-sm rounded-md ${
-                      exportQuality === quality
-                        ? 'bg-indigo-600 text-white'
-                        : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
-                    }`}
+          {/* Right Panel: Preview */}
+          <div className="w-full lg:w-2/3 bg-gradient-to-br from-slate-100 to-gray-100 flex flex-col items-center justify-center gap-6 p-8 overflow-auto">
+            {/* 无障碍外壳：朗读摘要、键盘浏览顶点、隐藏数据表，均在 chartRef 之外，不会被导出 */}
+            <ChartNavigator
+              chart={chart}
+              settings={project.settings}
+              label={title || t('a11y.untitled')}
+              summary={summary}
+              cursor={keyboardCursor}
+              onCursorChange={setKeyboardCursor}
+              className={exportLayout ? 'shrink-0' : 'w-full max-w-5xl'}
+            >
+              <div
+                className={`rounded-2xl shadow-2xl flex flex-col border border-gray-200 ${
+                  exportLayout ? 'shrink-0' : `w-full max-w-5xl ${multiPanel ? '' : 'aspect-square'}`
+                }`}
+                style={{
+                  // 透明背景在预览中显示为棋盘格，导出时不画背景
+                  ...(colors.background
+                    ? { backgroundColor: colors.background }
+                    : { backgroundImage: TRANSPARENT_PATTERN, backgroundSize: '16px 16px' }),
+                  padding: canvasSettings.margin,
+                  ...(exportLayout
+                    ? { width: exportLayout.width, height: exportLayout.height }
+                    : multiPanel ? { aspectRatio: `${grid.columns} / ${grid.rows + 0.3}` } : {}),
+                }}
+                ref={chartRef}
+                aria-hidden="true"
+              >
+                {/* Chart Title */}
+                {title && canvasSettings.showTitle && (
+                  <h2 className="text-center font-bold mb-6" style={{ fontSize: `${fontSize + 6}px`, color: colors.text }}>
+                    {title}
+                  </h2>
+                )}
+
+                {/* The Chart */}
+                {withLegend(multiPanel ? (
+                  <div
+                    className="flex-1 min-h-0 grid gap-x-6 gap-y-4"
+                    style={{
+                      gridTemplateColumns: `repeat(${grid.columns}, minmax(0, 1fr))`,
+                      gridTemplateRows: `repeat(${grid.rows}, minmax(0, 1fr))`,
+                    }}
                   >
-                    {quality === 'low' ? '普通' : quality === 'medium' ? '中等' : '高质量'}
-                  </button>
+                    {panels.map((panel, i) => (
+                      <div key={panel.key} className="flex flex-col min-h-0">
+                        <div className="flex items-baseline gap-2" style={{ fontSize: `${fontSize + 2}px`, color: colors.text }}>
+                          {panelLayout.letters !== 'none' && (
+                            <span className="font-bold">{panelLetter(i, panelLayout.letters)}</span>
+                          )}
+                          <span className="font-medium">{panel.title}</span>
+                        </div>
+                        <div className="flex-1 min-h-0">{renderChart(panel)}</div>
+                      </div>
+                    ))}
+                  </div>
+                ) : (
+                  <div className="flex-1 min-h-0">
+                    {panels[0] && renderChart(panels[0])}
+                  </div>
                 ))}
+
+                {showDeltas && (
+                  <p
+                    className="mt-2 text-center"
+                    style={{ fontSize: `${Math.max(6, fontSize - 2)}px`, color: colors.muted }}
+                    data-latin={deltaCaption(latinFigureT)}
+                    data-latin-anchor="middle"
+                  >
+                    {deltaCaption(figureT)}
+                  </p>
+                )}
+
+                {/* Chart Footer */}
+                {canvasSettings.showFooter && (
+                  <div
+                    className="mt-4 pt-4 border-t text-xs flex justify-between"
+                    style={{ borderColor: colors.divider, color: colors.muted }}
+                  >
+                    <span>SciRadar · {figureT.date()}</span>
+                    <span data-latin={footerCounts(latinFigureT)} data-latin-anchor="end">{footerCounts(figureT)}</span>
+                  </div>
+                )}
               </div>
+            </ChartNavigator>
+
+            {/* 汇总统计在导出区域之外 */}
+            <StatisticsPanel
+              stats={stats}
+              statistics={statisticsSettings}
+              onChange={handleStatisticsChange}
+              models={visibleModels}
+              seriesLabel={(model) => plainLabel(seriesLabel(model))}
+              decimals={annotations.decimals}
+              onExportCsv={exportStatisticsCsv}
+            />
+          </div>
+        </main>
+
+        {/* 导出模态框 */}
+        <dialog ref={exportModalRef} className="rounded-xl shadow-2xl backdrop:bg-black/30 backdrop:backdrop-blur-sm border border-gray-200 p-0 w-full max-w-md">
+          <div className="p-6">
+            <div className="flex items-center justify-between mb-6">
+              <h3 className="text-lg font-bold text-gray-800">{t('export.title')}</h3>
+              <button
+                onClick={() => exportModalRef.current?.close()}
+                className="text-gray-400 hover:text-gray-600"
+              >
+                ✕
+              </button>
             </div>
 
-            {/* 尺寸选择 */}
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">导出尺寸</label>
-              <select
-                value={exportSize}
-                onChange={(e) => setExportSize(e.target.value)}
-                className="w-full p-2 text-sm border border-gray-300 rounded-md"
-              >
-                <option value="original">原始尺寸</option>
-                <option value="a4">A4 纸张</option>
-                <option value="slide">演示文稿 (16:9)</option>
-              </select>
+            {/* 导出格式选择 */}
+            <div className="mb-6">
+              <label className="block text-sm font-medium text-gray-700 mb-2">{t('export.format')}</label>
+              <div className="grid grid-cols-2 gap-2">
+                {EXPORT_FORMATS.map((format) => {
+                  const Icon = format.icon;
+                  return (
+                    <button
+                      key={format.id}
+                      onClick={() => setExportFormat(format.id)}
+                      className={`p-3 rounded-lg border flex flex-col items-center justify-center transition-all ${
+                        exportFormat === format.id
+                          ? 'border-indigo-500 bg-indigo-50 text-indigo-700'
+                          : 'border-gray-200 hover:border-indigo-300 hover:bg-gray-50'
+                      }`}
+                    >
+                      <Icon size={20} />
+                      <span className="text-xs font-medium mt-1">{t.option('exportFormats', format)}</span>
+                    </button>
+                  );
+                })}
+              </div>
+              {radarFallback && (
+                <p className="text-[11px] text-amber-600 mt-2">
+                  {t('export.radarFallback', { type: t.option('chartTypes', chartTypeOf(chartType)) })}
+                </p>
+              )}
             </div>
 
-            {/* 额外选项 */}
-            {exportFormat === 'pdf' && (
-              <label className="flex items-center gap-2">
-                <input
-                  type="checkbox"
-                  checked={includeData}
-                  onChange={(e) => setIncludeData(e.target.checked)}
-                  className="rounded accent-indigo-600"
-                />
-                <span className="text-sm text-gray-700">包含原始数据表格</span>
-              </label>
-            )}
-          </div>
+            {/* 导出选项 */}
+            <div className="space-y-4">
+              <ExportSizeSettings
+                size={exportSize}
+                onChange={setExportSize}
+                dpi={exportDpi}
+                onDpiChange={setExportDpi}
+                showDpi={RASTER_FORMATS.includes(exportFormat) || (exportFormat === 'code' && codeOptions.language === 'matplotlib')}
+                previewRect={previewRect}
+              />
+
+              {/* 矢量格式的文字处理 */}
+              {VECTOR_FORMATS.includes(exportFormat) && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">{t('export.textMode')}</label>
+                  <select
+                    value={textMode}
+                    onChange={(e) => setTextMode(e.target.value)}
+                    className="w-full p-2 text-sm border border-gray-300 rounded-md"
+                  >
+                    {TEXT_MODES.map((mode) => <option key={mode.id} value={mode.id}>{t.option('textModes', mode)}</option>)}
+                  </select>
+                  <p className="text-xs text-gray-500 mt-1">{t.option('textModes', TEXT_MODES.find((mode) => mode.id === textMode), 'desc')}</p>
+                  {textMode !== 'text' && (
+                    <div className="flex items-center gap-2 mt-2">
+                      <button
+                        type="button"
+                        onClick={() => fontInputRef.current?.click()}
+                        className="px-3 py-1.5 text-xs bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 shrink-0"
+                      >
+                        {t('export.chooseFont')}
+                      </button>
+                      <span className="text-xs text-gray-500 truncate">{exportFont ? exportFont.family : 'TTF / OTF / WOFF'}</span>
+                      <input
+                        ref={fontInputRef}
+                        type="file"
+                        accept={FONT_ACCEPT}
+                        className="hidden"
+                        onChange={(e) => {
+                          handleFontFile(e.target.files[0]);
+                          e.target.value = '';
+                        }}
+                      />
+                    </div>
+                  )}
+                  {textMode === 'text' && exportFormat !== 'svg' && (
+                    <p className="text-xs text-amber-600 mt-1">{t('export.latinOnly')}</p>
+                  )}
+                </div>
+              )}
 
-          {/* 操作按钮 */}
-          <div className="flex gap-3 mt-8">
-            <button
-              onClick={() => exportModalRef.current?.close()}
-              className="flex-1 py-2 px-4 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
-            >
-              取消
-            </button>
-            <button
-              onClick={() => {
-                exportChart();
-                exportModalRef.current?.close();
-              }}
-              disabled={exporting}
-              className="flex-1 py-2 px-4 bg-gradient-to-r from-indigo-600 to-purple-600 text-white rounded-lg hover:from-indigo-700 hover:to-purple-700 transition-all disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
-            >
-              {exporting ? (
-                <>
-                  <div className="animate-spin rounded-full h-4 w-4 border-2 border-white border-t-transparent" />
-                  导出中...
-                </>
-              ) : (
-                <>
-                  <Download size={16} />
-                  立即导出
-                </>
+              {/* LaTeX 选项 */}
+              {exportFormat === 'latex' && (
+                <div className="space-y-2">
+                  <div className="grid grid-cols-2 gap-2">
+                    {[
+                      { id: 'download', name: t('export.latex.download') },
+                      { id: 'clipboard', name: t('export.latex.copy') },
+                    ].map((option) => (
+                      <button
+                        key={option.id}
+                        type="button"
+                        onClick={() => setLatexOptions((prev) => ({ ...prev, output: option.id }))}
+                        className={`py-1.5 text-xs rounded-md border ${
+                          latexOptions.output === option.id
+                            ? 'border-indigo-500 bg-indigo-50 text-indigo-700'
+                            : 'border-gray-200 text-gray-600 hover:bg-gray-50'
+                        }`}
+                      >
+                        {option.name}
+                      </button>
+                    ))}
+                  </div>
+                  {[
+                    { key: 'table', name: t('export.latex.table') },
+                    { key: 'bold', name: t('export.latex.bold'), table: true },
+                    { key: 'std', name: t('export.latex.std'), table: true },
+                  ].map((option) => (
+                    <label key={option.key} className="flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={latexOptions[option.key]}
+                        disabled={option.table && !latexOptions.table}
+                        onChange={(e) => setLatexOptions((prev) => ({ ...prev, [option.key]: e.target.checked }))}
+                        className="rounded accent-indigo-600"
+                      />
+                      <span className={`text-sm ${option.table && !latexOptions.table ? 'text-gray-400' : 'text-gray-700'}`}>{option.name}</span>
+                    </label>
+                  ))}
+                  <p className="text-xs text-gray-500">{t('export.latex.hint')}</p>
+                </div>
               )}
-            </button>
+
+              {/* 代码选项 */}
+              {exportFormat === 'code' && (
+                <div className="space-y-2">
+                  <div className="grid grid-cols-3 gap-2">
+                    {CODE_FORMATS.map((format) => (
+                      <button
+                        key={format.id}
+                        type="button"
+                        title={t.option('codeFormats', format, 'desc')}
+                        onClick={() => setCodeOptions((prev) => ({ ...prev, language: format.id }))}
+                        className={`py-1.5 text-xs rounded-md border ${
+                          codeOptions.language === format.id
+                            ? 'border-indigo-500 bg-indigo-50 text-indigo-700'
+                            : 'border-gray-200 text-gray-600 hover:bg-gray-50'
+                        }`}
+                      >
+                        {format.name}
+                      </button>
+                    ))}
+                  </div>
+                  <div className="grid grid-cols-2 gap-2">
+                    {[
+                      { id: 'clipboard', name: t('export.code.copy') },
+                      { id: 'download', name: t('export.code.download') },
+                    ].map((option) => (
+                      <button
+                        key={option.id}
+                        type="button"
+                        onClick={() => setCodeOptions((prev) => ({ ...prev, output: option.id }))}
+                        className={`py-1.5 text-xs rounded-md border ${
+                          codeOptions.output === option.id
+                            ? 'border-indigo-500 bg-indigo-50 text-indigo-700'
+                            : 'border-gray-200 text-gray-600 hover:bg-gray-50'
+                        }`}
+                      >
+                        {option.name}
+                      </button>
+                    ))}
+                  </div>
+                  <p className="text-xs text-gray-500">
+                    {t(`export.code.hints.${codeOptions.language}`)}
+                  </p>
+                </div>
+              )}
+
+              {/* 额外选项 */}
+              {exportFormat === 'pdf' && (
+                <label className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={includeData}
+                    onChange={(e) => setIncludeData(e.target.checked)}
+                    className="rounded accent-indigo-600"
+                  />
+                  <span className="text-sm text-gray-700">{t('export.includeData')}</span>
+                </label>
+              )}
+              {exportFormat === 'pdf' && (
+                <label className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={includeStats}
+                    onChange={(e) => setIncludeStats(e.target.checked)}
+                    className="rounded accent-indigo-600"
+                  />
+                  <span className="text-sm text-gray-700">{t('export.includeStats')}</span>
+                </label>
+              )}
+            </div>
+
+            {/* 操作按钮 */}
+            <div className="flex gap-3 mt-8">
+              <button
+                onClick={() => exportModalRef.current?.close()}
+                className="flex-1 py-2 px-4 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+              >
+                {t('common.cancel')}
+              </button>
+              <button
+                onClick={() => {
+                  exportChart();
+                  exportModalRef.current?.close();
+                }}
+                disabled={exporting}
+                className="flex-1 py-2 px-4 bg-gradient-to-r from-indigo-600 to-purple-600 text-white rounded-lg hover:from-indigo-700 hover:to-purple-700 transition-all disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+              >
+                {exporting ? (
+                  <>
+                    <div className="animate-spin rounded-full h-4 w-4 border-2 border-white border-t-transparent" />
+                    {t('export.exporting')}
+                  </>
+                ) : (
+                  <>
+                    <Download size={16} />
+                    {t('export.start')}
+                  </>
+                )}
+              </button>
+            </div>
           </div>
-        </div>
-      </dialog>
-    </div>
+        </dialog>
+      </div>
+    </I18nContext.Provider>
   );
 }
@@ -0,0 +1,85 @@
+/**
+ * 命令行的配置：项目文件、样式预设或只含部分选项的设置文件，统一转为完整的项目
+ */
+import { projectFromOptions } from '../lib/project.js';
+import { STYLE_PRESETS } from '../lib/styles.js';
+import { CSS_DPI, SIZE_UNITS, convertLength } from '../lib/export/size.js';
+import { localizedError } from '../lib/i18n/index.js';
+
+// 样式预设与网页中“期刊样式”一节的结构相同：{ name, font, fontSize, strokeWidth, opacity, palette, theme, size }
+const isStylePreset = (raw) => typeof raw.fontSize === 'number' && typeof raw.strokeWidth === 'number'
+  && raw.size && !raw.settings;
+
+/**
+ * 应用样式预设，效果与网页中点击预设相同：颜色按新配色方案重新分配，画布改用预设的主题，导出尺寸改为预设的图幅
+ */
+export const applyStylePreset = (project, preset) => ({
+  ...project,
+  settings: {
+    ...project.settings,
+    font: preset.font ?? project.settings.font,
+    fontSize: preset.fontSize,
+    strokeWidth: preset.strokeWidth,
+    opacity: preset.opacity ?? project.settings.opacity,
+    palette: preset.palette ?? project.settings.palette,
+    colors: {},
+    canvas: { ...project.settings.canvas, theme: preset.theme || 'light' },
+  },
+  export: { ...project.export, size: { preset: 'custom', ...preset.size } },
+});
+
+export const findStylePreset = (id) => {
+  const preset = STYLE_PRESETS.find((p) => p.id === id);
+  if (!preset) {
+    const ids = STYLE_PRESETS.map((p) => p.id);
+    throw localizedError('unknownPreset', `未知的样式预设：${id}，可选 ${ids.join('、')}`, { id, options: ids.join(', ') });
+  }
+  return preset;
+};
+
+/**
+ * 解析配置文件内容；没有配置文件时 text 为 null，使用默认设置
+ */
+export const parseConfig = (text) => {
+  if (text == null) return projectFromOptions();
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch {
+    throw localizedError('invalidConfigJson', '配置文件不是有效的 JSON');
+  }
+  if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) throw localizedError('configNotObject', '配置文件应为 JSON 对象');
+  if (isStylePreset(raw)) return applyStylePreset(projectFromOptions(), raw);
+  // 项目文件，或只含部分选项：{ settings, export }，或直接是 settings
+  return projectFromOptions(raw);
+};
+
+/**
+ * 解析 "89mm"、"3.5in"、"8cm"、"800px"；没有单位时使用 fallbackUnit。px 按 96 dpi 换算为英寸
+ */
+export const parseLength = (text, fallbackUnit = 'mm') => {
+  const m = /^\s*(\d+(?:\.\d+)?)\s*([a-z]*)\s*$/i.exec(String(text));
+  const unit = (m?.[2] || fallbackUnit).toLowerCase();
+  if (!m || !(Number(m[1]) > 0) || !(unit === 'px' || unit in SIZE_UNITS)) {
+    throw localizedError('invalidLength', `无效的长度：${text}，应为正数加 mm、cm、in 或 px`, { text });
+  }
+  if (unit === 'px') return { value: Number(m[1]) / CSS_DPI, unit: 'in' };
+  return { value: Number(m[1]), unit };
+};
+
+/**
+ * 输出图幅：默认取项目的导出尺寸；只给出宽度时按原比例确定高度
+ */
+export const resolveFigureSize = (size, width, height) => {
+  let result = { width: size.width, height: size.height, unit: size.unit };
+  if (width) {
+    const w = parseLength(width, result.unit);
+    const ratio = result.height / result.width;
+    result = { width: w.value, height: w.value * ratio, unit: w.unit };
+  }
+  if (height) {
+    const h = parseLength(height, result.unit);
+    result.height = convertLength(h.value, h.unit, result.unit);
+  }
+  return result;
+};
@@ -0,0 +1,80 @@
+/**
+ * 输入通配符展开与输出路径。通配符由程序自己展开，在 Makefile 中加引号即可跨平台使用：
+ * *、? 与 [abc] 匹配单层文件名，** 匹配任意层目录；以 . 开头的文件和目录不参与匹配。
+ */
+import { readdirSync, statSync } from 'node:fs';
+import {
+  join, resolve, dirname, basename, extname,
+} from 'node:path';
+import { localizedError } from '../lib/i18n/index.js';
+
+const GLOB_CHARS = /[*?[]/;
+
+const segmentRegExp = (segment) => new RegExp(`^${segment
+  .replace(/[.+^${}()|\\]/g, '\\$&')
+  .replace(/\*/g, '.*')
+  .replace(/\?/g, '.')}$`);
+
+const entries = (dir) => {
+  try {
+    return readdirSync(dir, { withFileTypes: true }).filter((e) => !e.name.startsWith('.'));
+  } catch {
+    return [];
+  }
+};
+
+// dir 下的所有子目录 (含 dir 本身)，base 为对应的相对路径
+const subdirectories = (dir, base) => [base, ...entries(dir)
+  .filter((e) => e.isDirectory())
+  .flatMap((e) => subdirectories(join(dir, e.name), join(base, e.name)))];
+
+const isFile = (path) => {
+  try {
+    return statSync(path).isFile();
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * 展开一个通配符，返回排序后的文件路径；不含通配符时原样返回
+ */
+export const expandGlob = (pattern, cwd = process.cwd()) => {
+  if (!GLOB_CHARS.test(pattern)) return [pattern];
+  const parts = pattern.split(/[\\/]/);
+  let matches = [parts[0] === '' ? '/' : ''];
+  parts.forEach((part, i) => {
+    if (part === '' && i === 0) return;
+    matches = [...new Set(matches.flatMap((base) => {
+      const dir = resolve(cwd, base || '.');
+      if (part === '**') return subdirectories(dir, base);
+      if (!GLOB_CHARS.test(part)) return [join(base, part)];
+      const re = segmentRegExp(part);
+      return entries(dir).filter((e) => re.test(e.name)).map((e) => join(base, e.name));
+    }))];
+  });
+  return matches.filter((path) => isFile(resolve(cwd, path))).sort();
+};
+
+/**
+ * 展开全部输入；通配符没有匹配任何文件时报错，避免 Makefile 静默生成空结果
+ */
+export const expandInputs = (patterns, cwd = process.cwd()) => [...new Set(patterns.flatMap((pattern) => {
+  const files = expandGlob(pattern, cwd);
+  if (files.length === 0) throw localizedError('noMatchingFiles', `没有与 ${pattern} 匹配的文件`, { pattern });
+  return files;
+}))];
+
+const stripExtension = (path) => basename(path, extname(path)).replace(/\.sciradar$/, '');
+
+/**
+ * 输出路径：未指定时与输入同目录、同名；output 含 {name} 时替换为输入的文件名 (不含扩展名)；
+ * 多个输入或 output 以 / 结尾时 output 视为目录
+ */
+export const outputPath = (input, output, format, multiple = false) => {
+  const name = stripExtension(input);
+  if (!output) return join(dirname(input), `${name}.${format}`);
+  if (output.includes('{name}')) return output.replace(/\{name\}/g, name);
+  if (multiple || /[\\/]$/.test(output)) return join(output, `${name}.${format}`);
+  return output;
+};
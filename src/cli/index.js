@@ -0,0 +1,164 @@
+/**
+ * sciradar 命令行：批量生成图表，可在 Makefile 中随数据一起重建
+ *
+ *   sciradar render results.csv --config style.json -o fig.pdf --width 89mm
+ *   sciradar render "results/*.csv" --preset nature -o figures/ --format png --dpi 600
+ */
+import { parseArgs } from 'node:util';
+import { readFileSync, writeFileSync, mkdirSync } from 'node:fs';
+import { dirname, extname } from 'node:path';
+import {
+  parseConfig, applyStylePreset, findStylePreset, resolveFigureSize,
+} from './config.js';
+import { expandInputs, outputPath } from './files.js';
+import {
+  readTable, renderChart, unsupportedFormat, FORMATS,
+} from './render.js';
+import { parseData } from '../lib/parse.js';
+import { loadFont, TEXT_MODES } from '../lib/export/fonts.js';
+import { detectLocale, createTranslator, localizedError } from '../lib/i18n/index.js';
+
+// 帮助与报错的语言：与图中文字语言为 auto 时相同，按系统语言
+const systemLocale = () => detectLocale(process.env.LC_ALL || process.env.LC_MESSAGES || process.env.LANG);
+
+/** 帮助文本；格式与文字处理方式的列表由代码给出 */
+export const usage = (t) => t('cli.usage', {
+  formats: FORMATS.join(t('cli.listSeparator')),
+  textModes: TEXT_MODES.map((m) => m.id).join(t('cli.listSeparator')),
+});
+
+const OPTIONS = {
+  config: { type: 'string', short: 'c' },
+  preset: { type: 'string', short: 'p' },
+  output: { type: 'string', short: 'o' },
+  format: { type: 'string', short: 'f' },
+  width: { type: 'string' },
+  height: { type: 'string' },
+  dpi: { type: 'string' },
+  table: { type: 'string' },
+  font: { type: 'string' },
+  'text-mode': { type: 'string' },
+  footer: { type: 'boolean' },
+  'no-footer': { type: 'boolean' },
+  'no-data': { type: 'boolean' },
+  stats: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+// 格式：--format，其次为输出文件的扩展名 (.tif 视为 tiff)，否则为 svg
+const resolveFormat = (format, output) => {
+  if (format) {
+    const id = format.toLowerCase();
+    if (!FORMATS.includes(id)) throw unsupportedFormat(format);
+    return id;
+  }
+  const ext = extname(output || '').slice(1).toLowerCase();
+  if (ext === 'tif') return 'tiff';
+  return FORMATS.includes(ext) ? ext : 'svg';
+};
+
+const positiveInteger = (value, name) => {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) throw localizedError('notPositiveInteger', `${name} 应为正整数`, { name });
+  return n;
+};
+
+const render = async (inputs, values, { stdout, stderr, t }) => {
+  let project = parseConfig(values.config ? readFileSync(values.config, 'utf8') : null);
+  if (values.preset) project = applyStylePreset(project, findStylePreset(values.preset));
+
+  const format = resolveFormat(values.format, values.output);
+  const textMode = values['text-mode'] || project.export.textMode;
+  if (!TEXT_MODES.some((m) => m.id === textMode)) {
+    const modes = TEXT_MODES.map((m) => m.id);
+    throw localizedError('unknownTextMode', `未知的文字处理方式：${textMode}，可选 ${modes.join('、')}`, {
+      mode: textMode, options: modes.join(', '),
+    });
+  }
+  const font = values.font ? loadFont(new Uint8Array(readFileSync(values.font)), values.font) : null;
+  const options = {
+    format,
+    size: resolveFigureSize(project.export.size, values.width, values.height),
+    dpi: values.dpi ? Number(values.dpi) : project.export.dpi,
+    font,
+    fontFile: values.font || null,
+    textMode,
+    // 两者都未给出时为 null，按项目的 canvas.showFooter
+    footer: values.footer ? true : values['no-footer'] ? false : null,
+    includeData: !values['no-data'] && project.export.includeData,
+    includeStats: !!values.stats || project.export.includeStats,
+    // 图中文字语言为 auto 时按系统语言
+    locale: t.locale,
+  };
+  const table = values.table ? positiveInteger(values.table, '--table') : 1;
+
+  // 没有数据文件时渲染项目中保存的数据，输出文件以项目文件命名
+  if (inputs.length === 0 && !project.data.trim()) {
+    throw localizedError('noInput', '请指定数据文件，或使用保存了数据的项目文件');
+  }
+  const jobs = inputs.length > 0
+    ? expandInputs(inputs).map((path) => ({ source: path, read: () => readTable(path, table) }))
+    : [{ source: values.config, read: () => parseData(project.data) }];
+
+  let failed = 0;
+  for (const job of jobs) {
+    try {
+      const parsed = job.read();
+      parsed.issues.forEach((issue) => {
+        stderr.write(`${t('cli.issue', {
+          source: job.source,
+          line: issue.line ?? '?',
+          severity: t(issue.severity === 'error' ? 'cli.error' : 'cli.warning'),
+          message: t.issue(issue),
+        })}\n`);
+      });
+      if (parsed.models.length === 0) throw localizedError('noChartData', '没有可绘制的数据');
+      const bytes = await renderChart(parsed, project, options);
+      const target = outputPath(job.source, values.output, format, jobs.length > 1);
+      mkdirSync(dirname(target), { recursive: true });
+      writeFileSync(target, bytes);
+      stdout.write(`${target}\n`);
+    } catch (error) {
+      failed += 1;
+      stderr.write(`sciradar: ${job.source}: ${t.error(error)}\n`);
+    }
+  }
+  return failed > 0 ? 1 : 0;
+};
+
+/**
+ * 命令行入口，返回退出码：0 成功，1 有文件渲染失败，2 用法错误
+ */
+export const main = async (argv, {
+  stdout = process.stdout, stderr = process.stderr, locale = systemLocale(),
+} = {}) => {
+  const t = createTranslator(locale);
+  const [command, ...rest] = argv;
+  if (!command || command === '-h' || command === '--help') {
+    stdout.write(usage(t));
+    return 0;
+  }
+  if (command !== 'render') {
+    stderr.write(`sciradar: ${t('cli.unknownCommand', { command })}\n\n${usage(t)}`);
+    return 2;
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args: rest, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    stderr.write(`sciradar: ${error.message}\n\n${usage(t)}`);
+    return 2;
+  }
+  if (parsed.values.help) {
+    stdout.write(usage(t));
+    return 0;
+  }
+
+  try {
+    return await render(parsed.positionals, parsed.values, { stdout, stderr, t });
+  } catch (error) {
+    stderr.write(`sciradar: ${t.error(error)}\n`);
+    return 1;
+  }
+};
@@ -0,0 +1,172 @@
+/**
+ * 命令行渲染：数据文件 → 图表模型 → SVG 元素树 → SVG / PDF / EPS / PNG / TIFF 字节。
+ * 矢量格式与网页导出共用 svgToScene、sceneToPdf 与 sceneToEps，位图由 resvg 栅格化。
+ */
+import { readFileSync } from 'node:fs';
+import { importTables, isBinaryFile } from '../lib/importers/index.js';
+import { parseData, rowsToText } from '../lib/parse.js';
+import { buildChartModel } from '../lib/model.js';
+import { renderFigure } from '../lib/draw/figure.js';
+import { h, serializeTree } from '../lib/draw/tree.js';
+import { svgToScene, sceneHasNonLatinText, baselineShift } from '../lib/export/vector.js';
+import {
+  sceneToPdf, addDataPage, dataTableLines, alignedLines, hasEmbeddedFont,
+} from '../lib/export/pdf.js';
+import { sceneToEps } from '../lib/export/eps.js';
+import {
+  figureTranslator, latinTranslator, localizedError, DEFAULT_LOCALE,
+} from '../lib/i18n/index.js';
+import { summaryStatistics, sortStatistics, statisticsTable } from '../lib/stats.js';
+import {
+  outlineScene, measureText, textOutline, segmentsToPathData, toBase64,
+} from '../lib/export/fonts.js';
+import { setPngDpi } from '../lib/export/png.js';
+import { encodeTiff } from '../lib/export/tiff.js';
+import { cssPixels, devicePixels } from '../lib/export/size.js';
+import { fontStack } from '../lib/styles.js';
+
+export const FORMATS = ['svg', 'pdf', 'eps', 'png', 'tiff'];
+
+export const unsupportedFormat = (format) => localizedError(
+  'unsupportedFormat',
+  `不支持的输出格式：${format}，可选 ${FORMATS.join('、')}`,
+  { format, options: FORMATS.join(', ') },
+);
+
+const EMBED_FAMILY = 'SciRadarEmbedded';
+
+/**
+ * 读取数据文件并解析；含多个表格 (工作表) 时取第 table 个
+ */
+export const readTable = (path, table = 1) => {
+  const content = readFileSync(path);
+  const tables = importTables(path, isBinaryFile(path) ? new Uint8Array(content) : content.toString('utf8'));
+  const chosen = tables[table - 1];
+  if (!chosen) {
+    throw localizedError('tableNotFound', `${path} 中没有第 ${table} 个表格 (共 ${tables.length} 个)`, {
+      path, table, count: tables.length,
+    });
+  }
+  return parseData(rowsToText(chosen.rows));
+};
+
+// SVG 中的文字转为路径；树中的文字都带有自己的 font-size
+const outlineTree = (node, font) => {
+  if (node.name === '#text') return node;
+  if (node.name !== 'text') return { ...node, children: node.children.map((child) => outlineTree(child, font)) };
+  const fontSize = Number(node.attrs['font-size']) || 16;
+  const d = segmentsToPathData(textOutline(font, {
+    text: node.children.map((c) => c.text || '').join(''),
+    x: Number(node.attrs.x) || 0,
+    y: (Number(node.attrs.y) || 0) + baselineShift(node.attrs['dominant-baseline'], fontSize),
+    fontSize,
+    anchor: node.attrs['text-anchor'] || 'start',
+  }));
+  return h('path', {
+    d, fill: node.attrs.fill, 'fill-opacity': node.attrs['fill-opacity'], opacity: node.attrs.opacity,
+  });
+};
+
+const embedFont = (tree, font) => ({
+  ...tree,
+  attrs: { ...tree.attrs, 'font-family': `${EMBED_FAMILY}, ${tree.attrs['font-family']}` },
+  children: [
+    h('defs', {}, h('style', {}, `@font-face { font-family: "${EMBED_FAMILY}"; `
+      + `src: url(data:${font.mime};base64,${toBase64(font.data)}) format("${font.format}"); }`)),
+    ...tree.children,
+  ],
+});
+
+const svgDocument = (tree) => `<?xml version="1.0" encoding="UTF-8" standalone="no"?>\n${serializeTree(tree)}\n`;
+
+/**
+ * 渲染一张图，返回文件字节。
+ * project 为完整项目 ({ settings, export })；options:
+ *   { format, size: { width, height, unit }, dpi, font (loadFont 的结果), fontFile (字体文件路径，供位图使用),
+ *     textMode, footer (null 时取画布设置), includeData, includeStats, locale (图中文字语言为 auto 时使用) }
+ */
+export const renderChart = async (table, { settings }, {
+  format,
+  size,
+  dpi = 300,
+  font = null,
+  fontFile = null,
+  textMode = 'text',
+  footer = null,
+  includeData = true,
+  includeStats = false,
+  locale = DEFAULT_LOCALE,
+}) => {
+  if (textMode !== 'text' && !font) throw localizedError('fontRequired', '嵌入字体或转为路径时请用 --font 指定字体文件');
+  const chart = buildChartModel(table, settings);
+  const width = cssPixels(size.width, size.unit);
+  const height = cssPixels(size.height, size.unit);
+  const physical = { width: `${size.width}${size.unit}`, height: `${size.height}${size.unit}` };
+  const figure = (rootSize, latin = false) => renderFigure(chart, settings, {
+    width,
+    height,
+    size: rootSize,
+    fontFamily: fontStack(settings.font),
+    footer,
+    locale,
+    // 有字体文件时按字形宽度排版，否则按字符数估算
+    measure: font ? (text, fontSize) => measureText(font.font, text, fontSize) : undefined,
+    latin,
+  });
+
+  switch (format) {
+    case 'svg': {
+      let tree = figure(physical);
+      if (textMode === 'outline') tree = outlineTree(tree, font.font);
+      else if (textMode === 'embed') tree = embedFont(tree, font);
+      return new TextEncoder().encode(svgDocument(tree));
+    }
+    case 'pdf':
+    case 'eps': {
+      // 标准字体书写时页脚等生成的文字退回英文，数据中的非拉丁字符仍需要字体文件
+      let scene = svgToScene(figure(physical, textMode === 'text'));
+      if (textMode === 'text' && sceneHasNonLatinText(scene)) {
+        throw localizedError('nonLatinText', '图中含有中文等非拉丁字符，请用 --font 指定字体文件并选择 --text-mode embed 或 outline');
+      }
+      if (format === 'eps') {
+        // EPS 不能嵌入字体，选了字体文件时文字一律转为路径
+        if (textMode !== 'text') scene = outlineScene(scene, font.font);
+        return new TextEncoder().encode(sceneToEps(scene, { title: settings.title }));
+      }
+      const pdf = sceneToPdf(scene, { font, textMode, title: settings.title });
+      const figureT = figureTranslator(settings.figureLocale, locale);
+      const t = hasEmbeddedFont(pdf) ? figureT : latinTranslator(figureT);
+      if (includeData && chart.chartData) {
+        addDataPage(pdf, dataTableLines(chart.chartData, chart.visibleModels), t('figure.rawData'));
+      }
+      if (includeStats && chart.visibleModels.length > 0) {
+        const { baseline, sort, descending } = settings.statistics;
+        const stats = summaryStatistics(chart, settings, baseline);
+        const rows = statisticsTable(
+          { ...stats, rows: sortStatistics(stats.rows, sort, descending) },
+          { t, decimals: settings.annotations.decimals },
+        );
+        addDataPage(pdf, [...alignedLines(rows), '', t('statistics.areaWarning')], t('statistics.title'), 'Summary statistics');
+      }
+      return new Uint8Array(pdf.output('arraybuffer'));
+    }
+    case 'png':
+    case 'tiff': {
+      if (!(dpi > 0)) throw localizedError('invalidDpi', '请填写有效的 DPI');
+      const { Resvg } = await import('@resvg/resvg-js');
+      const resvg = new Resvg(svgDocument(figure(null)), {
+        fitTo: { mode: 'width', value: devicePixels(size.width, size.unit, dpi) },
+        font: {
+          loadSystemFonts: true,
+          fontFiles: fontFile ? [fontFile] : [],
+          defaultFontFamily: font?.family,
+        },
+      });
+      const image = resvg.render();
+      if (format === 'png') return setPngDpi(image.asPng(), dpi);
+      return encodeTiff(image.pixels, image.width, image.height, { dpi });
+    }
+    default:
+      throw unsupportedFormat(format);
+  }
+};
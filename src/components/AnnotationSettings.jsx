@@ -0,0 +1,85 @@
+import React from 'react';
+import { Tag } from 'lucide-react';
+import { LABEL_MODES, BEST_MARKERS, DELTA_MODES } from '../lib/annotations';
+import useI18n from '../hooks/useI18n';
+
+/**
+ * 数值标注设置：顶点数值、小数位数、各维度最优模型的标记，以及相对基线模型的差值
+ */
+export default function AnnotationSettings({ annotations, onChange, models }) {
+  const t = useI18n();
+  const selectClass = 'w-full p-2 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500';
+  const modelValue = (m) => (models.includes(m) ? m : '');
+
+  return (
+    <section className="bg-gradient-to-br from-emerald-50 to-teal-50 p-4 rounded-xl border border-emerald-100">
+      <div className="flex items-center gap-2 mb-3 text-emerald-700 font-semibold">
+        <Tag size={18} />
+        <h2>{t('annotations.title')}</h2>
+      </div>
+
+      <div className="space-y-3">
+        <div className="grid grid-cols-2 gap-2">
+          <div>
+            <label className="block text-xs font-medium text-gray-700 mb-1">{t('annotations.labels')}</label>
+            <select value={annotations.labels} onChange={(e) => onChange({ labels: e.target.value })} className={selectClass}>
+              {LABEL_MODES.map((m) => <option key={m.id} value={m.id}>{t.option('labelModes', m)}</option>)}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-700 mb-1">{t('annotations.decimals')}</label>
+            <select
+              value={annotations.decimals}
+              onChange={(e) => onChange({ decimals: Number(e.target.value) })}
+              className={selectClass}
+            >
+              {[0, 1, 2, 3].map((n) => <option key={n} value={n}>{n}</option>)}
+            </select>
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">{t('annotations.best')}</label>
+          <select value={annotations.best} onChange={(e) => onChange({ best: e.target.value })} className={selectClass}>
+            {BEST_MARKERS.map((m) => <option key={m.id} value={m.id}>{t.option('bestMarkers', m)}</option>)}
+          </select>
+          <p className="text-[11px] text-gray-500 mt-1">{t('annotations.bestHint')}</p>
+        </div>
+
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">{t('annotations.delta')}</label>
+          <div className="grid grid-cols-2 gap-2">
+            <select
+              value={modelValue(annotations.deltaModel)}
+              onChange={(e) => onChange({ deltaModel: e.target.value })}
+              className={selectClass}
+              title={t('annotations.deltaModel')}
+            >
+              <option value="">{t('annotations.none')}</option>
+              {models.map((m) => <option key={m} value={m}>{m}</option>)}
+            </select>
+            <select
+              value={modelValue(annotations.deltaBaseline)}
+              onChange={(e) => onChange({ deltaBaseline: e.target.value })}
+              className={selectClass}
+              title={t('annotations.deltaBaseline')}
+              disabled={!modelValue(annotations.deltaModel)}
+            >
+              <option value="">{t('annotations.chooseBaseline')}</option>
+              {models.filter((m) => m !== annotations.deltaModel).map((m) => <option key={m} value={m}>vs {m}</option>)}
+            </select>
+          </div>
+          {modelValue(annotations.deltaModel) && (
+            <select
+              value={annotations.deltaMode}
+              onChange={(e) => onChange({ deltaMode: e.target.value })}
+              className={`${selectClass} mt-2`}
+            >
+              {DELTA_MODES.map((m) => <option key={m.id} value={m.id}>{t.option('deltaModes', m)}</option>)}
+            </select>
+          )}
+        </div>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,31 @@
+import React from 'react';
+import SvgTree, { chartGeometry } from './SvgTree';
+import { axisLabels } from '../lib/draw/layers';
+import { measureText } from '../lib/labels';
+
+/**
+ * 维度名称标签，通过 <Customized /> 挂入图表，取代 PolarAngleAxis 自带的单行刻度文字。
+ * 网页中用 canvas 测量文字宽度，排布见 lib/draw/layers
+ */
+export default function AxisLabels({
+  angleAxisMap,
+  data = [],
+  width,
+  height,
+  fontFamily = 'sans-serif',
+  fontWeight = 500,
+  ...options
+}) {
+  const geometry = chartGeometry(angleAxisMap, data);
+  if (!geometry) return null;
+  return (
+    <SvgTree
+      node={axisLabels(geometry, data, {
+        ...options,
+        fontWeight,
+        bounds: { x: 0, y: 0, width, height },
+        measure: (text, size) => measureText(text, size, fontFamily, fontWeight),
+      })}
+    />
+  );
+}
@@ -0,0 +1,157 @@
+import React from 'react';
+import { Frame, RotateCcw } from 'lucide-react';
+import { THEMES, LEGEND_POSITIONS, getTheme } from '../lib/canvas';
+import useI18n from '../hooks/useI18n';
+
+// 外半径：0 为自动，其余为占绘图区的比例
+const OUTER_RADII = [0, 0.5, 0.6, 0.65, 0.7, 0.75, 0.8, 0.85, 0.9, 0.95];
+
+/**
+ * 画布设置：主题、背景 (可透明)、网格与坐标轴颜色、留白与外半径、标题与页脚开关，以及图例的位置、列数与边框。
+ * 颜色留空时跟随主题
+ */
+export default function CanvasSettings({ canvas, onChange }) {
+  const t = useI18n();
+  const theme = getTheme(canvas.theme).colors;
+  const selectClass = 'w-full p-2 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500';
+  const checkboxClass = 'rounded accent-indigo-600 focus:ring-indigo-500';
+  const legend = canvas.legend;
+  const setLegend = (patch) => onChange({ legend: { ...legend, ...patch } });
+
+  // 颜色选择器；key 为 canvas 中的字段，fallback 为主题颜色
+  const colorField = (key, label, fallback, disabled = false) => (
+    <div>
+      <label className="block text-xs font-medium text-gray-700 mb-1">{label}</label>
+      <div className="flex items-center gap-1">
+        <input
+          type="color"
+          value={canvas[key] || fallback}
+          onChange={(e) => onChange({ [key]: e.target.value })}
+          disabled={disabled}
+          className="h-7 w-10 shrink-0 rounded cursor-pointer border-0 p-0 disabled:opacity-40"
+          title={label}
+        />
+        {canvas[key] && (
+          <button
+            type="button"
+            onClick={() => onChange({ [key]: '' })}
+            className="p-1 text-gray-400 hover:text-gray-600"
+            title={t('canvas.followTheme')}
+          >
+            <RotateCcw size={12} />
+          </button>
+        )}
+      </div>
+    </div>
+  );
+
+  return (
+    <section className="bg-gradient-to-br from-slate-50 to-zinc-50 p-4 rounded-xl border border-slate-200">
+      <div className="flex items-center gap-2 mb-3 text-slate-700 font-semibold">
+        <Frame size={18} />
+        <h2>{t('canvas.title')}</h2>
+      </div>
+
+      <div className="space-y-3">
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">{t('canvas.theme')}</label>
+          <select value={canvas.theme} onChange={(e) => onChange({ theme: e.target.value })} className={selectClass}>
+            {THEMES.map((th) => <option key={th.id} value={th.id}>{t.option('themes', th)}</option>)}
+          </select>
+        </div>
+
+        <div className="grid grid-cols-3 gap-2">
+          {colorField('background', t('canvas.background'), theme.background, canvas.transparent)}
+          {colorField('gridColor', t('canvas.gridColor'), theme.grid)}
+          {colorField('axisColor', t('canvas.axisColor'), theme.label)}
+        </div>
+        <label className="flex items-center gap-2 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={canvas.transparent}
+            onChange={(e) => onChange({ transparent: e.target.checked })}
+            className={checkboxClass}
+          />
+          <span className="text-xs text-gray-700">{t('canvas.transparent')}</span>
+        </label>
+
+        <div className="grid grid-cols-2 gap-2">
+          <div>
+            <label className="block text-xs font-medium text-gray-700 mb-1">{t('canvas.margin', { value: canvas.margin })}</label>
+            <input
+              type="range" min="0" max="96" step="4"
+              value={canvas.margin}
+              onChange={(e) => onChange({ margin: Number(e.target.value) })}
+              className="w-full accent-indigo-600"
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-700 mb-1">{t('canvas.outerRadius')}</label>
+            <select
+              value={canvas.outerRadius}
+              onChange={(e) => onChange({ outerRadius: Number(e.target.value) })}
+              className={selectClass}
+            >
+              {OUTER_RADII.map((r) => (
+                <option key={r} value={r}>{r ? t.number(r, { style: 'percent' }) : t('canvas.auto')}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-x-4 gap-y-2">
+          <label className="flex items-center gap-2 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={canvas.showTitle}
+              onChange={(e) => onChange({ showTitle: e.target.checked })}
+              className={checkboxClass}
+            />
+            <span className="text-xs text-gray-700">{t('canvas.showTitle')}</span>
+          </label>
+          <label className="flex items-center gap-2 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={canvas.showFooter}
+              onChange={(e) => onChange({ showFooter: e.target.checked })}
+              className={checkboxClass}
+            />
+            <span className="text-xs text-gray-700">{t('canvas.showFooter')}</span>
+          </label>
+        </div>
+
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">{t('canvas.legend')}</label>
+          <div className="grid grid-cols-2 gap-2">
+            <select
+              value={legend.position}
+              onChange={(e) => setLegend({ position: e.target.value })}
+              className={selectClass}
+              title={t('canvas.legendPosition')}
+            >
+              {LEGEND_POSITIONS.map((p) => <option key={p.id} value={p.id}>{t.option('legendPositions', p)}</option>)}
+            </select>
+            <select
+              value={legend.columns}
+              onChange={(e) => setLegend({ columns: Number(e.target.value) })}
+              className={selectClass}
+              title={t('canvas.legendColumns')}
+            >
+              <option value={0}>{t('canvas.autoColumns')}</option>
+              {[1, 2, 3, 4, 5, 6].map((n) => <option key={n} value={n}>{t('canvas.columns', { count: n })}</option>)}
+            </select>
+          </div>
+          <label className="flex items-center gap-2 cursor-pointer mt-2">
+            <input
+              type="checkbox"
+              checked={legend.frame}
+              onChange={(e) => setLegend({ frame: e.target.checked })}
+              className={checkboxClass}
+            />
+            <span className="text-xs text-gray-700">{t('canvas.legendFrame')}</span>
+          </label>
+        </div>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,49 @@
+import React from 'react';
+import useI18n from '../hooks/useI18n';
+import { formatVertexValue } from '../lib/describe';
+import { plainLabel } from '../lib/labels';
+
+/**
+ * 图表数据的表格形式，只对屏幕阅读器可见；由预览区通过 aria-details 引用。
+ * 行为显示的系列与参考线，列为维度 (按图中顺序)，数值为原始数据
+ */
+export default function ChartDataTable({ id, chart, settings, caption }) {
+  const t = useI18n();
+  const points = chart.chartData || [];
+  if (points.length === 0) return null;
+
+  return (
+    <table id={id} className="sr-only">
+      <caption>{caption}</caption>
+      <thead>
+        <tr>
+          <th scope="col">{t('a11y.model')}</th>
+          {points.map((point) => (
+            <th key={point.subject} scope="col">{plainLabel(chart.formatAxisLabel(point.subject))}</th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {chart.visibleModels.map((model) => (
+          <tr key={model}>
+            <th scope="row">{plainLabel(chart.seriesLabel(model))}</th>
+            {points.map((point) => (
+              <td key={point.subject}>
+                {formatVertexValue(chart, settings, model, point, t)}
+                {chart.bestByDimension[point.subject]?.includes(model) && t('a11y.bestSuffix')}
+              </td>
+            ))}
+          </tr>
+        ))}
+        {chart.references.map((ref) => (
+          <tr key={`${ref.name}-reference`}>
+            <th scope="row">{plainLabel(ref.label || ref.name)}</th>
+            {points.map((point) => (
+              <td key={point.subject}>{t.fixed(ref.values[point.subject] ?? null, settings.annotations.decimals)}</td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
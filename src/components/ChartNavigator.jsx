@@ -0,0 +1,79 @@
+import React, { useId, useState } from 'react';
+import useI18n from '../hooks/useI18n';
+import ChartDataTable from './ChartDataTable';
+import { describeVertex } from '../lib/describe';
+
+// 键盘浏览：左右键切换维度，上下键切换系列，Home / End 跳到首末维度
+const MOVES = {
+  ArrowLeft: { dimension: -1 },
+  ArrowRight: { dimension: 1 },
+  ArrowUp: { series: -1 },
+  ArrowDown: { series: 1 },
+  Home: { dimension: -Infinity },
+  End: { dimension: Infinity },
+};
+
+const step = (list, current, delta) => {
+  const index = list.indexOf(current);
+  if (index < 0) return list[0];
+  return list[Math.min(list.length - 1, Math.max(0, index + delta))];
+};
+
+/**
+ * 预览区的无障碍外壳：整张图可获得焦点，屏幕阅读器读出标题与自动摘要，并可进入隐藏的数据表；
+ * 获得焦点后用方向键逐个浏览系列与顶点，当前顶点的数值通过 aria-live 朗读。
+ * cursor 为 { model, subject }，由上层保存，供雷达图画出焦点环；失去焦点时清空
+ */
+export default function ChartNavigator({
+  chart, settings, label, summary, cursor, onCursorChange, className = '', children,
+}) {
+  const t = useI18n();
+  const id = useId();
+  const [announcement, setAnnouncement] = useState('');
+  const models = chart.visibleModels;
+  const subjects = (chart.chartData || []).map((point) => point.subject);
+
+  const moveTo = (next) => {
+    onCursorChange(next);
+    setAnnouncement(describeVertex(chart, settings, next.model, next.subject, t));
+  };
+
+  const handleKeyDown = (e) => {
+    const move = MOVES[e.key];
+    if (!move || models.length === 0 || subjects.length === 0) return;
+    e.preventDefault();
+    const current = cursor || { model: models[0], subject: subjects[0] };
+    moveTo({
+      model: move.series ? step(models, current.model, move.series) : current.model,
+      subject: move.dimension ? step(subjects, current.subject, move.dimension) : current.subject,
+    });
+  };
+
+  return (
+    <div
+      tabIndex={0}
+      role="group"
+      aria-roledescription={t('a11y.chart')}
+      aria-label={label}
+      aria-describedby={`${id}-summary ${id}-keys`}
+      aria-details={`${id}-table`}
+      onKeyDown={handleKeyDown}
+      onFocus={(e) => {
+        if (e.target === e.currentTarget && !cursor && models.length > 0 && subjects.length > 0) {
+          onCursorChange({ model: models[0], subject: subjects[0] });
+        }
+      }}
+      onBlur={() => {
+        onCursorChange(null);
+        setAnnouncement('');
+      }}
+      className={`rounded-2xl outline-none focus-visible:ring-4 focus-visible:ring-indigo-400 ${className}`}
+    >
+      {children}
+      <p id={`${id}-summary`} className="sr-only">{summary}</p>
+      <p id={`${id}-keys`} className="sr-only">{t('a11y.keyboardHint')}</p>
+      <p aria-live="polite" className="sr-only">{announcement}</p>
+      <ChartDataTable id={`${id}-table`} chart={chart} settings={settings} caption={label} />
+    </div>
+  );
+}
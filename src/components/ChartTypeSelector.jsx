@@ -0,0 +1,50 @@
+import React from 'react';
+import {
+  Radar, Spline, BarChart3, BarChartHorizontal, Grid3x3, Flower2,
+} from 'lucide-react';
+import { CHART_TYPES, chartTypeOf } from '../lib/charts';
+import useI18n from '../hooks/useI18n';
+
+const ICONS = {
+  radar: Radar,
+  parallel: Spline,
+  bar: BarChart3,
+  barh: BarChartHorizontal,
+  heatmap: Grid3x3,
+  polarBar: Flower2,
+};
+
+/**
+ * 图表类型切换；数据、刻度、配色与其余设置在各类型间共用，切换不会丢失配置
+ */
+export default function ChartTypeSelector({ value, onChange }) {
+  const t = useI18n();
+  const current = chartTypeOf(value);
+  return (
+    <div>
+      <label className="block text-xs font-medium text-gray-700 mb-1">{t('chart.type')}</label>
+      <div className="grid grid-cols-3 gap-1">
+        {CHART_TYPES.map((type) => {
+          const Icon = ICONS[type.id];
+          return (
+            <button
+              key={type.id}
+              type="button"
+              onClick={() => onChange(type.id)}
+              aria-pressed={current.id === type.id}
+              className={`flex flex-col items-center gap-1 p-2 text-[11px] rounded-md border transition-colors ${
+                current.id === type.id
+                  ? 'border-indigo-500 bg-indigo-50 text-indigo-700'
+                  : 'border-gray-200 bg-white text-gray-600 hover:border-indigo-300'
+              }`}
+            >
+              <Icon size={16} />
+              {t.option('chartTypes', type)}
+            </button>
+          );
+        })}
+      </div>
+      <p className="text-[11px] text-gray-500 mt-1">{t.option('chartTypes', current, 'desc')}</p>
+    </div>
+  );
+}
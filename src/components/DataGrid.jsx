@@ -0,0 +1,138 @@
+import React, { useMemo, useState } from 'react';
+import {
+  Plus, Copy, Trash2, ArrowUpNarrowWide, ArrowDownWideNarrow, ArrowLeftRight,
+} from 'lucide-react';
+import {
+  textToGrid, gridToText, setCell, insertRow, duplicateRow, deleteRow,
+  insertColumn, duplicateColumn, deleteColumn, transposeGrid, sortRows, clipboardBlock, pasteBlock, cellIssues,
+} from '../lib/grid';
+import useI18n from '../hooks/useI18n';
+
+const toolClass = 'flex items-center gap-1 px-2 py-1 text-[11px] bg-white border border-gray-200 text-gray-700 rounded-md hover:border-indigo-300 hover:bg-indigo-50 disabled:opacity-40 disabled:hover:bg-white disabled:hover:border-gray-200';
+
+/**
+ * 表格视图：由输入框文本切分出单元格，编辑后按原分隔符写回文本，两者始终同步。
+ * 行列操作作用于当前选中的单元格；从 Excel 复制的多个单元格从选中处开始粘贴。
+ * 解析出错的单元格标红，警告标黄，悬停可看到原因
+ */
+export default function DataGrid({ text, issues, onChange }) {
+  const t = useI18n();
+  const { rows, lines, delimiter } = useMemo(() => textToGrid(text), [text]);
+  const flagged = useMemo(() => cellIssues(issues, lines), [issues, lines]);
+  const [selected, setSelected] = useState({ row: 1, column: 1 });
+
+  const width = rows[0]?.length ?? 0;
+  const row = Math.min(selected.row, rows.length - 1);
+  const column = Math.min(selected.column, width - 1);
+  const hasCell = row >= 0 && column >= 0;
+
+  const update = (next) => onChange(gridToText(next, delimiter));
+
+  const handlePaste = (e, i, j) => {
+    const block = clipboardBlock(e.clipboardData?.getData('text/plain') || '');
+    if (!block) return;
+    e.preventDefault();
+    update(pasteBlock(rows, i, j, block));
+  };
+
+  // 回车移到下一行同一列
+  const handleKeyDown = (e, i, j) => {
+    if (e.key !== 'Enter') return;
+    e.preventDefault();
+    e.currentTarget.closest('table')?.querySelector(`[data-cell="${i + 1},${j}"]`)?.focus();
+  };
+
+  const cellClass = (i, j) => {
+    const issue = flagged[`${i},${j}`];
+    if (issue?.severity === 'error') return 'bg-red-50 text-red-700';
+    if (issue) return 'bg-amber-50 text-amber-800';
+    if (i === 0 || j === 0) return 'bg-gray-50 font-medium text-gray-800';
+    return 'bg-white text-gray-700';
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-1 mb-2">
+        <button type="button" className={toolClass} onClick={() => update(insertRow(rows, row + 1))}>
+          <Plus size={11} /> {t('grid.row')}
+        </button>
+        <button type="button" className={toolClass} disabled={row < 1} onClick={() => update(duplicateRow(rows, row))}>
+          <Copy size={11} /> {t('grid.duplicateRow')}
+        </button>
+        <button type="button" className={toolClass} disabled={row < 1} onClick={() => update(deleteRow(rows, row))}>
+          <Trash2 size={11} /> {t('grid.deleteRow')}
+        </button>
+        <button type="button" className={toolClass} onClick={() => update(insertColumn(rows, column + 1))}>
+          <Plus size={11} /> {t('grid.column')}
+        </button>
+        <button type="button" className={toolClass} disabled={column < 1} onClick={() => update(duplicateColumn(rows, column))}>
+          <Copy size={11} /> {t('grid.duplicateColumn')}
+        </button>
+        <button type="button" className={toolClass} disabled={column < 1} onClick={() => update(deleteColumn(rows, column))}>
+          <Trash2 size={11} /> {t('grid.deleteColumn')}
+        </button>
+        <button
+          type="button"
+          className={toolClass}
+          disabled={!hasCell}
+          title={t('grid.sortAscHint')}
+          onClick={() => update(sortRows(rows, column, 'asc'))}
+        >
+          <ArrowUpNarrowWide size={11} /> {t('grid.sortAsc')}
+        </button>
+        <button
+          type="button"
+          className={toolClass}
+          disabled={!hasCell}
+          title={t('grid.sortDescHint')}
+          onClick={() => update(sortRows(rows, column, 'desc'))}
+        >
+          <ArrowDownWideNarrow size={11} /> {t('grid.sortDesc')}
+        </button>
+        <button
+          type="button"
+          className={toolClass}
+          disabled={rows.length === 0}
+          title={t('grid.transposeHint')}
+          onClick={() => update(transposeGrid(rows))}
+        >
+          <ArrowLeftRight size={11} /> {t('grid.transpose')}
+        </button>
+      </div>
+
+      <div className="max-h-72 overflow-auto border border-gray-300 rounded-lg bg-white">
+        <table className="border-collapse text-xs font-mono">
+          <tbody>
+            {rows.map((cells, i) => (
+              <tr key={i}>
+                {cells.map((cell, j) => {
+                  const issue = flagged[`${i},${j}`];
+                  const active = i === row && j === column;
+                  return (
+                    <td key={j} className={`border border-gray-200 p-0 ${active ? 'outline outline-2 -outline-offset-2 outline-indigo-500' : ''}`}>
+                      <input
+                        type="text"
+                        value={cell}
+                        data-cell={`${i},${j}`}
+                        title={issue && t.issue(issue)}
+                        aria-invalid={issue?.severity === 'error' || undefined}
+                        onFocus={() => setSelected({ row: i, column: j })}
+                        onChange={(e) => update(setCell(rows, i, j, e.target.value))}
+                        onPaste={(e) => handlePaste(e, i, j)}
+                        onKeyDown={(e) => handleKeyDown(e, i, j)}
+                        className={`w-24 px-2 py-1 outline-none ${cellClass(i, j)}`}
+                      />
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-[11px] text-gray-500 mt-1">
+        {t('grid.hint')}
+      </p>
+    </div>
+  );
+}
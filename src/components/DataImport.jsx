@@ -0,0 +1,189 @@
+import React, { useRef, useState } from 'react';
+import { Upload, Table } from 'lucide-react';
+import {
+  IMPORT_ACCEPT, importTables, readFileContent, readHtmlTables, parseHarnessFile,
+} from '../lib/importers';
+import { rowsToText } from '../lib/parse';
+import HarnessImport from './HarnessImport';
+import useI18n from '../hooks/useI18n';
+
+/**
+ * 数据导入：文件选择、拖放，以及保留单元格结构的网页表格粘贴。
+ * 一个文件里有多张表（多个工作表、多个 tabular）时弹出选择框；
+ * 评测框架的结果文件交给 HarnessImport 合并。
+ */
+export default function DataImport({ onImport, onError, children }) {
+  const t = useI18n();
+  const [dragging, setDragging] = useState(false);
+  const [pending, setPending] = useState(null); // { tables, apply }
+  const [harnessRuns, setHarnessRuns] = useState(null);
+  const fileInputRef = useRef(null);
+  const pickerRef = useRef(null);
+  const harnessRef = useRef(null);
+  const dragDepth = useRef(0);
+
+  const offer = (tables, apply) => {
+    if (tables.length === 0) {
+      onError(t('dataImport.noTables'));
+      return;
+    }
+    if (tables.length === 1) {
+      apply(tables[0]);
+      return;
+    }
+    setPending({ tables, apply });
+    pickerRef.current?.showModal();
+  };
+
+  const choose = (table) => {
+    pending?.apply(table);
+    setPending(null);
+    pickerRef.current?.close();
+  };
+
+  const handleFiles = async (fileList) => {
+    const files = Array.from(fileList || []);
+    if (files.length === 0) return;
+    try {
+      const contents = await Promise.all(files.map(readFileContent));
+      const parsed = contents.map(({ name, data }) => parseHarnessFile(name, data));
+      if (parsed.every(Boolean)) {
+        setHarnessRuns(parsed.flat());
+        harnessRef.current?.showModal();
+        return;
+      }
+      if (parsed.some(Boolean)) {
+        onError(t('dataImport.mixedHarness'));
+        return;
+      }
+
+      const results = contents.map(({ name, data }) => importTables(name, data));
+      const tables = results.flatMap((list, i) => (files.length > 1
+        ? list.map((table) => ({ ...table, name: `${files[i].name} · ${table.name}` }))
+        : list));
+      offer(tables, (table) => onImport(rowsToText(table.rows), table));
+    } catch (e) {
+      onError(t('dataImport.failed', { message: t.error(e) }));
+    }
+  };
+
+  // 网页上复制的表格只有 text/html 保留了单元格结构
+  const handlePaste = (e) => {
+    if (e.target.tagName !== 'TEXTAREA') return;
+    const html = e.clipboardData?.getData('text/html');
+    if (!html || !/<table/i.test(html)) return;
+    const tables = readHtmlTables(html);
+    if (tables.length === 0) return;
+
+    e.preventDefault();
+    const { selectionStart, selectionEnd, value } = e.target;
+    offer(tables, (table) => onImport(
+      value.slice(0, selectionStart) + rowsToText(table.rows) + value.slice(selectionEnd),
+      table,
+    ));
+  };
+
+  const handleDragEnter = (e) => {
+    if (!e.dataTransfer?.types?.includes('Files')) return;
+    e.preventDefault();
+    dragDepth.current += 1;
+    setDragging(true);
+  };
+
+  const handleDragLeave = () => {
+    dragDepth.current = Math.max(0, dragDepth.current - 1);
+    if (dragDepth.current === 0) setDragging(false);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    dragDepth.current = 0;
+    setDragging(false);
+    handleFiles(e.dataTransfer?.files);
+  };
+
+  return (
+    <div
+      className="relative"
+      onDragEnter={handleDragEnter}
+      onDragOver={(e) => e.preventDefault()}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+      onPaste={handlePaste}
+    >
+      {children}
+
+      <div className="flex items-center gap-2 mt-2">
+        <button
+          type="button"
+          onClick={() => fileInputRef.current?.click()}
+          className="flex items-center gap-1 px-2 py-1 text-xs bg-white border border-indigo-200 text-indigo-700 rounded-md hover:bg-indigo-50"
+        >
+          <Upload size={12} />
+          {t('dataImport.button')}
+        </button>
+        <span className="text-[11px] text-gray-500">{t('dataImport.hint')}</span>
+        <input
+          ref={fileInputRef}
+          type="file"
+          multiple
+          accept={IMPORT_ACCEPT}
+          className="hidden"
+          onChange={(e) => {
+            handleFiles(e.target.files);
+            e.target.value = '';
+          }}
+        />
+      </div>
+
+      {dragging && (
+        <div className="absolute inset-0 rounded-lg border-2 border-dashed border-indigo-400 bg-indigo-50/90 flex flex-col items-center justify-center text-indigo-700 pointer-events-none">
+          <Upload size={24} />
+          <span className="text-sm font-medium mt-1">{t('dataImport.drop')}</span>
+        </div>
+      )}
+
+      <dialog
+        ref={pickerRef}
+        onClose={() => setPending(null)}
+        className="rounded-xl shadow-2xl backdrop:bg-black/30 backdrop:backdrop-blur-sm border border-gray-200 p-0 w-full max-w-lg"
+      >
+        <div className="p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-bold text-gray-800">{t('dataImport.choose')}</h3>
+            <button onClick={() => pickerRef.current?.close()} className="text-gray-400 hover:text-gray-600">✕</button>
+          </div>
+          <div className="space-y-2 max-h-96 overflow-y-auto">
+            {pending?.tables.map((table, i) => (
+              <button
+                key={i}
+                onClick={() => choose(table)}
+                className="w-full text-left p-3 rounded-lg border border-gray-200 hover:border-indigo-300 hover:bg-indigo-50"
+              >
+                <div className="flex items-center gap-2 text-sm font-medium text-gray-800">
+                  <Table size={14} className="text-indigo-600" />
+                  <span className="truncate">{table.name}</span>
+                  <span className="ml-auto text-xs font-normal text-gray-500 shrink-0">{t('dataImport.tableSize', {
+                    rows: Math.max(table.rows.length - 1, 0),
+                    columns: Math.max((table.rows[0]?.length ?? 1) - 1, 0),
+                  })}</span>
+                </div>
+                <p className="mt-1 text-[11px] font-mono text-gray-500 truncate">
+                  {table.rows.slice(0, 3).map((row) => row.join(' | ')).join(' / ')}
+                </p>
+              </button>
+            ))}
+          </div>
+        </div>
+      </dialog>
+
+      <dialog
+        ref={harnessRef}
+        onClose={() => setHarnessRuns(null)}
+        className="rounded-xl shadow-2xl backdrop:bg-black/30 backdrop:backdrop-blur-sm border border-gray-200 p-0 w-full max-w-2xl"
+      >
+        <HarnessImport runs={harnessRuns} dialogRef={harnessRef} onImport={onImport} />
+      </dialog>
+    </div>
+  );
+}
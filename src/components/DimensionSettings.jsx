@@ -0,0 +1,251 @@
+import React from 'react';
+import { Ruler, GripVertical, Shuffle, RotateCcw } from 'lucide-react';
+import { NORMALIZATION_MODES } from '../lib/scale';
+import useDragReorder from '../hooks/useDragReorder';
+import useI18n from '../hooks/useI18n';
+
+const parseOffset = (text) => {
+  const value = parseFloat(text);
+  return Number.isFinite(value) && value !== 0 ? value : undefined;
+};
+
+const parseBound = (text) => {
+  if (text === '') return undefined;
+  const value = parseFloat(text);
+  return Number.isFinite(value) ? value : undefined;
+};
+
+/**
+ * 维度设置：每个维度独立的范围、单位、反向刻度与分组，全局归一化方式，
+ * 以及维度的排列顺序 (拖动或按相关性自动排列)
+ */
+export default function DimensionSettings({
+  ranges,
+  models,
+  dimensionConfig,
+  onDimensionChange,
+  normalization,
+  onNormalizationChange,
+  baselineModel,
+  onBaselineChange,
+  integerTicks,
+  onIntegerTicksChange,
+  showAxisTicks,
+  onShowAxisTicksChange,
+  dataGroups = {},
+  onReorder,
+  onAutoOrder,
+  onResetOrder,
+  customOrder = false,
+  groupSectors,
+  onGroupSectorsChange,
+  labelWrap,
+  onLabelWrapChange,
+}) {
+  const t = useI18n();
+  const perAxis = normalization === 'none';
+  const drag = useDragReorder(onReorder);
+  const mode = NORMALIZATION_MODES.find((m) => m.id === normalization);
+
+  return (
+    <section className="bg-gradient-to-br from-emerald-50 to-teal-50 p-4 rounded-xl border border-emerald-100">
+      <div className="flex items-center gap-2 mb-3 text-emerald-700 font-semibold">
+        <Ruler size={18} />
+        <h2>{t('dimensions.title')}</h2>
+      </div>
+
+      <div className="space-y-3">
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">{t('dimensions.normalization')}</label>
+          <select
+            value={normalization}
+            onChange={(e) => onNormalizationChange(e.target.value)}
+            className="w-full p-2 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+          >
+            {NORMALIZATION_MODES.map((m) => <option key={m.id} value={m.id}>{t.option('normalization', m)}</option>)}
+          </select>
+          {mode && (
+            <p className="text-[11px] text-gray-500 mt-1">
+              {t('dimensions.normalizationHint', { desc: t.option('normalization', mode, 'desc') })}
+            </p>
+          )}
+        </div>
+
+        {normalization === 'baseline' && (
+          <div>
+            <label className="block text-xs font-medium text-gray-700 mb-1">{t('dimensions.baseline')}</label>
+            <select
+              value={baselineModel || ''}
+              onChange={(e) => onBaselineChange(e.target.value)}
+              className="w-full p-2 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+            >
+              {models.map((m) => <option key={m} value={m}>{m}</option>)}
+            </select>
+          </div>
+        )}
+
+        <div className="space-y-2">
+          <p className="text-[11px] text-gray-500">
+            {perAxis ? t('dimensions.rangeHint') : t('dimensions.normalizedHint')}
+          </p>
+          <div className="flex items-center gap-2">
+            <button
+              type="button"
+              onClick={onAutoOrder}
+              className="flex items-center gap-1 px-2 py-1 text-xs bg-white border border-emerald-200 text-emerald-700 rounded-md hover:bg-emerald-50"
+              title={t('dimensions.autoOrderHint')}
+            >
+              <Shuffle size={12} />
+              {t('dimensions.autoOrder')}
+            </button>
+            <button
+              type="button"
+              onClick={onResetOrder}
+              disabled={!customOrder}
+              className="flex items-center gap-1 px-2 py-1 text-xs bg-white border border-gray-200 text-gray-600 rounded-md hover:bg-gray-50 disabled:opacity-50"
+            >
+              <RotateCcw size={12} />
+              {t('dimensions.resetOrder')}
+            </button>
+          </div>
+          {ranges.map((range, index) => {
+            const config = dimensionConfig[range.subject] || {};
+            return (
+              <div
+                key={range.subject}
+                {...drag.rowProps(index)}
+                className={`bg-white/60 p-2 rounded-lg border ${drag.isOver(index) ? 'border-emerald-400' : 'border-transparent'} ${
+                  drag.isDragging(index) ? 'opacity-50' : ''
+                }`}
+              >
+                <div className="flex items-center gap-2">
+                  <span
+                    {...drag.handleProps(index, range.subject)}
+                    className="text-gray-400 cursor-grab active:cursor-grabbing"
+                    title={t('dimensions.dragHint')}
+                  >
+                    <GripVertical size={14} />
+                  </span>
+                  <span className="text-xs font-medium text-gray-700 truncate flex-1" title={range.subject}>{range.subject}</span>
+                  <label className="flex items-center gap-1 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={!!config.reverse}
+                      onChange={(e) => onDimensionChange(range.subject, { reverse: e.target.checked })}
+                      className="rounded accent-emerald-600"
+                    />
+                    <span className="text-[11px] text-gray-600">{t('dimensions.reverse')}</span>
+                  </label>
+                </div>
+                <div className="grid grid-cols-4 gap-1 mt-1">
+                  <input
+                    type="number"
+                    value={config.min ?? ''}
+                    placeholder={perAxis ? `${range.auto?.min ?? ''}` : '—'}
+                    disabled={!perAxis}
+                    step={integerTicks ? 1 : 0.1}
+                    onChange={(e) => onDimensionChange(range.subject, { min: parseBound(e.target.value) })}
+                    className="w-full p-1 text-xs border border-gray-300 rounded disabled:bg-gray-100"
+                    title={t('dimensions.min')}
+                  />
+                  <input
+                    type="number"
+                    value={config.max ?? ''}
+                    placeholder={perAxis ? `${range.auto?.max ?? ''}` : '—'}
+                    disabled={!perAxis}
+                    step={integerTicks ? 1 : 0.1}
+                    onChange={(e) => onDimensionChange(range.subject, { max: parseBound(e.target.value) })}
+                    className="w-full p-1 text-xs border border-gray-300 rounded disabled:bg-gray-100"
+                    title={t('dimensions.max')}
+                  />
+                  <input
+                    type="text"
+                    value={config.unit || ''}
+                    placeholder={t('dimensions.unit')}
+                    onChange={(e) => onDimensionChange(range.subject, { unit: e.target.value })}
+                    className="w-full p-1 text-xs border border-gray-300 rounded"
+                  />
+                  <input
+                    type="text"
+                    value={config.group || ''}
+                    placeholder={dataGroups[range.subject] || t('dimensions.group')}
+                    onChange={(e) => onDimensionChange(range.subject, { group: e.target.value })}
+                    className="w-full p-1 text-xs border border-gray-300 rounded"
+                    title={t('dimensions.groupHint')}
+                  />
+                </div>
+                <div className="grid grid-cols-4 gap-1 mt-1">
+                  <input
+                    type="text"
+                    value={config.label || ''}
+                    placeholder={t('dimensions.label')}
+                    onChange={(e) => onDimensionChange(range.subject, { label: e.target.value })}
+                    className="col-span-2 w-full p-1 text-xs border border-gray-300 rounded"
+                    title={t('dimensions.labelHint')}
+                  />
+                  <input
+                    type="number"
+                    value={config.labelDx ?? ''}
+                    placeholder="← →"
+                    onChange={(e) => onDimensionChange(range.subject, { labelDx: parseOffset(e.target.value) })}
+                    className="w-full p-1 text-xs border border-gray-300 rounded"
+                    title={t('dimensions.labelDx')}
+                  />
+                  <input
+                    type="number"
+                    value={config.labelDy ?? ''}
+                    placeholder="↑ ↓"
+                    onChange={(e) => onDimensionChange(range.subject, { labelDy: parseOffset(e.target.value) })}
+                    className="w-full p-1 text-xs border border-gray-300 rounded"
+                    title={t('dimensions.labelDy')}
+                  />
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="flex items-center gap-4">
+          <label className="flex items-center gap-2 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={integerTicks}
+              onChange={(e) => onIntegerTicksChange(e.target.checked)}
+              className="rounded accent-indigo-600 focus:ring-indigo-500"
+            />
+            <span className="text-xs text-gray-700">{t('dimensions.integerTicks')}</span>
+          </label>
+          <label className="flex items-center gap-2 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={showAxisTicks}
+              onChange={(e) => onShowAxisTicksChange(e.target.checked)}
+              className="rounded accent-indigo-600 focus:ring-indigo-500"
+            />
+            <span className="text-xs text-gray-700">{t('dimensions.axisTicks')}</span>
+          </label>
+        </div>
+        <label className="flex items-center gap-2 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={groupSectors}
+            onChange={(e) => onGroupSectorsChange(e.target.checked)}
+            className="rounded accent-indigo-600 focus:ring-indigo-500"
+          />
+          <span className="text-xs text-gray-700">{t('dimensions.groupSectors')}</span>
+        </label>
+        <div className="flex items-center gap-2">
+          <label className="text-xs text-gray-700 shrink-0">{t('dimensions.labelWrap')}</label>
+          <select
+            value={labelWrap}
+            onChange={(e) => onLabelWrapChange(Number(e.target.value))}
+            className="flex-1 p-1 text-xs border border-gray-300 rounded"
+          >
+            <option value={0}>{t('dimensions.noWrap')}</option>
+            {[8, 12, 16, 20, 24, 32].map((n) => <option key={n} value={n}>{t('dimensions.wrapChars', { count: n })}</option>)}
+          </select>
+        </div>
+      </div>
+    </section>
+  );
+}
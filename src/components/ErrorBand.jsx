@@ -0,0 +1,28 @@
+import React from 'react';
+import SvgTree from './SvgTree';
+import { errorBand } from '../lib/draw/layers';
+
+/**
+ * 误差带：作为 <Radar shape> 使用，dataKey 返回 [下限, 上限] 的半径比例，
+ * recharts 据此给出外圈 points 与内圈 baseLinePoints。
+ */
+export default function ErrorBand({
+  points = [],
+  baseLinePoints = [],
+  color,
+  fillOpacity,
+  showBand,
+  whiskers,
+  strokeWidth,
+}) {
+  const pairs = points
+    .map((outer, i) => ({ outer, inner: baseLinePoints[i] }))
+    .filter(({ outer }) => outer && Array.isArray(outer.value));
+  return (
+    <SvgTree
+      node={errorBand(pairs, {
+        color, fillOpacity, showBand, whiskers, strokeWidth,
+      })}
+    />
+  );
+}
@@ -0,0 +1,116 @@
+import React from 'react';
+import {
+  SIZE_PRESETS, SIZE_UNITS, DPI_PRESETS, convertLength, devicePixels, resolveExportSize, roundLength,
+} from '../lib/export/size';
+import useI18n from '../hooks/useI18n';
+
+/**
+ * 导出模态框中的物理尺寸与 DPI 设置
+ */
+export default function ExportSizeSettings({ size, onChange, dpi, onDpiChange, showDpi, previewRect }) {
+  const t = useI18n();
+  const target = previewRect ? resolveExportSize(size, previewRect) : null;
+
+  const selectPreset = (id) => {
+    const preset = SIZE_PRESETS.find((p) => p.id === id);
+    if (preset.width) {
+      onChange({ preset: id, width: preset.width, height: preset.height, unit: preset.unit });
+    } else if (id === 'custom' && target) {
+      // 从当前尺寸开始自定义
+      onChange({ preset: id, width: target.width, height: target.height, unit: target.unit });
+    } else {
+      onChange({ ...size, preset: id });
+    }
+  };
+
+  const changeUnit = (unit) => {
+    const convert = (v) => roundLength(convertLength(v, size.unit, unit), unit);
+    onChange({ ...size, unit, width: convert(size.width), height: convert(size.height) });
+  };
+
+  const changeLength = (key, value) => {
+    onChange({ ...size, preset: 'custom', [key]: Number(value) });
+  };
+
+  const inputClass = 'w-full p-2 text-sm border border-gray-300 rounded-md disabled:bg-gray-50 disabled:text-gray-400';
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">{t('exportSize.title')}</label>
+        <select
+          value={size.preset}
+          onChange={(e) => selectPreset(e.target.value)}
+          className="w-full p-2 text-sm border border-gray-300 rounded-md"
+        >
+          {SIZE_PRESETS.map((p) => <option key={p.id} value={p.id}>{t.option('sizePresets', p)}</option>)}
+        </select>
+        <div className="grid grid-cols-[1fr_auto_1fr_auto] items-center gap-2 mt-2">
+          <input
+            type="number" min="1" step="any"
+            value={size.preset === 'preview' ? target?.width ?? '' : size.width}
+            disabled={size.preset === 'preview'}
+            onChange={(e) => changeLength('width', e.target.value)}
+            className={inputClass}
+            aria-label={t('exportSize.width')}
+          />
+          <span className="text-gray-400 text-sm">×</span>
+          <input
+            type="number" min="1" step="any"
+            value={size.preset === 'preview' ? target?.height ?? '' : size.height}
+            disabled={size.preset === 'preview'}
+            onChange={(e) => changeLength('height', e.target.value)}
+            className={inputClass}
+            aria-label={t('exportSize.height')}
+          />
+          <select
+            value={size.unit}
+            onChange={(e) => changeUnit(e.target.value)}
+            className="p-2 text-sm border border-gray-300 rounded-md"
+          >
+            {Object.keys(SIZE_UNITS).map((unit) => <option key={unit} value={unit}>{unit}</option>)}
+          </select>
+        </div>
+      </div>
+
+      {showDpi && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">{t('exportSize.dpi')}</label>
+          <div className="flex gap-2">
+            {DPI_PRESETS.map((value) => (
+              <button
+                key={value}
+                onClick={() => onDpiChange(value)}
+                className={`flex-1 py-2 text-sm rounded-md ${
+                  dpi === value
+                    ? 'bg-indigo-600 text-white'
+                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                {value}
+              </button>
+            ))}
+            <input
+              type="number" min="72" max="2400"
+              value={dpi}
+              onChange={(e) => onDpiChange(Number(e.target.value) || 0)}
+              className="w-20 p-2 text-sm border border-gray-300 rounded-md"
+              aria-label={t('exportSize.customDpi')}
+            />
+          </div>
+        </div>
+      )}
+
+      {target && (
+        <p className="text-xs text-gray-500">
+          {t('exportSize.output', { width: target.width, height: target.height, unit: target.unit })}
+          {showDpi && dpi > 0 && ` @ ${t('exportSize.pixels', {
+            dpi,
+            width: devicePixels(target.width, target.unit, dpi),
+            height: devicePixels(target.height, target.unit, dpi),
+          })}`}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,12 @@
+import React from 'react';
+import SvgTree, { chartGeometry } from './SvgTree';
+import { groupSectors } from '../lib/draw/layers';
+
+/**
+ * 维度分组的背景扇区与分组标题，通过 <Customized /> 挂在网格之下，绘制见 lib/draw/layers
+ */
+export default function GroupSectors({ angleAxisMap, data = [], ...options }) {
+  const geometry = chartGeometry(angleAxisMap, data);
+  if (!geometry) return null;
+  return <SvgTree node={groupSectors(geometry, data, options)} />;
+}
@@ -0,0 +1,128 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { FileText } from 'lucide-react';
+import { HARNESS_FORMATS, collectTasks, harnessToRows } from '../lib/importers';
+import { rowsToText } from '../lib/parse';
+import useI18n from '../hooks/useI18n';
+
+/**
+ * 评测结果导入：每个文件一个模型 (默认沿用文件名)，逐任务选择使用的指标
+ */
+export default function HarnessImport({ runs, dialogRef, onImport }) {
+  const t = useI18n();
+  const [names, setNames] = useState({});
+  const [selection, setSelection] = useState({}); // { [task]: { include, metric } }
+  const [percent, setPercent] = useState(true);
+  const [stderr, setStderr] = useState(false);
+  const [showSubtasks, setShowSubtasks] = useState(false);
+
+  const tasks = useMemo(() => collectTasks(runs || []), [runs]);
+
+  useEffect(() => {
+    setNames({});
+    setSelection(Object.fromEntries(tasks.map((item) => [item.task, { include: !item.subtask, metric: item.metrics[0] }])));
+  }, [tasks]);
+
+  if (!runs) return null;
+
+  const visibleTasks = tasks.filter((item) => showSubtasks || !item.subtask);
+  const chosen = tasks
+    .filter((item) => selection[item.task]?.include && (showSubtasks || !item.subtask))
+    .map((item) => ({ task: item.task, label: item.label, metric: selection[item.task].metric }));
+
+  const updateTask = (task, patch) => {
+    setSelection({ ...selection, [task]: { ...selection[task], ...patch } });
+  };
+
+  const apply = () => {
+    const rows = harnessToRows(runs, { names, tasks: chosen, percent, stderr });
+    onImport(rowsToText(rows), { name: t('harness.tableName'), rows });
+    dialogRef.current?.close();
+  };
+
+  return (
+    <div className="p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-bold text-gray-800">{t('harness.title')}</h3>
+        <button onClick={() => dialogRef.current?.close()} className="text-gray-400 hover:text-gray-600">✕</button>
+      </div>
+
+      <h4 className="text-sm font-medium text-gray-700 mb-2">{t('harness.models')}</h4>
+      <div className="space-y-2 max-h-48 overflow-y-auto mb-4">
+        {runs.map((run, i) => (
+          <div key={i} className="flex items-center gap-2 text-xs">
+            <FileText size={14} className="text-indigo-600 shrink-0" />
+            <span className="text-gray-500 truncate w-40" title={run.source}>{run.source}</span>
+            <span className="px-1.5 py-0.5 rounded bg-indigo-100 text-indigo-700 shrink-0">{HARNESS_FORMATS[run.format]}</span>
+            <input
+              type="text"
+              value={names[i] ?? run.name}
+              onChange={(e) => setNames({ ...names, [i]: e.target.value })}
+              className="flex-1 min-w-0 px-2 py-1 border border-gray-300 rounded"
+            />
+            {run.fileModelName && run.fileModelName !== (names[i] ?? run.name) && (
+              <button
+                type="button"
+                onClick={() => setNames({ ...names, [i]: run.fileModelName })}
+                className="text-indigo-600 hover:underline shrink-0"
+                title={t('harness.useFileNameHint')}
+              >
+                {t('harness.useFileName', { name: run.fileModelName })}
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="text-sm font-medium text-gray-700">{t('harness.tasks')}</h4>
+        <div className="flex flex-wrap gap-3 text-xs text-gray-700">
+          <label className="flex items-center gap-1 cursor-pointer">
+            <input type="checkbox" checked={percent} onChange={(e) => setPercent(e.target.checked)} />
+            {t('harness.percent')}
+          </label>
+          <label className="flex items-center gap-1 cursor-pointer">
+            <input type="checkbox" checked={stderr} onChange={(e) => setStderr(e.target.checked)} />
+            {t('harness.stderr')}
+          </label>
+          <label className="flex items-center gap-1 cursor-pointer">
+            <input type="checkbox" checked={showSubtasks} onChange={(e) => setShowSubtasks(e.target.checked)} />
+            {t('harness.subtasks')}
+          </label>
+        </div>
+      </div>
+      <div className="space-y-1 max-h-64 overflow-y-auto border border-gray-200 rounded-lg p-2">
+        {visibleTasks.map((item) => (
+          <div key={item.task} className={`flex items-center gap-2 text-xs ${item.subtask ? 'pl-4' : ''}`}>
+            <input
+              type="checkbox"
+              checked={!!selection[item.task]?.include}
+              onChange={(e) => updateTask(item.task, { include: e.target.checked })}
+            />
+            <span className="flex-1 truncate text-gray-800" title={item.task}>{item.label}</span>
+            <select
+              value={selection[item.task]?.metric ?? item.metrics[0]}
+              onChange={(e) => updateTask(item.task, { metric: e.target.value })}
+              className="px-1 py-0.5 border border-gray-300 rounded max-w-[12rem]"
+            >
+              {item.metrics.map((m) => <option key={m} value={m}>{m}</option>)}
+            </select>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex justify-end mt-4">
+        <button
+          type="button"
+          onClick={apply}
+          disabled={chosen.length === 0}
+          className="px-4 py-2 text-sm bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+        >
+          {t('harness.apply', {
+            models: t('harness.modelCount', { count: runs.length }),
+            tasks: t('harness.taskCount', { count: chosen.length }),
+          })}
+        </button>
+      </div>
+    </div>
+  );
+}
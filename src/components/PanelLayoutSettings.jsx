@@ -0,0 +1,109 @@
+import React from 'react';
+import { LayoutGrid } from 'lucide-react';
+import { PANEL_MODES, LETTER_STYLES, panelLetter } from '../lib/panels';
+import useI18n from '../hooks/useI18n';
+
+/**
+ * 多图排版设置：拆分方式、列数、对照模型、子图编号与标题、刻度是否共用
+ */
+export default function PanelLayoutSettings({ layout, onChange, models, panels, hasGroups }) {
+  const t = useI18n();
+  const mode = PANEL_MODES.find((m) => m.id === layout.mode);
+  const multi = layout.mode !== 'single';
+  const selectClass = 'w-full p-2 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500';
+
+  const setTitle = (key, value) => {
+    const titles = { ...layout.titles };
+    if (value) titles[key] = value;
+    else delete titles[key];
+    onChange({ titles });
+  };
+
+  return (
+    <section className="bg-gradient-to-br from-sky-50 to-blue-50 p-4 rounded-xl border border-sky-100">
+      <div className="flex items-center gap-2 mb-3 text-sky-700 font-semibold">
+        <LayoutGrid size={18} />
+        <h2>{t('panels.title')}</h2>
+      </div>
+
+      <div className="space-y-3">
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">{t('panels.mode')}</label>
+          <select value={layout.mode} onChange={(e) => onChange({ mode: e.target.value })} className={selectClass}>
+            {PANEL_MODES.map((m) => <option key={m.id} value={m.id}>{t.option('panelModes', m)}</option>)}
+          </select>
+          {mode && <p className="text-[11px] text-gray-500 mt-1">{t.option('panelModes', mode, 'desc')}</p>}
+          {layout.mode === 'group' && !hasGroups && (
+            <p className="text-[11px] text-amber-600 mt-1">
+              {t('panels.noGroups')}
+            </p>
+          )}
+        </div>
+
+        {multi && (
+          <>
+            <div className="grid grid-cols-2 gap-2">
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">{t('panels.columns')}</label>
+                <select
+                  value={layout.columns}
+                  onChange={(e) => onChange({ columns: Number(e.target.value) })}
+                  className={selectClass}
+                >
+                  <option value={0}>{t('panels.auto')}</option>
+                  {[1, 2, 3, 4, 5, 6].map((n) => <option key={n} value={n}>{n}</option>)}
+                </select>
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">{t('panels.letters')}</label>
+                <select value={layout.letters} onChange={(e) => onChange({ letters: e.target.value })} className={selectClass}>
+                  {LETTER_STYLES.map((s) => <option key={s.id} value={s.id}>{t.option('letterStyles', s)}</option>)}
+                </select>
+              </div>
+            </div>
+
+            {layout.mode === 'model' && (
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">{t('panels.compareModel')}</label>
+                <select
+                  value={models.includes(layout.compareModel) ? layout.compareModel : ''}
+                  onChange={(e) => onChange({ compareModel: e.target.value })}
+                  className={selectClass}
+                >
+                  <option value="">{t('panels.noCompare')}</option>
+                  {models.map((m) => <option key={m} value={m}>{m}</option>)}
+                </select>
+              </div>
+            )}
+
+            <label className="flex items-center gap-2 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={layout.sharedScale}
+                onChange={(e) => onChange({ sharedScale: e.target.checked })}
+                className="rounded accent-indigo-600 focus:ring-indigo-500"
+              />
+              <span className="text-xs text-gray-700">{t('panels.sharedScale')}</span>
+            </label>
+
+            <div className="space-y-1">
+              <p className="text-xs font-medium text-gray-700">{t('panels.titles')}</p>
+              {panels.map((panel, i) => (
+                <div key={panel.key} className="flex items-center gap-2">
+                  <span className="w-8 text-xs text-gray-500 shrink-0">{panelLetter(i, layout.letters) || i + 1}</span>
+                  <input
+                    type="text"
+                    value={layout.titles[panel.key] ?? ''}
+                    placeholder={panel.defaultTitle}
+                    onChange={(e) => setTitle(panel.key, e.target.value)}
+                    className="flex-1 min-w-0 p-1 text-xs border border-gray-300 rounded"
+                  />
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+    </section>
+  );
+}
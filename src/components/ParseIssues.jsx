@@ -0,0 +1,49 @@
+import React from 'react';
+import { AlertTriangle, Info } from 'lucide-react';
+import useI18n from '../hooks/useI18n';
+
+/**
+ * 数据输入下方的问题列表，点击条目可定位到对应行
+ */
+export default function ParseIssues({ issues, onLocate }) {
+  const t = useI18n();
+  if (!issues || issues.length === 0) return null;
+
+  const errorCount = issues.filter((i) => i.severity === 'error').length;
+
+  return (
+    <div className="mt-3 bg-white/70 border border-amber-200 rounded-lg p-2">
+      <p className="text-xs font-medium text-amber-700 mb-1 flex items-center gap-1">
+        <AlertTriangle size={12} />
+        {[
+          errorCount > 0 && t('issueList.errors', { count: errorCount }),
+          issues.length > errorCount && t('issueList.warnings', { count: issues.length - errorCount }),
+        ].filter(Boolean).join(t('issueList.separator'))}
+      </p>
+      <ul className="max-h-32 overflow-y-auto space-y-0.5">
+        {issues.map((issue, i) => (
+          <li key={i}>
+            <button
+              type="button"
+              onClick={() => onLocate?.(issue)}
+              className={`w-full text-left text-[11px] flex items-start gap-1 px-1 rounded hover:bg-amber-50 ${
+                issue.severity === 'error' ? 'text-red-600' : 'text-amber-700'
+              }`}
+            >
+              {issue.severity === 'error' ? <AlertTriangle size={11} className="mt-0.5 shrink-0" /> : <Info size={11} className="mt-0.5 shrink-0" />}
+              <span>
+                <span className="font-mono">
+                  {issue.column
+                    ? t('issueList.cell', { line: issue.line, column: issue.column })
+                    : t('issueList.line', { line: issue.line })}
+                  {issue.dimension ? ` (${issue.dimension})` : ''}
+                </span>
+                {t('issueList.colon')}{t.issue(issue)}
+              </span>
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,42 @@
+import React, { useState, useEffect, useRef } from 'react';
+import SvgTree from './SvgTree';
+import { plotPanel } from '../lib/draw/plots';
+import { measureText } from '../lib/labels';
+
+/**
+ * 雷达图以外的图表类型在网页预览中的子图：按容器尺寸调用 lib/draw/plots 排版，
+ * 与命令行输出一致；文字宽度用 canvas 测量
+ */
+export default function PlotPanel({
+  type, chart, settings, panel, outerRatio, fontFamily = 'sans-serif',
+}) {
+  const containerRef = useRef(null);
+  const [size, setSize] = useState({ width: 0, height: 0 });
+
+  useEffect(() => {
+    const element = containerRef.current;
+    if (!element) return undefined;
+    const update = () => setSize({ width: element.clientWidth, height: element.clientHeight });
+    update();
+    if (typeof ResizeObserver === 'undefined') return undefined;
+    const observer = new ResizeObserver(update);
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, []);
+
+  const { width, height } = size;
+  return (
+    <div ref={containerRef} className="w-full h-full">
+      {width > 0 && height > 0 && (
+        <svg width={width} height={height} viewBox={`0 0 ${width} ${height}`} xmlns="http://www.w3.org/2000/svg">
+          <SvgTree
+            node={plotPanel(type, chart, settings, panel, { x: 0, y: 0, width, height }, {
+              outerRatio,
+              measure: (text, fontSize, fontWeight) => measureText(text, fontSize, fontFamily, fontWeight),
+            })}
+          />
+        </svg>
+      )}
+    </div>
+  );
+}
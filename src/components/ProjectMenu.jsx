@@ -0,0 +1,101 @@
+import React, { useRef, useState } from 'react';
+import { FilePlus, FolderOpen, Save, Share2, History, Trash2 } from 'lucide-react';
+import { PROJECT_ACCEPT } from '../lib/project';
+import useI18n from '../hooks/useI18n';
+
+/**
+ * 顶栏的项目操作：新建、打开、保存项目文件、复制分享链接，以及自动保存的最近项目
+ */
+export default function ProjectMenu({
+  recent, currentId, onNew, onOpenFile, onSave, onShare, onRestore, onRemove,
+}) {
+  const t = useI18n();
+  const [showRecent, setShowRecent] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const buttonClass = 'flex items-center gap-1.5 px-3 py-2 text-sm text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200';
+
+  const formatTime = (iso) => (iso ? t.date(new Date(iso), { dateStyle: 'medium', timeStyle: 'short' }) : '');
+
+  return (
+    <div className="relative flex items-center gap-2">
+      <button type="button" onClick={onNew} className={buttonClass} title={t('project.newHint')}>
+        <FilePlus size={16} />
+        <span className="hidden xl:inline">{t('project.new')}</span>
+      </button>
+      <button type="button" onClick={() => fileInputRef.current?.click()} className={buttonClass} title={t('project.openHint')}>
+        <FolderOpen size={16} />
+        <span className="hidden xl:inline">{t('project.open')}</span>
+      </button>
+      <button type="button" onClick={onSave} className={buttonClass} title={t('project.saveHint')}>
+        <Save size={16} />
+        <span className="hidden xl:inline">{t('project.save')}</span>
+      </button>
+      <button type="button" onClick={onShare} className={buttonClass} title={t('project.shareHint')}>
+        <Share2 size={16} />
+        <span className="hidden xl:inline">{t('project.share')}</span>
+      </button>
+      <button
+        type="button"
+        onClick={() => setShowRecent((v) => !v)}
+        className={`${buttonClass} ${showRecent ? 'bg-gray-200' : ''}`}
+        title={t('project.recentTitle')}
+        aria-expanded={showRecent}
+      >
+        <History size={16} />
+        <span className="hidden xl:inline">{t('project.recent')}</span>
+      </button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept={PROJECT_ACCEPT}
+        className="hidden"
+        onChange={(e) => {
+          if (e.target.files?.[0]) onOpenFile(e.target.files[0]);
+          e.target.value = '';
+        }}
+      />
+
+      {showRecent && (
+        <div className="absolute right-0 top-full mt-2 w-80 bg-white border border-gray-200 rounded-lg shadow-xl z-20">
+          <p className="px-3 py-2 text-xs text-gray-500 border-b border-gray-100">{t('project.recentHint')}</p>
+          {recent.length === 0 ? (
+            <p className="px-3 py-4 text-sm text-gray-400 text-center">{t('project.noRecent')}</p>
+          ) : (
+            <ul className="max-h-80 overflow-y-auto">
+              {recent.map(({ id, project }) => (
+                <li key={id} className="flex items-center gap-2 px-3 py-2 hover:bg-gray-50">
+                  <button
+                    type="button"
+                    onClick={() => {
+                      onRestore(id);
+                      setShowRecent(false);
+                    }}
+                    className="flex-1 min-w-0 text-left"
+                  >
+                    <span className={`block text-sm truncate ${id === currentId ? 'font-semibold text-indigo-700' : 'text-gray-800'}`}>
+                      {project.name || t('project.untitled')}
+                    </span>
+                    <span className="block text-[11px] text-gray-400">
+                      {id === currentId ? `${t('project.current')} • ` : ''}{formatTime(project.savedAt)}
+                    </span>
+                  </button>
+                  {id !== currentId && (
+                    <button
+                      type="button"
+                      onClick={() => onRemove(id)}
+                      className="p-1 text-gray-400 hover:text-red-500"
+                      title={t('project.remove')}
+                    >
+                      <Trash2 size={14} />
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
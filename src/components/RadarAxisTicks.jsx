@@ -0,0 +1,13 @@
+import React from 'react';
+import SvgTree, { chartGeometry } from './SvgTree';
+import { axisTicks } from '../lib/draw/layers';
+
+/**
+ * 每个维度独立的刻度数字，通过 recharts 的 <Customized /> 挂入图表，
+ * 从图表状态中读取圆心与外半径。
+ */
+export default function RadarAxisTicks({ angleAxisMap, data = [], ...options }) {
+  const geometry = chartGeometry(angleAxisMap, data);
+  if (!geometry) return null;
+  return <SvgTree node={axisTicks(geometry, options)} />;
+}
@@ -0,0 +1,12 @@
+import React from 'react';
+import SvgTree, { chartGeometry } from './SvgTree';
+import { referenceLayers } from '../lib/draw/layers';
+
+/**
+ * 参考线 (轮廓、目标刻度与阈值环)，通过 <Customized /> 挂在模型系列之下或之上，绘制见 lib/draw/layers
+ */
+export default function ReferenceLayers({ angleAxisMap, data = [], ...options }) {
+  const geometry = chartGeometry(angleAxisMap, data);
+  if (!geometry) return null;
+  return <SvgTree node={referenceLayers(geometry, data, options)} />;
+}
@@ -0,0 +1,257 @@
+import React, { useState } from 'react';
+import {
+  Goal, Eye, EyeOff, ChevronDown, ChevronRight, Plus, Trash2, RotateCcw,
+} from 'lucide-react';
+import { REFERENCE_KINDS, REFERENCE_LAYERS } from '../lib/references';
+import { DASH_OPTIONS } from '../lib/series';
+import useI18n from '../hooks/useI18n';
+
+const AUTO = '__auto__';
+
+/**
+ * 参考线设置：画在模型之下或之上，各参考线的画法、颜色、线型、图例与提示框；
+ * 数据中的参考行只能调整样式，手动添加的参考线可逐个维度输入数值。
+ * references 为图表模型的 allReferences (含隐藏的)，subjects 为维度顺序
+ */
+export default function ReferenceSettings({
+  settings, onChange, references, subjects,
+}) {
+  const t = useI18n();
+  const [expanded, setExpanded] = useState(null);
+  const [newName, setNewName] = useState('');
+  const selectClass = 'w-full p-1 text-xs border border-gray-300 rounded focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500';
+  const checkboxClass = 'rounded accent-rose-600 focus:ring-rose-500';
+
+  const setStyle = (name, patch) => onChange({
+    styles: { ...settings.styles, [name]: { ...settings.styles[name], ...patch } },
+  });
+  const setValues = (name, values) => onChange({
+    custom: settings.custom.map((ref) => (ref.name === name ? { ...ref, values } : ref)),
+  });
+  const removeCustom = (name) => {
+    const { [name]: _, ...styles } = settings.styles;
+    onChange({ custom: settings.custom.filter((ref) => ref.name !== name), styles });
+  };
+
+  const name = newName.trim();
+  const taken = references.some((ref) => ref.name === name);
+  const addCustom = () => {
+    if (!name || taken) return;
+    onChange({ custom: [...settings.custom, { name, kind: 'outline', values: {} }] });
+    setExpanded(name);
+    setNewName('');
+  };
+
+  // 数值输入框：留空表示该维度没有参考值
+  const parseInput = (text) => (text.trim() === '' || !Number.isFinite(Number(text)) ? null : Number(text));
+
+  return (
+    <section className="bg-gradient-to-br from-rose-50 to-red-50 p-4 rounded-xl border border-rose-100">
+      <div className="flex items-center gap-2 mb-3 text-rose-700 font-semibold">
+        <Goal size={18} />
+        <h2>{t('references.title')}</h2>
+      </div>
+
+      <div className="space-y-3">
+        <p className="text-[11px] text-gray-500">{t('references.hint')}</p>
+
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">{t('references.layer')}</label>
+          <select
+            value={settings.layer}
+            onChange={(e) => onChange({ layer: e.target.value })}
+            className="w-full p-2 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+          >
+            {REFERENCE_LAYERS.map((l) => <option key={l.id} value={l.id}>{t.option('referenceLayers', l)}</option>)}
+          </select>
+        </div>
+
+        {references.length > 0 && (
+          <ul className="space-y-1">
+            {references.map((ref) => {
+              const own = settings.styles[ref.name] || {};
+              const open = expanded === ref.name;
+              const custom = ref.source === 'custom';
+              return (
+                <li key={ref.name} className="bg-white/60 rounded-lg">
+                  <div className="flex items-center gap-1.5 p-1.5">
+                    <button
+                      type="button"
+                      onClick={() => setStyle(ref.name, { hidden: !ref.hidden })}
+                      className={ref.hidden ? 'text-gray-300 hover:text-gray-500' : 'text-gray-600 hover:text-rose-700'}
+                      title={ref.hidden ? t('references.show') : t('references.hide')}
+                    >
+                      {ref.hidden ? <EyeOff size={14} /> : <Eye size={14} />}
+                    </button>
+                    <input
+                      type="color"
+                      value={ref.color}
+                      onChange={(e) => setStyle(ref.name, { color: e.target.value })}
+                      className="h-6 w-8 shrink-0 rounded cursor-pointer border-0 p-0"
+                      title={t('references.color')}
+                    />
+                    <input
+                      type="text"
+                      value={own.label || ''}
+                      placeholder={ref.name}
+                      onChange={(e) => setStyle(ref.name, { label: e.target.value })}
+                      className={`flex-1 min-w-0 p-1 text-xs border border-gray-300 rounded ${ref.hidden ? 'text-gray-400' : ''}`}
+                      title={t('references.labelHint', { name: ref.name })}
+                    />
+                    <select
+                      value={ref.kind}
+                      onChange={(e) => setStyle(ref.name, { kind: e.target.value })}
+                      className="w-24 shrink-0 p-1 text-xs border border-gray-300 rounded"
+                      title={t('references.kind')}
+                    >
+                      {REFERENCE_KINDS.map((k) => (
+                        <option key={k.id} value={k.id} title={t.option('referenceKinds', k, 'desc')}>
+                          {t.option('referenceKinds', k)}
+                        </option>
+                      ))}
+                    </select>
+                    {custom && (
+                      <button
+                        type="button"
+                        onClick={() => removeCustom(ref.name)}
+                        className="text-gray-400 hover:text-red-600"
+                        title={t('references.remove')}
+                      >
+                        <Trash2 size={14} />
+                      </button>
+                    )}
+                    <button
+                      type="button"
+                      onClick={() => setExpanded(open ? null : ref.name)}
+                      className="text-gray-400 hover:text-gray-700"
+                      title={t('references.styleToggle')}
+                    >
+                      {open ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+                    </button>
+                  </div>
+
+                  {open && (
+                    <div className="space-y-2 px-2 pb-2">
+                      <div className="grid grid-cols-2 gap-2">
+                        <div>
+                          <label className="block text-[11px] text-gray-600 mb-0.5">{t('references.dash')}</label>
+                          <select
+                            value={own.dash ?? AUTO}
+                            onChange={(e) => setStyle(ref.name, { dash: e.target.value === AUTO ? null : e.target.value })}
+                            className={selectClass}
+                          >
+                            <option value={AUTO}>{t('references.auto')}</option>
+                            {DASH_OPTIONS.map((d) => <option key={d.key} value={d.id}>{t.option('dashes', d)}</option>)}
+                          </select>
+                        </div>
+                        <div>
+                          <label className="block text-[11px] text-gray-600 mb-0.5">
+                            {t('references.strokeWidth', { value: ref.strokeWidth })}
+                          </label>
+                          <input
+                            type="range"
+                            min="0.5"
+                            max="4"
+                            step="0.5"
+                            value={ref.strokeWidth}
+                            onChange={(e) => setStyle(ref.name, { strokeWidth: parseFloat(e.target.value) })}
+                            className="w-full accent-rose-600"
+                          />
+                        </div>
+                      </div>
+                      <div className="flex flex-wrap items-center gap-x-4 gap-y-1">
+                        <label className="flex items-center gap-2 cursor-pointer">
+                          <input
+                            type="checkbox"
+                            checked={ref.legend}
+                            onChange={(e) => setStyle(ref.name, { legend: e.target.checked })}
+                            className={checkboxClass}
+                          />
+                          <span className="text-xs text-gray-700">{t('references.legend')}</span>
+                        </label>
+                        <label className="flex items-center gap-2 cursor-pointer">
+                          <input
+                            type="checkbox"
+                            checked={ref.tooltip}
+                            onChange={(e) => setStyle(ref.name, { tooltip: e.target.checked })}
+                            className={checkboxClass}
+                          />
+                          <span className="text-xs text-gray-700">{t('references.tooltip')}</span>
+                        </label>
+                        {own.color && (
+                          <button
+                            type="button"
+                            onClick={() => setStyle(ref.name, { color: '' })}
+                            className="flex items-center gap-1 text-xs text-gray-500 hover:text-gray-700"
+                          >
+                            <RotateCcw size={12} />
+                            {t('references.resetColor')}
+                          </button>
+                        )}
+                      </div>
+
+                      {custom ? (
+                        <div>
+                          <label className="block text-[11px] text-gray-600 mb-0.5">{t('references.values')}</label>
+                          <div className="grid grid-cols-2 gap-1">
+                            {subjects.map((subject) => (
+                              <label key={subject} className="flex items-center gap-1 text-[11px] text-gray-600">
+                                <span className="flex-1 truncate" title={subject}>{subject}</span>
+                                <input
+                                  type="number"
+                                  value={ref.values[subject] ?? ''}
+                                  onChange={(e) => setValues(ref.name, { ...ref.values, [subject]: parseInput(e.target.value) })}
+                                  className="w-16 p-1 text-xs border border-gray-300 rounded"
+                                />
+                              </label>
+                            ))}
+                          </div>
+                          <label className="flex items-center gap-1 mt-1 text-[11px] text-gray-600">
+                            <span className="flex-1">{t('references.fillAll')}</span>
+                            <input
+                              type="number"
+                              onChange={(e) => {
+                                const value = parseInput(e.target.value);
+                                setValues(ref.name, Object.fromEntries(subjects.map((subject) => [subject, value])));
+                              }}
+                              className="w-16 p-1 text-xs border border-gray-300 rounded"
+                            />
+                          </label>
+                        </div>
+                      ) : (
+                        <p className="text-[11px] text-gray-500">{t('references.fromData')}</p>
+                      )}
+                    </div>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+
+        <div className="flex items-center gap-1">
+          <input
+            type="text"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') addCustom();
+            }}
+            placeholder={t('references.newName')}
+            className="flex-1 min-w-0 p-1.5 text-xs border border-gray-300 rounded"
+          />
+          <button
+            type="button"
+            onClick={addCustom}
+            disabled={!name || taken}
+            className="flex items-center gap-1 px-2 py-1.5 text-xs text-rose-700 bg-white border border-rose-200 rounded hover:bg-rose-50 disabled:opacity-40"
+            title={taken ? t('references.nameTaken') : undefined}
+          >
+            <Plus size={12} />
+            {t('references.add')}
+          </button>
+        </div>
+      </div>
+    </section>
+  );
+}
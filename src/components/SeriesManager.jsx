@@ -0,0 +1,211 @@
+import React, { useState } from 'react';
+import {
+  Palette, GripVertical, Eye, EyeOff, Crosshair, ChevronDown, ChevronRight,
+} from 'lucide-react';
+import { DASH_OPTIONS, MARKER_OPTIONS } from '../lib/series';
+import useDragReorder from '../hooks/useDragReorder';
+import useI18n from '../hooks/useI18n';
+
+// 下拉框中表示“跟随配色方案”的值
+const AUTO = 'auto';
+
+/**
+ * 系列管理：显示/隐藏、拖动排序 (同时决定图例顺序与绘制层次)、显示名称、颜色、
+ * 线型、标记、填充透明度，以及突出单个系列的聚焦模式
+ */
+export default function SeriesManager({
+  models,
+  styles,
+  overrides,
+  colorOf,
+  onColorChange,
+  onStyleChange,
+  onReorder,
+  focus,
+  onFocusChange,
+  palette,
+  palettes,
+  onPaletteChange,
+  monochrome,
+  bandModels,
+  hiddenBands,
+  onToggleBand,
+}) {
+  const t = useI18n();
+  const [expanded, setExpanded] = useState(null);
+  const drag = useDragReorder(onReorder);
+  const selectClass = 'w-full p-1 text-xs border border-gray-300 rounded';
+  const activePalette = palettes.find((p) => p.id === palette) || palettes[0];
+
+  const autoValue = (value) => (value == null ? AUTO : value);
+  const fromAuto = (value) => (value === AUTO ? null : value);
+
+  return (
+    <section className="bg-gradient-to-br from-purple-50 to-pink-50 p-4 rounded-xl border border-purple-100">
+      <div className="flex items-center gap-2 mb-3 text-purple-700 font-semibold">
+        <Palette size={18} />
+        <h2>{t('series.title')}</h2>
+      </div>
+
+      <div className="mb-3">
+        <label className="block text-xs font-medium text-gray-700 mb-1">{t('series.palette')}</label>
+        <select
+          value={palette}
+          onChange={(e) => onPaletteChange(e.target.value)}
+          className="w-full p-2 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+        >
+          {palettes.map((p) => <option key={p.id} value={p.id}>{t.option('palettes', p)}</option>)}
+        </select>
+        <div className="flex gap-0.5 mt-1.5">
+          {activePalette.colors.map((c) => (
+            <span key={c} className="flex-1 h-2 rounded-sm" style={{ backgroundColor: c }} />
+          ))}
+        </div>
+        {monochrome && (
+          <p className="text-[11px] text-gray-500 mt-1">{t('series.monochromeHint')}</p>
+        )}
+      </div>
+
+      <p className="text-[11px] text-gray-500 mb-2">{t('series.orderHint')}</p>
+
+      <div className="space-y-1.5">
+        {models.map((model, index) => {
+          const style = styles[model];
+          const own = overrides[model] || {};
+          const open = expanded === model;
+          return (
+            <div
+              key={model}
+              {...drag.rowProps(index)}
+              className={`bg-white/60 rounded-lg border ${drag.isOver(index) ? 'border-purple-400' : 'border-transparent'} ${
+                drag.isDragging(index) ? 'opacity-50' : ''
+              }`}
+            >
+              <div className="flex items-center gap-1.5 p-1.5">
+                <span
+                  {...drag.handleProps(index, model)}
+                  className="text-gray-400 cursor-grab active:cursor-grabbing"
+                  title={t('series.dragHint')}
+                >
+                  <GripVertical size={14} />
+                </span>
+                <button
+                  type="button"
+                  onClick={() => onStyleChange(model, { hidden: !style.hidden })}
+                  className={style.hidden ? 'text-gray-300 hover:text-gray-500' : 'text-gray-600 hover:text-purple-700'}
+                  title={style.hidden ? t('series.show') : t('series.hide')}
+                >
+                  {style.hidden ? <EyeOff size={14} /> : <Eye size={14} />}
+                </button>
+                <input
+                  type="color"
+                  value={colorOf(model)}
+                  onChange={(e) => onColorChange(model, e.target.value)}
+                  className="h-6 w-8 shrink-0 rounded cursor-pointer border-0 p-0"
+                  title={t('series.color')}
+                />
+                <input
+                  type="text"
+                  value={own.label || ''}
+                  placeholder={model}
+                  onChange={(e) => onStyleChange(model, { label: e.target.value })}
+                  className={`flex-1 min-w-0 p-1 text-xs border border-gray-300 rounded ${style.hidden ? 'text-gray-400' : ''}`}
+                  title={t('series.labelHint', { model })}
+                />
+                <button
+                  type="button"
+                  onClick={() => onFocusChange(focus === model ? '' : model)}
+                  className={focus === model ? 'text-purple-700' : 'text-gray-400 hover:text-purple-700'}
+                  title={focus === model ? t('series.unfocus') : t('series.focus')}
+                >
+                  <Crosshair size={14} />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setExpanded(open ? null : model)}
+                  className="text-gray-400 hover:text-gray-700"
+                  title={t('series.styleToggle')}
+                >
+                  {open ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+                </button>
+              </div>
+
+              {open && (
+                <div className="grid grid-cols-2 gap-2 px-2 pb-2">
+                  <div>
+                    <label className="block text-[11px] text-gray-600 mb-0.5">{t('series.dash')}</label>
+                    <select
+                      value={autoValue(own.dash)}
+                      onChange={(e) => onStyleChange(model, { dash: fromAuto(e.target.value) })}
+                      className={selectClass}
+                    >
+                      <option value={AUTO}>{t('series.auto')}</option>
+                      {DASH_OPTIONS.map((d) => <option key={d.key} value={d.id}>{t.option('dashes', d)}</option>)}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-[11px] text-gray-600 mb-0.5">{t('series.marker')}</label>
+                    <select
+                      value={autoValue(own.marker)}
+                      onChange={(e) => onStyleChange(model, { marker: fromAuto(e.target.value) })}
+                      className={selectClass}
+                    >
+                      <option value={AUTO}>{t('series.auto')}</option>
+                      {MARKER_OPTIONS.map((m) => <option key={m.id} value={m.id}>{t.option('markers', m)}</option>)}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-[11px] text-gray-600 mb-0.5">{t('series.markerSize', { value: style.markerSize })}</label>
+                    <input
+                      type="range"
+                      min="1"
+                      max="8"
+                      step="0.5"
+                      value={style.markerSize}
+                      onChange={(e) => onStyleChange(model, { markerSize: parseFloat(e.target.value) })}
+                      className="w-full accent-purple-600"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-[11px] text-gray-600 mb-0.5">{t('series.fillOpacity', { value: style.fillOpacity })}</label>
+                    <input
+                      type="range"
+                      min="0"
+                      max="1"
+                      step="0.05"
+                      value={style.fillOpacity}
+                      onChange={(e) => onStyleChange(model, { fillOpacity: parseFloat(e.target.value) })}
+                      className="w-full accent-purple-600"
+                    />
+                  </div>
+                  <div className="col-span-2 flex items-center justify-between">
+                    {bandModels.includes(model) ? (
+                      <label className="flex items-center gap-1 cursor-pointer" title={t('series.bandHint')}>
+                        <input
+                          type="checkbox"
+                          checked={!hiddenBands[model]}
+                          onChange={(e) => onToggleBand(model, e.target.checked)}
+                          className="rounded accent-purple-600"
+                        />
+                        <span className="text-xs text-gray-500">{t('series.band')}</span>
+                      </label>
+                    ) : <span />}
+                    <button
+                      type="button"
+                      onClick={() => onStyleChange(model, {
+                        dash: null, marker: null, markerSize: null, fillOpacity: null,
+                      })}
+                      className="text-[11px] text-gray-500 hover:text-purple-700"
+                    >
+                      {t('series.resetStyle')}
+                    </button>
+                  </div>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,27 @@
+import React from 'react';
+import SvgTree from './SvgTree';
+import { marker, legendSwatch, referenceSwatch } from '../lib/draw/markers';
+
+/**
+ * 数据点标记：灰度模式下各系列用不同形状区分。
+ * 可直接作为 <Radar dot> 使用，recharts 会传入 cx / cy。
+ */
+export default function SeriesMarker({
+  cx, cy, r, shape, fill, stroke, strokeWidth,
+}) {
+  return <SvgTree node={marker({ cx, cy, r, shape, fill, stroke, strokeWidth })} />;
+}
+
+/**
+ * 图例图标：线型 + 标记，坐标系为 recharts 图例的 32 × 32
+ */
+export function LegendSwatch({ color, dash, marker: shape }) {
+  return <SvgTree node={legendSwatch({ color, dash, marker: shape })} />;
+}
+
+/**
+ * 参考线的图例图标，按画法区分 (轮廓、阈值环、目标刻度)
+ */
+export function ReferenceSwatch({ kind, color, dash }) {
+  return <SvgTree node={referenceSwatch({ kind, color, dash })} />;
+}
@@ -0,0 +1,145 @@
+import React from 'react';
+import {
+  Sigma, ChevronDown, ChevronRight, ArrowUp, ArrowDown, ArrowUpDown, AlertTriangle, Download,
+} from 'lucide-react';
+import { STAT_COLUMNS, sortStatistics } from '../lib/stats';
+import useI18n from '../hooks/useI18n';
+
+/**
+ * 预览区下方的汇总统计：各模型的平均值、归一化平均值、平均排名、领先维度数、多边形面积与对基线的胜负。
+ * 点击表头排序，再次点击反向；stats 为 lib/stats 的 summaryStatistics，随数据与设置实时更新。
+ * statistics 为设置中的 { show, baseline, sort, descending }
+ */
+export default function StatisticsPanel({
+  stats, statistics, onChange, models, seriesLabel, decimals, onExportCsv,
+}) {
+  const t = useI18n();
+  const rows = sortStatistics(stats.rows, statistics.sort, statistics.descending);
+
+  const sortBy = (column) => {
+    if (column.id === statistics.sort) onChange({ descending: !statistics.descending });
+    // 第一次点击时最好的排在前面
+    else onChange({ sort: column.id, descending: !column.lowerIsBetter && column.id !== 'model' });
+  };
+
+  const cell = (row, id) => {
+    switch (id) {
+      case 'model':
+        return row.label;
+      case 'mean':
+      case 'meanRank':
+        return t.fixed(row[id], decimals);
+      case 'normalizedMean':
+        return t.fixed(row[id], 3);
+      case 'area':
+        return row.area === null ? '—' : t.number(row.area, { style: 'percent', maximumFractionDigits: 1 });
+      case 'wins':
+        return t('statistics.winsOf', { wins: row.wins, count: stats.dimensions });
+      case 'versus':
+        return row.versus
+          ? t('statistics.versusCell', row.versus)
+          : <span className="text-gray-400">{t('statistics.isBaseline')}</span>;
+      default:
+        return '';
+    }
+  };
+
+  const sortIcon = (column) => {
+    if (column.id !== statistics.sort) return <ArrowUpDown size={11} className="text-gray-300" />;
+    return statistics.descending ? <ArrowDown size={11} /> : <ArrowUp size={11} />;
+  };
+
+  return (
+    <section className="w-full max-w-5xl bg-white/80 rounded-xl border border-gray-200 shadow-sm">
+      <div className="flex items-center justify-between gap-2 px-4 py-3">
+        <button
+          type="button"
+          onClick={() => onChange({ show: !statistics.show })}
+          className="flex items-center gap-2 text-gray-700 font-semibold"
+          aria-expanded={statistics.show}
+        >
+          {statistics.show ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+          <Sigma size={18} />
+          <h2>{t('statistics.title')}</h2>
+        </button>
+        {statistics.show && (
+          <div className="flex items-center gap-2">
+            <label className="flex items-center gap-1 text-xs text-gray-600">
+              {t('statistics.baseline')}
+              <select
+                value={stats.baseline}
+                onChange={(e) => onChange({ baseline: e.target.value })}
+                className="p-1 text-xs border border-gray-300 rounded"
+              >
+                {models.map((m) => <option key={m} value={m}>{seriesLabel(m)}</option>)}
+              </select>
+            </label>
+            <button
+              type="button"
+              onClick={onExportCsv}
+              disabled={stats.rows.length === 0}
+              className="flex items-center gap-1 px-2 py-1 text-xs text-gray-700 bg-gray-100 rounded hover:bg-gray-200 disabled:opacity-40"
+            >
+              <Download size={12} />
+              {t('statistics.exportCsv')}
+            </button>
+          </div>
+        )}
+      </div>
+
+      {statistics.show && (
+        <div className="px-4 pb-4">
+          <div className="overflow-x-auto">
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="border-b border-gray-200 text-gray-600">
+                  {STAT_COLUMNS.map((column) => (
+                    <th
+                      key={column.id}
+                      scope="col"
+                      className={`py-1.5 px-2 font-medium ${column.id === 'model' ? 'text-left' : 'text-right'}`}
+                      aria-sort={column.id === statistics.sort ? (statistics.descending ? 'descending' : 'ascending') : undefined}
+                    >
+                      <button
+                        type="button"
+                        onClick={() => sortBy(column)}
+                        className={`inline-flex items-center gap-1 hover:text-gray-900 ${column.id === 'model' ? '' : 'flex-row-reverse'}`}
+                        title={t.option('statColumns', column, 'desc')}
+                      >
+                        {sortIcon(column)}
+                        {column.id === 'versus'
+                          ? t('statistics.versusHeader', { name: seriesLabel(stats.baseline) })
+                          : t.option('statColumns', column)}
+                        {column.id === 'area' && <AlertTriangle size={11} className="text-amber-500" />}
+                      </button>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row) => (
+                  <tr key={row.model} className="border-b border-gray-100 last:border-0">
+                    {STAT_COLUMNS.map((column) => (column.id === 'model' ? (
+                      <th key={column.id} scope="row" className="py-1.5 px-2 text-left font-medium text-gray-800">
+                        {cell(row, column.id)}
+                      </th>
+                    ) : (
+                      <td key={column.id} className="py-1.5 px-2 text-right tabular-nums text-gray-700">
+                        {cell(row, column.id)}
+                      </td>
+                    )))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="flex items-start gap-1 text-[11px] text-amber-700 mt-2">
+            <AlertTriangle size={12} className="shrink-0 mt-0.5" />
+            {t('statistics.areaWarning')}
+          </p>
+          <p className="text-[11px] text-gray-500 mt-1">{t('statistics.hint')}</p>
+        </div>
+      )}
+    </section>
+  );
+}
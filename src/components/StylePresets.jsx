@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import { BookOpen, Trash2, Save } from 'lucide-react';
+import { STYLE_PRESETS, getPalette, toPt } from '../lib/styles';
+import useI18n from '../hooks/useI18n';
+
+/**
+ * 期刊样式预设：一次设置字体、字号、线宽、图幅与配色；当前样式可另存为自定义预设
+ */
+export default function StylePresets({ userPresets, onApply, onSave, onRemove }) {
+  const t = useI18n();
+  const [name, setName] = useState('');
+
+  const formatPt = (px) => `${t.number(toPt(px), { maximumFractionDigits: 1 })} pt`;
+
+  const save = () => {
+    if (!name.trim()) return;
+    onSave(name.trim());
+    setName('');
+  };
+
+  const renderPreset = (preset) => (
+    <div key={preset.id} className="relative group">
+      <button
+        type="button"
+        onClick={() => onApply(preset)}
+        className="w-full h-full text-left p-2 bg-white border border-gray-200 rounded-lg hover:border-indigo-400 hover:bg-indigo-50/50"
+        title={t('stylePresets.details', {
+          size: `${preset.size.width} × ${preset.size.height} ${preset.size.unit}`,
+          fontSize: formatPt(preset.fontSize),
+          strokeWidth: formatPt(preset.strokeWidth),
+        })}
+      >
+        <span className="block text-sm font-medium text-gray-800 truncate pr-4">{t.option('stylePresets', preset)}</span>
+        <span className="block text-[11px] text-gray-500 truncate">
+          {t.option('stylePresets', preset, 'desc')
+            || t('stylePresets.summary', {
+              size: `${preset.size.width} × ${preset.size.height} ${preset.size.unit}`,
+              fontSize: formatPt(preset.fontSize),
+            })}
+        </span>
+        <span className="flex gap-0.5 mt-1">
+          {getPalette(preset.palette).colors.slice(0, 6).map((c) => (
+            <span key={c} className="w-3 h-1.5 rounded-sm" style={{ backgroundColor: c }} />
+          ))}
+        </span>
+      </button>
+      {preset.user && (
+        <button
+          type="button"
+          onClick={() => onRemove(preset.id)}
+          className="absolute top-1.5 right-1.5 p-0.5 text-gray-300 hover:text-red-500"
+          title={t('stylePresets.remove')}
+        >
+          <Trash2 size={12} />
+        </button>
+      )}
+    </div>
+  );
+
+  return (
+    <section className="bg-gradient-to-br from-amber-50 to-orange-50 p-4 rounded-xl border border-amber-100">
+      <div className="flex items-center gap-2 mb-3 text-amber-700 font-semibold">
+        <BookOpen size={18} />
+        <h2>{t('stylePresets.title')}</h2>
+      </div>
+      <p className="text-[11px] text-gray-500 mb-2">
+        {t('stylePresets.hint')}
+      </p>
+      <div className="grid grid-cols-2 gap-2">
+        {STYLE_PRESETS.map(renderPreset)}
+        {userPresets.map(renderPreset)}
+      </div>
+      <div className="flex gap-2 mt-3">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && save()}
+          placeholder={t('stylePresets.saveAs')}
+          className="flex-1 min-w-0 p-2 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
+        />
+        <button
+          type="button"
+          onClick={save}
+          disabled={!name.trim()}
+          className="flex items-center gap-1 px-3 py-2 text-sm bg-amber-600 text-white rounded-md hover:bg-amber-700 disabled:opacity-50"
+        >
+          <Save size={14} />
+          {t('stylePresets.save')}
+        </button>
+      </div>
+    </section>
+  );
+}
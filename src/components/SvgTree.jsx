@@ -0,0 +1,43 @@
+import React from 'react';
+import { axisAngle } from '../lib/geometry';
+
+// SVG 属性名 → React 属性名 (stroke-width → strokeWidth)，aria-* 与 data-* 保持原样
+const propName = (name) => {
+  if (name === 'class') return 'className';
+  if (/^(aria|data)-/.test(name)) return name;
+  return name.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+};
+
+const toReact = (node, key) => {
+  if (node.name === '#text') return node.text;
+  const props = { key };
+  Object.entries(node.attrs).forEach(([name, value]) => {
+    props[propName(name)] = value;
+  });
+  return React.createElement(node.name, props, ...node.children.map((child, i) => toReact(child, i)));
+};
+
+/**
+ * 渲染 lib/draw 生成的元素树
+ */
+export default function SvgTree({ node }) {
+  return node ? toReact(node) : null;
+}
+
+/**
+ * 从 <Customized /> 收到的图表状态中取出 lib/draw 图层所需的 geometry；图表尚未排版时返回 null
+ */
+export const chartGeometry = (angleAxisMap, data = []) => {
+  const angleAxis = angleAxisMap && Object.values(angleAxisMap)[0];
+  if (!angleAxis) return null;
+  const { cx, cy, outerRadius, scale } = angleAxis;
+  return {
+    cx,
+    cy,
+    outerRadius,
+    angleOf: (subject, index) => {
+      const scaled = scale ? scale(subject) : NaN;
+      return Number.isFinite(scaled) ? scaled : axisAngle(index, data.length);
+    },
+  };
+};
@@ -0,0 +1,18 @@
+import React from 'react';
+import SvgTree, { chartGeometry } from './SvgTree';
+import { valueLabels } from '../lib/draw/layers';
+
+/**
+ * 顶点数值标注，通过 <Customized /> 挂入图表，绘制见 lib/draw/layers
+ */
+export default function ValueLabels({
+  angleAxisMap,
+  data = [],
+  width,
+  height,
+  ...options
+}) {
+  const geometry = chartGeometry(angleAxisMap, data);
+  if (!geometry) return null;
+  return <SvgTree node={valueLabels(geometry, data, { ...options, bounds: { x: 0, y: 0, width, height } })} />;
+}
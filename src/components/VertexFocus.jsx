@@ -0,0 +1,33 @@
+import React from 'react';
+import { chartGeometry } from './SvgTree';
+import { polarToCartesian } from '../lib/geometry';
+
+/**
+ * 键盘浏览时当前顶点的焦点环，通过 <Customized /> 挂入雷达图；缺失值的顶点画在圆心
+ */
+export default function VertexFocus({
+  angleAxisMap,
+  data = [],
+  model,
+  subject,
+  color,
+  radius = 8,
+  outline = '#fff',
+}) {
+  const geometry = chartGeometry(angleAxisMap, data);
+  const index = data.findIndex((point) => point.subject === subject);
+  if (!geometry || index < 0) return null;
+  const ratio = data[index][model];
+  const { x, y } = polarToCartesian(
+    geometry.cx,
+    geometry.cy,
+    (Number.isFinite(ratio) ? ratio : 0) * geometry.outerRadius,
+    geometry.angleOf(subject, index),
+  );
+  return (
+    <g pointerEvents="none">
+      <circle cx={x} cy={y} r={radius + 2} fill="none" stroke={outline} strokeWidth={4} />
+      <circle cx={x} cy={y} r={radius} fill="none" stroke={color} strokeWidth={2} />
+    </g>
+  );
+}
@@ -0,0 +1,45 @@
+import { useState } from 'react';
+
+/**
+ * 列表拖动排序：rowProps(index) 放在每一行上接收拖放，handleProps(index) 放在拖动手柄上。
+ * 松开时调用 onReorder(from, to)。
+ */
+export default function useDragReorder(onReorder) {
+  const [dragIndex, setDragIndex] = useState(null);
+  const [overIndex, setOverIndex] = useState(null);
+
+  const end = () => {
+    setDragIndex(null);
+    setOverIndex(null);
+  };
+
+  const rowProps = (index) => ({
+    onDragOver: (e) => {
+      if (dragIndex === null) return;
+      e.preventDefault();
+      setOverIndex(index);
+    },
+    onDrop: (e) => {
+      e.preventDefault();
+      if (dragIndex !== null) onReorder(dragIndex, index);
+      end();
+    },
+  });
+
+  const handleProps = (index, id) => ({
+    draggable: true,
+    onDragStart: (e) => {
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', id);
+      setDragIndex(index);
+    },
+    onDragEnd: end,
+  });
+
+  return {
+    rowProps,
+    handleProps,
+    isDragging: (index) => dragIndex === index,
+    isOver: (index) => overIndex === index && dragIndex !== index,
+  };
+}
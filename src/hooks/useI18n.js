@@ -0,0 +1,11 @@
+import { createContext, useContext } from 'react';
+import { createTranslator, DEFAULT_LOCALE } from '../lib/i18n';
+
+/**
+ * 界面语言：SciRadar 通过 I18nContext.Provider 提供翻译函数，各组件用 useI18n() 取得 t
+ */
+export const I18nContext = createContext(createTranslator(DEFAULT_LOCALE));
+
+export default function useI18n() {
+  return useContext(I18nContext);
+}
@@ -0,0 +1,131 @@
+/**
+ * 数值标注：顶点数值、各维度最优模型、相对基线模型的差值，以及标签的防重叠布局
+ */
+
+export const LABEL_MODES = [
+  { id: 'none', name: '不显示' },
+  { id: 'all', name: '所有顶点' },
+  { id: 'best', name: '仅各维度最优' },
+];
+
+export const BEST_MARKERS = [
+  { id: 'none', name: '不标记' },
+  { id: 'bold', name: '数值加粗' },
+  { id: 'star', name: '星形标记' },
+  { id: 'both', name: '加粗 + 星形' },
+];
+
+export const DELTA_MODES = [
+  { id: 'absolute', name: '差值' },
+  { id: 'relative', name: '相对变化 (%)' },
+];
+
+const isValue = (v) => typeof v === 'number' && Number.isFinite(v);
+
+export const formatValue = (value, decimals = 2) => (isValue(value) ? value.toFixed(decimals) : '—');
+
+/**
+ * 每个维度的最优模型：{subject: [model]}，并列时全部列出；
+ * reverseOf(subject) 为 true 时数值越小越好
+ */
+export const bestModels = (chartData, models, reverseOf = () => false) => {
+  const best = {};
+  (chartData || []).forEach((point) => {
+    const values = models.filter((m) => isValue(point[m])).map((m) => point[m]);
+    if (values.length === 0) return;
+    const target = reverseOf(point.subject) ? Math.min(...values) : Math.max(...values);
+    best[point.subject] = models.filter((m) => point[m] === target);
+  });
+  return best;
+};
+
+// 相对变化以基线绝对值为分母，基线为 0 时无意义
+export const valueDelta = (value, baseline, mode = 'absolute') => {
+  if (!isValue(value) || !isValue(baseline)) return null;
+  if (mode === 'relative') return baseline === 0 ? null : ((value - baseline) / Math.abs(baseline)) * 100;
+  return value - baseline;
+};
+
+/** 各维度上 model 相对 baseline 的差值：{subject: delta} */
+export const deltaValues = (chartData, model, baseline, mode = 'absolute') => {
+  const deltas = {};
+  if (!model || !baseline || model === baseline) return deltas;
+  (chartData || []).forEach((point) => {
+    const delta = valueDelta(point[model], point[baseline], mode);
+    if (delta !== null) deltas[point.subject] = delta;
+  });
+  return deltas;
+};
+
+// 只用 ASCII 符号，文本模式导出 EPS / PDF 时不受字体限制
+export const formatDelta = (delta, decimals = 1, mode = 'absolute') => {
+  if (!isValue(delta)) return '';
+  const text = Math.abs(delta).toFixed(decimals);
+  const sign = Number(text) === 0 ? '' : delta > 0 ? '+' : '-';
+  return `${sign}${text}${mode === 'relative' ? '%' : ''}`;
+};
+
+// 没有字体度量时的近似宽度，数字与拉丁字母约为字号的 0.6 倍，全角字符为 1 倍
+export const estimateTextWidth = (text, fontSize) =>
+  [...String(text)].reduce((sum, ch) => sum + (/[^\u0000-\u00ff]/.test(ch) ? 1 : 0.6), 0) * fontSize;
+
+const overlap = (a, b, gap) => ({
+  x: (a.width + b.width) / 2 + gap - Math.abs(a.x - b.x),
+  y: (a.height + b.height) / 2 + gap - Math.abs(a.y - b.y),
+});
+
+/**
+ * 标签防重叠：labels 为 [{x, y, width, height}]，(x, y) 为期望的中心位置。
+ * 反复把两两重叠的标签沿重叠较小的方向推开，最后限制在 bounds 之内。
+ * 返回同顺序的新数组，附带 moved 表示偏离期望位置的距离。
+ */
+export const placeLabels = (labels, { bounds = null, gap = 1, iterations = 60 } = {}) => {
+  const placed = labels.map((label) => ({ ...label }));
+
+  const clamp = (label) => {
+    if (!bounds) return;
+    label.x = Math.min(Math.max(label.x, bounds.x + label.width / 2), bounds.x + bounds.width - label.width / 2);
+    label.y = Math.min(Math.max(label.y, bounds.y + label.height / 2), bounds.y + bounds.height - label.height / 2);
+  };
+
+  for (let pass = 0; pass < iterations; pass++) {
+    let moved = false;
+    for (let i = 0; i < placed.length; i++) {
+      for (let j = i + 1; j < placed.length; j++) {
+        const a = placed[i];
+        const b = placed[j];
+        const o = overlap(a, b, gap);
+        if (o.x <= 0 || o.y <= 0) continue;
+        moved = true;
+        // 位置完全相同时靠后的标签向下移
+        if (o.y <= o.x) {
+          const dir = b.y >= a.y ? 1 : -1;
+          a.y -= (dir * o.y) / 2;
+          b.y += (dir * o.y) / 2;
+        } else {
+          const dir = b.x >= a.x ? 1 : -1;
+          a.x -= (dir * o.x) / 2;
+          b.x += (dir * o.x) / 2;
+        }
+        clamp(a);
+        clamp(b);
+      }
+    }
+    if (!moved) break;
+  }
+
+  return placed.map((label, i) => ({
+    ...label,
+    moved: Math.hypot(label.x - labels[i].x, label.y - labels[i].y),
+  }));
+};
+
+/** 五角星路径，用于标记各维度最优的顶点 */
+export const starPath = (cx, cy, r) => {
+  const points = Array.from({ length: 10 }, (_, i) => {
+    const radius = i % 2 === 0 ? r : r * 0.45;
+    const angle = (Math.PI / 5) * i - Math.PI / 2;
+    return `${cx + Math.cos(angle) * radius},${cy + Math.sin(angle) * radius}`;
+  });
+  return `M${points.join('L')}Z`;
+};
@@ -0,0 +1,123 @@
+/**
+ * 画布：配色主题、背景、留白、外半径与图例排布
+ *
+ * 网页预览、命令行渲染、LaTeX 与代码导出都从这里取颜色和图例位置，各格式保持一致。
+ * 设置中的 canvas 选项见 lib/project 的 DEFAULT_SETTINGS。
+ */
+
+// text 为标题，label 为维度名称，tick 为刻度数字，grid 为网格，axis 为坐标轴线，
+// ink 为图例文字与误差线，muted 为页脚与差值说明，divider 为页脚分隔线，
+// frame 为图例边框，missing 为热力图的缺失值
+export const THEMES = [
+  {
+    id: 'light',
+    name: '浅色',
+    colors: {
+      background: '#ffffff',
+      text: '#1e293b',
+      label: '#475569',
+      tick: '#94a3b8',
+      grid: '#e2e8f0',
+      axis: '#94a3b8',
+      ink: '#334155',
+      muted: '#6b7280',
+      divider: '#f3f4f6',
+      frame: '#cbd5e1',
+      missing: '#f8fafc',
+    },
+  },
+  {
+    // 投影与深色幻灯片
+    id: 'dark',
+    name: '深色',
+    colors: {
+      background: '#0f172a',
+      text: '#f1f5f9',
+      label: '#cbd5e1',
+      tick: '#64748b',
+      grid: '#334155',
+      axis: '#64748b',
+      ink: '#e2e8f0',
+      muted: '#94a3b8',
+      divider: '#1e293b',
+      frame: '#475569',
+      missing: '#1e293b',
+    },
+  },
+];
+
+export const LEGEND_POSITIONS = [
+  { id: 'bottom', name: '下方' },
+  { id: 'top', name: '上方' },
+  { id: 'left', name: '左侧' },
+  { id: 'right', name: '右侧' },
+  { id: 'inside', name: '图内右上角' },
+];
+
+// 图例与图表、图例项之间的间距 (Tailwind 的 gap-x-4、pt-4)；边框的内边距 (px-2 py-1)
+export const LEGEND_GAP = 16;
+export const LEGEND_FRAME_PADDING = { x: 8, y: 4 };
+
+export const getTheme = (id) => THEMES.find((t) => t.id === id) || THEMES[0];
+
+/**
+ * 按画布设置取图中各部分的颜色。背景透明时 background 为 null；
+ * surface 为数据点描边等“挖空”用的颜色，透明时取主题背景色
+ */
+export const canvasColors = ({ canvas }) => {
+  const { colors } = getTheme(canvas.theme);
+  const background = canvas.transparent ? null : canvas.background || colors.background;
+  const axis = canvas.axisColor ? { axis: canvas.axisColor, label: canvas.axisColor, tick: canvas.axisColor } : {};
+  return {
+    ...colors,
+    ...axis,
+    grid: canvas.gridColor || colors.grid,
+    background,
+    surface: background || colors.background,
+  };
+};
+
+/** 雷达图与玫瑰图的外半径占绘图区的比例；设置为 0 时自动 (单图 0.8，多图 0.7) */
+export const outerRatio = ({ canvas }, multiPanel) => canvas.outerRadius || (multiPanel ? 0.7 : 0.8);
+
+// 左右两侧与图内的图例竖排
+export const isVerticalLegend = (position) => ['left', 'right', 'inside'].includes(position);
+
+/**
+ * 图例排布。items 为 [{ width, ... }]；columns 为 0 时，上下方的图例依次排开、超出 maxWidth 时换行
+ * (各行居中)，竖排的图例每项一行；columns 大于 0 时按列对齐，列宽取最宽的一项。
+ * 返回 { rows: [{ items: [{ ...item, x }], width }], width }，x 相对于图例左边缘
+ */
+export const layoutLegend = (items, { position = 'bottom', columns = 0, maxWidth = Infinity, gap = LEGEND_GAP }) => {
+  const count = columns || (isVerticalLegend(position) ? 1 : 0);
+  const rows = [];
+  if (count > 0) {
+    const columnWidth = Math.max(0, ...items.map((item) => item.width));
+    for (let i = 0; i < items.length; i += count) {
+      const chunk = items.slice(i, i + count);
+      rows.push({
+        items: chunk.map((item, c) => ({ ...item, x: c * (columnWidth + gap) })),
+        width: chunk.length * columnWidth + (chunk.length - 1) * gap,
+      });
+    }
+  } else {
+    items.forEach((item) => {
+      const row = rows[rows.length - 1];
+      if (row && row.width + gap + item.width <= maxWidth) {
+        row.items.push({ ...item, x: row.width + gap });
+        row.width += gap + item.width;
+      } else {
+        rows.push({ items: [{ ...item, x: 0 }], width: item.width });
+      }
+    });
+  }
+  const width = Math.max(0, ...rows.map((row) => row.width));
+  // 自由排开时各行居中
+  if (count === 0) {
+    rows.forEach((row) => {
+      const shift = (width - row.width) / 2;
+      row.items = row.items.map((item) => ({ ...item, x: item.x + shift }));
+    });
+  }
+  return { rows, width };
+};
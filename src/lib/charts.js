@@ -0,0 +1,17 @@
+/**
+ * 图表类型：同一份数据 (模型 × 维度) 的其他画法，共用刻度换算、系列样式与多图排版
+ */
+
+export const CHART_TYPES = [
+  { id: 'radar', name: '雷达图', desc: '每个模型一个多边形，各维度使用自己的刻度' },
+  { id: 'parallel', name: '平行坐标', desc: '每个维度一根竖轴，模型为穿过各轴的折线' },
+  { id: 'bar', name: '分组柱状图', desc: '按维度分组，柱高按各维度的刻度换算' },
+  { id: 'barh', name: '横向条形图', desc: '分组柱状图横置，维度名称较长时更易读' },
+  { id: 'heatmap', name: '热力图', desc: '行为模型、列为维度，颜色按各维度的刻度换算并标注数值' },
+  { id: 'polarBar', name: '南丁格尔玫瑰图', desc: '每个维度一个扇区，各模型的扇形半径按刻度换算' },
+];
+
+// 画系列图例的类型；热力图的颜色表示数值，不画系列图例
+export const SERIES_LEGEND_TYPES = ['radar', 'parallel', 'bar', 'barh', 'polarBar'];
+
+export const chartTypeOf = (id) => CHART_TYPES.find((type) => type.id === id) || CHART_TYPES[0];
@@ -0,0 +1,67 @@
+/**
+ * 图表的文字描述，供屏幕阅读器与导出 SVG 的 <title> / <desc> 使用。
+ * t 为 lib/i18n 的翻译函数：网页上按界面语言朗读，导出文件按图中文字语言书写。
+ */
+import { chartTypeOf } from './charts.js';
+import { formatInterval } from './scale.js';
+import { plainLabel } from './labels.js';
+
+// 摘要中最多列出的领先模型数
+const MAX_LEADERS = 3;
+
+/** 各模型领先 (含并列) 的维度数，按从多到少排列：[{ model, wins }] */
+export const leaderCounts = (chart) => chart.visibleModels
+  .map((model) => ({
+    model,
+    wins: Object.values(chart.bestByDimension).filter((best) => best.includes(model)).length,
+  }))
+  .filter((entry) => entry.wins > 0)
+  .sort((a, b) => b.wins - a.wins);
+
+/**
+ * 自动生成的图表摘要，例如 "雷达图：3 个模型在 5 个维度上的比较。MemVR 在 5 个维度中的 4 个上领先。"
+ */
+export const chartSummary = (chart, settings, t) => {
+  const total = Object.keys(chart.bestByDimension).length;
+  if (chart.visibleModels.length === 0 || total === 0) return t('a11y.noData');
+  const sentences = [t('a11y.overview', {
+    type: t.option('chartTypes', chartTypeOf(settings.chartType)),
+    models: t('a11y.models', { count: chart.visibleModels.length }),
+    dimensions: t('a11y.dimensions', { count: (chart.chartData || []).length }),
+  })];
+  leaderCounts(chart).slice(0, MAX_LEADERS).forEach(({ model, wins }, i) => {
+    sentences.push(t(i === 0 ? 'a11y.leads' : 'a11y.alsoLeads', {
+      name: plainLabel(chart.seriesLabel(model)),
+      wins,
+      count: total,
+    }));
+  });
+  return sentences.join(t('a11y.sentenceSeparator'));
+};
+
+/** 某一系列在某一维度上的原始数值 (含误差与单位)，缺失时为 — */
+export const formatVertexValue = (chart, settings, model, point, t) => {
+  const raw = point[model];
+  if (typeof raw !== 'number') return t.fixed(null);
+  const format = (v) => t.fixed(v, settings.annotations.decimals);
+  const interval = point.uncertainty?.[model];
+  const unit = settings.dimensionConfig[point.subject]?.unit;
+  return [format(raw), interval && formatInterval(interval, format), unit].filter(Boolean).join(' ');
+};
+
+/**
+ * 键盘浏览时朗读的一个顶点："MemVR，POPE：86.3 (第 2/5 个维度，该维度最优)"
+ */
+export const describeVertex = (chart, settings, model, subject, t) => {
+  const points = chart.chartData || [];
+  const index = points.findIndex((p) => p.subject === subject);
+  if (index < 0) return '';
+  const point = points[index];
+  return t('a11y.vertex', {
+    name: plainLabel(chart.seriesLabel(model)),
+    dimension: plainLabel(chart.formatAxisLabel(subject)),
+    value: formatVertexValue(chart, settings, model, point, t),
+    position: t('a11y.position', { index: index + 1, count: points.length }),
+    best: chart.bestByDimension[subject]?.includes(model) ? t('a11y.bestSuffix') : '',
+  });
+};
@@ -0,0 +1,436 @@
+/**
+ * 整张图的独立 SVG：标题、雷达图 (或多图网格)、图例、差值说明与页脚。
+ * 不依赖浏览器，供命令行渲染使用；排版按网页预览卡片的 CSS 换算，
+ * 网格与系列多边形按 recharts 的画法绘制，叠加图层与网页共用 layers.js。
+ */
+import { h } from './tree.js';
+import {
+  legendSwatch, legendRect, referenceSwatch, seriesDots,
+} from './markers.js';
+import {
+  groupSectors, axisLabels, axisTicks, errorBand, valueLabels, referenceLayers,
+} from './layers.js';
+import { polarToCartesian, axisAngle } from '../geometry.js';
+import { estimateTextWidth } from '../annotations.js';
+import { radiusTicks } from '../model.js';
+import { panelLetter } from '../panels.js';
+import { MUTED_OPACITY } from '../series.js';
+import { chartTypeOf, SERIES_LEGEND_TYPES } from '../charts.js';
+import { plotPanel } from './plots.js';
+import { figureTranslator, latinTranslator, DEFAULT_LOCALE } from '../i18n/index.js';
+import { chartSummary } from '../describe.js';
+import {
+  canvasColors, outerRatio, layoutLegend, LEGEND_GAP, LEGEND_FRAME_PADDING,
+} from '../canvas.js';
+
+// 预览卡片中的间距 (Tailwind 的 mb-6 等)，单位为 CSS 像素；卡片留白取画布设置
+const TITLE_GAP = 24;
+const LINE_HEIGHT = 1.5;
+const CHART_MARGIN = 5;
+const PANEL_GAP = { x: 24, y: 16 };
+
+// 文字基线：行框垂直居中处再下移约 0.35em，与 export/svg.js 对 HTML 文字的换算一致
+const baseline = (top, lineHeight, fontSize) => top + lineHeight / 2 + fontSize * 0.35;
+
+// 按宽度把单词排成若干行
+const wrapWords = (text, maxWidth, width) => {
+  const lines = [];
+  String(text).split(/\s+/).filter(Boolean).forEach((word) => {
+    const last = lines[lines.length - 1];
+    if (last && width(`${last} ${word}`) <= maxWidth) lines[lines.length - 1] = `${last} ${word}`;
+    else lines.push(word);
+  });
+  return lines;
+};
+
+// recharts Polygon 的路径：缺失值把多边形断开，connectNulls 时跳过缺失值
+const polygonPath = (points, connectNulls) => {
+  const valid = (p) => p && Number.isFinite(p.x) && Number.isFinite(p.y);
+  let segments = [[]];
+  points.forEach((p) => {
+    if (valid(p)) segments[segments.length - 1].push(p);
+    else if (segments[segments.length - 1].length > 0) segments.push([]);
+  });
+  if (valid(points[0])) segments[segments.length - 1].push(points[0]);
+  if (segments[segments.length - 1].length === 0) segments = segments.slice(0, -1);
+  if (connectNulls) segments = [segments.flat()];
+  const d = segments.map((seg) => seg.map((p, i) => `${i ? 'L' : 'M'}${p.x},${p.y}`).join('')).join('');
+  return segments.length === 1 ? `${d}Z` : d;
+};
+
+/**
+ * 单张雷达图，box 为 ResponsiveContainer 所占的区域 { x, y, width, height }
+ */
+const radarPanel = (chart, settings, panel, box, { outerRatio, measure }) => {
+  const {
+    fontSize, opacity, strokeWidth, showDots, gridType, connectNulls, dimensionConfig, labelWrap,
+    groupSectors: showSectors, integerTicks, showAxisTicks, hiddenBands, showWhiskers, annotations,
+  } = settings;
+  const colors = canvasColors(settings);
+  const { data } = panel;
+  const plotWidth = box.width - CHART_MARGIN * 2;
+  const plotHeight = box.height - CHART_MARGIN * 2;
+  const geometry = {
+    cx: box.x + CHART_MARGIN + plotWidth / 2,
+    cy: box.y + CHART_MARGIN + plotHeight / 2,
+    outerRadius: (Math.max(0, Math.min(plotWidth, plotHeight)) / 2) * outerRatio,
+    angleOf: (subject, index) => axisAngle(index, data.length),
+  };
+  const { cx, cy, outerRadius } = geometry;
+  if (data.length === 0 || outerRadius <= 0) return null;
+
+  const angles = data.map((point, i) => geometry.angleOf(point.subject, i));
+  const at = (ratio, i) => (typeof ratio === 'number' && Number.isFinite(ratio)
+    ? polarToCartesian(cx, cy, ratio * outerRadius, angles[i])
+    : null);
+
+  // 网格：先画轴线，再画同心多边形 (或圆)
+  const radii = radiusTicks(panel.ranges).map((t) => t * outerRadius);
+  const grid = h(
+    'g',
+    { class: 'sciradar-grid', stroke: colors.grid, fill: 'none' },
+    angles.map((angle) => {
+      const end = polarToCartesian(cx, cy, outerRadius, angle);
+      return h('line', {
+        x1: cx, y1: cy, x2: end.x, y2: end.y,
+      });
+    }),
+    radii.map((r) => (gridType === 'circle'
+      ? h('circle', { cx, cy, r })
+      : h('path', {
+        d: `${angles.map((angle, i) => {
+          const p = polarToCartesian(cx, cy, r, angle);
+          return `${i ? 'L' : 'M'}${p.x},${p.y}`;
+        }).join('')}Z`,
+      }))),
+  );
+
+  const bands = chart.bandModels
+    .filter((model) => panel.models.includes(model) && (!hiddenBands[model] || showWhiskers))
+    .map((model) => errorBand(
+      data.map((point, i) => {
+        const band = point.band[model];
+        return band ? { outer: at(band[1], i), inner: at(band[0], i) } : { outer: null, inner: null };
+      }),
+      {
+        color: chart.seriesColor(model),
+        fillOpacity: Math.min(0.5, opacity + 0.1),
+        showBand: !hiddenBands[model],
+        whiskers: showWhiskers,
+        strokeWidth,
+      },
+    ));
+
+  const series = chart.drawOrder(panel.models).map((model) => {
+    const style = chart.seriesStyles[model];
+    const color = chart.seriesColor(model);
+    // 聚焦模式下其余系列淡化且不画数据点
+    const muted = !!chart.activeFocus && model !== chart.activeFocus;
+    const points = data.map((point, i) => at(point[model], i));
+    const d = polygonPath(points, connectNulls);
+    return h(
+      'g',
+      { class: 'sciradar-series' },
+      h('path', {
+        d,
+        stroke: color,
+        'stroke-width': strokeWidth,
+        'stroke-opacity': muted ? MUTED_OPACITY : null,
+        'stroke-dasharray': style.dash || null,
+        fill: d.endsWith('Z') ? color : 'none',
+        'fill-opacity': muted ? style.fillOpacity * MUTED_OPACITY : style.fillOpacity,
+      }),
+      seriesDots(points, { style, color, muted }, { showDots, strokeWidth, outline: colors.surface }),
+    );
+  });
+
+  const showValues = annotations.labels !== 'none' || annotations.best !== 'none' || chart.showDeltas;
+  const references = referenceLayers(geometry, data, { references: chart.references, fontSize: Math.max(6, fontSize - 2) });
+  const above = chart.referenceLayer === 'above';
+
+  return h(
+    'g',
+    { class: 'sciradar-radar' },
+    showSectors && chart.groupNames.length > 0 && groupSectors(geometry, data, {
+      groupOf: chart.groupOf, colorOf: chart.groupColor, sectorShape: gridType, fontSize,
+    }),
+    grid,
+    axisLabels(geometry, data, {
+      labelOf: chart.formatAxisLabel,
+      offsetOf: (subject) => ({ dx: dimensionConfig[subject]?.labelDx, dy: dimensionConfig[subject]?.labelDy }),
+      wrap: labelWrap,
+      fontSize,
+      color: colors.label,
+      bounds: box,
+      measure: (text, size) => measure(text, size, 500),
+    }),
+    showAxisTicks && axisTicks(geometry, {
+      ranges: panel.ranges, shared: panel.shared, fontSize: fontSize - 2, integerTicks, color: colors.tick,
+    }),
+    !above && references,
+    bands,
+    series,
+    above && references,
+    showValues && valueLabels(geometry, data, {
+      series: panel.models
+        .filter((model) => !chart.activeFocus || model === chart.activeFocus)
+        .map((model) => ({ model, color: chart.seriesColor(model) })),
+      labelMode: annotations.labels,
+      decimals: annotations.decimals,
+      best: chart.bestByDimension,
+      bestMarker: annotations.best,
+      deltaModel: chart.deltaModel,
+      deltas: chart.deltas,
+      deltaMode: annotations.deltaMode,
+      fontSize: Math.max(6, fontSize - 2),
+      markerSize: 3 + strokeWidth / 2,
+      outline: colors.surface,
+      bounds: box,
+    }),
+  );
+};
+
+/**
+ * 生成整张图的元素树。chart 为 buildChartModel 的结果，settings 为项目设置。
+ * options: { width, height: CSS 像素；size: 根元素的 { width, height } 属性 (如 '89mm')；
+ *   fontFamily；footer: 是否画页脚，默认取画布设置的 showFooter；date；locale: settings.figureLocale 为 auto 时页脚与描述使用的语言；
+ *   background: 默认取画布设置，null 为透明；measure(text, fontSize, fontWeight)；
+ *   latin: 用 PDF / EPS 标准字体书写时为 true，页脚等生成的文字含中文时改用英文 }
+ */
+export const renderFigure = (chart, settings, {
+  width,
+  height,
+  size = null,
+  fontFamily = 'sans-serif',
+  footer = null,
+  date = new Date(),
+  locale = DEFAULT_LOCALE,
+  background = canvasColors(settings).background,
+  measure = (text, fontSize) => estimateTextWidth(text, fontSize),
+  latin = false,
+}) => {
+  const {
+    title, fontSize, panels: panelLayout, annotations, canvas,
+  } = settings;
+  const type = chartTypeOf(settings.chartType).id;
+  const figureT = figureTranslator(settings.figureLocale, locale);
+  const t = latin ? latinTranslator(figureT) : figureT;
+  const colors = canvasColors(settings);
+  const drawPanel = (panel, box, options) => (type === 'radar'
+    ? radarPanel(chart, settings, panel, box, options)
+    : plotPanel(type, chart, settings, panel, box, options));
+  const margin = canvas.margin;
+  const left = margin;
+  const contentWidth = width - margin * 2;
+  const children = [];
+  let top = margin;
+  let bottom = height - margin;
+
+  // 标题
+  if (title && canvas.showTitle) {
+    const titleSize = fontSize + 6;
+    const lineHeight = titleSize * LINE_HEIGHT;
+    wrapWords(title, contentWidth, (text) => measure(text, titleSize, 700)).forEach((line) => {
+      children.push(h('text', {
+        x: width / 2,
+        y: baseline(top, lineHeight, titleSize),
+        'text-anchor': 'middle',
+        'font-size': titleSize,
+        'font-weight': 700,
+        fill: colors.text,
+      }, line));
+      top += lineHeight;
+    });
+    top += TITLE_GAP;
+  }
+
+  // 自下而上：页脚、差值说明
+  if (footer ?? canvas.showFooter) {
+    const footerSize = 12;
+    const lineHeight = 16;
+    // 分隔符用 Latin-1 的 ·，PDF 标准字体才能直接书写
+    const stamp = `SciRadar · ${t.date(date)}`;
+    const counts = `${t('figure.models', { count: chart.models.length })} · ${t('figure.dimensions', { count: chart.dimensionNames.length })}`;
+    // 左右两段放不下时分两行，左段在上
+    const fits = measure(stamp, footerSize, 400) + measure(counts, footerSize, 400) + 16 <= contentWidth;
+    const lines = fits ? [[stamp, counts]] : [[stamp, null], [null, counts]];
+    lines.reverse().forEach(([start, end]) => {
+      bottom -= lineHeight;
+      const attrs = { y: baseline(bottom, lineHeight, footerSize), 'font-size': footerSize, fill: colors.muted };
+      if (start) children.push(h('text', { ...attrs, x: left }, start));
+      if (end) children.push(h('text', { ...attrs, x: width - margin, 'text-anchor': 'end' }, end));
+    });
+    bottom -= 16;
+    children.push(h('line', {
+      x1: left, y1: bottom, x2: width - margin, y2: bottom, stroke: colors.divider, 'stroke-width': 1,
+    }));
+    bottom -= 1 + 16;
+  }
+
+  if (chart.showDeltas) {
+    const captionSize = Math.max(6, fontSize - 2);
+    const lineHeight = captionSize * LINE_HEIGHT;
+    bottom -= lineHeight;
+    const caption = annotations.deltaMode === 'relative' ? 'figure.deltaRelative' : 'figure.deltaAbsolute';
+    children.push(h('text', {
+      x: width / 2,
+      y: baseline(bottom, lineHeight, captionSize),
+      'text-anchor': 'middle',
+      'font-size': captionSize,
+      fill: colors.muted,
+    }, t(caption, { model: chart.seriesLabel(chart.deltaModel), baseline: chart.seriesLabel(chart.deltaBaseline) })));
+    bottom -= 8;
+  }
+
+  // 图例：图标 (32 × 32 坐标系缩放到 fontSize + 4) + 名称；雷达图的名称使用系列颜色，参考线排在系列之后。
+  // 位置见画布设置，上下左右的图例占用图表区域，图内的图例叠在右上角；热力图不画系列图例
+  const area = {
+    x: left, y: top, width: contentWidth, height: bottom - top,
+  };
+  const legendSettings = canvas.legend;
+  const legendReferences = type === 'radar' ? chart.references.filter((ref) => ref.legend) : [];
+  if (SERIES_LEGEND_TYPES.includes(type) && chart.visibleModels.length + legendReferences.length > 0) {
+    const iconSize = fontSize + 4;
+    const rowHeight = fontSize * LINE_HEIGHT;
+    // 边框：1 px 线加内边距
+    const pad = legendSettings.frame
+      ? { x: LEGEND_FRAME_PADDING.x + 1, y: LEGEND_FRAME_PADDING.y + 1 }
+      : { x: 0, y: 0 };
+    const entries = [
+      ...chart.visibleModels.map((model) => ({ model, label: chart.seriesLabel(model) })),
+      ...legendReferences.map((reference) => ({ reference, label: reference.label || reference.name })),
+    ];
+    const { rows, width: rowsWidth } = layoutLegend(entries.map((entry) => ({
+      ...entry, width: iconSize + 4 + measure(entry.label, fontSize, 400),
+    })), {
+      position: legendSettings.position,
+      columns: legendSettings.columns,
+      maxWidth: contentWidth - pad.x * 2,
+    });
+    const legendWidth = rowsWidth + pad.x * 2;
+    const legendHeight = rows.length * rowHeight + pad.y * 2;
+
+    let x = area.x + (area.width - legendWidth) / 2;
+    let y = area.y + area.height - legendHeight;
+    switch (legendSettings.position) {
+      case 'top':
+        y = area.y;
+        area.y += legendHeight + LEGEND_GAP;
+        area.height -= legendHeight + LEGEND_GAP;
+        break;
+      case 'left':
+        x = area.x;
+        y = area.y + (area.height - legendHeight) / 2;
+        area.x += legendWidth + LEGEND_GAP;
+        area.width -= legendWidth + LEGEND_GAP;
+        break;
+      case 'right':
+        x = area.x + area.width - legendWidth;
+        y = area.y + (area.height - legendHeight) / 2;
+        area.width -= legendWidth + LEGEND_GAP;
+        break;
+      case 'inside':
+        x = area.x + area.width - legendWidth;
+        y = area.y;
+        break;
+      default:
+        area.height -= legendHeight + LEGEND_GAP;
+    }
+
+    const legendIcon = ({ model, reference }) => {
+      if (reference) return referenceSwatch(reference);
+      return chart.seriesStyles[model].custom
+        ? legendSwatch({
+        color: chart.seriesColor(model),
+        dash: chart.seriesStyles[model].dash,
+          marker: chart.seriesStyles[model].marker,
+        })
+        : legendRect(chart.seriesColor(model));
+    };
+    const legendColor = ({ model, reference }) => {
+      if (reference) return reference.color;
+      return type === 'radar' ? chart.seriesColor(model) : colors.ink;
+    };
+    children.push(h(
+      'g',
+      { class: 'sciradar-legend' },
+      legendSettings.frame && h('rect', {
+        x: x + 0.5,
+        y: y + 0.5,
+        width: legendWidth - 1,
+        height: legendHeight - 1,
+        rx: 4,
+        fill: 'none',
+        stroke: colors.frame,
+        'stroke-width': 1,
+      }),
+      rows.map((row, r) => {
+        const rowTop = y + pad.y + r * rowHeight;
+        return row.items.map((item) => h(
+          'g',
+          {},
+          h('g', {
+            transform: `translate(${x + pad.x + item.x},${rowTop + (rowHeight - iconSize) / 2}) scale(${iconSize / 32})`,
+          }, legendIcon(item)),
+          h('text', {
+            x: x + pad.x + item.x + iconSize + 4,
+            y: baseline(rowTop, rowHeight, fontSize),
+            'font-size': fontSize,
+            fill: legendColor(item),
+          }, item.label),
+        ));
+      }),
+    ));
+  }
+
+  const ratio = outerRatio(settings, chart.multiPanel);
+  if (chart.multiPanel) {
+    const { columns, rows: gridRows } = chart.grid;
+    const cellWidth = (area.width - PANEL_GAP.x * (columns - 1)) / columns;
+    const cellHeight = (area.height - PANEL_GAP.y * (gridRows - 1)) / gridRows;
+    const headerSize = fontSize + 2;
+    const headerHeight = headerSize * LINE_HEIGHT;
+    chart.panels.forEach((panel, i) => {
+      const x = area.x + (i % columns) * (cellWidth + PANEL_GAP.x);
+      const y = area.y + Math.floor(i / columns) * (cellHeight + PANEL_GAP.y);
+      const letter = panelLetter(i, panelLayout.letters);
+      const textY = baseline(y, headerHeight, headerSize);
+      children.push(
+        letter && h('text', {
+          x, y: textY, 'font-size': headerSize, 'font-weight': 700, fill: colors.text,
+        }, letter),
+        h('text', {
+          x: letter ? x + measure(letter, headerSize, 700) + 8 : x,
+          y: textY,
+          'font-size': headerSize,
+          'font-weight': 500,
+          fill: colors.text,
+        }, panel.title),
+        drawPanel(panel, {
+          x, y: y + headerHeight, width: cellWidth, height: cellHeight - headerHeight,
+        }, { outerRatio: ratio, measure }),
+      );
+    });
+  } else if (chart.panels[0]) {
+    children.push(drawPanel(chart.panels[0], area, { outerRatio: ratio, measure }));
+  }
+
+  return h(
+    'svg',
+    {
+      xmlns: 'http://www.w3.org/2000/svg',
+      version: '1.1',
+      width: size ? size.width : width,
+      height: size ? size.height : height,
+      viewBox: `0 0 ${width} ${height}`,
+      'font-family': fontFamily,
+      role: 'img',
+      'aria-labelledby': title ? 'sciradar-title sciradar-desc' : 'sciradar-desc',
+    },
+    title && h('title', { id: 'sciradar-title' }, title),
+    // 替代文字，未填写时使用自动生成的摘要
+    h('desc', { id: 'sciradar-desc' }, settings.altText || chartSummary(chart, settings, figureT)),
+    background && h('rect', { width, height, fill: background }),
+    children,
+  );
+};
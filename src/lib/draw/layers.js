@@ -0,0 +1,441 @@
+/**
+ * 雷达图上的叠加图层：分组扇区、维度标签、各维度刻度、误差带、顶点数值与参考线。
+ * 网页中通过 <Customized /> 挂入 recharts，命令行渲染时由 figure.js 直接组合。
+ *
+ * geometry 为 { cx, cy, outerRadius, angleOf(subject, index) }，角度与 recharts 一致 (度，逆时针)。
+ */
+import { h } from './tree.js';
+import { polarToCartesian } from '../geometry.js';
+import { layoutAxisLabels, plainLabel } from '../labels.js';
+import { formatTickValue, tickValues } from '../scale.js';
+import {
+  formatValue, formatDelta, estimateTextWidth, placeLabels, starPath,
+} from '../annotations.js';
+
+const isPoint = (p) => p && Number.isFinite(p.x) && Number.isFinite(p.y);
+
+/**
+ * 维度分组的背景扇区与分组标题，画在网格之下。
+ * 相邻且同组的维度合并为一个扇区；扇区边界位于相邻两轴的中线，首尾同组时跨过起点合并。
+ */
+export const groupSectors = (geometry, data, {
+  groupOf,
+  colorOf,
+  sectorShape = 'polygon',
+  fontSize = 12,
+  fillOpacity = 0.07,
+}) => {
+  const n = data.length;
+  if (n < 2) return null;
+
+  const { cx, cy, outerRadius } = geometry;
+  const angles = data.map((point, i) => geometry.angleOf(point.subject, i));
+  const step = 360 / n;
+
+  // 连续同组的维度：[{group, start, length}]
+  const runs = [];
+  data.forEach((point, i) => {
+    const group = groupOf(point.subject) || '';
+    const last = runs[runs.length - 1];
+    if (last && last.group === group) last.length += 1;
+    else runs.push({ group, start: i, length: 1 });
+  });
+  if (runs.length > 1 && runs[0].group === runs[runs.length - 1].group) {
+    const tail = runs.pop();
+    runs[0] = { group: tail.group, start: tail.start, length: tail.length + runs[0].length };
+  }
+  // 只有一个分组 (例如按分组拆分的子图) 时不画
+  const sectors = runs.filter((r) => r.group);
+  if (sectors.length === 0 || (runs.length === 1 && sectors.length === 1)) return null;
+
+  const point = (angle, r = outerRadius) => polarToCartesian(cx, cy, r, angle);
+  const xy = (p) => `${p.x},${p.y}`;
+
+  const sectorPath = ({ start, length }) => {
+    const first = angles[start];
+    const from = first + step / 2;
+    const to = first - step * (length - 0.5);
+    if (sectorShape === 'circle') {
+      return `M${cx},${cy}L${xy(point(from))}A${outerRadius},${outerRadius},0,${length * step > 180 ? 1 : 0},1,${xy(point(to))}Z`;
+    }
+    // 多边形网格：边界点取外圈相邻两顶点的中点
+    const mid = (a) => {
+      const p = point(a - step / 2);
+      const q = point(a + step / 2);
+      return { x: (p.x + q.x) / 2, y: (p.y + q.y) / 2 };
+    };
+    const vertices = Array.from({ length }, (_, k) => point(first - step * k));
+    return `M${cx},${cy}L${[mid(from), ...vertices, mid(to)].map(xy).join('L')}Z`;
+  };
+
+  // 标题放在扇区中线方向、轴标签之外
+  const caption = ({ start, length }) => {
+    const angle = angles[start] - (step * (length - 1)) / 2;
+    const cos = Math.cos((angle * Math.PI) / 180);
+    const sin = Math.sin((angle * Math.PI) / 180);
+    const p = point(angle, outerRadius + fontSize * (2.2 + Math.abs(sin) * 0.6));
+    return {
+      ...p,
+      anchor: Math.abs(cos) < 0.3 ? 'middle' : cos > 0 ? 'start' : 'end',
+    };
+  };
+
+  return h(
+    'g',
+    { class: 'sciradar-group-sectors' },
+    sectors.map((run) => h('path', {
+      d: sectorPath(run),
+      fill: colorOf(run.group),
+      'fill-opacity': fillOpacity,
+      stroke: 'none',
+    })),
+    sectors.map((run) => {
+      const c = caption(run);
+      return h('text', {
+        x: c.x,
+        y: c.y,
+        'text-anchor': c.anchor,
+        'dominant-baseline': 'middle',
+        'font-size': fontSize,
+        'font-weight': 600,
+        'font-style': 'italic',
+        fill: colorOf(run.group),
+      }, run.group);
+    }),
+  );
+};
+
+/**
+ * 维度名称标签，取代 PolarAngleAxis 自带的单行刻度文字。
+ * 支持换行、折行与上下标，排布见 layoutAxisLabels；每段文字单独成一个 <text>，导出时位置不变。
+ */
+export const axisLabels = (geometry, data, {
+  labelOf = (subject) => subject,
+  offsetOf = () => null,
+  wrap = 0,
+  fontSize = 12,
+  fontWeight = 500,
+  color = '#475569',
+  bounds = null,
+  measure,
+}) => {
+  if (data.length === 0) return null;
+  const labels = data.map((point, i) => {
+    const offset = offsetOf(point.subject) || {};
+    return {
+      key: point.subject,
+      text: labelOf(point.subject),
+      angle: geometry.angleOf(point.subject, i),
+      dx: offset.dx || 0,
+      dy: offset.dy || 0,
+    };
+  });
+
+  const placed = layoutAxisLabels(labels, {
+    cx: geometry.cx,
+    cy: geometry.cy,
+    radius: geometry.outerRadius,
+    fontSize,
+    wrap,
+    bounds,
+    measure,
+  });
+
+  return h(
+    'g',
+    { class: 'sciradar-axis-labels' },
+    placed.map((label, i) => h(
+      'g',
+      { 'aria-label': plainLabel(labels[i].text) },
+      label.runs.map((run) => h('text', {
+        x: run.x, y: run.y, 'font-size': run.fontSize, 'font-weight': fontWeight, fill: color,
+      }, run.text)),
+    )),
+  );
+};
+
+/**
+ * 每个维度独立的刻度数字
+ */
+export const axisTicks = (geometry, {
+  ranges = [],
+  shared = false,
+  fontSize = 10,
+  integerTicks = true,
+  color = '#94a3b8',
+}) => {
+  if (ranges.length === 0) return null;
+  const { cx, cy, outerRadius } = geometry;
+  // 归一化模式下所有维度刻度相同，只在第一根轴上标注
+  const visible = shared ? ranges.slice(0, 1) : ranges;
+
+  return h(
+    'g',
+    { class: 'sciradar-axis-ticks' },
+    visible.map((range, i) => {
+      const angle = geometry.angleOf(range.subject, i);
+      const labels = tickValues(range, range.levels).map((value) => formatTickValue(value, integerTicks));
+      // 文字沿轴线方向的跨度大于环间距时隔级标注，始终保留最外一级
+      const spacing = outerRadius / range.levels;
+      const cos = Math.abs(Math.cos((angle * Math.PI) / 180));
+      const sin = Math.abs(Math.sin((angle * Math.PI) / 180));
+      const extent = Math.max(...labels.map((label) => cos * estimateTextWidth(label, fontSize) + sin * fontSize));
+      const step = spacing > 0 ? Math.max(1, Math.ceil((extent + 2) / spacing)) : 1;
+      return labels.map((label, level) => {
+        // 各维度的最小值都落在圆心，只在共用刻度时标注
+        if (level === 0 && (range.hideCenterTick || !shared)) return null;
+        if ((range.levels - level) % step !== 0) return null;
+        const r = spacing * level;
+        // 沿垂直于轴线的方向偏移，避免与轴线重叠
+        const p = polarToCartesian(cx, cy, r, angle);
+        const offset = polarToCartesian(p.x, p.y, 8, angle - 90);
+        return h('text', {
+          x: offset.x,
+          y: offset.y,
+          'text-anchor': 'middle',
+          'dominant-baseline': 'middle',
+          'font-size': fontSize,
+          fill: color,
+          opacity: 0.8,
+        }, label);
+      });
+    }),
+  );
+};
+
+/**
+ * 误差带。pairs 为各顶点的 [{outer, inner}]，即误差上限与下限处的坐标。
+ * 内外两圈方向相反并由一条缝连接，非零环绕规则下即为环形区域，矢量导出无需 fill-rule。
+ */
+export const errorBand = (pairs, {
+  color,
+  fillOpacity = 0.25,
+  showBand = true,
+  whiskers = false,
+  strokeWidth = 1,
+}) => {
+  const valid = pairs.filter(({ outer, inner }) => isPoint(outer) && isPoint(inner));
+  if (valid.length === 0) return null;
+
+  let band = null;
+  if (showBand && valid.length >= 3) {
+    const outer = valid.map((p) => p.outer);
+    const inner = valid.map((p) => p.inner);
+    const d = [
+      `M${outer[0].x},${outer[0].y}`,
+      ...outer.slice(1).map((p) => `L${p.x},${p.y}`),
+      `L${outer[0].x},${outer[0].y}`,
+      `L${inner[0].x},${inner[0].y}`,
+      ...inner.slice(1).reverse().map((p) => `L${p.x},${p.y}`),
+      `L${inner[0].x},${inner[0].y}`,
+      'Z',
+    ].join('');
+    band = h('path', {
+      d, fill: color, 'fill-opacity': fillOpacity, stroke: 'none',
+    });
+  }
+
+  // 误差线沿轴线方向，两端加垂直的短横
+  const cap = 3 + strokeWidth;
+  const whiskerLines = whiskers && valid.map(({ outer, inner }) => {
+    const dx = outer.x - inner.x;
+    const dy = outer.y - inner.y;
+    const length = Math.hypot(dx, dy);
+    // 没有误差的顶点不画
+    if (length < 0.01) return null;
+    const nx = -dy / length;
+    const ny = dx / length;
+    const capPath = (p) => `M${p.x - nx * cap},${p.y - ny * cap}L${p.x + nx * cap},${p.y + ny * cap}`;
+    return h('path', {
+      d: `M${inner.x},${inner.y}L${outer.x},${outer.y}${capPath(inner)}${capPath(outer)}`,
+      fill: 'none',
+      stroke: color,
+      'stroke-width': Math.max(1, strokeWidth * 0.75),
+      'stroke-linecap': 'round',
+    });
+  });
+
+  return h('g', { class: 'sciradar-error-band' }, band, whiskerLines);
+};
+
+/**
+ * 顶点数值标注。series 为 [{model, color}]；best 为 {subject: [model]}；deltas 为 deltaModel 各维度的差值。
+ * 标签先放在顶点沿轴线向外的位置，重叠时由 placeLabels 推开，偏离较远的画引线。
+ */
+export const valueLabels = (geometry, data, {
+  series = [],
+  labelMode = 'none',
+  decimals = 1,
+  best = {},
+  bestMarker = 'none',
+  deltaModel = '',
+  deltas = {},
+  deltaMode = 'absolute',
+  fontSize = 10,
+  markerSize = 5,
+  outline = '#fff',
+  bounds = null,
+}) => {
+  if (data.length === 0) return null;
+
+  const { cx, cy, outerRadius } = geometry;
+  const boldBest = bestMarker === 'bold' || bestMarker === 'both';
+  const starBest = bestMarker === 'star' || bestMarker === 'both';
+  const lineHeight = fontSize * 1.2;
+  const padding = markerSize + 2;
+
+  const vertices = [];
+  series.forEach(({ model, color }) => {
+    data.forEach((point, i) => {
+      const ratio = point[model];
+      if (typeof ratio !== 'number' || !Number.isFinite(ratio)) return;
+      const angle = geometry.angleOf(point.subject, i);
+      const isBest = !!best[point.subject]?.includes(model);
+      vertices.push({
+        model,
+        color,
+        subject: point.subject,
+        raw: point.raw?.[model],
+        angle,
+        isBest,
+        ...polarToCartesian(cx, cy, ratio * outerRadius, angle),
+      });
+    });
+  });
+
+  const labels = [];
+  vertices.forEach((v) => {
+    const value = labelMode === 'all' || (labelMode === 'best' && v.isBest) ? formatValue(v.raw, decimals) : '';
+    const delta = v.model === deltaModel ? formatDelta(deltas[v.subject], decimals, deltaMode) : '';
+    const text = value && delta ? `${value} (${delta})` : value || delta;
+    if (!text) return;
+
+    const labelWidth = estimateTextWidth(text, fontSize);
+    // 沿轴线向外偏移，使标签的边框刚好离开顶点标记
+    const ux = Math.cos(-v.angle * Math.PI / 180);
+    const uy = Math.sin(-v.angle * Math.PI / 180);
+    const distance = padding + Math.abs(ux) * labelWidth / 2 + Math.abs(uy) * lineHeight / 2;
+    labels.push({
+      vertex: v,
+      text,
+      bold: boldBest && v.isBest && !!value,
+      x: v.x + ux * distance,
+      y: v.y + uy * distance,
+      width: labelWidth,
+      height: lineHeight,
+    });
+  });
+
+  const placed = placeLabels(labels, { bounds });
+
+  // 引线从顶点画到标签边框
+  const leader = (label) => {
+    const dx = label.vertex.x - label.x;
+    const dy = label.vertex.y - label.y;
+    const t = Math.min(
+      dx ? label.width / 2 / Math.abs(dx) : Infinity,
+      dy ? label.height / 2 / Math.abs(dy) : Infinity,
+    );
+    if (t >= 1) return null;
+    return `M${label.vertex.x},${label.vertex.y}L${label.x + dx * t},${label.y + dy * t}`;
+  };
+
+  return h(
+    'g',
+    { class: 'sciradar-value-labels' },
+    starBest && vertices.filter((v) => v.isBest).map((v) => h('path', {
+      d: starPath(v.x, v.y, markerSize + 2),
+      fill: v.color,
+      stroke: outline,
+      'stroke-width': 0.75,
+    })),
+    placed.map((label) => {
+      const line = label.moved > fontSize * 0.6 && leader(label);
+      return h(
+        'g',
+        {},
+        line && h('path', {
+          d: line, fill: 'none', stroke: label.vertex.color, 'stroke-width': 0.75, opacity: 0.7,
+        }),
+        h('text', {
+          x: label.x,
+          y: label.y,
+          'text-anchor': 'middle',
+          'dominant-baseline': 'middle',
+          'font-size': fontSize,
+          'font-weight': label.bold ? 700 : 400,
+          fill: label.vertex.color,
+        }, label.text),
+      );
+    }),
+  );
+};
+
+/**
+ * 参考线。references 为图表模型中的 [{ name, label, kind, color, dash, strokeWidth }]，
+ * data 的 reference 中为各维度的半径比例。轮廓为虚线多边形 (缺失值处跳过)；阈值环另加淡色填充，
+ * 名称标在第一根轴旁；目标刻度为各轴上垂直于轴线的短横。
+ */
+export const referenceLayers = (geometry, data, {
+  references = [],
+  fontSize = 10,
+}) => {
+  if (data.length === 0 || references.length === 0) return null;
+  const { cx, cy, outerRadius } = geometry;
+
+  const draw = (ref) => {
+    const points = data.map((point, i) => {
+      const ratio = point.reference?.[ref.name];
+      if (typeof ratio !== 'number' || !Number.isFinite(ratio)) return null;
+      const angle = geometry.angleOf(point.subject, i);
+      return { angle, ...polarToCartesian(cx, cy, ratio * outerRadius, angle) };
+    }).filter(Boolean);
+    if (points.length === 0) return null;
+    const label = ref.label || ref.name;
+
+    if (ref.kind === 'target') {
+      const half = 4 + ref.strokeWidth * 1.5;
+      return h(
+        'g',
+        { class: 'sciradar-reference', 'aria-label': label },
+        points.map((p) => {
+          const a = polarToCartesian(p.x, p.y, half, p.angle - 90);
+          const b = polarToCartesian(p.x, p.y, half, p.angle + 90);
+          return h('path', {
+            d: `M${a.x},${a.y}L${b.x},${b.y}`,
+            stroke: ref.color,
+            'stroke-width': ref.strokeWidth * 1.5,
+            'stroke-dasharray': ref.dash || null,
+            'stroke-linecap': 'round',
+            fill: 'none',
+          });
+        }),
+      );
+    }
+
+    const d = `${points.map((p, i) => `${i ? 'L' : 'M'}${p.x},${p.y}`).join('')}Z`;
+    const ring = ref.kind === 'ring';
+    const first = points[0];
+    return h(
+      'g',
+      { class: 'sciradar-reference', 'aria-label': label },
+      h('path', {
+        d,
+        stroke: ref.color,
+        'stroke-width': ring ? Math.max(1, ref.strokeWidth * 0.75) : ref.strokeWidth,
+        'stroke-dasharray': ref.dash || null,
+        fill: ring ? ref.color : 'none',
+        'fill-opacity': ring ? 0.06 : null,
+      }),
+      ring && h('text', {
+        x: first.x + 4,
+        y: first.y - 4,
+        'font-size': fontSize,
+        'font-style': 'italic',
+        fill: ref.color,
+      }, label),
+    );
+  };
+
+  return h('g', { class: 'sciradar-references' }, references.map(draw));
+};
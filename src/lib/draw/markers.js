@@ -0,0 +1,105 @@
+/**
+ * 数据点标记与图例图标
+ */
+import { h } from './tree.js';
+
+// 以 (0, 0) 为中心、半径为 r 的标记路径
+export const markerPath = (shape, r) => {
+  switch (shape) {
+    case 'square':
+      return `M${-r},${-r}H${r}V${r}H${-r}Z`;
+    case 'triangle': {
+      const t = r * 1.25;
+      return `M0,${-t}L${t * 0.866},${t * 0.5}L${-t * 0.866},${t * 0.5}Z`;
+    }
+    case 'diamond': {
+      const t = r * 1.3;
+      return `M0,${-t}L${t},0L0,${t}L${-t},0Z`;
+    }
+    case 'cross': {
+      const w = r * 0.4;
+      return `M${-w},${-r}H${w}V${-w}H${r}V${w}H${w}V${r}H${-w}V${w}H${-r}V${-w}H${-w}Z`;
+    }
+    case 'x': {
+      const w = r * 0.3;
+      const a = r;
+      return `M${-a},${-a + w}L${-a + w},${-a}L0,${-w}L${a - w},${-a}L${a},${-a + w}L${w},0L${a},${a - w}L${a - w},${a}L0,${w}L${-a + w},${a}L${-a},${a - w}L${-w},0Z`;
+    }
+    default:
+      return `M${-r},0A${r},${r},0,1,0,${r},0A${r},${r},0,1,0,${-r},0Z`;
+  }
+};
+
+export const marker = ({
+  cx, cy, r = 3, shape = 'circle', fill, stroke = '#fff', strokeWidth = 1,
+}) => {
+  if (!Number.isFinite(cx) || !Number.isFinite(cy)) return null;
+  return h('path', {
+    d: markerPath(shape, r),
+    transform: `translate(${cx},${cy})`,
+    fill,
+    stroke,
+    'stroke-width': strokeWidth,
+  });
+};
+
+/**
+ * 图例图标：线型 + 标记，坐标系为 32 × 32
+ */
+export const legendSwatch = ({ color, dash, marker: shape }) => h(
+  'g',
+  {},
+  h('line', {
+    x1: 0, y1: 16, x2: 32, y2: 16, stroke: color, 'stroke-width': 4, 'stroke-dasharray': dash || null,
+  }),
+  shape !== 'none' && marker({
+    cx: 16, cy: 16, r: 8, shape, fill: color, strokeWidth: 2,
+  }),
+);
+
+/**
+ * 参考线的图例图标：轮廓为虚线，阈值环为带淡色底的点线，目标刻度为竖直短横，坐标系为 32 × 32
+ */
+export const referenceSwatch = ({ kind, color, dash }) => {
+  if (kind === 'target') {
+    return h('line', {
+      x1: 16, y1: 4, x2: 16, y2: 28, stroke: color, 'stroke-width': 5, 'stroke-linecap': 'round',
+    });
+  }
+  return h(
+    'g',
+    {},
+    kind === 'ring' && h('rect', {
+      x: 0, y: 16, width: 32, height: 12, fill: color, 'fill-opacity': 0.15,
+    }),
+    h('line', {
+      x1: 0, y1: 16, x2: 32, y2: 16, stroke: color, 'stroke-width': 4, 'stroke-dasharray': dash || null,
+    }),
+  );
+};
+
+// 默认样式的图例图标：实心方块
+export const legendRect = (color) => h('rect', {
+  x: 2, y: 4, width: 28, height: 24, fill: color,
+});
+
+/**
+ * 系列的数据点：自定义样式用所选形状并带描边 (outline，默认为白色，深色背景时取背景色)，
+ * 默认为与线条同色的圆点。look 为 { style, color, muted }，聚焦模式下淡化的系列不画数据点
+ */
+export const seriesDots = (points, { style, color, muted }, { showDots, strokeWidth, outline = '#fff' }) => {
+  if (!showDots || muted || style.marker === 'none') return null;
+  return points.filter(Boolean).map((p) => (style.custom
+    ? marker({
+      cx: p.x, cy: p.y, r: style.markerSize, shape: style.marker, fill: color, stroke: outline, strokeWidth: 1,
+    })
+    : h('circle', {
+      cx: p.x,
+      cy: p.y,
+      r: style.markerSize,
+      fill: color,
+      stroke: color,
+      'stroke-width': strokeWidth,
+      'stroke-dasharray': style.dash || null,
+    })));
+};
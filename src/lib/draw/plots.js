@@ -0,0 +1,619 @@
+/**
+ * 雷达图以外的图表类型：平行坐标、分组柱状图 (竖向 / 横向)、热力图与南丁格尔玫瑰图。
+ * 与 figure.js 的 radarPanel 相同，在 box 区域内画一个子图；数值使用图表模型中
+ * 按各维度刻度换算后的比例 (0–1，反向维度已翻转)，网页预览与命令行共用。
+ */
+import { h } from './tree.js';
+import { seriesDots } from './markers.js';
+import { axisLabels, axisTicks, groupSectors } from './layers.js';
+import { polarToCartesian, axisAngle } from '../geometry.js';
+import { layoutAxisLabels, plainLabel } from '../labels.js';
+import { tickValues, formatTickValue } from '../scale.js';
+import { formatValue, formatDelta, starPath } from '../annotations.js';
+import { radiusTicks } from '../model.js';
+import { MUTED_OPACITY } from '../series.js';
+import { canvasColors } from '../canvas.js';
+
+const CHART_MARGIN = 5;
+const BAR_OPACITY = 0.85;
+
+// 热力图配色，由浅到深；格内数值在深色格上为白色
+const HEAT_STOPS = ['#f0f9ff', '#bae6fd', '#38bdf8', '#0284c7', '#075985'];
+const HEAT_TEXT = { onLight: '#1e293b', onDark: '#ffffff' };
+
+const isRatio = (v) => typeof v === 'number' && Number.isFinite(v);
+
+const inset = (box) => ({
+  x: box.x + CHART_MARGIN,
+  y: box.y + CHART_MARGIN,
+  width: box.width - CHART_MARGIN * 2,
+  height: box.height - CHART_MARGIN * 2,
+});
+
+const seriesLook = (chart, model) => {
+  const muted = !!chart.activeFocus && model !== chart.activeFocus;
+  return {
+    style: chart.seriesStyles[model],
+    color: chart.seriesColor(model),
+    muted,
+    opacity: muted ? MUTED_OPACITY : 1,
+  };
+};
+
+/**
+ * 带上下标与换行的标签，先按原点排好，draw(x, y) 时平移到锚点。
+ * angle 的含义与雷达图标签相同：-90 为水平居中、向下排，180 为右对齐、垂直居中
+ */
+const labelBlock = (text, angle, {
+  fontSize, wrap = 0, measure, fontWeight = 500, color,
+}) => {
+  const [placed] = layoutAxisLabels([{ key: 'label', text, angle }], {
+    cx: 0, cy: 0, radius: 0, gap: 0, fontSize, wrap, measure: (t, size) => measure(t, size, fontWeight),
+  });
+  return {
+    ...placed.box,
+    draw: (x, y) => h(
+      'g',
+      { 'aria-label': plainLabel(text) },
+      placed.runs.map((run) => h('text', {
+        x: run.x + x, y: run.y + y, 'font-size': run.fontSize, 'font-weight': fontWeight, fill: color,
+      }, run.text)),
+    ),
+  };
+};
+
+// 各维度自己的刻度范围，写在维度名称下方，如 "1350–2090"；反向维度为 "100–0"
+const rangeCaption = (range, integerTicks) => {
+  const ticks = tickValues(range, range.levels);
+  return `${formatTickValue(ticks[0], integerTicks)}–${formatTickValue(ticks[ticks.length - 1], integerTicks)}`;
+};
+
+// 数值标注的文字与是否加粗，规则与雷达图顶点标注相同
+const valueText = (chart, { annotations }, point, model) => {
+  const isBest = !!chart.bestByDimension[point.subject]?.includes(model);
+  const showValue = annotations.labels === 'all' || (annotations.labels === 'best' && isBest);
+  const value = showValue ? formatValue(point.raw?.[model], annotations.decimals) : '';
+  const delta = model === chart.deltaModel
+    ? formatDelta(chart.deltas[point.subject], annotations.decimals, annotations.deltaMode)
+    : '';
+  return {
+    text: value && delta ? `${value} (${delta})` : value || delta,
+    bold: !!value && isBest && (annotations.best === 'bold' || annotations.best === 'both'),
+    star: isBest && (annotations.best === 'star' || annotations.best === 'both'),
+  };
+};
+
+// 鼠标悬停时的提示，导出时被忽略
+const hoverTitle = (chart, { annotations }, model, point) => h(
+  'title',
+  {},
+  `${plainLabel(chart.seriesLabel(model))} · ${plainLabel(chart.formatAxisLabel(point.subject))}: `
+    + `${formatValue(point.raw?.[model], annotations.decimals)}`,
+);
+
+// 折线在缺失值处断开，connectNulls 时跳过缺失值
+const linePath = (points, connectNulls) => {
+  let d = '';
+  let pen = false;
+  (connectNulls ? points.filter(Boolean) : points).forEach((p) => {
+    if (!p) {
+      pen = false;
+      return;
+    }
+    d += `${pen ? 'L' : 'M'}${p.x},${p.y}`;
+    pen = true;
+  });
+  return d;
+};
+
+/**
+ * 平行坐标：每个维度一根竖轴，各轴使用自己的刻度，模型为穿过各轴的折线
+ */
+const parallelPanel = (chart, settings, panel, box, { measure }) => {
+  const {
+    fontSize, strokeWidth, showDots, connectNulls, labelWrap, integerTicks, showAxisTicks,
+  } = settings;
+  const { data, ranges } = panel;
+  const n = data.length;
+  if (n === 0) return null;
+
+  const colors = canvasColors(settings);
+  const area = inset(box);
+  const tickSize = Math.max(6, fontSize - 2);
+  const labels = data.map((point) => labelBlock(chart.formatAxisLabel(point.subject), -90, {
+    fontSize, wrap: labelWrap, measure, color: colors.label,
+  }));
+  const tickRanges = panel.shared ? ranges.slice(0, 1) : ranges;
+  const tickWidth = showAxisTicks
+    ? Math.max(0, ...tickRanges.flatMap((range) => tickValues(range, range.levels)
+      .map((value) => measure(formatTickValue(value, integerTicks), tickSize, 400)))) + 8
+    : 0;
+  const left = area.x + Math.max(tickWidth, labels[0].width / 2);
+  const right = area.x + area.width - labels[n - 1].width / 2;
+  const top = area.y + tickSize;
+  const bottom = area.y + area.height - Math.max(...labels.map((l) => l.height)) - 8;
+  if (bottom <= top || right < left) return null;
+
+  const xOf = (i) => (n === 1 ? (left + right) / 2 : left + ((right - left) * i) / (n - 1));
+  const yOf = (ratio) => bottom - ratio * (bottom - top);
+
+  // 共用刻度时各轴的刻度线对齐，画水平网格
+  const grid = panel.shared && h(
+    'g',
+    { class: 'sciradar-grid', stroke: colors.grid },
+    radiusTicks(ranges).map((t) => h('line', {
+      x1: xOf(0), y1: yOf(t), x2: xOf(n - 1), y2: yOf(t),
+    })),
+  );
+  const axes = h(
+    'g',
+    { class: 'sciradar-axes', stroke: colors.axis, 'stroke-width': 1 },
+    data.map((_, i) => h('line', {
+      x1: xOf(i), y1: top, x2: xOf(i), y2: bottom,
+    })),
+  );
+  const ticks = showAxisTicks && h(
+    'g',
+    { class: 'sciradar-axis-ticks' },
+    tickRanges.map((range, i) => tickValues(range, range.levels).map((value, level) => {
+      const y = yOf(level / range.levels);
+      return [
+        h('line', {
+          x1: xOf(i) - 3, y1: y, x2: xOf(i), y2: y, stroke: colors.axis,
+        }),
+        h('text', {
+          x: xOf(i) - 5,
+          y,
+          'text-anchor': 'end',
+          'dominant-baseline': 'middle',
+          'font-size': tickSize,
+          fill: colors.tick,
+        }, formatTickValue(value, integerTicks)),
+      ];
+    })),
+  );
+
+  const series = chart.drawOrder(panel.models).map((model) => {
+    const look = seriesLook(chart, model);
+    const points = data.map((point, i) => (isRatio(point[model]) ? { x: xOf(i), y: yOf(point[model]) } : null));
+    const d = linePath(points, connectNulls);
+    return h(
+      'g',
+      { class: 'sciradar-series' },
+      h('title', {}, plainLabel(chart.seriesLabel(model))),
+      d && h('path', {
+        d,
+        fill: 'none',
+        stroke: look.color,
+        'stroke-width': strokeWidth,
+        'stroke-opacity': look.muted ? MUTED_OPACITY : null,
+        'stroke-dasharray': look.style.dash || null,
+        'stroke-linejoin': 'round',
+      }),
+      seriesDots(points, look, { showDots, strokeWidth, outline: colors.surface }),
+    );
+  });
+
+  return h(
+    'g',
+    { class: 'sciradar-parallel' },
+    grid,
+    axes,
+    ticks,
+    series,
+    labels.map((label, i) => label.draw(xOf(i), bottom + 8)),
+  );
+};
+
+/**
+ * 分组柱状图：每个维度一组，组内各模型一根柱子，柱长为该维度刻度下的比例。
+ * horizontal 时维度自上而下排列，柱子向右延伸。各维度刻度不同时，刻度范围写在维度名称下方
+ */
+const barPanel = (chart, settings, panel, box, { measure, horizontal = false }) => {
+  const {
+    fontSize, strokeWidth, labelWrap, integerTicks, showAxisTicks, hiddenBands, annotations,
+  } = settings;
+  const { data, ranges } = panel;
+  const models = panel.models;
+  const n = data.length;
+  if (n === 0 || models.length === 0) return null;
+
+  const colors = canvasColors(settings);
+  const area = inset(box);
+  const tickSize = Math.max(6, fontSize - 2);
+  const captionHeight = showAxisTicks && !panel.shared ? tickSize * 1.4 : 0;
+  const labels = data.map((point) => labelBlock(chart.formatAxisLabel(point.subject), horizontal ? 180 : -90, {
+    fontSize, wrap: labelWrap, measure, color: colors.label,
+  }));
+  const captions = data.map((point, i) => (captionHeight ? rangeCaption(ranges[i], integerTicks) : ''));
+  const sharedTicks = showAxisTicks && panel.shared ? tickValues(ranges[0], ranges[0].levels) : [];
+  const tickTexts = sharedTicks.map((value) => formatTickValue(value, integerTicks));
+  const showValues = annotations.labels !== 'none' || chart.showDeltas;
+  const valueRoom = showValues ? tickSize * 1.4 : 0;
+
+  // 值轴 (柱长方向) 与类别轴 (维度方向) 的范围
+  let value;
+  let category;
+  if (horizontal) {
+    const labelWidth = Math.max(...labels.map((l) => l.width),
+      ...captions.map((c) => measure(c, tickSize, 400)));
+    const tickHeight = sharedTicks.length ? tickSize * 1.6 : 0;
+    value = { from: area.x + labelWidth + 8, to: area.x + area.width - valueRoom * 2.5 };
+    category = { from: area.y, to: area.y + area.height - tickHeight };
+  } else {
+    const tickWidth = sharedTicks.length ? Math.max(...tickTexts.map((t) => measure(t, tickSize, 400))) + 8 : 0;
+    const labelHeight = Math.max(...labels.map((l) => l.height)) + captionHeight;
+    value = { from: area.y + area.height - labelHeight - 8, to: area.y + valueRoom + tickSize / 2 };
+    category = { from: area.x + tickWidth, to: area.x + area.width };
+  }
+  if ((value.to - value.from) * (horizontal ? 1 : -1) <= 0 || category.to <= category.from) return null;
+
+  const along = (ratio) => value.from + ratio * (value.to - value.from);
+  const groupSize = (category.to - category.from) / n;
+  const barSize = (groupSize * 0.8) / models.length;
+  const barStart = (i, j) => category.from + i * groupSize + groupSize * 0.1 + j * barSize;
+  // (值, 类别) → 画布坐标
+  const xy = (v, c) => (horizontal ? { x: v, y: c } : { x: c, y: v });
+  const segment = (v1, c1, v2, c2) => {
+    const a = xy(v1, c1);
+    const b = xy(v2, c2);
+    return `M${a.x},${a.y}L${b.x},${b.y}`;
+  };
+
+  const grid = h(
+    'g',
+    { class: 'sciradar-grid', stroke: colors.grid },
+    radiusTicks(ranges).slice(1).map((t) => h('path', { d: segment(along(t), category.from, along(t), category.to) })),
+  );
+  const baseline = h('path', {
+    d: segment(value.from, category.from, value.from, category.to), stroke: colors.axis, 'stroke-width': 1,
+  });
+  const ticks = sharedTicks.length > 0 && h(
+    'g',
+    { class: 'sciradar-axis-ticks', 'font-size': tickSize, fill: colors.tick },
+    tickTexts.map((text, level) => {
+      const p = xy(along(level / ranges[0].levels), category.from);
+      return horizontal
+        ? h('text', {
+          x: p.x, y: category.to + tickSize, 'text-anchor': 'middle', 'dominant-baseline': 'middle',
+        }, text)
+        : h('text', {
+          x: p.x - 5, y: p.y, 'text-anchor': 'end', 'dominant-baseline': 'middle',
+        }, text);
+    }),
+  );
+
+  // 柱子按图例顺序排列，聚焦模式下其余系列淡化
+  const bars = models.map((model, j) => {
+    const look = seriesLook(chart, model);
+    const showBand = chart.bandModels.includes(model) && !hiddenBands[model];
+    return h(
+      'g',
+      { class: 'sciradar-series' },
+      data.map((point, i) => {
+        const ratio = point[model];
+        if (!isRatio(ratio)) return null;
+        const start = barStart(i, j);
+        const center = start + barSize / 2;
+        const end = along(ratio);
+        const length = Math.abs(end - value.from);
+        const rect = h('rect', {
+          ...xy(Math.min(value.from, end), start),
+          width: horizontal ? length : barSize,
+          height: horizontal ? barSize : length,
+          fill: look.color,
+          'fill-opacity': BAR_OPACITY * look.opacity,
+        }, hoverTitle(chart, settings, model, point));
+
+        // 误差线：与柱子同向，两端带短横
+        const band = showBand && point.band[model];
+        const cap = Math.min(barSize * 0.3, 4);
+        const whisker = band && h('path', {
+          d: segment(along(band[0]), center, along(band[1]), center)
+            + segment(along(band[0]), center - cap, along(band[0]), center + cap)
+            + segment(along(band[1]), center - cap, along(band[1]), center + cap),
+          stroke: colors.ink,
+          'stroke-width': Math.max(1, strokeWidth * 0.5),
+          'stroke-opacity': look.opacity,
+          fill: 'none',
+        });
+
+        // 数值写在柱端 (有误差线时在误差线外)，星形标记接在数值之后
+        const label = !look.muted && valueText(chart, settings, point, model);
+        const tip = along(Math.max(ratio, band ? band[1] : ratio));
+        const p = xy(horizontal ? tip + 4 : tip - 4, center);
+        const textSize = label?.text ? measure(label.text, tickSize, label.bold ? 700 : 400) : 0;
+        const star = horizontal
+          ? { x: p.x + textSize + tickSize * 0.6, y: p.y }
+          : { x: p.x, y: p.y - (label?.text ? tickSize * 1.5 : tickSize * 0.5) };
+        return [
+          rect,
+          whisker,
+          label?.text && h('text', {
+            x: p.x,
+            y: p.y,
+            'text-anchor': horizontal ? 'start' : 'middle',
+            'dominant-baseline': horizontal ? 'middle' : null,
+            'font-size': tickSize,
+            'font-weight': label.bold ? 700 : 400,
+            fill: look.color,
+          }, label.text),
+          label?.star && h('path', {
+            d: starPath(star.x, star.y, tickSize * 0.5),
+            fill: look.color,
+            stroke: colors.surface,
+            'stroke-width': 0.75,
+          }),
+        ];
+      }),
+    );
+  });
+
+  const labelNodes = labels.map((label, i) => {
+    const center = category.from + (i + 0.5) * groupSize;
+    if (horizontal) {
+      const x = value.from - 8;
+      const y = captions[i] ? center - tickSize * 0.7 : center;
+      return [
+        label.draw(x, y),
+        captions[i] && h('text', {
+          x, y: y + label.height / 2 + tickSize * 0.8, 'text-anchor': 'end', 'font-size': tickSize, fill: colors.tick,
+        }, captions[i]),
+      ];
+    }
+    const y = value.from + 8;
+    return [
+      label.draw(center, y),
+      captions[i] && h('text', {
+        x: center, y: y + label.height + tickSize, 'text-anchor': 'middle', 'font-size': tickSize, fill: colors.tick,
+      }, captions[i]),
+    ];
+  });
+
+  return h(
+    'g',
+    { class: horizontal ? 'sciradar-barh' : 'sciradar-bar' },
+    grid,
+    ticks,
+    bars,
+    baseline,
+    labelNodes,
+  );
+};
+
+// 比例 (0–1) → 热力图颜色，在相邻两档之间线性插值
+const heatColor = (ratio) => {
+  const t = Math.max(0, Math.min(1, ratio)) * (HEAT_STOPS.length - 1);
+  const i = Math.min(HEAT_STOPS.length - 2, Math.floor(t));
+  const rgb = (hex) => [1, 3, 5].map((k) => parseInt(hex.slice(k, k + 2), 16));
+  const a = rgb(HEAT_STOPS[i]);
+  const b = rgb(HEAT_STOPS[i + 1]);
+  return `#${a.map((c, k) => Math.round(c + (b[k] - c) * (t - i)).toString(16).padStart(2, '0')).join('')}`;
+};
+
+/**
+ * 热力图：行为模型，列为维度，颜色按各维度的刻度换算 (越深越好)，格内标注原始数值。
+ * 共用刻度时在右侧画色标
+ */
+const heatmapPanel = (chart, settings, panel, box, { measure }) => {
+  const {
+    fontSize, labelWrap, integerTicks, showAxisTicks, annotations,
+  } = settings;
+  const { data, ranges } = panel;
+  const models = panel.models;
+  const n = data.length;
+  if (n === 0 || models.length === 0) return null;
+
+  const colors = canvasColors(settings);
+  const area = inset(box);
+  const tickSize = Math.max(6, fontSize - 2);
+  const captionHeight = showAxisTicks && !panel.shared ? tickSize * 1.4 : 0;
+  const columnLabels = data.map((point) => labelBlock(chart.formatAxisLabel(point.subject), -90, {
+    fontSize, wrap: labelWrap, measure, color: colors.label,
+  }));
+  const rowLabels = models.map((model) => labelBlock(chart.seriesLabel(model), 180, {
+    fontSize, measure, fontWeight: 400, color: colors.ink,
+  }));
+  const colorbar = showAxisTicks && panel.shared;
+  const barTicks = colorbar ? tickValues(ranges[0], ranges[0].levels) : [];
+  const barWidth = colorbar
+    ? 10 + 6 + Math.max(...barTicks.map((v) => measure(formatTickValue(v, integerTicks), tickSize, 400))) + 12
+    : 0;
+
+  const left = area.x + Math.max(...rowLabels.map((l) => l.width)) + 8;
+  const right = area.x + area.width - barWidth;
+  const top = area.y;
+  const bottom = area.y + area.height - Math.max(...columnLabels.map((l) => l.height)) - captionHeight - 8;
+  if (bottom <= top || right <= left) return null;
+
+  const cellWidth = (right - left) / n;
+  const cellHeight = (bottom - top) / models.length;
+  const valueSize = Math.max(6, Math.min(fontSize - 1, cellHeight * 0.45));
+  const boldBest = annotations.best !== 'none';
+
+  const cells = models.map((model, r) => {
+    const { opacity } = seriesLook(chart, model);
+    return h(
+      'g',
+      { class: 'sciradar-series', opacity: opacity < 1 ? opacity : null },
+      data.map((point, c) => {
+        const ratio = point[model];
+        const x = left + c * cellWidth;
+        const y = top + r * cellHeight;
+        const missing = !isRatio(ratio);
+        const isBest = !!chart.bestByDimension[point.subject]?.includes(model);
+        return [
+          h('rect', {
+            x,
+            y,
+            width: cellWidth,
+            height: cellHeight,
+            fill: missing ? colors.missing : heatColor(ratio),
+            stroke: colors.surface,
+            'stroke-width': 1,
+          }, hoverTitle(chart, settings, model, point)),
+          h('text', {
+            x: x + cellWidth / 2,
+            y: y + cellHeight / 2,
+            'text-anchor': 'middle',
+            'dominant-baseline': 'middle',
+            'font-size': valueSize,
+            'font-weight': boldBest && isBest ? 700 : 400,
+            fill: missing ? colors.tick : ratio > 0.6 ? HEAT_TEXT.onDark : HEAT_TEXT.onLight,
+          }, formatValue(point.raw?.[model], annotations.decimals)),
+        ];
+      }),
+    );
+  });
+
+  const colorbarNode = colorbar && h(
+    'g',
+    { class: 'sciradar-colorbar' },
+    // 由若干色块拼成，矢量导出无需渐变
+    Array.from({ length: 20 }, (_, k) => h('rect', {
+      x: right + 12,
+      y: bottom - ((k + 1) / 20) * (bottom - top),
+      width: 10,
+      height: (bottom - top) / 20 + 0.5,
+      fill: heatColor((k + 0.5) / 20),
+    })),
+    barTicks.map((tick, level) => h('text', {
+      x: right + 12 + 10 + 4,
+      y: bottom - (level / ranges[0].levels) * (bottom - top),
+      'dominant-baseline': 'middle',
+      'font-size': tickSize,
+      fill: colors.tick,
+    }, formatTickValue(tick, integerTicks))),
+  );
+
+  return h(
+    'g',
+    { class: 'sciradar-heatmap' },
+    cells,
+    rowLabels.map((label, r) => label.draw(left - 8, top + (r + 0.5) * cellHeight)),
+    columnLabels.map((label, c) => {
+      const x = left + (c + 0.5) * cellWidth;
+      return [
+        label.draw(x, bottom + 8),
+        captionHeight > 0 && h('text', {
+          x, y: bottom + 8 + label.height + tickSize, 'text-anchor': 'middle', 'font-size': tickSize, fill: colors.tick,
+        }, rangeCaption(ranges[c], integerTicks)),
+      ];
+    }),
+    colorbarNode,
+  );
+};
+
+/**
+ * 南丁格尔玫瑰图：每个维度一个扇区，扇区内各模型一片扇形，半径为该维度刻度下的比例。
+ * 网格为同心圆，刻度标在扇区之间的分隔线旁
+ */
+const polarBarPanel = (chart, settings, panel, box, { measure, outerRatio = 0.8 }) => {
+  const {
+    fontSize, strokeWidth, dimensionConfig, labelWrap, groupSectors: showSectors, integerTicks, showAxisTicks,
+    hiddenBands,
+  } = settings;
+  const { data } = panel;
+  const models = panel.models;
+  const n = data.length;
+  const colors = canvasColors(settings);
+  const area = inset(box);
+  const geometry = {
+    cx: area.x + area.width / 2,
+    cy: area.y + area.height / 2,
+    outerRadius: (Math.max(0, Math.min(area.width, area.height)) / 2) * outerRatio,
+    angleOf: (subject, index) => axisAngle(index, n),
+  };
+  const { cx, cy, outerRadius } = geometry;
+  if (n === 0 || models.length === 0 || outerRadius <= 0) return null;
+
+  const step = 360 / n;
+  const span = (step * 0.85) / models.length;
+  const at = (r, angle) => polarToCartesian(cx, cy, r, angle);
+
+  const grid = h(
+    'g',
+    { class: 'sciradar-grid', stroke: colors.grid, fill: 'none' },
+    radiusTicks(panel.ranges).slice(1).map((t) => h('circle', { cx, cy, r: t * outerRadius })),
+    n > 1 && data.map((_, i) => {
+      const end = at(outerRadius, axisAngle(i, n) + step / 2);
+      return h('line', {
+        x1: cx, y1: cy, x2: end.x, y2: end.y,
+      });
+    }),
+  );
+
+  // 扇形按图例顺序顺时针排开，角度为逆时针的度数
+  const wedges = models.map((model, j) => {
+    const look = seriesLook(chart, model);
+    const showBand = chart.bandModels.includes(model) && !hiddenBands[model];
+    return h(
+      'g',
+      { class: 'sciradar-series' },
+      data.map((point, i) => {
+        const ratio = point[model];
+        if (!isRatio(ratio) || ratio <= 0) return null;
+        const from = axisAngle(i, n) + (step * 0.85) / 2 - j * span;
+        const to = from - span;
+        const r = ratio * outerRadius;
+        const a = at(r, from);
+        const b = at(r, to);
+        const band = showBand && point.band[model];
+        const mid = from - span / 2;
+        return [
+          h('path', {
+            d: `M${cx},${cy}L${a.x},${a.y}A${r},${r},0,${span > 180 ? 1 : 0},1,${b.x},${b.y}Z`,
+            fill: look.color,
+            'fill-opacity': BAR_OPACITY * look.opacity,
+            stroke: colors.surface,
+            'stroke-width': 0.5,
+          }, hoverTitle(chart, settings, model, point)),
+          band && h('path', {
+            d: `M${at(band[0] * outerRadius, mid).x},${at(band[0] * outerRadius, mid).y}`
+              + `L${at(band[1] * outerRadius, mid).x},${at(band[1] * outerRadius, mid).y}`,
+            stroke: colors.ink,
+            'stroke-width': Math.max(1, strokeWidth * 0.5),
+            'stroke-opacity': look.opacity,
+          }),
+        ];
+      }),
+    );
+  });
+
+  return h(
+    'g',
+    { class: 'sciradar-polar-bar' },
+    showSectors && chart.groupNames.length > 0 && groupSectors(geometry, data, {
+      groupOf: chart.groupOf, colorOf: chart.groupColor, sectorShape: 'circle', fontSize,
+    }),
+    grid,
+    wedges,
+    axisLabels(geometry, data, {
+      labelOf: chart.formatAxisLabel,
+      offsetOf: (subject) => ({ dx: dimensionConfig[subject]?.labelDx, dy: dimensionConfig[subject]?.labelDy }),
+      wrap: labelWrap,
+      fontSize,
+      color: colors.label,
+      bounds: box,
+      measure: (text, size) => measure(text, size, 500),
+    }),
+    // 刻度标在扇区之间的分隔线旁，不压住扇形
+    showAxisTicks && axisTicks({ ...geometry, angleOf: (subject, index) => axisAngle(index, n) + step / 2 }, {
+      ranges: panel.ranges, shared: panel.shared, fontSize: fontSize - 2, integerTicks, color: colors.tick,
+    }),
+  );
+};
+
+const PANELS = {
+  parallel: parallelPanel,
+  bar: barPanel,
+  barh: (chart, settings, panel, box, options) => barPanel(chart, settings, panel, box, { ...options, horizontal: true }),
+  heatmap: heatmapPanel,
+  polarBar: polarBarPanel,
+};
+
+/**
+ * 在 box 区域内画一个子图。type 为 CHART_TYPES 中雷达图以外的类型；
+ * options: { measure(text, fontSize, fontWeight), outerRatio (玫瑰图的外半径比例) }
+ */
+export const plotPanel = (type, chart, settings, panel, box, options) => PANELS[type]?.(chart, settings, panel, box, options) ?? null;
@@ -0,0 +1,43 @@
+/**
+ * 与环境无关的 SVG 元素树：{ name, attrs, children }，文字节点为 { name: '#text', text }，
+ * 与 export/vector.js 的 parseSvgTree 结构一致，可直接交给 svgToScene。
+ * 网页中由 components/SvgTree 转为 React 元素，命令行中由 serializeTree 写成字符串。
+ */
+
+const round = (n) => Math.round(n * 1000) / 1000;
+
+// 路径数据中的坐标同样保留 3 位小数
+const roundPath = (d) => d.replace(/-?\d*\.\d{4,}(?:e-?\d+)?/g, (n) => String(round(Number(n))));
+
+/**
+ * 创建元素。属性名使用 SVG 原名 (stroke-width 等)，值为 null / undefined / false 的属性省略；
+ * children 可以嵌套数组，null / false 被忽略，字符串与数字转为文字节点。
+ */
+export const h = (name, attrs = {}, ...children) => ({
+  name,
+  attrs: Object.fromEntries(Object.entries(attrs)
+    .filter(([, v]) => v != null && v !== false && !(typeof v === 'number' && !Number.isFinite(v)))
+    .map(([k, v]) => [k, typeof v === 'number' ? round(v) : k === 'd' ? roundPath(v) : v])),
+  children: children
+    .flat(Infinity)
+    .filter((c) => c != null && c !== false && c !== '')
+    .map((c) => (typeof c === 'object' ? c : { name: '#text', text: String(c) })),
+});
+
+const escapeXml = (s) => String(s)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+export const serializeTree = (node, indent = '') => {
+  if (node.name === '#text') return escapeXml(node.text);
+  const attrs = Object.entries(node.attrs).map(([k, v]) => ` ${k}="${escapeXml(v)}"`).join('');
+  if (node.children.length === 0) return `${indent}<${node.name}${attrs}/>`;
+  // 含文字的元素写在一行内，避免引入多余的空白
+  if (node.children.some((c) => c.name === '#text')) {
+    return `${indent}<${node.name}${attrs}>${node.children.map((c) => serializeTree(c)).join('')}</${node.name}>`;
+  }
+  const inner = node.children.map((c) => serializeTree(c, `${indent}  `)).join('\n');
+  return `${indent}<${node.name}${attrs}>\n${inner}\n${indent}</${node.name}>`;
+};
@@ -0,0 +1,744 @@
+/**
+ * 导出为可继续编辑的绘图代码：matplotlib 脚本、Vega-Lite 规格与 Plotly 图表 JSON
+ *
+ * 数据直接写入代码。各维度使用自己的刻度，与网页一致：数值按 [min, max] 换算为 0–1 的半径，
+ * 反向维度内环为最大值；归一化模式下写入的是归一化后的数值。
+ */
+import {
+  parseMarkup, wrapLines, plainLabel, SYMBOL_COMMANDS,
+} from '../labels.js';
+import { axisAngle, RADIAN } from '../geometry.js';
+import { tickValues, formatTickValue } from '../scale.js';
+import { panelLetter } from '../panels.js';
+import { MUTED_OPACITY } from '../series.js';
+import { markerPath } from '../draw/markers.js';
+import { fontStack } from '../styles.js';
+import { canvasColors, isVerticalLegend } from '../canvas.js';
+import { fontFamilyKind } from './eps.js';
+
+export const CODE_FORMATS = [
+  { id: 'matplotlib', name: 'matplotlib', ext: 'py', mime: 'text/x-python', desc: 'Python 脚本，可直接运行' },
+  { id: 'vega-lite', name: 'Vega-Lite', ext: 'vl.json', mime: 'application/json', desc: 'Vega-Lite v5 规格' },
+  { id: 'plotly', name: 'Plotly', ext: 'plotly.json', mime: 'application/json', desc: 'Plotly 图表 JSON (data + layout)' },
+];
+
+const PX_TO_PT = 0.75;
+
+const round = (n) => Math.round(n * 1000) / 1000;
+
+// 标记形状在各库中的名称
+const MPL_MARKERS = {
+  circle: 'o', square: 's', triangle: '^', diamond: 'D', cross: 'P', x: 'X',
+};
+const PLOTLY_MARKERS = {
+  circle: 'circle', square: 'square', triangle: 'triangle-up', diamond: 'diamond', cross: 'cross', x: 'x',
+};
+
+const dashList = (dash) => String(dash || '').split(/[\s,]+/).filter(Boolean).map(Number);
+
+/**
+ * 各子图中绘制所需的数据，三种格式共用。
+ * series 按图例顺序排列，zorder 越大越靠上 (与网页的绘制顺序一致)
+ */
+const figureData = (chart, settings) => {
+  const { panels: panelLayout, showDots, strokeWidth } = settings;
+  const { surface } = canvasColors(settings);
+  return chart.panels.map((panel, index) => {
+    const order = chart.drawOrder(panel.models);
+    const letter = chart.multiPanel ? panelLetter(index, panelLayout.letters) : '';
+    return {
+      title: chart.multiPanel ? [letter, panel.title].filter(Boolean).join(' ') : '',
+      subjects: panel.data.map((point) => point.subject),
+      labels: panel.data.map((point) => chart.formatAxisLabel(point.subject)),
+      angles: panel.data.map((_, i) => axisAngle(i, panel.data.length)),
+      ranges: panel.ranges.map((range) => ({
+        min: range.min, max: range.max, reverse: !!range.reverse, levels: range.levels || 5,
+      })),
+      shared: !!panel.shared,
+      // 归一化模式下所有维度刻度相同，只在第一根轴上标注，中心刻度视情况标注
+      centerTick: !!panel.shared && !panel.ranges[0]?.hideCenterTick,
+      series: panel.models.map((model) => {
+        const style = chart.seriesStyles[model];
+        const muted = !!chart.activeFocus && model !== chart.activeFocus;
+        return {
+          model,
+          name: chart.seriesLabel(model),
+          color: chart.seriesColor(model),
+          values: panel.data.map((point) => point.normalized[model] ?? null),
+          ratios: panel.data.map((point) => point[model] ?? null),
+          lineOpacity: muted ? MUTED_OPACITY : 1,
+          fillOpacity: round(muted ? style.fillOpacity * MUTED_OPACITY : style.fillOpacity),
+          dash: dashList(style.dash),
+          // 未自定义样式时数据点一律为圆点
+          marker: showDots && !muted && style.marker !== 'none' ? (style.custom ? style.marker : 'circle') : null,
+          markerSize: style.markerSize,
+          // 自定义样式的标记以背景色描边，默认圆点的描边与线条同色
+          markerEdge: style.custom ? surface : chart.seriesColor(model),
+          markerEdgeWidth: style.custom ? 1 : strokeWidth,
+          zorder: order.indexOf(model),
+        };
+      }),
+    };
+  });
+};
+
+// 刻度值：与网页相同，中心刻度只在共用刻度时标注
+const panelTicks = (panel, integerTicks) => (panel.shared ? panel.ranges.slice(0, 1) : panel.ranges)
+  .flatMap((range, axis) => tickValues(range, range.levels)
+    .map((value, level) => ({
+      axis, level, ratio: level / range.levels, text: formatTickValue(value, integerTicks),
+    }))
+    .filter(({ level }) => level > 0 || panel.centerTick));
+
+// 画布设置中隐藏标题时不画图标题，文件说明中仍保留
+const figureTitle = (settings) => (settings.canvas.showTitle ? settings.title : '');
+
+// --- matplotlib ---
+
+// Python 字面量；字符串借用 JSON 的转义，与 Python 兼容
+const py = (value) => {
+  if (value === null || value === undefined) return 'None';
+  if (value === true) return 'True';
+  if (value === false) return 'False';
+  if (typeof value === 'number') return Number.isFinite(value) ? String(round(value)) : 'None';
+  if (typeof value === 'string') return JSON.stringify(value);
+  if (Array.isArray(value)) return `[${value.map(py).join(', ')}]`;
+  return `dict(${Object.entries(value).map(([k, v]) => `${k}=${py(v)}`).join(', ')})`;
+};
+
+// 标签标记 → matplotlib mathtext：上下标与符号写成 $…$，换行为 \n
+const mathtext = (source, wrap = 0) => wrapLines(parseMarkup(source), wrap)
+  .map((line) => line.map((run) => {
+    const text = Array.from(run.text).map((ch) => {
+      if (SYMBOL_COMMANDS[ch]) return `$\\${SYMBOL_COMMANDS[ch]}$`;
+      return ch === '$' ? '\\$' : ch;
+    }).join('');
+    if (run.shift === 'sub') return `$_{\\mathregular{${text.replace(/\$/g, '')}}}$`;
+    if (run.shift === 'sup') return `$^{\\mathregular{${text.replace(/\$/g, '')}}}$`;
+    return text;
+  }).join(''))
+  .join('\n');
+
+const MPL_FAMILIES = { sans: 'sans-serif', serif: 'serif', mono: 'monospace' };
+
+// 图例位置 → fig.legend 的 loc；图内时叠在右上角
+const MPL_LEGEND_LOCS = {
+  bottom: 'outside lower center',
+  top: 'outside upper center',
+  left: 'outside left center',
+  right: 'outside right center',
+  inside: 'upper right',
+};
+
+const matplotlibScript = (chart, settings, panels, { width, height, dpi }) => {
+  const {
+    font, fontSize, strokeWidth, gridType, connectNulls, labelWrap, integerTicks, showAxisTicks, canvas,
+  } = settings;
+  const title = figureTitle(settings);
+  const colors = canvasColors(settings);
+  const { legend } = canvas;
+  const stack = fontStack(font);
+  const family = MPL_FAMILIES[fontFamilyKind(stack)];
+  const families = [...stack.split(',').map((f) => f.trim().replace(/^['"]|['"]$/g, '')).filter((f) => !/^(sans-serif|serif|monospace)$/.test(f)),
+    family === 'serif' ? 'DejaVu Serif' : family === 'monospace' ? 'DejaVu Sans Mono' : 'DejaVu Sans'];
+  const lineWidth = strokeWidth * PX_TO_PT;
+  const { columns, rows } = chart.grid;
+
+  const panelLines = panels.map((panel) => [
+    '    dict(',
+    `        title=${py(mathtext(panel.title))},`,
+    `        dimensions=${py(panel.labels.map((label) => mathtext(label, labelWrap)))},`,
+    '        # per-axis scale: (min, max, reverse); reversed axes put the maximum at the centre',
+    `        ranges=[${panel.ranges.map((r) => `(${py(r.min)}, ${py(r.max)}, ${py(r.reverse)})`).join(', ')}],`,
+    `        shared_scale=${py(panel.shared)},`,
+    `        center_tick=${py(panel.centerTick)},`,
+    '        series=[',
+    ...panel.series.map((s) => `            ${py({
+      name: mathtext(s.name),
+      color: s.color,
+      values: s.values,
+      line_alpha: s.lineOpacity,
+      fill_alpha: s.fillOpacity,
+      // matplotlib 的虚线长度以线宽为单位
+      linestyle: s.dash.length ? `DASH:${s.dash.map((v) => round((v * PX_TO_PT) / lineWidth)).join(',')}` : '-',
+      marker: s.marker ? MPL_MARKERS[s.marker] : null,
+      markersize: round(s.markerSize * 2 * PX_TO_PT),
+      marker_edge: s.markerEdge,
+      marker_edge_width: round(s.markerEdgeWidth * PX_TO_PT),
+      zorder: s.zorder + 2,
+    })},`),
+    '        ],',
+    '    ),',
+  ].join('\n'));
+
+  return `"""
+SciRadar: ${settings.title.replace(/\\/g, '\\\\').replace(/"""/g, "'''").replace(/[\r\n]+/g, ' ')}
+
+Generated by SciRadar. The data and chart settings are written inline below,
+edit them and re-run the script.
+Requires matplotlib >= 3.7 and numpy.
+"""
+import numpy as np
+import matplotlib.pyplot as plt
+
+# --- Style ---
+plt.rcParams["font.family"] = ${py(family)}
+plt.rcParams["font.${family}"] = ${py(families)}
+plt.rcParams["font.size"] = ${py(fontSize * PX_TO_PT)}  # pt
+plt.rcParams["mathtext.default"] = "regular"
+
+FIGSIZE = (${py(width / 96)}, ${py(height / 96)})  # inches
+DPI = ${py(dpi)}
+TITLE = ${py(title)}
+GRID_TYPE = ${py(gridType)}  # "polygon" or "circle"
+GRID_LEVELS = ${py(panels[0]?.ranges[0]?.levels || 5)}
+BACKGROUND = ${py(colors.background)}  # None for a transparent background
+GRID_COLOR = ${py(colors.grid)}
+LABEL_COLOR = ${py(colors.label)}
+TICK_COLOR = ${py(colors.tick)}
+TITLE_COLOR = ${py(colors.text)}
+LEGEND_COLOR = ${py(colors.ink)}
+LEGEND_LOC = ${py(MPL_LEGEND_LOCS[legend.position] || MPL_LEGEND_LOCS.bottom)}
+LEGEND_COLUMNS = ${py(legend.columns || (isVerticalLegend(legend.position) ? 1 : null))}  # None: up to 4 per row
+LEGEND_FRAME = ${py(legend.frame)}
+FRAME_COLOR = ${py(colors.frame)}
+MARGIN = ${py(canvas.margin / 96)}  # inches
+LINE_WIDTH = ${py(lineWidth)}  # pt
+SHOW_TICKS = ${py(showAxisTicks)}
+INTEGER_TICKS = ${py(integerTicks)}
+CONNECT_NULLS = ${py(connectNulls)}
+COLUMNS, ROWS = ${columns}, ${rows}
+
+# --- Data ---
+panels = [
+${panelLines.join('\n')}
+]
+
+
+def to_ratio(value, lo, hi, reverse):
+    """Map a value onto the 0-1 radius of its own axis."""
+    if value is None:
+        return np.nan
+    span = hi - lo
+    if span == 0:
+        return 1.0
+    ratio = (hi - value) / span if reverse else (value - lo) / span
+    return min(max(ratio, 0.0), 1.0)
+
+
+def format_tick(value):
+    if INTEGER_TICKS or abs(value) >= 10:
+        return f"{value:.0f}"
+    return f"{value:.2f}" if abs(value) < 1 else f"{value:.1f}"
+
+
+def line_style(style):
+    if style.startswith("DASH:"):
+        return (0, tuple(float(v) for v in style[5:].split(",")))
+    return style
+
+
+def draw_radar(ax, panel):
+    n = len(panel["dimensions"])
+    theta = np.linspace(0, 2 * np.pi, n, endpoint=False)
+    # first axis at the top, clockwise
+    ax.set_theta_offset(np.pi / 2)
+    ax.set_theta_direction(-1)
+    ax.set_ylim(0, 1)
+    ax.set_facecolor("none")
+    ax.grid(False)
+    ax.spines["polar"].set_visible(False)
+    ax.set_yticks([])
+    ax.set_xticks(theta)
+    ax.set_xticklabels(panel["dimensions"], color=LABEL_COLOR)
+    ax.tick_params(axis="x", pad=12)
+
+    for t in theta:
+        ax.plot([t, t], [0, 1], color=GRID_COLOR, lw=0.75, zorder=0)
+    for level in range(1, GRID_LEVELS + 1):
+        r = level / GRID_LEVELS
+        if GRID_TYPE == "circle":
+            t = np.linspace(0, 2 * np.pi, 200)
+            ax.plot(t, np.full_like(t, r), color=GRID_COLOR, lw=0.75, zorder=0)
+        else:
+            ax.plot(np.append(theta, theta[0]), np.full(n + 1, r), color=GRID_COLOR, lw=0.75, zorder=0)
+
+    if SHOW_TICKS:
+        ranges = panel["ranges"][:1] if panel["shared_scale"] else panel["ranges"]
+        for i, (lo, hi, reverse) in enumerate(ranges):
+            # tick labels sit beside the axis, perpendicular to it
+            angle = np.pi / 2 - theta[i] - np.pi / 2
+            offset = (6 * np.cos(angle), 6 * np.sin(angle))
+            for level in range(0 if panel["center_tick"] else 1, GRID_LEVELS + 1):
+                t = level / GRID_LEVELS
+                value = hi - (hi - lo) * t if reverse else lo + (hi - lo) * t
+                ax.annotate(format_tick(value), xy=(theta[i], t), xytext=offset, textcoords="offset points",
+                            ha="center", va="center", color=TICK_COLOR, alpha=0.8,
+                            fontsize=plt.rcParams["font.size"] - 1.5)
+
+    for s in panel["series"]:
+        r = np.array([to_ratio(v, lo, hi, rev) for v, (lo, hi, rev) in zip(s["values"], panel["ranges"])])
+        t = theta
+        if CONNECT_NULLS:
+            keep = ~np.isnan(r)
+            t, r = t[keep], r[keep]
+        if len(r) == 0:
+            continue
+        t_closed, r_closed = np.append(t, t[0]), np.append(r, r[0])
+        ax.plot(t_closed, r_closed, color=s["color"], lw=LINE_WIDTH, alpha=s["line_alpha"],
+                linestyle=line_style(s["linestyle"]), marker=s["marker"], markersize=s["markersize"],
+                markerfacecolor=s["color"], markeredgecolor=s["marker_edge"],
+                markeredgewidth=s["marker_edge_width"], label=s["name"], zorder=s["zorder"])
+        # missing values break the outline, which is then left unfilled
+        if not np.isnan(r).any():
+            ax.fill(t_closed, r_closed, color=s["color"], alpha=s["fill_alpha"], lw=0, zorder=s["zorder"])
+
+    if panel["title"]:
+        ax.set_title(panel["title"], loc="left", fontweight="bold", pad=24, color=TITLE_COLOR)
+
+
+fig, axes = plt.subplots(ROWS, COLUMNS, figsize=FIGSIZE, subplot_kw=dict(projection="polar"),
+                         squeeze=False, layout="constrained", facecolor=BACKGROUND or "none")
+fig.get_layout_engine().set(w_pad=MARGIN, h_pad=MARGIN)
+for ax in axes.flat[len(panels):]:
+    ax.set_visible(False)
+for ax, panel in zip(axes.flat, panels):
+    draw_radar(ax, panel)
+
+if TITLE:
+    fig.suptitle(TITLE, fontweight="bold", fontsize=plt.rcParams["font.size"] + 4.5, color=TITLE_COLOR)
+# one legend for all panels, in the same order as the web preview
+handles, labels = {}, []
+for ax in axes.flat[:len(panels)]:
+    for handle, label in zip(*ax.get_legend_handles_labels()):
+        if label not in handles:
+            handles[label] = handle
+            labels.append(label)
+fig.legend([handles[label] for label in labels], labels, loc=LEGEND_LOC,
+           ncol=LEGEND_COLUMNS or max(1, min(len(labels), 4)), frameon=LEGEND_FRAME,
+           edgecolor=FRAME_COLOR, facecolor=BACKGROUND or "none", framealpha=1, labelcolor=LEGEND_COLOR)
+
+fig.savefig("radar.pdf", dpi=DPI, transparent=BACKGROUND is None)
+plt.show()
+`;
+};
+
+// --- Vega-Lite ---
+
+// 标签标记 → 纯文字行，Vega 的文字不支持上下标
+const plainLines = (source, wrap = 0) => wrapLines(parseMarkup(source), wrap)
+  .map((line) => line.map((run) => run.text).join(''));
+
+const polarPoint = (angle, r) => ({ x: round(r * Math.cos(angle * RADIAN)), y: round(r * Math.sin(angle * RADIAN)) });
+
+// 单个雷达图的图层，坐标范围为 [-1, 1]，外侧留出标签的空间；设置了外半径时按比例缩放留白
+const vegaPanel = (panel, settings, size, color) => {
+  const {
+    fontSize, strokeWidth, gridType, connectNulls, labelWrap, integerTicks, showAxisTicks, canvas,
+  } = settings;
+  const colors = canvasColors(settings);
+  const n = panel.subjects.length;
+  const levels = panel.ranges[0]?.levels || 5;
+  const lineHeight = round(fontSize * 1.2);
+  const extent = canvas.outerRadius ? round(1.16 / canvas.outerRadius) : 1.45;
+  const scale = { domain: [-extent, extent] };
+  const position = {
+    x: { field: 'x', type: 'quantitative', scale, axis: null },
+    y: { field: 'y', type: 'quantitative', scale, axis: null },
+  };
+
+  const grid = [];
+  for (let level = 1; level <= levels; level++) {
+    const r = level / levels;
+    const steps = gridType === 'circle' ? 72 : n;
+    for (let i = 0; i <= steps; i++) {
+      const angle = gridType === 'circle' ? 90 - (360 / steps) * i : panel.angles[i % n];
+      grid.push({ level, order: i, ...polarPoint(angle, r) });
+    }
+  }
+  const spokes = panel.angles.map((angle) => {
+    const end = polarPoint(angle, 1);
+    return {
+      x: 0, y: 0, x2: end.x, y2: end.y,
+    };
+  });
+  const labels = panel.labels.map((label, i) => {
+    const angle = panel.angles[i];
+    const cos = Math.cos(angle * RADIAN);
+    const sin = Math.sin(angle * RADIAN);
+    const text = plainLines(label, labelWrap);
+    const baseline = sin > 0.1 ? 'bottom' : sin < -0.1 ? 'top' : 'middle';
+    // Vega 的多行文字总是从第一行向下排，上方与两侧的标签需要上移
+    const shift = { bottom: 1, middle: 0.5, top: 0 }[baseline];
+    return {
+      text,
+      align: cos > 0.1 ? 'left' : cos < -0.1 ? 'right' : 'center',
+      baseline,
+      dy: round(-(text.length - 1) * shift * lineHeight),
+      ...polarPoint(angle, 1.06),
+    };
+  });
+  const ticks = showAxisTicks ? panelTicks(panel, integerTicks).map((tick) => {
+    const angle = panel.angles[tick.axis];
+    const p = polarPoint(angle, tick.ratio);
+    // 沿垂直于轴线的方向偏移 8 px
+    const offset = 8 / (size / (extent * 2));
+    return {
+      text: tick.text,
+      x: round(p.x + offset * Math.cos((angle - 90) * RADIAN)),
+      y: round(p.y + offset * Math.sin((angle - 90) * RADIAN)),
+    };
+  }) : [];
+
+  const points = panel.series.flatMap((s) => {
+    const rows = s.ratios.map((ratio, i) => ({
+      series: plainLabel(s.name),
+      dimension: panel.subjects[i],
+      value: s.values[i],
+      ratio,
+      angle: panel.angles[i],
+      order: i,
+    }));
+    const valid = rows.filter((row) => row.ratio !== null);
+    // 首点重复一次使轮廓闭合；缺失值时不填充
+    const closed = connectNulls || valid.length === rows.length;
+    const path = connectNulls ? valid : rows;
+    return (closed && path.length > 0 ? [...path, { ...path[0], order: n }] : path).map((row) => ({
+      ...row,
+      ...(row.ratio === null ? { x: null, y: null } : polarPoint(row.angle, row.ratio)),
+      fillOpacity: closed ? s.fillOpacity : 0,
+      lineOpacity: s.lineOpacity,
+      dash: s.dash,
+      zorder: s.zorder,
+    }));
+  });
+  const markers = panel.series.filter((s) => s.marker).flatMap((s) => s.ratios
+    .map((ratio, i) => ratio !== null && {
+      series: plainLabel(s.name),
+      dimension: panel.subjects[i],
+      value: s.values[i],
+      ...polarPoint(panel.angles[i], ratio),
+      shape: s.marker === 'circle' ? 'circle' : markerPath(s.marker, 1),
+      size: round((s.markerSize * 2) ** 2),
+      stroke: s.markerEdge,
+      strokeWidth: s.markerEdgeWidth,
+    })
+    .filter(Boolean));
+
+  return {
+    ...(panel.title ? { title: { text: plainLabel(panel.title), anchor: 'start' } } : {}),
+    width: size,
+    height: size,
+    layer: [
+      {
+        data: { values: spokes },
+        mark: { type: 'rule', color: colors.grid, strokeWidth: 1 },
+        encoding: { ...position, x2: { field: 'x2' }, y2: { field: 'y2' } },
+      },
+      {
+        data: { values: grid },
+        mark: { type: 'line', color: colors.grid, strokeWidth: 1 },
+        encoding: { ...position, detail: { field: 'level' }, order: { field: 'order' } },
+      },
+      {
+        data: { values: labels },
+        mark: {
+          type: 'text',
+          color: colors.label,
+          fontSize,
+          fontWeight: 500,
+          lineHeight,
+          align: { expr: 'datum.align' },
+          baseline: { expr: 'datum.baseline' },
+          dy: { expr: 'datum.dy' },
+        },
+        encoding: { ...position, text: { field: 'text' } },
+      },
+      ...(ticks.length ? [{
+        data: { values: ticks },
+        mark: {
+          type: 'text', color: colors.tick, opacity: 0.8, fontSize: Math.max(6, fontSize - 2),
+        },
+        encoding: { ...position, text: { field: 'text' } },
+      }] : []),
+      {
+        data: { values: points },
+        mark: {
+          type: 'line', interpolate: 'linear', strokeWidth, strokeJoin: 'round',
+        },
+        encoding: {
+          ...position,
+          color,
+          fill: color,
+          fillOpacity: { field: 'fillOpacity', type: 'quantitative', scale: null },
+          strokeOpacity: { field: 'lineOpacity', type: 'quantitative', scale: null },
+          strokeDash: { field: 'dash', type: 'nominal', scale: null },
+          order: { field: 'order' },
+          detail: { field: 'series' },
+          tooltip: [{ field: 'series' }, { field: 'dimension' }, { field: 'value', type: 'quantitative' }],
+        },
+      },
+      ...(markers.length ? [{
+        data: { values: markers },
+        mark: { type: 'point', filled: true, opacity: 1 },
+        encoding: {
+          ...position,
+          color,
+          shape: { field: 'shape', type: 'nominal', scale: null },
+          size: { field: 'size', type: 'quantitative', scale: null },
+          stroke: { field: 'stroke', type: 'nominal', scale: null },
+          strokeWidth: { field: 'strokeWidth', type: 'quantitative', scale: null },
+          tooltip: [{ field: 'series' }, { field: 'dimension' }, { field: 'value', type: 'quantitative' }],
+        },
+      }] : []),
+    ],
+  };
+};
+
+// 图例位置 → Vega-Lite 的 legend orient
+const VEGA_LEGEND_ORIENTS = {
+  bottom: 'bottom', top: 'top', left: 'left', right: 'right', inside: 'top-right',
+};
+
+const vegaLiteSpec = (chart, settings, panels, { width, height }) => {
+  const { font, fontSize, canvas } = settings;
+  const title = figureTitle(settings);
+  const colors = canvasColors(settings);
+  const { columns, rows } = chart.grid;
+  const position = canvas.legend.position;
+  const titleSpace = title ? fontSize * 3 : 0;
+  // 上下方的图例约占 4 行字高，左右两侧的按最长的名称估算
+  const legendHeight = ['top', 'bottom'].includes(position) ? fontSize * 4 : 0;
+  const legendWidth = ['left', 'right'].includes(position)
+    ? fontSize * (2 + Math.max(0, ...chart.visibleModels.map((model) => plainLabel(chart.seriesLabel(model)).length)) * 0.6)
+    : 0;
+  const size = Math.max(80, Math.min(
+    (width - canvas.margin * 2 - legendWidth) / columns,
+    (height - canvas.margin * 2 - titleSpace - legendHeight) / rows,
+  ) - 24);
+  // 子图共用一个颜色比例尺，图例只出现一次
+  const legend = new Map(panels.flatMap((panel) => panel.series.map((s) => [plainLabel(s.name), s.color])));
+  const color = {
+    field: 'series',
+    type: 'nominal',
+    title: null,
+    scale: { domain: [...legend.keys()], range: [...legend.values()] },
+  };
+  const specs = panels.map((panel) => vegaPanel(panel, settings, Math.round(size), color));
+  return {
+    $schema: 'https://vega.github.io/schema/vega-lite/v5.json',
+    description: `SciRadar: ${settings.title}`,
+    ...(title ? { title: { text: title, fontSize: fontSize + 6, color: colors.text } } : {}),
+    background: colors.background || 'transparent',
+    padding: canvas.margin,
+    ...(specs.length === 1 ? specs[0] : { columns, concat: specs }),
+    config: {
+      font: fontStack(font),
+      view: { stroke: null },
+      legend: {
+        orient: VEGA_LEGEND_ORIENTS[position] || 'bottom',
+        ...(canvas.legend.columns ? { columns: canvas.legend.columns } : {}),
+        ...(canvas.legend.frame ? { strokeColor: colors.frame, padding: 6, cornerRadius: 4 } : {}),
+        labelFontSize: fontSize,
+        labelColor: colors.ink,
+        symbolType: 'square',
+      },
+      title: { fontSize: fontSize + 2, color: colors.text },
+    },
+  };
+};
+
+// --- Plotly ---
+
+// Plotly 的文字按 HTML 子集解析
+const htmlEscape = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const plotlyText = (source, wrap = 0) => wrapLines(parseMarkup(source), wrap)
+  .map((line) => line.map((run) => {
+    const text = htmlEscape(run.text);
+    return run.shift ? `<${run.shift}>${text}</${run.shift}>` : text;
+  }).join(''))
+  .join('<br>');
+
+const rgba = (color, alpha) => {
+  const hex = color.replace('#', '');
+  const full = hex.length === 3 ? hex.split('').map((c) => c + c).join('') : hex.slice(0, 6);
+  const [r, g, b] = [0, 2, 4].map((i) => parseInt(full.slice(i, i + 2), 16));
+  return `rgba(${r}, ${g}, ${b}, ${round(alpha)})`;
+};
+
+// 图例位置 (图纸坐标)；titleTop 为标题占用的高度。Plotly 的图例没有列数设置，横排时自动换行
+const plotlyLegend = (position, titleTop) => {
+  switch (position) {
+    case 'top':
+      return {
+        orientation: 'h', x: 0.5, xanchor: 'center', y: round(1 - titleTop), yanchor: 'top',
+      };
+    case 'left':
+      return {
+        orientation: 'v', x: 0, xanchor: 'left', y: 0.5, yanchor: 'middle',
+      };
+    case 'right':
+      return {
+        orientation: 'v', x: 1, xanchor: 'right', y: 0.5, yanchor: 'middle',
+      };
+    case 'inside':
+      return {
+        orientation: 'v', x: 1, xanchor: 'right', y: round(1 - titleTop), yanchor: 'top',
+      };
+    default:
+      return {
+        orientation: 'h', x: 0.5, xanchor: 'center', y: 0, yanchor: 'bottom',
+      };
+  }
+};
+
+const plotlyFigure = (chart, settings, panels, { width, height }) => {
+  const {
+    font, fontSize, strokeWidth, gridType, connectNulls, labelWrap, integerTicks, showAxisTicks, canvas,
+  } = settings;
+  const title = figureTitle(settings);
+  const colors = canvasColors(settings);
+  const background = colors.background || 'rgba(0, 0, 0, 0)';
+  const { columns, rows } = chart.grid;
+  const position = canvas.legend.position;
+  // 上下左右的图例占用图纸的一部分，图内的不占用
+  const titleTop = title ? 0.1 : 0.03;
+  const top = titleTop + (position === 'top' ? 0.09 : 0);
+  const bottom = position === 'bottom' ? 0.12 : 0.03;
+  const left = position === 'left' ? 0.2 : 0;
+  const right = position === 'right' ? 0.2 : 0;
+  const data = [];
+  const layout = {
+    title: title ? {
+      text: htmlEscape(title), font: { size: fontSize + 6, color: colors.text }, x: 0.5, y: 1, xref: 'paper', yref: 'paper', yanchor: 'top',
+    } : undefined,
+    font: { family: fontStack(font), size: fontSize, color: colors.label },
+    width: Math.round(width),
+    height: Math.round(height),
+    margin: {
+      l: canvas.margin, r: canvas.margin, t: canvas.margin, b: canvas.margin,
+    },
+    paper_bgcolor: background,
+    showlegend: true,
+    legend: {
+      ...plotlyLegend(position, titleTop),
+      traceorder: 'normal',
+      font: { color: colors.ink },
+      bgcolor: 'rgba(0, 0, 0, 0)',
+      ...(canvas.legend.frame ? { bordercolor: colors.frame, borderwidth: 1 } : {}),
+    },
+    annotations: [],
+  };
+
+  panels.forEach((panel, p) => {
+    const key = p === 0 ? 'polar' : `polar${p + 1}`;
+    const col = p % columns;
+    const row = Math.floor(p / columns);
+    const cellWidth = (1 - left - right) / columns;
+    const cellHeight = (1 - top - bottom) / rows;
+    const domain = {
+      x: [round(left + col * cellWidth + 0.04), round(left + (col + 1) * cellWidth - 0.04)],
+      y: [round(1 - top - (row + 1) * cellHeight + 0.04), round(1 - top - row * cellHeight - 0.06)],
+    };
+    const theta = panel.labels.map((label) => plotlyText(label, labelWrap));
+    layout[key] = {
+      domain,
+      gridshape: gridType === 'circle' ? 'circular' : 'linear',
+      bgcolor: background,
+      radialaxis: {
+        range: [0, 1],
+        tickvals: Array.from({ length: (panel.ranges[0]?.levels || 5) + 1 }, (_, i) => round(i / (panel.ranges[0]?.levels || 5))),
+        showticklabels: false,
+        ticks: '',
+        showline: false,
+        gridcolor: colors.grid,
+      },
+      angularaxis: {
+        rotation: 90, direction: 'clockwise', gridcolor: colors.grid, linecolor: colors.grid, tickfont: { color: colors.label },
+      },
+    };
+    if (panel.title) {
+      layout.annotations.push({
+        text: `<b>${plotlyText(panel.title)}</b>`,
+        x: domain.x[0] - 0.03,
+        y: domain.y[1] + 0.05,
+        xref: 'paper',
+        yref: 'paper',
+        xanchor: 'left',
+        yanchor: 'bottom',
+        showarrow: false,
+        font: { size: fontSize + 2, color: colors.text },
+      });
+    }
+
+    // 按绘制顺序添加，图例按 legendrank 排序
+    [...panel.series].sort((a, b) => a.zorder - b.zorder).forEach((s) => {
+      const closed = (values) => (values.length ? [...values, values[0]] : values);
+      data.push({
+        type: 'scatterpolar',
+        subplot: key,
+        name: plotlyText(s.name),
+        legendgroup: s.model,
+        legendrank: panel.series.indexOf(s) + 1,
+        showlegend: !data.some((trace) => trace.legendgroup === s.model),
+        r: closed(s.ratios.map((ratio) => (ratio === null ? null : round(ratio)))),
+        theta: closed(theta),
+        customdata: closed(s.values),
+        hovertemplate: '%{theta}: %{customdata}<extra>%{fullData.name}</extra>',
+        mode: s.marker ? 'lines+markers' : 'lines',
+        connectgaps: connectNulls,
+        fill: connectNulls || !s.ratios.includes(null) ? 'toself' : 'none',
+        fillcolor: rgba(s.color, s.fillOpacity),
+        opacity: s.lineOpacity,
+        line: {
+          color: s.color,
+          width: strokeWidth,
+          dash: s.dash.length ? s.dash.map((v) => `${v}px`).join(',') : 'solid',
+        },
+        marker: s.marker ? {
+          symbol: PLOTLY_MARKERS[s.marker],
+          size: round(s.markerSize * 2),
+          color: s.color,
+          line: { color: s.markerEdge, width: s.markerEdgeWidth },
+        } : undefined,
+      });
+    });
+
+    // 各维度自己的刻度以文字标注
+    if (showAxisTicks) {
+      const ticks = panelTicks(panel, integerTicks);
+      data.push({
+        type: 'scatterpolar',
+        subplot: key,
+        mode: 'text',
+        r: ticks.map((tick) => tick.ratio),
+        theta: ticks.map((tick) => theta[tick.axis]),
+        text: ticks.map((tick) => tick.text),
+        textposition: 'middle right',
+        textfont: { size: Math.max(6, fontSize - 2), color: colors.tick },
+        hoverinfo: 'skip',
+        showlegend: false,
+      });
+    }
+  });
+
+  return { data, layout: JSON.parse(JSON.stringify(layout)) };
+};
+
+/**
+ * 生成代码文本。width、height 为图幅 (CSS 像素)，dpi 用于 matplotlib 保存图片
+ */
+export const chartCode = (format, chart, settings, { width, height, dpi = 300 }) => {
+  const panels = figureData(chart, settings);
+  switch (format) {
+    case 'matplotlib':
+      return matplotlibScript(chart, settings, panels, { width, height, dpi });
+    case 'vega-lite':
+      return `${JSON.stringify(vegaLiteSpec(chart, settings, panels, { width, height }), null, 2)}\n`;
+    case 'plotly':
+      return `${JSON.stringify(plotlyFigure(chart, settings, panels, { width, height }), null, 2)}\n`;
+    default:
+      throw new Error(`不支持的代码格式：${format}`);
+  }
+};
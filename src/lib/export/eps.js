@@ -0,0 +1,135 @@
+/**
+ * 场景 → EPS (PostScript Level 2)
+ *
+ * 1 px 记为 0.75 pt，与浏览器 96 dpi 下的物理尺寸一致。
+ * PostScript 没有透明度，半透明颜色按白色底色预先混合。
+ */
+import { formatNumber as f } from './vector.js';
+
+const PX_TO_PT = 0.75;
+
+// 标准 35 字体中的对应字形，[常规, 粗体, 斜体, 粗斜体]
+const PS_FONTS = {
+  serif: ['Times-Roman', 'Times-Bold', 'Times-Italic', 'Times-BoldItalic'],
+  mono: ['Courier', 'Courier-Bold', 'Courier-Oblique', 'Courier-BoldOblique'],
+  sans: ['Helvetica', 'Helvetica-Bold', 'Helvetica-Oblique', 'Helvetica-BoldOblique'],
+};
+
+export const fontFamilyKind = (family = '') => {
+  const s = family.toLowerCase();
+  if (/courier|mono/.test(s)) return 'mono';
+  // sans-serif 中也含 serif，先排除
+  if (/times|georgia|(^|[\s,'"])serif/.test(s)) return 'serif';
+  return 'sans';
+};
+
+export const fontVariant = ({ fontWeight, fontStyle }) => {
+  const bold = fontWeight === 'bold' || Number(fontWeight) >= 600;
+  const italic = fontStyle === 'italic' || fontStyle === 'oblique';
+  return (bold ? 1 : 0) + (italic ? 2 : 0);
+};
+
+const blend = (color) => [color.r, color.g, color.b]
+  .map((c) => f((255 - color.a * (255 - c)) / 255))
+  .join(' ');
+
+// Latin-1 以外的字符无法用标准字体显示，以 ? 代替
+const psString = (text) => `(${Array.from(text).map((ch) => {
+  const code = ch.codePointAt(0);
+  if (ch === '(' || ch === ')' || ch === '\\') return `\\${ch}`;
+  if (code >= 32 && code < 127) return ch;
+  if (code < 256) return `\\${code.toString(8).padStart(3, '0')}`;
+  return '?';
+}).join('')})`;
+
+const pathOps = (segments) => segments.map(([cmd, ...v]) => {
+  switch (cmd) {
+    case 'M':
+      return `${f(v[0])} ${f(v[1])} m`;
+    case 'L':
+      return `${f(v[0])} ${f(v[1])} l`;
+    case 'C':
+      return `${v.map(f).join(' ')} c`;
+    default:
+      return 'h';
+  }
+}).join('\n');
+
+const LINE_CAPS = { butt: 0, round: 1, square: 2 };
+const LINE_JOINS = { miter: 0, round: 1, bevel: 2 };
+
+/**
+ * 生成 EPS 文本
+ */
+export const sceneToEps = (scene, { title = 'SciRadar' } = {}) => {
+  const width = scene.width * PX_TO_PT;
+  const height = scene.height * PX_TO_PT;
+  const fonts = new Set();
+  const body = [];
+
+  scene.items.forEach((item) => {
+    if (item.type === 'path') {
+      const path = `newpath\n${pathOps(item.segments)}`;
+      if (item.fill) body.push(`${path}\n${blend(item.fill)} setrgbcolor fill`);
+      if (item.stroke) {
+        body.push([
+          path,
+          `${f(item.strokeWidth)} setlinewidth`,
+          `${LINE_CAPS[item.lineCap] ?? 0} setlinecap ${LINE_JOINS[item.lineJoin] ?? 0} setlinejoin`,
+          `[${(item.dash || []).map(f).join(' ')}] 0 setdash`,
+          `${blend(item.stroke)} setrgbcolor stroke`,
+        ].join('\n'));
+      }
+      return;
+    }
+
+    if (!item.fill) return;
+    const font = PS_FONTS[fontFamilyKind(item.fontFamily)][fontVariant(item)];
+    fonts.add(font);
+    // 坐标系已上下翻转，写字前局部翻回
+    const place = item.anchor === 'middle' ? 'dup stringwidth pop -2 div 0 moveto'
+      : item.anchor === 'end' ? 'dup stringwidth pop neg 0 moveto'
+        : '0 0 moveto';
+    body.push([
+      `gsave ${f(item.x)} ${f(item.y)} translate 1 -1 scale${item.rotation ? ` ${f(-item.rotation)} rotate` : ''}`,
+      `/${font}-L1 findfont ${f(item.fontSize)} scalefont setfont`,
+      `${blend(item.fill)} setrgbcolor`,
+      `${psString(item.text)} ${place} show grestore`,
+    ].join('\n'));
+  });
+
+  return [
+    '%!PS-Adobe-3.0 EPSF-3.0',
+    `%%BoundingBox: 0 0 ${Math.ceil(width)} ${Math.ceil(height)}`,
+    `%%HiResBoundingBox: 0 0 ${f(width)} ${f(height)}`,
+    `%%Title: ${title.replace(/[^\x20-\x7e]/g, '?')}`,
+    '%%Creator: SciRadar',
+    `%%CreationDate: ${new Date().toISOString()}`,
+    '%%DocumentData: Clean7Bit',
+    '%%LanguageLevel: 2',
+    '%%Pages: 1',
+    `%%DocumentNeededResources: ${Array.from(fonts).map((name) => `font ${name}`).join(' ')}`,
+    '%%EndComments',
+    '%%BeginProlog',
+    '/SciRadarDict 16 dict def SciRadarDict begin',
+    '/m /moveto load def /l /lineto load def /c /curveto load def /h /closepath load def',
+    '/reencode { findfont dup length dict begin { 1 index /FID ne { def } { pop pop } ifelse } forall',
+    '  /Encoding ISOLatin1Encoding def currentdict end definefont pop } bind def',
+    'end',
+    '%%EndProlog',
+    '%%BeginSetup',
+    'SciRadarDict begin',
+    ...Array.from(fonts).map((name) => `/${name}-L1 /${name} reencode`),
+    'end',
+    '%%EndSetup',
+    '%%Page: 1 1',
+    'SciRadarDict begin gsave',
+    `${PX_TO_PT} ${PX_TO_PT} scale 0 ${f(scene.height)} translate 1 -1 scale`,
+    ...body,
+    'grestore end',
+    'showpage',
+    '%%Trailer',
+    '%%EOF',
+    '',
+  ].join('\n');
+};
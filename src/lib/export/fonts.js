@@ -0,0 +1,135 @@
+/**
+ * 导出用字体：读取用户提供的字体文件，用于嵌入或把文字转为轮廓路径
+ */
+// 包的 main 指向 UMD 构建，直接引用 ES 模块版本，浏览器与 Node 中都能按名导入
+import { parse as parseFont } from 'opentype.js/dist/opentype.mjs';
+import { fileExtension } from '../importers/paths.js';
+
+export const FONT_ACCEPT = '.ttf,.otf,.woff';
+
+export const TEXT_MODES = [
+  { id: 'text', name: '保留为文字', desc: '使用系统字体，文件最小，可再编辑' },
+  { id: 'embed', name: '嵌入字体', desc: '随文件附带所选字体，换电脑也能正确显示' },
+  { id: 'outline', name: '转为路径', desc: '文字变为轮廓，外观完全固定，不能再编辑文字' },
+];
+
+const FONT_MIME = {
+  ttf: ['font/ttf', 'truetype'],
+  otf: ['font/otf', 'opentype'],
+  woff: ['font/woff', 'woff'],
+};
+
+/**
+ * 解析字体文件，返回 { font, data, fileName, family, mime, format, trueType }
+ */
+export const loadFont = (data, fileName) => {
+  const buffer = data instanceof ArrayBuffer
+    ? data
+    : data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+  const font = parseFont(buffer);
+  const ext = fileExtension(fileName);
+  const [mime, format] = FONT_MIME[ext] || FONT_MIME.ttf;
+  return {
+    font,
+    data: new Uint8Array(buffer),
+    fileName,
+    family: font.names.fontFamily?.en || fileName,
+    mime,
+    format,
+    // jsPDF 只能嵌入 TrueType 轮廓的 .ttf
+    trueType: ext === 'ttf' && font.outlinesFormat === 'truetype',
+  };
+};
+
+export const toBase64 = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+// 逐字取字形并累加步进宽度与字偶距；不做连字等复杂排版，图表标签用不到
+const layoutGlyphs = (font, text, fontSize) => {
+  const scale = fontSize / font.unitsPerEm;
+  let x = 0;
+  let previous = null;
+  const glyphs = Array.from(text).map((ch) => {
+    const glyph = font.charToGlyph(ch);
+    if (previous) x += font.getKerningValue(previous, glyph) * scale;
+    const placed = { glyph, x };
+    x += (glyph.advanceWidth || 0) * scale;
+    previous = glyph;
+    return placed;
+  });
+  return { glyphs, width: x };
+};
+
+export const measureText = (font, text, fontSize) => layoutGlyphs(font, text, fontSize).width;
+
+/**
+ * 一段文字的轮廓，返回与 svgToScene 相同格式的绝对坐标路径 (M / L / C / Z)。
+ * x, y 为锚点与基线位置，rotation 为绕锚点的顺时针角度。
+ */
+export const textOutline = (font, { text, x, y, fontSize, anchor = 'start', rotation = 0 }) => {
+  const { glyphs, width } = layoutGlyphs(font, text, fontSize);
+  const offset = anchor === 'middle' ? -width / 2 : anchor === 'end' ? -width : 0;
+  const a = (rotation * Math.PI) / 180;
+  const cos = Math.cos(a);
+  const sin = Math.sin(a);
+  const p = (px, py) => [x + px * cos - py * sin, y + px * sin + py * cos];
+
+  const segments = [];
+  glyphs.forEach(({ glyph, x: gx }) => {
+    let cx = 0;
+    let cy = 0;
+    glyph.getPath(offset + gx, 0, fontSize).commands.forEach((c) => {
+      switch (c.type) {
+        case 'M':
+        case 'L':
+          segments.push([c.type, ...p(c.x, c.y)]);
+          break;
+        case 'C':
+          segments.push(['C', ...p(c.x1, c.y1), ...p(c.x2, c.y2), ...p(c.x, c.y)]);
+          break;
+        case 'Q':
+          segments.push(['C',
+            ...p(cx + (2 / 3) * (c.x1 - cx), cy + (2 / 3) * (c.y1 - cy)),
+            ...p(c.x + (2 / 3) * (c.x1 - c.x), c.y + (2 / 3) * (c.y1 - c.y)),
+            ...p(c.x, c.y)]);
+          break;
+        case 'Z':
+          segments.push(['Z']);
+          break;
+        default:
+      }
+      if (c.type !== 'Z') {
+        cx = c.x;
+        cy = c.y;
+      }
+    });
+  });
+  return segments;
+};
+
+export const segmentsToPathData = (segments) => segments
+  .map(([cmd, ...v]) => cmd + v.map((n) => Math.round(n * 100) / 100).join(' '))
+  .join('');
+
+// 场景中的文字全部换成填充路径
+export const outlineScene = (scene, font) => ({
+  ...scene,
+  items: scene.items.map((item) => {
+    if (item.type !== 'text') return item;
+    return {
+      type: 'path',
+      segments: textOutline(font, item),
+      fill: item.fill,
+      stroke: null,
+      strokeWidth: 0,
+      dash: null,
+      lineCap: 'butt',
+      lineJoin: 'miter',
+    };
+  }),
+});
@@ -0,0 +1,477 @@
+/**
+ * LaTeX 导出：TikZ 雷达图与 booktabs 结果表格
+ *
+ * 图直接由图表模型生成，文字交给 LaTeX 排版，因此与论文正文使用同一字体。
+ * 坐标以 pt 为单位 (1 px = 0.75 pt)，图的大小按导出尺寸换算；只需要 tikz 宏包 (背景不是白色时另需 backgrounds 库)，表格需要 booktabs。
+ * 轴标签的 $F_1$、\alpha 等标记转为对应的 LaTeX 写法。
+ */
+import { parseMarkup, wrapLines, SYMBOL_COMMANDS } from '../labels.js';
+import { axisAngle, polarToCartesian } from '../geometry.js';
+import { tickValues, formatTickValue } from '../scale.js';
+import { estimateTextWidth, formatValue } from '../annotations.js';
+import { panelLetter } from '../panels.js';
+import { MUTED_OPACITY } from '../series.js';
+import { markerPath } from '../draw/markers.js';
+import {
+  canvasColors, layoutLegend, LEGEND_GAP, LEGEND_FRAME_PADDING,
+} from '../canvas.js';
+import { parsePathData, formatNumber as f } from './vector.js';
+
+const PX_TO_PT = 0.75;
+
+// 与网页预览相同的间距 (px)
+const LABEL_GAP = 8;
+const TICK_OFFSET = 8;
+const LINE_HEIGHT = 1.5;
+
+const pt = (px) => f(px * PX_TO_PT);
+
+// 屏幕坐标 (y 轴向下) → TikZ 坐标
+const xy = (x, y) => `(${pt(x)},${pt(-y)})`;
+const polar = (angle, r) => `(${f(angle)}:${pt(r)})`;
+
+const fontSpec = (px) => `\\fontsize{${pt(px)}}{${pt(px * 1.2)}}\\selectfont`;
+
+const hex = (color) => color.replace('#', '').toUpperCase();
+
+const SPECIAL = {
+  '\\': '\\textbackslash{}',
+  '{': '\\{',
+  '}': '\\}',
+  $: '\\$',
+  '&': '\\&',
+  '%': '\\%',
+  '#': '\\#',
+  _: '\\_',
+  '~': '\\textasciitilde{}',
+  '^': '\\textasciicircum{}',
+  // 默认的 OT1 编码下 < > | 会排成 ¡ ¿ —
+  '<': '\\textless{}',
+  '>': '\\textgreater{}',
+  '|': '\\textbar{}',
+};
+
+/**
+ * 普通文字转义；标签标记解析出的希腊字母与符号写回数学模式命令
+ */
+export const latexEscape = (text) => Array.from(String(text)).map((ch) => {
+  if (SPECIAL[ch]) return SPECIAL[ch];
+  if (SYMBOL_COMMANDS[ch]) return `$\\${SYMBOL_COMMANDS[ch]}$`;
+  return ch;
+}).join('');
+
+/**
+ * 轴标签标记 → LaTeX。wrap 同网页中的自动折行字符数；lineBreak 为行间分隔，表格中用空格
+ */
+export const markupToLatex = (source, { wrap = 0, lineBreak = ' \\\\ ' } = {}) => wrapLines(parseMarkup(source), wrap)
+  .map((line) => line.map((run) => {
+    const text = latexEscape(run.text);
+    if (run.shift === 'sub') return `\\textsubscript{${text}}`;
+    if (run.shift === 'sup') return `\\textsuperscript{${text}}`;
+    return text;
+  }).join(''))
+  .join(lineBreak);
+
+// SVG 路径 (y 轴向下) → TikZ 路径，用于标记形状
+const svgPathToTikz = (d) => parsePathData(d).map(([cmd, ...v]) => {
+  switch (cmd) {
+    case 'M':
+      return xy(v[0], v[1]);
+    case 'L':
+      return `-- ${xy(v[0], v[1])}`;
+    case 'C':
+      return `.. controls ${xy(v[0], v[1])} and ${xy(v[2], v[3])} .. ${xy(v[4], v[5])}`;
+    default:
+      return '-- cycle';
+  }
+}).join(' ');
+
+// 标记以 at 为中心；圆形直接写 circle
+const markerTikz = (shape, r, at, options) => (shape === 'circle'
+  ? `\\filldraw[${options}] ${at} circle (${pt(r)});`
+  : `\\filldraw[shift={${at}}, ${options}] ${svgPathToTikz(markerPath(shape, r))};`);
+
+// SVG 的 stroke-dasharray (px) → TikZ dash pattern
+const dashPattern = (dash) => {
+  const parts = String(dash || '').split(/[\s,]+/).filter(Boolean).map(Number);
+  if (parts.length === 0) return '';
+  const list = parts.length % 2 ? [...parts, ...parts] : parts;
+  return `dash pattern=${list.map((v, i) => `${i % 2 ? 'off' : 'on'} ${pt(v)}pt`).join(' ')}`;
+};
+
+// 标签框贴住锚点的一侧，与网页中的排布规则一致：右侧左对齐，左侧右对齐，上方向上生长，下方向下生长
+const labelAnchor = (angle) => {
+  const rad = (angle * Math.PI) / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+  const vertical = sin > 0.1 ? 'south' : sin < -0.1 ? 'north' : '';
+  const horizontal = cos > 0.1 ? 'west' : cos < -0.1 ? 'east' : '';
+  return {
+    anchor: [vertical, horizontal].filter(Boolean).join(' ') || 'center',
+    align: horizontal === 'west' ? 'left' : horizontal === 'east' ? 'right' : 'center',
+  };
+};
+
+// 系列颜色按模型在数据中的位置命名，与 \definecolor 对应
+const seriesColorName = (chart, model) => `sciradar${chart.models.indexOf(model) + 1}`;
+const referenceColorName = (chart, ref) => `sciradarref${chart.references.indexOf(ref) + 1}`;
+
+/**
+ * 参考线，画法与 lib/draw/layers 的 referenceLayers 一致：虚线轮廓、带淡色填充与标注的阈值环、各轴上的目标刻度
+ */
+const referencesTikz = (chart, data, angles, radius, fontSize) => {
+  const lines = [];
+  chart.references.forEach((ref) => {
+    const color = referenceColorName(chart, ref);
+    const points = data.flatMap((point, i) => {
+      const ratio = point.reference?.[ref.name];
+      return typeof ratio === 'number' ? [{ angle: angles[i], ...polarToCartesian(0, 0, ratio * radius, angles[i]) }] : [];
+    });
+    if (points.length === 0) return;
+    lines.push(`% reference: ${ref.name}`);
+    if (ref.kind === 'target') {
+      const half = 4 + ref.strokeWidth * 1.5;
+      const options = [`draw=${color}`, `line width=${pt(ref.strokeWidth * 1.5)}pt`, 'line cap=round', dashPattern(ref.dash)].filter(Boolean);
+      points.forEach((p) => {
+        const a = polarToCartesian(p.x, p.y, half, p.angle - 90);
+        const b = polarToCartesian(p.x, p.y, half, p.angle + 90);
+        lines.push(`\\draw[${options.join(', ')}] ${xy(a.x, a.y)} -- ${xy(b.x, b.y)};`);
+      });
+      return;
+    }
+    const ring = ref.kind === 'ring';
+    const options = [
+      `draw=${color}`,
+      `line width=${pt(ring ? Math.max(1, ref.strokeWidth * 0.75) : ref.strokeWidth)}pt`,
+      dashPattern(ref.dash),
+      ring && `fill=${color}, fill opacity=0.06`,
+    ].filter(Boolean);
+    lines.push(`\\draw[${options.join(', ')}] ${points.map((p) => xy(p.x, p.y)).join(' -- ')} -- cycle;`);
+    if (ring) {
+      const first = points[0];
+      lines.push(`\\node[anchor=south west, inner sep=0pt, font=${fontSpec(Math.max(6, fontSize - 2))}\\itshape, text=${color}] at ${xy(first.x + 4, first.y - 4)} {${markupToLatex(ref.label || ref.name)}};`);
+    }
+  });
+  return lines;
+};
+
+/**
+ * 单张雷达图，圆心在当前坐标系原点
+ */
+const radarPicture = (chart, settings, panel, radius) => {
+  const {
+    fontSize, strokeWidth, showDots, gridType, connectNulls, dimensionConfig, labelWrap,
+    integerTicks, showAxisTicks,
+  } = settings;
+  const { data, ranges } = panel;
+  const lines = [];
+  if (data.length === 0) return lines;
+  const angles = data.map((_, i) => axisAngle(i, data.length));
+  const levels = ranges[0]?.levels || 5;
+
+  lines.push('% grid');
+  angles.forEach((angle) => lines.push(`\\draw[sciradar grid] (0,0) -- ${polar(angle, radius)};`));
+  for (let level = 1; level <= levels; level++) {
+    const r = (radius / levels) * level;
+    lines.push(gridType === 'circle'
+      ? `\\draw[sciradar grid] (0,0) circle (${pt(r)});`
+      : `\\draw[sciradar grid] ${angles.map((angle) => polar(angle, r)).join(' -- ')} -- cycle;`);
+  }
+
+  lines.push('% axis labels');
+  data.forEach((point, i) => {
+    const { anchor, align } = labelAnchor(angles[i]);
+    const { labelDx, labelDy } = dimensionConfig[point.subject] || {};
+    const p = polarToCartesian(labelDx || 0, labelDy || 0, radius + LABEL_GAP, angles[i]);
+    const text = markupToLatex(chart.formatAxisLabel(point.subject), { wrap: labelWrap });
+    lines.push(`\\node[anchor=${anchor}, align=${align}, inner sep=0pt, text=sciradarlabel] at ${xy(p.x, p.y)} {${text}};`);
+  });
+
+  if (showAxisTicks) {
+    lines.push('% axis ticks');
+    // 归一化模式下所有维度刻度相同，只在第一根轴上标注
+    (panel.shared ? ranges.slice(0, 1) : ranges).forEach((range, i) => {
+      tickValues(range, range.levels).forEach((value, level) => {
+        if (level === 0 && (range.hideCenterTick || !panel.shared)) return;
+        const p = polarToCartesian(0, 0, (radius / range.levels) * level, angles[i]);
+        const offset = polarToCartesian(p.x, p.y, TICK_OFFSET, angles[i] - 90);
+        lines.push(`\\node[sciradar tick] at ${xy(offset.x, offset.y)} {${formatTickValue(value, integerTicks)}};`);
+      });
+    });
+  }
+
+  const references = referencesTikz(chart, data, angles, radius, fontSize);
+  if (chart.referenceLayer !== 'above') lines.push(...references);
+
+  lines.push('% series');
+  chart.drawOrder(panel.models).forEach((model) => {
+    const style = chart.seriesStyles[model];
+    const color = seriesColorName(chart, model);
+    // 聚焦模式下其余系列淡化且不画数据点
+    const muted = !!chart.activeFocus && model !== chart.activeFocus;
+    const points = data.map((point, i) => (typeof point[model] === 'number' ? polar(angles[i], point[model] * radius) : null));
+
+    // 缺失值把多边形断开，与网页一致；只有一段时闭合并填充
+    let segments = [[]];
+    points.forEach((p) => {
+      if (p) segments[segments.length - 1].push(p);
+      else if (segments[segments.length - 1].length > 0) segments.push([]);
+    });
+    if (points[0]) segments[segments.length - 1].push(points[0]);
+    segments = segments.filter((seg) => seg.length > 0);
+    if (connectNulls) segments = [segments.flat()];
+
+    const options = [
+      `draw=${color}`,
+      `line width=${pt(strokeWidth)}pt`,
+      dashPattern(style.dash),
+      muted && `draw opacity=${f(MUTED_OPACITY)}`,
+    ].filter(Boolean);
+    const closed = segments.length === 1;
+    if (closed) options.push(`fill=${color}`, `fill opacity=${f(muted ? style.fillOpacity * MUTED_OPACITY : style.fillOpacity)}`);
+    lines.push(`% ${model}`);
+    segments.filter((seg) => closed || seg.length > 1).forEach((seg) => {
+      // 首尾为同一点时由 cycle 闭合
+      const path = closed && seg.length > 1 && seg[seg.length - 1] === seg[0] ? seg.slice(0, -1) : seg;
+      lines.push(`\\draw[${options.join(', ')}] ${path.join(' -- ')}${closed ? ' -- cycle' : ''};`);
+    });
+
+    if (showDots && !muted && style.marker !== 'none') {
+      const markerOptions = style.custom
+        ? `fill=${color}, draw=sciradarsurface, line width=${pt(1)}pt`
+        : `fill=${color}, draw=${color}, line width=${pt(strokeWidth)}pt`;
+      points.filter(Boolean).forEach((p) => {
+        lines.push(markerTikz(style.custom ? style.marker : 'circle', style.markerSize, p, markerOptions));
+      });
+    }
+  });
+  if (chart.referenceLayer === 'above') lines.push(...references);
+  return lines;
+};
+
+/**
+ * 图例的尺寸 (px)：{ rows, width, height }，含边框的内边距；宽度按估算的文字宽度计算。参考线排在系列之后
+ */
+const measureLegend = (chart, settings, maxWidth) => {
+  const { fontSize, canvas: { legend } } = settings;
+  const icon = fontSize + 4;
+  const pad = legend.frame ? LEGEND_FRAME_PADDING : { x: 0, y: 0 };
+  const entries = [
+    ...chart.visibleModels.map((model) => ({ model, label: chart.seriesLabel(model) })),
+    ...chart.references.filter((ref) => ref.legend).map((reference) => ({ reference, label: reference.label || reference.name })),
+  ];
+  const { rows, width } = layoutLegend(entries.map((entry) => ({
+    ...entry, width: icon + 4 + estimateTextWidth(entry.label, fontSize),
+  })), { position: legend.position, columns: legend.columns, maxWidth: maxWidth - pad.x * 2 });
+  return {
+    rows,
+    width: width + pad.x * 2,
+    height: rows.length * fontSize * LINE_HEIGHT + pad.y * 2,
+  };
+};
+
+// 图例左上角相对于当前图形边界的位置 (TikZ 锚点与偏移，px)
+const legendOrigin = (position, { width, height }) => {
+  switch (position) {
+    case 'top':
+      return { anchor: 'north', dx: -width / 2, dy: LEGEND_GAP + height };
+    case 'left':
+      return { anchor: 'west', dx: -LEGEND_GAP - width, dy: height / 2 };
+    case 'right':
+      return { anchor: 'east', dx: LEGEND_GAP, dy: height / 2 };
+    case 'inside':
+      return { anchor: 'north east', dx: -width, dy: 0 };
+    default:
+      return { anchor: 'south', dx: -width / 2, dy: -LEGEND_GAP };
+  }
+};
+
+/**
+ * 图例，位置、列数与边框见画布设置。先放下左上角的坐标，其余各项都以它为基准，
+ * 避免先放下的内容改变 current bounding box。自由排开时项与项之间的间距由 TikZ 按实际文字宽度确定；
+ * 换行、整行居中与按列对齐按估算宽度计算
+ */
+const legendPicture = (chart, settings, layout) => {
+  const { fontSize, canvas: { legend } } = settings;
+  const icon = fontSize + 4;
+  const rowHeight = fontSize * LINE_HEIGHT;
+  const pad = legend.frame ? LEGEND_FRAME_PADDING : { x: 0, y: 0 };
+  const aligned = legend.columns > 0 || layout.rows.every((row) => row.items.length === 1);
+  const origin = legendOrigin(legend.position, layout);
+
+  const lines = [
+    '% legend',
+    `\\coordinate (legend) at ([xshift=${pt(origin.dx)}pt, yshift=${pt(origin.dy)}pt]current bounding box.${origin.anchor});`,
+  ];
+  let n = 0;
+  layout.rows.forEach((row, r) => {
+    const y = pad.y + rowHeight * (r + 0.5);
+    row.items.forEach((item, i) => {
+      n += 1;
+      const key = `legendkey${n}`;
+      lines.push(aligned || i === 0
+        ? `\\coordinate (${key}) at ([xshift=${pt(pad.x + item.x)}pt, yshift=-${pt(y)}pt]legend);`
+        : `\\coordinate (${key}) at ([xshift=${pt(LEGEND_GAP)}pt]legendentry${n - 1}.east);`);
+      const scale = icon / 32;
+      const { reference } = item;
+      const color = reference ? referenceColorName(chart, reference) : seriesColorName(chart, item.model);
+      const style = reference ? null : chart.seriesStyles[item.model];
+      if (reference) {
+        // 与 markers.js 的 referenceSwatch 相同：目标刻度为竖直短横，其余为线段，阈值环下方加淡色底
+        if (reference.kind === 'target') {
+          lines.push(`\\draw[draw=${color}, line width=${pt(5 * scale)}pt, line cap=round] ([xshift=${pt(icon / 2)}pt, yshift=${pt(icon * 0.375)}pt]${key}) -- ++(0,${pt(-icon * 0.75)});`);
+        } else {
+          if (reference.kind === 'ring') {
+            lines.push(`\\fill[${color}, fill opacity=0.15] (${key}) rectangle ++(${pt(icon)},${pt(-icon * 0.375)});`);
+          }
+          lines.push(`\\draw[${[`draw=${color}`, `line width=${pt(4 * scale)}pt`, dashPattern(reference.dash)].filter(Boolean).join(', ')}] (${key}) -- ++(${pt(icon)},0);`);
+        }
+      } else if (style.custom) {
+        // 线型 + 标记，与网页图例的 32 × 32 图标同比例
+        lines.push(`\\draw[${[`draw=${color}`, `line width=${pt(4 * scale)}pt`, dashPattern(style.dash)].filter(Boolean).join(', ')}] (${key}) -- ++(${pt(icon)},0);`);
+        if (style.marker !== 'none') {
+          lines.push(markerTikz(style.marker, 8 * scale, `([xshift=${pt(icon / 2)}pt]${key})`, `fill=${color}, draw=sciradarsurface, line width=${pt(2 * scale)}pt`));
+        }
+      } else {
+        lines.push(`\\fill[${color}] ([yshift=-${pt(icon * 0.375)}pt]${key}) rectangle ++(${pt(icon * 0.875)},${pt(icon * 0.75)});`);
+      }
+      lines.push(`\\node[anchor=west, inner sep=0pt, text=${reference ? color : 'sciradarlegend'}] (legendentry${n}) at ([xshift=${pt(icon + 4)}pt]${key}) {${markupToLatex(item.label)}};`);
+    });
+  });
+  if (legend.frame) {
+    lines.push(`\\draw[sciradarframe, line width=${pt(1)}pt, rounded corners=${pt(4)}pt] (legend) rectangle ++(${pt(layout.width)},${pt(-layout.height)});`);
+  }
+  return lines;
+};
+
+/**
+ * 生成 tikzpicture。width、height 为图幅 (CSS 像素)，与其他导出格式的尺寸一致。
+ * 颜色、标题、图例位置与外半径取画布设置；背景不是白色时需要 backgrounds 库
+ */
+export const chartToTikz = (chart, settings, { width, height }) => {
+  const { fontSize, panels: panelLayout, canvas } = settings;
+  const title = canvas.showTitle ? settings.title : '';
+  const colors = canvasColors(settings);
+  const background = colors.background && colors.background.toLowerCase() !== '#ffffff' ? colors.background : null;
+  const legend = chart.visibleModels.length + chart.references.filter((ref) => ref.legend).length > 0
+    && measureLegend(chart, settings, width);
+  const titleHeight = title ? (fontSize + 6) * LINE_HEIGHT + 24 : 0;
+  // 上下方的图例占用高度，左右两侧的占用宽度，图内的不占用
+  let chartWidth = width;
+  let chartHeight = height - titleHeight;
+  if (legend && ['top', 'bottom'].includes(canvas.legend.position)) chartHeight -= LEGEND_GAP + legend.height;
+  if (legend && ['left', 'right'].includes(canvas.legend.position)) chartWidth -= LEGEND_GAP + legend.width;
+  chartWidth = Math.max(0, chartWidth);
+  chartHeight = Math.max(0, chartHeight);
+  // 轴标签占用的边距；TikZ 图没有网页卡片的留白，自动时半径比网页预览略大
+  const labelSpace = fontSize * 3;
+  const body = [];
+
+  if (chart.multiPanel) {
+    const { columns, rows } = chart.grid;
+    const cellWidth = chartWidth / columns;
+    const cellHeight = chartHeight / rows;
+    const headerSize = fontSize + 2;
+    const radius = Math.max(0, (Math.min(cellWidth, cellHeight - headerSize * LINE_HEIGHT) / 2) * (canvas.outerRadius || 0.7));
+    chart.panels.forEach((panel, i) => {
+      const x = (i % columns) * cellWidth + cellWidth / 2 - chartWidth / 2;
+      const y = Math.floor(i / columns) * cellHeight + cellHeight / 2;
+      const letter = panelLetter(i, panelLayout.letters);
+      body.push(
+        `\\begin{scope}[shift={${xy(x, y)}}]`,
+        `\\node[anchor=north west, inner sep=0pt, font=${fontSpec(headerSize)}, text=sciradartitle] at ${xy(-cellWidth / 2, -cellHeight / 2)} {${letter ? `\\textbf{${latexEscape(letter)}} ` : ''}${markupToLatex(panel.title)}};`,
+        `\\begin{scope}[shift={${xy(0, headerSize * LINE_HEIGHT / 2)}}]`,
+        ...radarPicture(chart, settings, panel, radius),
+        '\\end{scope}',
+        '\\end{scope}',
+      );
+    });
+  } else if (chart.panels[0]) {
+    const half = Math.min(chartWidth, chartHeight) / 2;
+    const radius = Math.max(0, canvas.outerRadius ? half * canvas.outerRadius : half - labelSpace);
+    body.push(...radarPicture(chart, settings, chart.panels[0], radius));
+  }
+
+  if (legend) body.push(...legendPicture(chart, settings, legend));
+  if (title) {
+    body.push(`\\node[anchor=south, inner sep=0pt, align=center, text width=${pt(width)}pt, font=\\bfseries${fontSpec(fontSize + 6)}, text=sciradartitle] at ([yshift=${pt(24)}pt]current bounding box.north) {${latexEscape(title)}};`);
+  }
+  // 留白：把图形边界向外扩展
+  if (canvas.margin > 0) {
+    const m = pt(canvas.margin);
+    body.push(`\\path ([shift={(-${m}pt,-${m}pt)}]current bounding box.south west) rectangle ([shift={(${m}pt,${m}pt)}]current bounding box.north east);`);
+  }
+
+  const colorNames = [
+    ...chart.models.map((model) => [seriesColorName(chart, model), chart.seriesColor(model), model]),
+    ...chart.references.map((ref) => [referenceColorName(chart, ref), ref.color, ref.name]),
+    ['sciradargrid', colors.grid],
+    ['sciradarlabel', colors.label],
+    ['sciradartick', colors.tick],
+    ['sciradartitle', colors.text],
+    ['sciradarlegend', colors.ink],
+    ['sciradarframe', colors.frame],
+    ['sciradarsurface', colors.surface],
+    background && ['sciradarbackground', background],
+  ].filter(Boolean);
+  const pictureOptions = [
+    'x=1pt', 'y=1pt', 'line join=round', `font=${fontSpec(fontSize)}`,
+    background && 'show background rectangle, tight background, background rectangle/.style={fill=sciradarbackground}',
+  ].filter(Boolean);
+
+  return [
+    `% SciRadar: ${settings.title.replace(/[\r\n]+/g, ' ')}`,
+    background ? '% Requires \\usepackage{tikz} and \\usetikzlibrary{backgrounds}' : '% Requires \\usepackage{tikz}',
+    `\\begin{tikzpicture}[${pictureOptions.join(', ')}]`,
+    ...colorNames.map(([name, color, model]) => `\\definecolor{${name}}{HTML}{${hex(color)}}${model ? ` % ${model}` : ''}`),
+    `\\tikzset{sciradar grid/.style={draw=sciradargrid, line width=${pt(1)}pt}, sciradar tick/.style={font=${fontSpec(Math.max(6, fontSize - 2))}, text=sciradartick, text opacity=0.8, inner sep=0pt}}`,
+    ...body,
+    '\\end{tikzpicture}',
+    '',
+  ].join('\n');
+};
+
+// 数值与误差：对称误差写为 ±，非对称区间写为上下标
+const formatCell = (value, interval, decimals, std) => {
+  if (typeof value !== 'number') return '--';
+  const text = formatValue(value, decimals);
+  if (!std || !interval) return text;
+  if (interval.error !== null) return `${text} $\\pm$ ${formatValue(interval.error, decimals)}`;
+  return `${text}$^{+${formatValue(interval.upper - value, decimals)}}_{-${formatValue(value - interval.lower, decimals)}}$`;
+};
+
+/**
+ * 结果表格 (booktabs)：行为显示中的模型，列为维度，顺序与图中一致。
+ * bold 时各列最优值加粗 (考虑“越小越好”的维度)；std 时附上误差
+ */
+export const resultsTable = (chart, { decimals = 2, bold = true, std = true } = {}) => {
+  const points = chart.chartData || [];
+  const models = chart.visibleModels;
+  const header = ['Model', ...points.map((point) => markupToLatex(chart.formatAxisLabel(point.subject), { lineBreak: ' ' }))];
+  const rows = models.map((model) => [
+    markupToLatex(chart.seriesLabel(model), { lineBreak: ' ' }),
+    ...points.map((point) => {
+      const cell = formatCell(point[model], point.uncertainty?.[model], decimals, std);
+      return bold && chart.bestByDimension[point.subject]?.includes(model) ? `\\textbf{${cell}}` : cell;
+    }),
+  ]);
+  return [
+    '% Requires \\usepackage{booktabs}',
+    `\\begin{tabular}{l${'c'.repeat(points.length)}}`,
+    '\\toprule',
+    `${header.join(' & ')} \\\\`,
+    '\\midrule',
+    ...rows.map((row) => `${row.join(' & ')} \\\\`),
+    '\\bottomrule',
+    '\\end{tabular}',
+    '',
+  ].join('\n');
+};
+
+/**
+ * 导出用的 .tex 片段：图与 (可选的) 表格，可直接 \input 到论文中
+ */
+export const latexDocument = (chart, settings, { width, height, table = true, bold = true, std = true }) => [
+  chartToTikz(chart, settings, { width, height }),
+  table && resultsTable(chart, { decimals: settings.annotations.decimals, bold, std }),
+].filter(Boolean).join('\n');
@@ -0,0 +1,140 @@
+/**
+ * 场景 → 矢量 PDF (jsPDF 路径绘制)，页面大小与图表一致
+ */
+import { jsPDF } from 'jspdf';
+import { fontFamilyKind, fontVariant } from './eps.js';
+import { outlineScene, toBase64 } from './fonts.js';
+import { formatInterval } from '../scale.js';
+
+const PX_TO_PT = 0.75;
+
+const PDF_FONTS = { sans: 'helvetica', serif: 'times', mono: 'courier' };
+const PDF_STYLES = ['normal', 'bold', 'italic', 'bolditalic'];
+const EMBED_FAMILY = 'SciRadarEmbedded';
+
+const drawPath = (doc, item) => {
+  item.segments.forEach(([cmd, ...v]) => {
+    const p = v.map((n) => n * PX_TO_PT);
+    if (cmd === 'M') doc.moveTo(p[0], p[1]);
+    else if (cmd === 'L') doc.lineTo(p[0], p[1]);
+    else if (cmd === 'C') doc.curveTo(...p);
+    else doc.close();
+  });
+};
+
+/**
+ * 绘制到 jsPDF 文档并返回，调用方可以继续追加页面。
+ * options.font 为 loadFont 的结果；textMode 为 'embed' 时嵌入 (仅限 .ttf，否则转为路径)，
+ * 'outline' 时所有文字转为路径。
+ */
+export const sceneToPdf = (scene, { font = null, textMode = 'text', title = 'SciRadar' } = {}) => {
+  const width = scene.width * PX_TO_PT;
+  const height = scene.height * PX_TO_PT;
+  const doc = new jsPDF({
+    unit: 'pt',
+    format: [width, height],
+    orientation: width > height ? 'landscape' : 'portrait',
+  });
+  doc.setProperties({ title, creator: 'SciRadar' });
+
+  const embed = font && textMode === 'embed' && font.trueType;
+  const drawn = font && (textMode === 'outline' || (textMode === 'embed' && !embed))
+    ? outlineScene(scene, font.font)
+    : scene;
+  if (embed) {
+    doc.addFileToVFS(font.fileName, toBase64(font.data));
+    doc.addFont(font.fileName, EMBED_FAMILY, 'normal');
+  }
+
+  drawn.items.forEach((item) => {
+    if (item.type === 'path') {
+      const fill = item.fill;
+      const stroke = item.stroke;
+      if (!fill && !stroke) return;
+      doc.setGState(new doc.GState({ opacity: fill ? fill.a : 1, 'stroke-opacity': stroke ? stroke.a : 1 }));
+      if (fill) doc.setFillColor(fill.r, fill.g, fill.b);
+      if (stroke) {
+        doc.setDrawColor(stroke.r, stroke.g, stroke.b);
+        doc.setLineWidth(item.strokeWidth * PX_TO_PT);
+        doc.setLineCap(item.lineCap);
+        doc.setLineJoin(item.lineJoin);
+        doc.setLineDashPattern((item.dash || []).map((v) => v * PX_TO_PT), 0);
+      }
+      drawPath(doc, item);
+      if (fill && stroke) doc.fillStroke();
+      else if (fill) doc.fill();
+      else doc.stroke();
+      return;
+    }
+
+    if (!item.fill) return;
+    doc.setGState(new doc.GState({ opacity: item.fill.a, 'stroke-opacity': 1 }));
+    if (embed) doc.setFont(EMBED_FAMILY, 'normal');
+    else doc.setFont(PDF_FONTS[fontFamilyKind(item.fontFamily)], PDF_STYLES[fontVariant(item)]);
+    doc.setFontSize(item.fontSize * PX_TO_PT);
+    doc.setTextColor(item.fill.r, item.fill.g, item.fill.b);
+    doc.text(item.text, item.x * PX_TO_PT, item.y * PX_TO_PT, {
+      align: item.anchor === 'middle' ? 'center' : item.anchor === 'end' ? 'right' : 'left',
+      baseline: 'alphabetic',
+      angle: item.rotation ? -item.rotation : undefined,
+    });
+  });
+
+  doc.setGState(new doc.GState({ opacity: 1, 'stroke-opacity': 1 }));
+  return doc;
+};
+
+/**
+ * 原始数据表的文本行，按列对齐；有误差的单元格写成 "86.3 ± 0.4" 或 "85 [83, 86]"
+ */
+export const dataTableLines = (chartData, models) => {
+  const compact = (v) => String(Number(v.toFixed(4)));
+  const rows = [
+    ['Model', ...chartData.map((point) => point.subject)],
+    ...models.map((model) => [model, ...chartData.map((point) => {
+      const value = point[model];
+      if (typeof value !== 'number') return '-';
+      const interval = point.uncertainty?.[model];
+      return interval ? `${compact(value)} ${formatInterval(interval, compact)}` : compact(value);
+    })]),
+  ];
+  return alignedLines(rows);
+};
+
+/** 单元格矩阵 → 按列对齐的文本行 (等宽字体) */
+export const alignedLines = (rows) => {
+  const widths = rows[0].map((_, j) => Math.max(...rows.map((row) => row[j].length)));
+  return rows.map((row) => row.map((cell, j) => cell.padEnd(widths[j])).join('  ').trimEnd());
+};
+
+/** 文档是否嵌入了字体；没有时数据页只能用标准字体书写 Latin-1 文字 */
+export const hasEmbeddedFont = (doc) => !!doc.getFontList()[EMBED_FAMILY];
+
+/**
+ * 追加原始数据页或统计页 (A4 纵向)，超出页宽的行自动折行。嵌入了字体时用它书写，否则退回只含拉丁字符的标准字体，
+ * 此时非拉丁字符的标题改为 fallback (英文)，
+ * 正文由调用方用 latinTranslator 生成
+ */
+export const addDataPage = (doc, lines, title = 'Raw data', fallback = 'Raw data') => {
+  const embedded = hasEmbeddedFont(doc);
+  doc.addPage('a4', 'portrait');
+  doc.setGState(new doc.GState({ opacity: 1, 'stroke-opacity': 1 }));
+  doc.setTextColor(0, 0, 0);
+  doc.setFont(embedded ? EMBED_FAMILY : 'helvetica', embedded ? 'normal' : 'bold');
+  doc.setFontSize(16);
+  doc.text(embedded || !/[^\u0000-\u00ff]/.test(title) ? title : fallback, 56, 60);
+  doc.setFont(embedded ? EMBED_FAMILY : 'courier', 'normal');
+  doc.setFontSize(9);
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const pageWidth = doc.internal.pageSize.getWidth();
+  let y = 90;
+  lines.flatMap((line) => doc.splitTextToSize(line.replace(/\t/g, '    '), pageWidth - 112)).forEach((line) => {
+    if (y > pageHeight - 56) {
+      doc.addPage('a4', 'portrait');
+      y = 60;
+    }
+    doc.text(line, 56, y);
+    y += 13;
+  });
+  return doc;
+};
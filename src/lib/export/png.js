@@ -0,0 +1,66 @@
+/**
+ * PNG 分辨率：写入 pHYs 块 (每米像素数)，替换已有的 pHYs
+ */
+
+const SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+export const crc32 = (bytes) => {
+  let c = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+};
+
+const chunk = (type, data) => {
+  const out = new Uint8Array(12 + data.length);
+  const view = new DataView(out.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+  out.set(data, 8);
+  view.setUint32(8 + data.length, crc32(out.subarray(4, 8 + data.length)));
+  return out;
+};
+
+export const dpiToPixelsPerMeter = (dpi) => Math.round(dpi / 0.0254);
+
+/**
+ * 返回写入了 DPI 的新 PNG 字节
+ */
+export const setPngDpi = (input, dpi) => {
+  const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+  if (!SIGNATURE.every((b, i) => bytes[i] === b)) throw new Error('不是有效的 PNG 文件');
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const ppm = dpiToPixelsPerMeter(dpi);
+  const data = new Uint8Array(9);
+  const dataView = new DataView(data.buffer);
+  dataView.setUint32(0, ppm);
+  dataView.setUint32(4, ppm);
+  data[8] = 1; // 单位：米
+  const phys = chunk('pHYs', data);
+
+  const parts = [bytes.subarray(0, 8)];
+  let offset = 8;
+  while (offset < bytes.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const end = offset + 12 + length;
+    if (type !== 'pHYs') parts.push(bytes.subarray(offset, end));
+    // pHYs 必须位于 IDAT 之前，紧跟 IHDR 写入
+    if (type === 'IHDR') parts.push(phys);
+    offset = end;
+  }
+
+  const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+  let pos = 0;
+  parts.forEach((p) => {
+    out.set(p, pos);
+    pos += p.length;
+  });
+  return out;
+};
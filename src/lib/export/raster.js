@@ -0,0 +1,39 @@
+/**
+ * 独立 SVG → 指定像素尺寸的位图 (PNG / TIFF)
+ */
+import { setPngDpi } from './png.js';
+import { encodeTiff } from './tiff.js';
+import { localizedError } from '../i18n/index.js';
+
+export const rasterizeSvg = async (svg, width, height) => {
+  const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml;charset=utf-8' }));
+  try {
+    const image = new Image();
+    image.src = url;
+    await image.decode();
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    if (!ctx) throw localizedError('canvasTooLarge', `无法创建 ${width} × ${height} 的画布，请降低尺寸或 DPI`, { width, height });
+    ctx.drawImage(image, 0, 0, width, height);
+    return canvas;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+const canvasToBlob = (canvas, type) => new Promise((resolve, reject) => {
+  canvas.toBlob((blob) => (blob ? resolve(blob) : reject(localizedError('canvasExport', '画布导出失败'))), type);
+});
+
+export const canvasToPng = async (canvas, dpi) => {
+  const blob = await canvasToBlob(canvas, 'image/png');
+  const bytes = setPngDpi(new Uint8Array(await blob.arrayBuffer()), dpi);
+  return new Blob([bytes], { type: 'image/png' });
+};
+
+export const canvasToTiff = (canvas, dpi) => {
+  const { data } = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+  return new Blob([encodeTiff(data, canvas.width, canvas.height, { dpi })], { type: 'image/tiff' });
+};
@@ -0,0 +1,67 @@
+/**
+ * 导出尺寸：物理尺寸 (mm / cm / in) 与分辨率 (DPI)
+ *
+ * 图表先按 96 dpi 的 CSS 像素排版，因此字号等同于印刷后的物理大小，
+ * 位图再按目标 DPI 放大到精确的像素尺寸。
+ */
+
+export const CSS_DPI = 96;
+
+// 每英寸对应的单位数
+export const SIZE_UNITS = {
+  mm: 25.4,
+  cm: 2.54,
+  in: 1,
+};
+
+export const SIZE_PRESETS = [
+  { id: 'preview', name: '与预览一致' },
+  { id: 'single', name: '单栏 (89 mm)', width: 89, height: 89, unit: 'mm' },
+  { id: 'onehalf', name: '1.5 栏 (140 mm)', width: 140, height: 105, unit: 'mm' },
+  { id: 'double', name: '双栏 (183 mm)', width: 183, height: 137, unit: 'mm' },
+  { id: 'ieee', name: 'IEEE 单栏 (3.5 in)', width: 3.5, height: 3.5, unit: 'in' },
+  { id: 'a4', name: 'A4 纸张', width: 210, height: 297, unit: 'mm' },
+  { id: 'slide', name: '演示文稿 (16:9)', width: 13.333, height: 7.5, unit: 'in' },
+  { id: 'custom', name: '自定义' },
+];
+
+export const DPI_PRESETS = [150, 300, 600, 1200];
+
+export const toInches = (value, unit) => value / SIZE_UNITS[unit];
+
+export const convertLength = (value, from, to) => toInches(value, from) * SIZE_UNITS[to];
+
+export const cssPixels = (value, unit) => toInches(value, unit) * CSS_DPI;
+
+export const devicePixels = (value, unit, dpi) => Math.max(1, Math.round(toInches(value, unit) * dpi));
+
+// 便于显示的取整：mm 保留 1 位，in 保留 3 位
+export const roundLength = (value, unit) => {
+  const k = unit === 'in' ? 1000 : 10;
+  return Math.round(value * k) / k;
+};
+
+/**
+ * 解析导出尺寸。size 为 { preset, width, height, unit }，
+ * preview 预设时使用当前预览的 CSS 像素尺寸。
+ * 返回 { width, height, unit, cssWidth, cssHeight }
+ */
+export const resolveExportSize = (size, previewRect) => {
+  if (size.preset === 'preview' || !(size.width > 0 && size.height > 0)) {
+    const unit = size.unit || 'mm';
+    return {
+      width: roundLength((previewRect.width / CSS_DPI) * SIZE_UNITS[unit], unit),
+      height: roundLength((previewRect.height / CSS_DPI) * SIZE_UNITS[unit], unit),
+      unit,
+      cssWidth: previewRect.width,
+      cssHeight: previewRect.height,
+    };
+  }
+  return {
+    width: size.width,
+    height: size.height,
+    unit: size.unit,
+    cssWidth: cssPixels(size.width, size.unit),
+    cssHeight: cssPixels(size.height, size.unit),
+  };
+};
@@ -0,0 +1,284 @@
+/**
+ * 预览区域 → 独立 SVG
+ *
+ * 复制图表里的 <svg>（主图与图例图标），把计算后的样式写成属性；
+ * 标题、图例文字、页脚等 HTML 文字按页面上的位置转为 <text>，
+ * 不使用 <foreignObject>，Inkscape / Illustrator / LaTeX 都能直接打开。
+ */
+import { baselineShift, resolveTextRuns } from './vector.js';
+import { textOutline, segmentsToPathData, toBase64 } from './fonts.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const STYLE_PROPS = [
+  'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray',
+  'stroke-linecap', 'stroke-linejoin', 'opacity', 'font-family', 'font-size', 'font-weight',
+  'font-style', 'text-anchor', 'dominant-baseline',
+];
+
+const EMBED_FAMILY = 'SciRadarEmbedded';
+
+const f = (n) => String(Math.round(n * 100) / 100);
+
+// rgb(52, 168, 83) → #34a853，透明度另记
+const cssColor = (value) => {
+  const m = value && value.match(/^rgba?\(\s*(\d+)[\s,]+(\d+)[\s,]+(\d+)(?:[\s,/]+([\d.]+))?\s*\)$/);
+  if (!m) return { color: value, alpha: 1 };
+  const hex = `#${[m[1], m[2], m[3]].map((c) => Number(c).toString(16).padStart(2, '0')).join('')}`;
+  return { color: m[4] === '0' ? 'none' : hex, alpha: m[4] === undefined ? 1 : Number(m[4]) };
+};
+
+const cssValue = (prop, value) => {
+  if (prop === 'fill' || prop === 'stroke') return cssColor(value).color;
+  return value.replace(/(\d)px\b/g, '$1');
+};
+
+const isVisible = (el) => {
+  if (el.checkVisibility) return el.checkVisibility({ visibilityProperty: true, opacityProperty: true });
+  const style = getComputedStyle(el);
+  return style.display !== 'none' && style.visibility !== 'hidden' && style.opacity !== '0';
+};
+
+const domToTree = (node) => (node.nodeType === 3
+  ? { name: '#text', text: node.textContent }
+  : {
+    name: node.tagName,
+    attrs: Object.fromEntries(Array.from(node.attributes).map((a) => [a.name, a.value])),
+    children: Array.from(node.childNodes).map(domToTree),
+  });
+
+// 原图元素的计算样式写到克隆上，隐藏元素直接删除
+const inlineStyles = (source, clone) => {
+  if (source.nodeType !== 1) return;
+  const style = getComputedStyle(source);
+  if (style.display === 'none' || style.visibility === 'hidden') {
+    clone.remove();
+    return;
+  }
+  STYLE_PROPS.forEach((prop) => {
+    const value = style.getPropertyValue(prop);
+    if (value) clone.setAttribute(prop, cssValue(prop, value));
+  });
+  ['class', 'style', 'tabindex', 'role', 'focusable'].forEach((a) => clone.removeAttribute(a));
+  const cloneChildren = Array.from(clone.children);
+  Array.from(source.children).forEach((child, i) => inlineStyles(child, cloneChildren[i]));
+};
+
+// <text>/<tspan> 展开为只有 x、y 的单行文字，基线位置写死，便于换字体或转路径
+const flattenText = (text) => {
+  const fontSize = parseFloat(text.getAttribute('font-size')) || 16;
+  const shift = baselineShift(text.getAttribute('dominant-baseline'), fontSize);
+  const doc = text.ownerDocument;
+  const runs = resolveTextRuns(domToTree(text), fontSize);
+  runs.forEach((run) => {
+    const el = doc.createElementNS(SVG_NS, 'text');
+    Array.from(text.attributes).forEach((a) => {
+      if (!['x', 'y', 'dx', 'dy', 'dominant-baseline'].includes(a.name)) el.setAttribute(a.name, a.value);
+    });
+    el.setAttribute('x', f(run.x));
+    el.setAttribute('y', f(run.y + shift));
+    el.textContent = run.text;
+    text.parentNode.insertBefore(el, text);
+  });
+  text.remove();
+};
+
+// 图表内的 <svg>：放在与容器左上角相对的位置，viewBox 换算为 transform
+const placeSvg = (svg, origin, out) => {
+  const rect = svg.getBoundingClientRect();
+  const clone = svg.cloneNode(true);
+  inlineStyles(svg, clone);
+  const g = out.ownerDocument.createElementNS(SVG_NS, 'g');
+  const viewBox = (svg.getAttribute('viewBox') || '').split(/[\s,]+/).map(parseFloat);
+  let transform = `translate(${f(rect.left - origin.left)},${f(rect.top - origin.top)})`;
+  if (viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0 && rect.width > 0) {
+    transform += ` scale(${f(rect.width / viewBox[2])},${f(rect.height / viewBox[3])})`;
+    if (viewBox[0] || viewBox[1]) transform += ` translate(${f(-viewBox[0])},${f(-viewBox[1])})`;
+  }
+  g.setAttribute('transform', transform);
+  Array.from(clone.childNodes).forEach((child) => g.appendChild(child));
+  out.appendChild(g);
+};
+
+// HTML 文字节点按行拆开 (逐字测量位置，标题换行时也能还原)
+const htmlTextLines = (node) => {
+  const range = node.ownerDocument.createRange();
+  const text = node.textContent;
+  if (!range.getBoundingClientRect) {
+    const { left, top, height } = node.parentElement.getBoundingClientRect();
+    return [{ left, top, height, text: text.trim() }];
+  }
+  const lines = [];
+  let current = null;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    range.setStart(node, i);
+    range.setEnd(node, i + 1);
+    const rect = range.getBoundingClientRect();
+    if (/\s/.test(ch)) {
+      if (current && !current.text.endsWith(' ')) current.text += ' ';
+      continue;
+    }
+    if (!current || Math.abs(rect.top - current.top) > rect.height / 2) {
+      current = { left: rect.left, top: rect.top, height: rect.height, text: '' };
+      lines.push(current);
+    }
+    current.text += ch;
+  }
+  return lines.map((l) => ({ ...l, text: l.text.trim() })).filter((l) => l.text);
+};
+
+// latin 时元素上 data-latin 给出的替代文字 (只含 Latin-1) 取代整段文字，按 data-latin-anchor 对齐到元素的左、中、右
+const placeHtmlText = (node, origin, out, latin = false) => {
+  const parent = node.parentElement;
+  const style = getComputedStyle(parent);
+  const fontSize = parseFloat(style.fontSize) || 16;
+  const { color, alpha } = cssColor(style.color);
+  let lines = htmlTextLines(node);
+  const fallback = latin ? parent.getAttribute('data-latin') : null;
+  if (fallback && lines.length > 0 && fallback !== node.textContent.trim()) {
+    const rect = parent.getBoundingClientRect();
+    const anchor = parent.getAttribute('data-latin-anchor') || 'start';
+    const left = { start: rect.left, middle: rect.left + rect.width / 2, end: rect.right }[anchor];
+    lines = [{ ...lines[0], left, text: fallback, anchor }];
+  }
+  lines.forEach((line) => {
+    const el = out.ownerDocument.createElementNS(SVG_NS, 'text');
+    el.setAttribute('x', f(line.left - origin.left));
+    if (line.anchor && line.anchor !== 'start') el.setAttribute('text-anchor', line.anchor);
+    // 行框垂直居中处再下移约 0.35em 即为字母基线
+    el.setAttribute('y', f(line.top - origin.top + line.height / 2 + fontSize * 0.35));
+    if (style.fontFamily) el.setAttribute('font-family', style.fontFamily);
+    el.setAttribute('font-size', f(fontSize));
+    if (style.fontWeight) el.setAttribute('font-weight', style.fontWeight);
+    if (style.fontStyle && style.fontStyle !== 'normal') el.setAttribute('font-style', style.fontStyle);
+    el.setAttribute('fill', color);
+    if (alpha < 1) el.setAttribute('fill-opacity', f(alpha));
+    el.textContent = line.text;
+    out.appendChild(el);
+  });
+};
+
+// 页脚分隔线等 HTML 边框
+const placeBorders = (el, origin, out) => {
+  const style = getComputedStyle(el);
+  const rect = el.getBoundingClientRect();
+  const x1 = rect.left - origin.left;
+  const y1 = rect.top - origin.top;
+  const x2 = x1 + rect.width;
+  const y2 = y1 + rect.height;
+  const sides = {
+    Top: [x1, y1, x2, y1],
+    Right: [x2, y1, x2, y2],
+    Bottom: [x1, y2, x2, y2],
+    Left: [x1, y1, x1, y2],
+  };
+  Object.entries(sides).forEach(([side, [ax, ay, bx, by]]) => {
+    const width = parseFloat(style[`border${side}Width`]);
+    if (!width || style[`border${side}Style`] === 'none') return;
+    const { color } = cssColor(style[`border${side}Color`]);
+    if (color === 'none') return;
+    const line = out.ownerDocument.createElementNS(SVG_NS, 'line');
+    [['x1', ax], ['y1', ay], ['x2', bx], ['y2', by]].forEach(([k, v]) => line.setAttribute(k, f(v)));
+    line.setAttribute('stroke', color);
+    line.setAttribute('stroke-width', f(width));
+    out.appendChild(line);
+  });
+};
+
+const outlineTexts = (root, font) => {
+  Array.from(root.querySelectorAll('text')).forEach((text) => {
+    const d = segmentsToPathData(textOutline(font, {
+      text: text.textContent,
+      x: parseFloat(text.getAttribute('x')) || 0,
+      y: parseFloat(text.getAttribute('y')) || 0,
+      fontSize: parseFloat(text.getAttribute('font-size')) || 16,
+      anchor: text.getAttribute('text-anchor') || 'start',
+    }));
+    const path = root.ownerDocument.createElementNS(SVG_NS, 'path');
+    path.setAttribute('d', d);
+    ['fill', 'fill-opacity', 'opacity', 'transform'].forEach((a) => {
+      if (text.hasAttribute(a)) path.setAttribute(a, text.getAttribute(a));
+    });
+    text.replaceWith(path);
+  });
+};
+
+/**
+ * 生成独立 SVG 字符串。
+ * options: { background, textMode: 'text' | 'embed' | 'outline', font (loadFont 的结果), title,
+ *   description: 写入 <desc> 的替代文字，与 title 一起由 aria-labelledby 引用；
+ *   size: 根元素的 { width, height } 属性，如 { width: '89mm', height: '89mm' }；默认为 CSS 像素；
+ *   latin: 转为 PDF / EPS 标准字体时为 true，页脚等带 data-latin 的文字改用替代文字 }
+ * 返回 { svg, width, height }，width / height 为 viewBox 的 CSS 像素尺寸
+ */
+export const serializeChart = (container, {
+  background = '#ffffff', textMode = 'text', font = null, title = '', description = '', size = null, latin = false,
+} = {}) => {
+  const origin = container.getBoundingClientRect();
+  const width = Number(f(origin.width));
+  const height = Number(f(origin.height));
+  const doc = container.ownerDocument;
+  const root = doc.createElementNS(SVG_NS, 'svg');
+  root.setAttribute('version', '1.1');
+  root.setAttribute('width', size ? String(size.width) : String(width));
+  root.setAttribute('height', size ? String(size.height) : String(height));
+  root.setAttribute('viewBox', `0 0 ${width} ${height}`);
+
+  // 屏幕阅读器把整张图读作一幅图片：名称取 <title>，说明取 <desc>
+  const labels = [['title', title], ['desc', description]].filter(([, text]) => text);
+  labels.forEach(([name, text]) => {
+    const el = doc.createElementNS(SVG_NS, name);
+    el.setAttribute('id', `sciradar-${name}`);
+    el.textContent = text;
+    root.appendChild(el);
+  });
+  if (labels.length > 0) {
+    root.setAttribute('role', 'img');
+    root.setAttribute('aria-labelledby', labels.map(([name]) => `sciradar-${name}`).join(' '));
+  }
+  if (background) {
+    const rect = doc.createElementNS(SVG_NS, 'rect');
+    rect.setAttribute('width', String(width));
+    rect.setAttribute('height', String(height));
+    rect.setAttribute('fill', background);
+    root.appendChild(rect);
+  }
+
+  // 按文档顺序处理，保持原有的叠放次序
+  const walk = (el) => {
+    Array.from(el.childNodes).forEach((node) => {
+      if (node.nodeType === 3) {
+        if (node.textContent.trim()) placeHtmlText(node, origin, root, latin);
+        return;
+      }
+      if (node.nodeType !== 1 || !isVisible(node)) return;
+      if (node.tagName.toLowerCase() === 'svg') {
+        placeSvg(node, origin, root);
+        return;
+      }
+      placeBorders(node, origin, root);
+      walk(node);
+    });
+  };
+  walk(container);
+
+  Array.from(root.querySelectorAll('text')).forEach(flattenText);
+
+  if (font && textMode === 'outline') {
+    outlineTexts(root, font.font);
+  } else if (font && textMode === 'embed') {
+    const style = doc.createElementNS(SVG_NS, 'style');
+    style.textContent = `@font-face { font-family: "${EMBED_FAMILY}"; `
+      + `src: url(data:${font.mime};base64,${toBase64(font.data)}) format("${font.format}"); }`;
+    const defs = doc.createElementNS(SVG_NS, 'defs');
+    defs.appendChild(style);
+    root.insertBefore(defs, root.firstChild);
+    root.querySelectorAll('text').forEach((text) => {
+      text.setAttribute('font-family', `${EMBED_FAMILY}, ${text.getAttribute('font-family') || 'sans-serif'}`);
+    });
+  }
+
+  const svg = `<?xml version="1.0" encoding="UTF-8" standalone="no"?>\n${new XMLSerializer().serializeToString(root)}`;
+  return { svg, width, height };
+};
@@ -0,0 +1,168 @@
+/**
+ * TIFF 编码：8 位 RGB，LZW 压缩 (可选不压缩)，写入 X/YResolution 与 ResolutionUnit=英寸
+ */
+
+const TYPE_SHORT = 3;
+const TYPE_LONG = 4;
+const TYPE_RATIONAL = 5;
+const TYPE_ASCII = 2;
+
+// 每个条带约 64 KB，便于阅读器分块读取
+const STRIP_BYTES = 65536;
+
+/**
+ * TIFF 变体的 LZW 编码 (MSB 优先，码长提前一个码字增长)
+ */
+export const lzwEncode = (data) => {
+  const CLEAR = 256;
+  const EOI = 257;
+  const out = [];
+  let buffer = 0;
+  let bits = 0;
+  let codeLength = 9;
+  const write = (code) => {
+    buffer = (buffer << codeLength) | code;
+    bits += codeLength;
+    while (bits >= 8) {
+      out.push((buffer >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+    buffer &= (1 << bits) - 1;
+  };
+
+  let table = new Map();
+  let next = 258;
+  const reset = () => {
+    table = new Map();
+    next = 258;
+    codeLength = 9;
+  };
+
+  write(CLEAR);
+  if (data.length === 0) {
+    write(EOI);
+    if (bits > 0) out.push((buffer << (8 - bits)) & 0xff);
+    return Uint8Array.from(out);
+  }
+
+  let prefix = data[0];
+  for (let i = 1; i < data.length; i++) {
+    const byte = data[i];
+    const key = prefix * 256 + byte;
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+    write(prefix);
+    table.set(key, next++);
+    if (next === 512 || next === 1024 || next === 2048) codeLength++;
+    if (next === 4094) {
+      write(CLEAR);
+      reset();
+    }
+    prefix = byte;
+  }
+  write(prefix);
+  // 写出最后一个码字后表再增长一项，码长可能随之变化
+  next++;
+  if (next === 512 || next === 1024 || next === 2048) codeLength++;
+  write(EOI);
+  if (bits > 0) out.push((buffer << (8 - bits)) & 0xff);
+  return Uint8Array.from(out);
+};
+
+/**
+ * rgba 为 canvas getImageData 的像素数据；透明像素按白底合成
+ */
+export const encodeTiff = (rgba, width, height, { dpi = 300, compression = 'lzw', software = 'SciRadar' } = {}) => {
+  const rowBytes = width * 3;
+  const rowsPerStrip = Math.max(1, Math.floor(STRIP_BYTES / rowBytes));
+  const strips = [];
+
+  for (let y0 = 0; y0 < height; y0 += rowsPerStrip) {
+    const rows = Math.min(rowsPerStrip, height - y0);
+    const raw = new Uint8Array(rows * rowBytes);
+    for (let i = 0, p = y0 * width * 4; i < raw.length; i += 3, p += 4) {
+      const a = rgba[p + 3] / 255;
+      raw[i] = Math.round(rgba[p] * a + 255 * (1 - a));
+      raw[i + 1] = Math.round(rgba[p + 1] * a + 255 * (1 - a));
+      raw[i + 2] = Math.round(rgba[p + 2] * a + 255 * (1 - a));
+    }
+    strips.push(compression === 'lzw' ? lzwEncode(raw) : raw);
+  }
+
+  const softwareBytes = new TextEncoder().encode(`${software}\0`);
+  const dimension = (v) => (v < 65536 ? TYPE_SHORT : TYPE_LONG);
+  const entries = [
+    [256, dimension(width), [width]],
+    [257, dimension(height), [height]],
+    [258, TYPE_SHORT, [8, 8, 8]],
+    [259, TYPE_SHORT, [compression === 'lzw' ? 5 : 1]],
+    [262, TYPE_SHORT, [2]], // RGB
+    [273, TYPE_LONG, strips.map(() => 0)], // StripOffsets，稍后回填
+    [277, TYPE_SHORT, [3]],
+    [278, dimension(rowsPerStrip), [rowsPerStrip]],
+    [279, TYPE_LONG, strips.map((s) => s.length)],
+    [282, TYPE_RATIONAL, [[Math.round(dpi * 1000), 1000]]],
+    [283, TYPE_RATIONAL, [[Math.round(dpi * 1000), 1000]]],
+    [284, TYPE_SHORT, [1]],
+    [296, TYPE_SHORT, [2]], // 英寸
+    [305, TYPE_ASCII, softwareBytes],
+  ];
+
+  const typeSize = { [TYPE_ASCII]: 1, [TYPE_SHORT]: 2, [TYPE_LONG]: 4, [TYPE_RATIONAL]: 8 };
+  const ifdOffset = 8;
+  const ifdSize = 2 + entries.length * 12 + 4;
+  // 放不进 4 字节的值写在 IFD 之后
+  let extraOffset = ifdOffset + ifdSize;
+  const layout = entries.map(([tag, type, values]) => {
+    const size = typeSize[type] * values.length;
+    const external = size > 4 ? extraOffset : null;
+    if (external !== null) extraOffset += size + (size % 2);
+    return { tag, type, values, size, external };
+  });
+  let dataOffset = extraOffset;
+  const stripOffsets = strips.map((s) => {
+    const offset = dataOffset;
+    dataOffset += s.length;
+    return offset;
+  });
+  layout.find((e) => e.tag === 273).values = stripOffsets;
+
+  const out = new Uint8Array(dataOffset);
+  const view = new DataView(out.buffer);
+  out.set([0x4d, 0x4d]); // 大端
+  view.setUint16(2, 42);
+  view.setUint32(4, ifdOffset);
+  view.setUint16(ifdOffset, layout.length);
+
+  const writeValues = (offset, type, values) => {
+    values.forEach((v, i) => {
+      if (type === TYPE_ASCII) out[offset + i] = v;
+      else if (type === TYPE_SHORT) view.setUint16(offset + i * 2, v);
+      else if (type === TYPE_LONG) view.setUint32(offset + i * 4, v);
+      else {
+        view.setUint32(offset + i * 8, v[0]);
+        view.setUint32(offset + i * 8 + 4, v[1]);
+      }
+    });
+  };
+
+  layout.forEach(({ tag, type, values, external }, i) => {
+    const entry = ifdOffset + 2 + i * 12;
+    view.setUint16(entry, tag);
+    view.setUint16(entry + 2, type);
+    view.setUint32(entry + 4, values.length);
+    if (external !== null) {
+      view.setUint32(entry + 8, external);
+      writeValues(external, type, values);
+    } else {
+      writeValues(entry + 8, type, values);
+    }
+  });
+  view.setUint32(ifdOffset + 2 + layout.length * 12, 0);
+
+  strips.forEach((s, i) => out.set(s, stripOffsets[i]));
+  return out;
+};
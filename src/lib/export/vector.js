@@ -0,0 +1,532 @@
+/**
+ * SVG → 矢量绘图指令
+ *
+ * 把独立 SVG 解析为扁平的路径与文字列表，坐标已应用 transform (px，y 轴向下)，
+ * 供 PDF / EPS 输出使用。只覆盖图表导出会用到的 SVG 子集，不依赖 DOM。
+ */
+import { scanXml } from '../importers/xml.js';
+
+const SKIPPED = new Set([
+  'defs', 'style', 'title', 'desc', 'metadata', 'clipPath', 'mask', 'pattern',
+  'linearGradient', 'radialGradient', 'symbol', 'marker', 'filter', 'script',
+]);
+
+const NAMED_COLORS = {
+  black: '#000000', white: '#ffffff', red: '#ff0000', green: '#008000', blue: '#0000ff',
+  gray: '#808080', grey: '#808080', yellow: '#ffff00', orange: '#ffa500', purple: '#800080',
+};
+
+// 贝塞尔曲线逼近四分之一圆的控制点系数
+const KAPPA = 0.5522847498;
+
+export const parseSvgTree = (svg) => {
+  const root = { name: '#root', attrs: {}, children: [] };
+  const stack = [root];
+  for (const node of scanXml(svg)) {
+    const parent = stack[stack.length - 1];
+    if (node.type === 'open' || node.type === 'empty') {
+      const el = { name: node.name, attrs: node.attrs, children: [] };
+      parent.children.push(el);
+      if (node.type === 'open') stack.push(el);
+    } else if (node.type === 'close') {
+      if (stack.length > 1) stack.pop();
+    } else {
+      parent.children.push({ name: '#text', text: node.text });
+    }
+  }
+  return root.children.find((c) => c.name === 'svg') || null;
+};
+
+/**
+ * 颜色解析，返回 { r, g, b, a } (0–255, a 为 0–1)，none / 渐变等返回 null
+ */
+export const parseColor = (value) => {
+  if (!value) return null;
+  const v = NAMED_COLORS[value.trim().toLowerCase()] || value.trim().toLowerCase();
+  let m = v.match(/^#([0-9a-f]{3,8})$/);
+  if (m) {
+    let hex = m[1];
+    if (hex.length <= 4) hex = hex.split('').map((c) => c + c).join('');
+    return {
+      r: parseInt(hex.slice(0, 2), 16),
+      g: parseInt(hex.slice(2, 4), 16),
+      b: parseInt(hex.slice(4, 6), 16),
+      a: hex.length === 8 ? parseInt(hex.slice(6, 8), 16) / 255 : 1,
+    };
+  }
+  m = v.match(/^rgba?\(([^)]+)\)$/);
+  if (m) {
+    const [r, g, b, a = '1'] = m[1].split(/[\s,/]+/).filter(Boolean);
+    const alpha = a.endsWith('%') ? parseFloat(a) / 100 : parseFloat(a);
+    return { r: parseFloat(r), g: parseFloat(g), b: parseFloat(b), a: Number.isFinite(alpha) ? alpha : 1 };
+  }
+  return null;
+};
+
+// 绝对单位换算为 px (96 dpi)
+const UNIT_PX = { px: 1, pt: 96 / 72, pc: 16, in: 96, cm: 96 / 2.54, mm: 96 / 25.4 };
+
+// 长度取第一个数值，em 按字号换算
+export const parseLength = (value, fontSize = 16) => {
+  if (value === undefined || value === null || value === '') return null;
+  const s = String(value).trim().split(/[\s,]+/)[0];
+  const n = parseFloat(s);
+  if (!Number.isFinite(n)) return null;
+  if (s.endsWith('em')) return n * fontSize;
+  const unit = s.match(/[a-z]+$/i)?.[0].toLowerCase();
+  return n * (UNIT_PX[unit] ?? 1);
+};
+
+// dominant-baseline 相对字母基线的下移量
+export const baselineShift = (baseline, fontSize) => {
+  switch (baseline) {
+    case 'middle':
+    case 'central':
+      return fontSize * 0.35;
+    case 'hanging':
+    case 'text-before-edge':
+      return fontSize * 0.8;
+    case 'text-after-edge':
+    case 'ideographic':
+      return -fontSize * 0.2;
+    default:
+      return 0;
+  }
+};
+
+/**
+ * 把 <text> 与其中的 <tspan> 展开为若干段 { x, y, text }，y 为字母基线
+ */
+export const resolveTextRuns = (node, fontSize) => {
+  const runs = [];
+  let x = (parseLength(node.attrs.x, fontSize) ?? 0) + (parseLength(node.attrs.dx, fontSize) ?? 0);
+  let y = (parseLength(node.attrs.y, fontSize) ?? 0) + (parseLength(node.attrs.dy, fontSize) ?? 0);
+  let current = null;
+
+  const visit = (child) => {
+    if (child.name === '#text') {
+      if (!current) {
+        current = { x, y, text: '' };
+        runs.push(current);
+      }
+      current.text += child.text.replace(/\s+/g, ' ');
+    } else if (child.name === 'tspan') {
+      x = parseLength(child.attrs.x, fontSize) ?? x;
+      y = parseLength(child.attrs.y, fontSize) ?? y;
+      x += parseLength(child.attrs.dx, fontSize) ?? 0;
+      y += parseLength(child.attrs.dy, fontSize) ?? 0;
+      current = null;
+      child.children.forEach(visit);
+      current = null;
+    }
+  };
+  node.children.forEach(visit);
+
+  return runs.map((r) => ({ ...r, text: r.text.trim() })).filter((r) => r.text);
+};
+
+// --- 仿射变换 [a, b, c, d, e, f] ---
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+const multiply = (m, n) => [
+  m[0] * n[0] + m[2] * n[1],
+  m[1] * n[0] + m[3] * n[1],
+  m[0] * n[2] + m[2] * n[3],
+  m[1] * n[2] + m[3] * n[3],
+  m[0] * n[4] + m[2] * n[5] + m[4],
+  m[1] * n[4] + m[3] * n[5] + m[5],
+];
+
+const apply = (m, x, y) => [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+
+const matrixScale = (m) => Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+
+export const parseTransform = (text) => {
+  let m = IDENTITY;
+  if (!text) return m;
+  const re = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+  let match;
+  while ((match = re.exec(text))) {
+    const v = match[2].split(/[\s,]+/).filter(Boolean).map(parseFloat);
+    let t;
+    switch (match[1]) {
+      case 'matrix':
+        t = v;
+        break;
+      case 'translate':
+        t = [1, 0, 0, 1, v[0] || 0, v[1] || 0];
+        break;
+      case 'scale':
+        t = [v[0], 0, 0, v[1] ?? v[0], 0, 0];
+        break;
+      case 'rotate': {
+        const a = (v[0] * Math.PI) / 180;
+        const [cx = 0, cy = 0] = v.slice(1);
+        t = multiply(
+          multiply([1, 0, 0, 1, cx, cy], [Math.cos(a), Math.sin(a), -Math.sin(a), Math.cos(a), 0, 0]),
+          [1, 0, 0, 1, -cx, -cy],
+        );
+        break;
+      }
+      case 'skewX':
+        t = [1, 0, Math.tan((v[0] * Math.PI) / 180), 1, 0, 0];
+        break;
+      default:
+        t = [1, Math.tan((v[0] * Math.PI) / 180), 0, 1, 0, 0];
+    }
+    m = multiply(m, t);
+  }
+  return m;
+};
+
+// --- 路径 ---
+
+// 椭圆弧转三次贝塞尔 (SVG 规范 F.6 的端点参数化)
+const arcToCubics = (x1, y1, rx, ry, phi, largeArc, sweep, x2, y2) => {
+  if (rx === 0 || ry === 0) return [[x2, y2, x2, y2, x2, y2]];
+  const sinPhi = Math.sin(phi);
+  const cosPhi = Math.cos(phi);
+  const dx = (x1 - x2) / 2;
+  const dy = (y1 - y2) / 2;
+  const x1p = cosPhi * dx + sinPhi * dy;
+  const y1p = -sinPhi * dx + cosPhi * dy;
+  rx = Math.abs(rx);
+  ry = Math.abs(ry);
+  const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+  const num = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+  const den = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+  const coef = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, num / den));
+  const cxp = (coef * rx * y1p) / ry;
+  const cyp = (-coef * ry * x1p) / rx;
+  const cx = cosPhi * cxp - sinPhi * cyp + (x1 + x2) / 2;
+  const cy = sinPhi * cxp + cosPhi * cyp + (y1 + y2) / 2;
+
+  const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  const theta1 = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+  let delta = angle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+  if (!sweep && delta > 0) delta -= 2 * Math.PI;
+  if (sweep && delta < 0) delta += 2 * Math.PI;
+
+  const segments = Math.max(1, Math.ceil(Math.abs(delta) / (Math.PI / 2)));
+  const step = delta / segments;
+  const k = (4 / 3) * Math.tan(step / 4);
+  const point = (t) => [
+    cx + rx * Math.cos(t) * cosPhi - ry * Math.sin(t) * sinPhi,
+    cy + rx * Math.cos(t) * sinPhi + ry * Math.sin(t) * cosPhi,
+  ];
+  const derivative = (t) => [
+    -rx * Math.sin(t) * cosPhi - ry * Math.cos(t) * sinPhi,
+    -rx * Math.sin(t) * sinPhi + ry * Math.cos(t) * cosPhi,
+  ];
+
+  const curves = [];
+  for (let i = 0; i < segments; i++) {
+    const t1 = theta1 + i * step;
+    const t2 = t1 + step;
+    const [p1x, p1y] = point(t1);
+    const [p2x, p2y] = point(t2);
+    const [d1x, d1y] = derivative(t1);
+    const [d2x, d2y] = derivative(t2);
+    curves.push([p1x + k * d1x, p1y + k * d1y, p2x - k * d2x, p2y - k * d2y, p2x, p2y]);
+  }
+  return curves;
+};
+
+/**
+ * 解析 path 的 d 属性，统一为绝对坐标的 M / L / C / Z
+ */
+export const parsePathData = (d) => {
+  const tokens = (d || '').match(/[MmLlHhVvCcSsQqTtAaZz]|[-+]?(?:\d*\.\d+|\d+\.?)(?:e[-+]?\d+)?/g) || [];
+  const out = [];
+  let i = 0;
+  let cmd = null;
+  let x = 0;
+  let y = 0;
+  let startX = 0;
+  let startY = 0;
+  let lastControl = null; // 上一段的第二控制点，用于 S / T
+  let lastQuad = null;
+
+  const num = () => parseFloat(tokens[i++]);
+  const hasNumber = () => i < tokens.length && !/^[a-z]$/i.test(tokens[i]);
+
+  while (i < tokens.length) {
+    if (/^[a-z]$/i.test(tokens[i])) cmd = tokens[i++];
+    else if (!cmd) break;
+    const rel = cmd === cmd.toLowerCase();
+    const ox = rel ? x : 0;
+    const oy = rel ? y : 0;
+
+    switch (cmd.toUpperCase()) {
+      case 'M': {
+        x = ox + num();
+        y = oy + num();
+        out.push(['M', x, y]);
+        startX = x;
+        startY = y;
+        // M 后续的坐标对按 L 处理
+        cmd = rel ? 'l' : 'L';
+        lastControl = lastQuad = null;
+        break;
+      }
+      case 'L':
+        x = ox + num();
+        y = oy + num();
+        out.push(['L', x, y]);
+        lastControl = lastQuad = null;
+        break;
+      case 'H':
+        x = (rel ? x : 0) + num();
+        out.push(['L', x, y]);
+        lastControl = lastQuad = null;
+        break;
+      case 'V':
+        y = (rel ? y : 0) + num();
+        out.push(['L', x, y]);
+        lastControl = lastQuad = null;
+        break;
+      case 'C': {
+        const c = [ox + num(), oy + num(), ox + num(), oy + num(), ox + num(), oy + num()];
+        out.push(['C', ...c]);
+        lastControl = [c[2], c[3]];
+        x = c[4];
+        y = c[5];
+        lastQuad = null;
+        break;
+      }
+      case 'S': {
+        const c1 = lastControl ? [2 * x - lastControl[0], 2 * y - lastControl[1]] : [x, y];
+        const c = [ox + num(), oy + num(), ox + num(), oy + num()];
+        out.push(['C', c1[0], c1[1], ...c]);
+        lastControl = [c[0], c[1]];
+        x = c[2];
+        y = c[3];
+        lastQuad = null;
+        break;
+      }
+      case 'Q':
+      case 'T': {
+        const q = cmd.toUpperCase() === 'Q'
+          ? [ox + num(), oy + num()]
+          : (lastQuad ? [2 * x - lastQuad[0], 2 * y - lastQuad[1]] : [x, y]);
+        const ex = ox + num();
+        const ey = oy + num();
+        out.push(['C', x + (2 / 3) * (q[0] - x), y + (2 / 3) * (q[1] - y),
+          ex + (2 / 3) * (q[0] - ex), ey + (2 / 3) * (q[1] - ey), ex, ey]);
+        lastQuad = q;
+        lastControl = null;
+        x = ex;
+        y = ey;
+        break;
+      }
+      case 'A': {
+        const rx = num();
+        const ry = num();
+        const rotation = (num() * Math.PI) / 180;
+        const largeArc = num() !== 0;
+        const sweep = num() !== 0;
+        const ex = ox + num();
+        const ey = oy + num();
+        arcToCubics(x, y, rx, ry, rotation, largeArc, sweep, ex, ey).forEach((c) => out.push(['C', ...c]));
+        x = ex;
+        y = ey;
+        lastControl = lastQuad = null;
+        break;
+      }
+      case 'Z':
+        out.push(['Z']);
+        x = startX;
+        y = startY;
+        lastControl = lastQuad = null;
+        break;
+      default:
+        i++;
+    }
+    if (cmd.toUpperCase() === 'Z' && hasNumber()) cmd = null;
+  }
+  return out;
+};
+
+const ellipsePath = (cx, cy, rx, ry) => {
+  const kx = rx * KAPPA;
+  const ky = ry * KAPPA;
+  return [
+    ['M', cx + rx, cy],
+    ['C', cx + rx, cy + ky, cx + kx, cy + ry, cx, cy + ry],
+    ['C', cx - kx, cy + ry, cx - rx, cy + ky, cx - rx, cy],
+    ['C', cx - rx, cy - ky, cx - kx, cy - ry, cx, cy - ry],
+    ['C', cx + kx, cy - ry, cx + rx, cy - ky, cx + rx, cy],
+    ['Z'],
+  ];
+};
+
+const pointsPath = (text, close) => {
+  const v = (text || '').split(/[\s,]+/).filter(Boolean).map(parseFloat);
+  const out = [];
+  for (let i = 0; i + 1 < v.length; i += 2) out.push([i === 0 ? 'M' : 'L', v[i], v[i + 1]]);
+  if (close && out.length) out.push(['Z']);
+  return out;
+};
+
+const shapePath = (node) => {
+  const a = node.attrs;
+  const n = (key) => parseFloat(a[key]) || 0;
+  switch (node.name) {
+    case 'path':
+      return parsePathData(a.d);
+    case 'rect': {
+      const x = n('x');
+      const y = n('y');
+      const w = n('width');
+      const h = n('height');
+      if (w <= 0 || h <= 0) return [];
+      return [['M', x, y], ['L', x + w, y], ['L', x + w, y + h], ['L', x, y + h], ['Z']];
+    }
+    case 'circle':
+      return n('r') > 0 ? ellipsePath(n('cx'), n('cy'), n('r'), n('r')) : [];
+    case 'ellipse':
+      return n('rx') > 0 && n('ry') > 0 ? ellipsePath(n('cx'), n('cy'), n('rx'), n('ry')) : [];
+    case 'line':
+      return [['M', n('x1'), n('y1')], ['L', n('x2'), n('y2')]];
+    case 'polyline':
+      return pointsPath(a.points, false);
+    case 'polygon':
+      return pointsPath(a.points, true);
+    default:
+      return [];
+  }
+};
+
+const transformPath = (segments, m) => segments.map(([cmd, ...v]) => {
+  const out = [cmd];
+  for (let i = 0; i < v.length; i += 2) out.push(...apply(m, v[i], v[i + 1]));
+  return out;
+});
+
+// --- 样式 ---
+
+const INHERITED = [
+  'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray',
+  'stroke-linecap', 'stroke-linejoin', 'font-family', 'font-size', 'font-weight', 'font-style',
+  'text-anchor', 'dominant-baseline', 'visibility',
+];
+
+const ownStyle = (attrs) => {
+  const style = {};
+  INHERITED.concat('opacity', 'display').forEach((key) => {
+    if (attrs[key] !== undefined) style[key] = attrs[key];
+  });
+  (attrs.style || '').split(';').forEach((decl) => {
+    const [key, ...rest] = decl.split(':');
+    if (key && rest.length) style[key.trim()] = rest.join(':').trim();
+  });
+  return style;
+};
+
+const paint = (value, opacity) => {
+  const color = parseColor(value);
+  if (!color) return null;
+  const a = color.a * opacity;
+  return a > 0 ? { ...color, a } : null;
+};
+
+const number = (value, fallback) => {
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : fallback;
+};
+
+/**
+ * 解析独立 SVG，返回 { width, height, items }。
+ * items 为 { type: 'path', segments, fill, stroke, strokeWidth, dash, lineCap, lineJoin }
+ * 或 { type: 'text', x, y, text, fontSize, fontFamily, fontWeight, fontStyle, anchor, fill, rotation }
+ */
+export const svgToScene = (svg) => {
+  const root = typeof svg === 'string' ? parseSvgTree(svg) : svg;
+  if (!root) throw new Error('无效的 SVG');
+
+  const viewBox = (root.attrs.viewBox || '').split(/[\s,]+/).filter(Boolean).map(parseFloat);
+  const width = parseLength(root.attrs.width) ?? viewBox[2] ?? 0;
+  const height = parseLength(root.attrs.height) ?? viewBox[3] ?? 0;
+  const items = [];
+
+  const initial = viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0
+    ? [width / viewBox[2], 0, 0, height / viewBox[3], -viewBox[0] * (width / viewBox[2]), -viewBox[1] * (height / viewBox[3])]
+    : IDENTITY;
+
+  const walk = (node, inherited, opacity, matrix) => {
+    if (node.name === '#text' || SKIPPED.has(node.name)) return;
+    const own = ownStyle(node.attrs);
+    if (own.display === 'none') return;
+    const style = { ...inherited, ...own };
+    const alpha = opacity * number(own.opacity, 1);
+    let m = multiply(matrix, parseTransform(node.attrs.transform));
+    // 嵌套的 <svg> 相当于平移后的分组
+    if (node.name === 'svg' && node !== root) {
+      m = multiply(m, [1, 0, 0, 1, number(node.attrs.x, 0), number(node.attrs.y, 0)]);
+    }
+
+    if (node.name === 'text') {
+      if (style.visibility === 'hidden') return;
+      const localSize = number(style['font-size'], 16);
+      const shift = baselineShift(style['dominant-baseline'], localSize);
+      const rotation = (Math.atan2(m[1], m[0]) * 180) / Math.PI;
+      resolveTextRuns(node, localSize).forEach((run) => {
+        const [x, y] = apply(m, run.x, run.y + shift);
+        items.push({
+          type: 'text',
+          x,
+          y,
+          text: run.text,
+          fontSize: localSize * matrixScale(m),
+          fontFamily: style['font-family'] || 'sans-serif',
+          fontWeight: style['font-weight'] || 'normal',
+          fontStyle: style['font-style'] || 'normal',
+          anchor: style['text-anchor'] || 'start',
+          fill: paint(style.fill ?? '#000000', alpha * number(style['fill-opacity'], 1)),
+          rotation,
+        });
+      });
+      return;
+    }
+
+    const segments = shapePath(node);
+    if (segments.length && style.visibility !== 'hidden') {
+      const fill = node.name === 'line'
+        ? null
+        : paint(style.fill ?? '#000000', alpha * number(style['fill-opacity'], 1));
+      const stroke = paint(style.stroke, alpha * number(style['stroke-opacity'], 1));
+      const strokeWidth = number(style['stroke-width'], 1) * matrixScale(m);
+      const dash = style['stroke-dasharray'] && style['stroke-dasharray'] !== 'none'
+        ? style['stroke-dasharray'].split(/[\s,]+/).map(parseFloat).filter(Number.isFinite).map((v) => v * matrixScale(m))
+        : null;
+      if (fill || (stroke && strokeWidth > 0)) {
+        items.push({
+          type: 'path',
+          segments: transformPath(segments, m),
+          fill,
+          stroke: strokeWidth > 0 ? stroke : null,
+          strokeWidth,
+          dash: dash && dash.some((v) => v > 0) ? dash : null,
+          lineCap: style['stroke-linecap'] || 'butt',
+          lineJoin: style['stroke-linejoin'] || 'miter',
+        });
+      }
+    }
+
+    node.children.forEach((child) => walk(child, style, alpha, m));
+  };
+
+  walk(root, {}, 1, initial);
+  return { width, height, items };
+};
+
+// 标准 PDF / PostScript 字体只覆盖 Latin-1
+export const sceneHasNonLatinText = (scene) =>
+  scene.items.some((item) => item.type === 'text' && /[^\u0000-\u00ff]/.test(item.text));
+
+export const formatNumber = (n) => String(Math.round(n * 1000) / 1000);
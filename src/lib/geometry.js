@@ -0,0 +1,14 @@
+/**
+ * 极坐标工具，角度约定与 recharts 一致：以度为单位，0° 指向右侧，逆时针为正
+ */
+
+export const RADIAN = Math.PI / 180;
+
+export const polarToCartesian = (cx, cy, radius, angle) => ({
+  x: cx + Math.cos(-RADIAN * angle) * radius,
+  y: cy + Math.sin(-RADIAN * angle) * radius,
+});
+
+// RadarChart 默认从正上方开始顺时针排布各维度
+export const axisAngle = (index, count, startAngle = 90) =>
+  startAngle - (360 / Math.max(count, 1)) * index;
@@ -0,0 +1,141 @@
+/**
+ * 表格视图的数据操作
+ *
+ * 表格视图不单独保存数据：每次由输入框文本切分出单元格矩阵，编辑后再按原分隔符写回文本，
+ * 因此与输入框始终一致，解析仍由 parseData 完成。以下函数都返回新的矩阵，不修改参数。
+ */
+import {
+  splitRecords, detectDelimiter, detectDecimalComma, parseCell, isGroupRow, isReferenceRow, rowsToText,
+} from './parse.js';
+
+/**
+ * 文本 → { rows, lines, delimiter }。各行补齐到相同列数；lines 为每行在文本中的起始行号，
+ * 用于把解析问题对应到单元格
+ */
+export const textToGrid = (text) => {
+  const delimiter = detectDelimiter(text);
+  const records = splitRecords(text, delimiter);
+  const width = Math.max(0, ...records.map((r) => r.cells.length));
+  return {
+    rows: records.map((r) => [...r.cells, ...Array(width - r.cells.length).fill('')]),
+    lines: records.map((r) => r.line),
+    delimiter,
+  };
+};
+
+export const gridToText = (rows, delimiter = '\t') => rowsToText(rows, delimiter);
+
+const columnCount = (rows) => Math.max(0, ...rows.map((row) => row.length));
+
+// 全空的行在解析时会被跳过，新行先填上名称
+const uniqueLabel = (base, taken) => {
+  let n = 1;
+  while (taken.includes(`${base} ${n}`)) n++;
+  return `${base} ${n}`;
+};
+
+export const setCell = (rows, row, column, value) => rows.map((cells, i) => (i === row
+  ? cells.map((cell, j) => (j === column ? value : cell))
+  : cells));
+
+/** 在 index 处插入一行空数据 */
+export const insertRow = (rows, index) => {
+  const row = Array(columnCount(rows)).fill('');
+  row[0] = uniqueLabel('Model', rows.map((cells) => cells[0]));
+  return [...rows.slice(0, index), row, ...rows.slice(index)];
+};
+
+export const duplicateRow = (rows, index) => {
+  const copy = [...rows[index]];
+  copy[0] = `${copy[0]} (copy)`;
+  return [...rows.slice(0, index + 1), copy, ...rows.slice(index + 1)];
+};
+
+export const deleteRow = (rows, index) => rows.filter((_, i) => i !== index);
+
+/** 在 index 处插入一列，表头为新的维度名称 */
+export const insertColumn = (rows, index) => {
+  const name = uniqueLabel('Dim', rows[0] || []);
+  return rows.map((cells, i) => [...cells.slice(0, index), i === 0 ? name : '', ...cells.slice(index)]);
+};
+
+export const duplicateColumn = (rows, index) => rows.map((cells, i) => [
+  ...cells.slice(0, index + 1),
+  i === 0 ? `${cells[index]} (copy)` : cells[index],
+  ...cells.slice(index + 1),
+]);
+
+export const deleteColumn = (rows, index) => rows.map((cells) => cells.filter((_, j) => j !== index));
+
+// 分组行与参考行不是模型，排序与转置时不参与
+const isMetaRow = (cells) => isGroupRow(cells) || isReferenceRow(cells);
+
+/**
+ * 行列互换：模型 ↔ 维度。分组行与参考行原样保留在表头之后 (单元格按位置对应新的列)，不转成列，
+ * 否则会变成无法解析的 "维度"；再次转置即可恢复原表
+ */
+export const transposeGrid = (rows) => {
+  const [header = [], ...rest] = rows;
+  const metaRows = rest.filter(isMetaRow);
+  const table = [header, ...rest.filter((cells) => !isMetaRow(cells))];
+  const width = columnCount(table);
+  const [newHeader, ...body] = Array.from({ length: width }, (_, j) => table.map((cells) => cells[j] ?? ''));
+  return [newHeader, ...metaRows, ...body];
+};
+
+/**
+ * 按某一列排序数据行；表头、分组行与参考行保持在最前。
+ * 首列按名称排序，其余列按数值排序，缺失与无法解析的值总排在最后
+ */
+export const sortRows = (rows, column, direction = 'asc') => {
+  if (rows.length < 2) return rows;
+  const [header, ...rest] = rows;
+  const metaRows = rest.filter(isMetaRow);
+  const body = rest.filter((cells) => !isMetaRow(cells));
+  const sign = direction === 'desc' ? -1 : 1;
+
+  let keyed;
+  if (column === 0) {
+    keyed = body.map((cells) => ({ cells, key: cells[0] || null }));
+  } else {
+    const decimalComma = detectDecimalComma(body.flatMap((cells) => cells.slice(1)));
+    keyed = body.map((cells) => ({ cells, key: parseCell(cells[column], { decimalComma }).value }));
+  }
+  keyed.sort((a, b) => {
+    if (a.key === null || b.key === null) return (a.key === null) - (b.key === null);
+    if (column === 0) return sign * a.key.localeCompare(b.key, undefined, { numeric: true });
+    return sign * (a.key - b.key);
+  });
+  return [header, ...metaRows, ...keyed.map((k) => k.cells)];
+};
+
+/** 剪贴板中的 Tab 分隔文本 (从 Excel 复制的多个单元格) → 单元格矩阵；只有单个值时返回 null */
+export const clipboardBlock = (text) => {
+  if (!/[\t\n]/.test(text.replace(/\r?\n$/, ''))) return null;
+  return splitRecords(text.replace(/\r?\n$/, ''), '\t').map((r) => r.cells);
+};
+
+/** 从 (row, column) 起粘贴一块单元格，超出范围时自动扩展行列 */
+export const pasteBlock = (rows, row, column, block) => {
+  const height = Math.max(rows.length, row + block.length);
+  const width = Math.max(columnCount(rows), column + Math.max(...block.map((cells) => cells.length)));
+  return Array.from({ length: height }, (_, i) => Array.from({ length: width }, (__, j) => {
+    const pasted = block[i - row]?.[j - column];
+    return pasted ?? rows[i]?.[j] ?? '';
+  }));
+};
+
+/**
+ * 解析问题 → { "行,列": issue }，行列为矩阵下标；同一单元格有错误时优先显示错误
+ */
+export const cellIssues = (issues, lines) => {
+  const cells = {};
+  issues.forEach((issue) => {
+    if (!issue.column) return;
+    const row = lines.indexOf(issue.line);
+    if (row < 0) return;
+    const key = `${row},${issue.column - 1}`;
+    if (!cells[key] || issue.severity === 'error') cells[key] = issue;
+  });
+  return cells;
+};
@@ -0,0 +1,548 @@
+/**
+ * English strings
+ */
+export default {
+  dimensions: {
+    title: 'Dimensions',
+    normalization: 'Normalization',
+    normalizationHint: '{desc}; the tooltip still shows raw values',
+    baseline: 'Baseline model',
+    rangeHint: 'Leave empty to compute the range automatically; check "Reverse" when lower is better',
+    normalizedHint: 'Normalized modes share one scale; "Reverse" still sets which direction is better',
+    autoOrder: 'Order by correlation',
+    autoOrderHint: 'Places highly correlated dimensions next to each other; dimensions of one group stay together',
+    resetOrder: 'Restore data order',
+    dragHint: 'Drag to reorder dimensions',
+    reverse: 'Reverse',
+    min: 'Minimum',
+    max: 'Maximum',
+    unit: 'Unit',
+    group: 'Group',
+    groupHint: 'Group of this dimension, used to split panels by group',
+    label: 'Display name',
+    labelHint: 'Name shown in the chart; supports \\\\ line breaks, $F_1$ subscripts, $mAP^{50}$ superscripts, \\alpha Greek letters and \\uparrow arrows',
+    labelDx: 'Horizontal label offset (px)',
+    labelDy: 'Vertical label offset (px, positive is down)',
+    integerTicks: 'Integer tick values',
+    axisTicks: 'Show axis numbers',
+    groupSectors: 'Draw group background sectors and group titles',
+    labelWrap: 'Wrap labels',
+    noWrap: 'No wrapping',
+    wrapChars: { one: 'About {count} character per line', other: 'About {count} characters per line' },
+  },
+  series: {
+    title: 'Series',
+    palette: 'Color palette',
+    monochromeHint: 'In the grayscale palette each series gets its own line style and marker shape',
+    orderHint: 'Drag to reorder: earlier series come first in the legend and are drawn on top',
+    dragHint: 'Drag to reorder',
+    show: 'Show this series',
+    hide: 'Hide this series',
+    color: 'Color',
+    labelHint: 'Display name (in the data: {model})',
+    focus: 'Highlight this series and fade the others',
+    unfocus: 'Clear focus',
+    styleToggle: 'Line style and marker',
+    dash: 'Line style',
+    marker: 'Marker',
+    auto: 'Auto',
+    markerSize: 'Marker size: {value}',
+    fillOpacity: 'Fill opacity: {value}',
+    band: 'Error band',
+    bandHint: 'Show the error band of this series',
+    resetStyle: 'Reset style',
+  },
+  project: {
+    new: 'New',
+    newHint: 'New project',
+    open: 'Open',
+    openHint: 'Open a .sciradar.json project file',
+    save: 'Save',
+    saveHint: 'Save as a project file',
+    share: 'Share link',
+    shareHint: 'Copy a link that contains the whole chart',
+    recent: 'Recent',
+    recentTitle: 'Recent projects',
+    recentHint: 'Recent projects (auto-saved in this browser)',
+    noRecent: 'No saved projects yet',
+    untitled: 'Untitled project',
+    current: 'Current project',
+    remove: 'Remove from list',
+  },
+  grid: {
+    row: 'Row',
+    duplicateRow: 'Duplicate row',
+    deleteRow: 'Delete row',
+    column: 'Column',
+    duplicateColumn: 'Duplicate column',
+    deleteColumn: 'Delete column',
+    sortAsc: 'Ascending',
+    sortAscHint: 'Sort rows by the selected column, ascending',
+    sortDesc: 'Descending',
+    sortDescHint: 'Sort rows by the selected column, descending',
+    transpose: 'Transpose',
+    transposeHint: 'Models ↔ dimensions',
+    hint: 'Row and column actions apply to the selected cell; cells copied from Excel can be pasted directly',
+  },
+  issueList: {
+    errors: { one: '{count} error', other: '{count} errors' },
+    warnings: { one: '{count} warning', other: '{count} warnings' },
+    separator: ', ',
+    line: 'Line {line}',
+    cell: 'Line {line}, column {column}',
+    colon: ': ',
+  },
+  issues: {
+    tooFewRows: 'At least one header row and one data row are required',
+    tooFewColumns: 'The header needs at least two columns: the model name and one dimension',
+    noDataRows: 'At least one data row is required besides group and reference rows',
+    unnamedDimension: 'Column {column} has no dimension name; named it "{name}"',
+    duplicateDimension: 'Dimension "{name}" is duplicated; renamed it to "{renamed}"',
+    unnamedModel: 'Missing model name; named it "{name}"',
+    duplicateModel: 'Model "{name}" is duplicated; renamed it to "{renamed}"',
+    extraCells: 'This row has {count} columns, more than the {expected} in the header; the extra cells were ignored',
+    missingCells: { one: 'This row has only {count} column; the missing values are treated as missing', other: 'This row has only {count} columns; the missing values are treated as missing' },
+    invalidValue: 'Cannot parse "{value}"; treated as missing',
+    invalidError: 'Cannot parse the error part of "{value}"; ignored',
+    invalidUncertainty: 'The value "{value}" in error column "{name}" cannot be parsed; ignored',
+    emptyDimension: 'Dimension "{name}" has no valid values',
+  },
+  errors: {
+    notProject: 'Not a SciRadar project file',
+    missingVersion: 'The project file has no valid version number',
+    newerVersion: 'The project file version {version} is newer than the supported version {supported}; please update SciRadar',
+    invalidProjectJson: 'The project file is not valid JSON',
+    brokenShareLink: 'The share link is broken or incomplete',
+    unsupportedFile: 'Unsupported file type: .{ext}',
+    invalidDataJson: 'The data is not valid JSON',
+    unknownDataFormat: 'Unrecognized data format',
+    canvasTooLarge: 'Cannot create a {width} × {height} canvas; reduce the size or DPI',
+    canvasExport: 'Failed to export the canvas',
+    unknownPreset: 'Unknown style preset: {id}; available: {options}',
+    invalidConfigJson: 'The config file is not valid JSON',
+    configNotObject: 'The config file should be a JSON object',
+    invalidLength: 'Invalid length: {text}; use a positive number followed by mm, cm, in or px',
+    noMatchingFiles: 'No files match {pattern}',
+    tableNotFound: '{path} has no table {table} ({count} in total)',
+    unsupportedFormat: 'Unsupported output format: {format}; available: {options}',
+    unknownTextMode: 'Unknown text mode: {mode}; available: {options}',
+    notPositiveInteger: '{name} should be a positive integer',
+    noInput: 'Give a data file, or a project file that contains data',
+    noChartData: 'There is no data to plot',
+    fontRequired: 'Choose a font file with --font to embed or outline text',
+    nonLatinText: 'The figure contains Chinese or other non-Latin characters; choose a font file with --font and use --text-mode embed or outline',
+    invalidDpi: 'Enter a valid DPI',
+  },
+  annotations: {
+    title: 'Value labels',
+    labels: 'Vertex values',
+    decimals: 'Decimals',
+    best: 'Best model per dimension',
+    bestHint: 'Compared on raw values; for reversed dimensions smaller is better. Bold only applies to values that are shown',
+    delta: 'Difference labels',
+    deltaModel: 'Model to label differences for',
+    deltaBaseline: 'Baseline model to compare with',
+    none: 'None',
+    chooseBaseline: 'Choose baseline…',
+  },
+  panels: {
+    title: 'Small multiples',
+    mode: 'Split by',
+    noGroups: 'No groups yet: fill in "Group" in the dimension settings, or add a data row whose first cell is Group',
+    columns: 'Columns',
+    auto: 'Auto',
+    letters: 'Panel letters',
+    compareModel: 'Reference model (overlaid on every panel)',
+    noCompare: 'None',
+    sharedScale: 'Share axis scales across panels',
+    titles: 'Panel titles',
+  },
+  stylePresets: {
+    title: 'Journal styles',
+    hint: 'Sets font, font size, line width, colors and export size at once, measured at the printed size (pt)',
+    details: '{size}, font {fontSize}, line {strokeWidth}',
+    summary: '{size}, {fontSize}',
+    remove: 'Delete preset',
+    saveAs: 'Save current style as…',
+    save: 'Save',
+  },
+  exportSize: {
+    title: 'Export size',
+    width: 'Width',
+    height: 'Height',
+    dpi: 'Resolution (DPI)',
+    customDpi: 'Custom DPI',
+    output: 'Output: {width} × {height} {unit}',
+    pixels: '{dpi} DPI = {width} × {height} px',
+  },
+  dataImport: {
+    button: 'Import file',
+    hint: 'or drop CSV / TSV / XLSX / ODS / JSON / Markdown / LaTeX files, and lm-eval / OpenCompass / VLMEvalKit results',
+    drop: 'Release to import the data',
+    choose: 'Choose a table to import',
+    tableSize: '{rows} rows × {columns} columns',
+    noTables: 'No usable table was found in the file',
+    mixedHarness: 'Import evaluation result files separately from ordinary tables',
+    failed: 'Import failed: {message}',
+  },
+  harness: {
+    title: 'Import evaluation results',
+    tableName: 'Evaluation results',
+    models: 'Models',
+    useFileName: 'Use {name}',
+    useFileNameHint: 'Use the model name recorded in the result file',
+    tasks: 'Tasks and metrics',
+    percent: 'Scale 0–1 to percent',
+    stderr: 'Include standard error (±)',
+    subtasks: 'Show subtasks',
+    apply: 'Import {models} × {tasks}',
+    modelCount: { one: '{count} model', other: '{count} models' },
+    taskCount: { one: '{count} task', other: '{count} tasks' },
+  },
+  options: {
+    chartTypes: {
+      radar: { name: 'Radar', desc: 'One polygon per model; every dimension uses its own scale' },
+      parallel: { name: 'Parallel coordinates', desc: 'One vertical axis per dimension; models are lines across the axes' },
+      bar: { name: 'Grouped bars', desc: 'Grouped by dimension; bar heights follow each dimension\'s scale' },
+      barh: { name: 'Horizontal bars', desc: 'Grouped bars laid sideways, easier to read with long dimension names' },
+      heatmap: { name: 'Heatmap', desc: 'Models as rows, dimensions as columns; colors follow each dimension\'s scale, with values labelled' },
+      polarBar: { name: 'Nightingale rose', desc: 'One sector per dimension; each model\'s wedge radius follows the scale' },
+    },
+    normalization: {
+      none: { name: 'Per-dimension range', desc: 'Each dimension uses its own minimum and maximum' },
+      minmax: { name: 'Min–Max (0–1)', desc: 'Within each dimension the worst is 0 and the best is 1' },
+      percentBest: { name: 'Percent of best', desc: 'Percentage of the best model on that dimension' },
+      zscore: { name: 'Z-score', desc: 'Subtract the mean and divide by the standard deviation' },
+      rank: { name: 'Rank', desc: 'Rank 1 sits on the outermost ring' },
+      baseline: { name: 'Relative to baseline', desc: 'The baseline model counts as 100%' },
+    },
+    palettes: {
+      default: { name: 'Default' },
+      okabeIto: { name: 'Okabe–Ito (colorblind-safe)' },
+      tolBright: { name: 'Tol Bright (colorblind-safe)' },
+      tolMuted: { name: 'Tol Muted (colorblind-safe)' },
+      viridis: { name: 'Viridis (distinct in grayscale print)' },
+      grayscale: { name: 'Grayscale (line styles + markers)' },
+    },
+    dashes: {
+      solid: { name: 'Solid' },
+      dashed: { name: 'Dashed' },
+      dotted: { name: 'Dotted' },
+      dashDot: { name: 'Dash-dot' },
+      longDash: { name: 'Long dash' },
+      dashDotDot: { name: 'Dash-dot-dot' },
+    },
+    markers: {
+      circle: { name: 'Circle' },
+      square: { name: 'Square' },
+      triangle: { name: 'Triangle' },
+      diamond: { name: 'Diamond' },
+      cross: { name: 'Plus' },
+      x: { name: 'Cross' },
+      none: { name: 'No marker' },
+    },
+    labelModes: {
+      none: { name: 'Hidden' },
+      all: { name: 'All vertices' },
+      best: { name: 'Best per dimension only' },
+    },
+    bestMarkers: {
+      none: { name: 'No mark' },
+      bold: { name: 'Bold value' },
+      star: { name: 'Star marker' },
+      both: { name: 'Bold + star' },
+    },
+    deltaModes: {
+      absolute: { name: 'Difference' },
+      relative: { name: 'Relative change (%)' },
+    },
+    panelModes: {
+      single: { name: 'Single chart', desc: 'All models in one chart' },
+      model: { name: 'By model', desc: 'One panel per model, optionally with a reference model overlaid' },
+      group: { name: 'By dimension group', desc: 'One panel per dimension group' },
+    },
+    letterStyles: {
+      none: { name: 'None' },
+    },
+    themes: {
+      light: { name: 'Light' },
+      dark: { name: 'Dark' },
+    },
+    referenceKinds: {
+      outline: { name: 'Dashed outline', desc: 'e.g. human performance or previous SOTA' },
+      target: { name: 'Target ticks', desc: 'Short ticks on each axis, e.g. numbers claimed in a paper' },
+      ring: { name: 'Threshold ring', desc: 'Labeled ring, e.g. random chance' },
+    },
+    referenceLayers: {
+      below: { name: 'Beneath the models' },
+      above: { name: 'Above the models' },
+    },
+    statColumns: {
+      model: { name: 'Model', desc: 'Sort by name' },
+      mean: { name: 'Mean', desc: 'Average of the raw values; only indicative when dimensions use different units' },
+      normalizedMean: { name: 'Normalized mean', desc: 'Average after min–max normalization per dimension (worst 0, best 1)' },
+      meanRank: { name: 'Mean rank', desc: 'Average rank across dimensions; lower is better' },
+      wins: { name: 'Wins', desc: 'Number of dimensions where the model is best (ties included)' },
+      area: { name: 'Area', desc: 'Polygon area as a share of the full chart; depends on axis order and scaling' },
+      versus: { name: 'vs. baseline W/L/T', desc: 'Per-dimension comparison with the baseline model' },
+    },
+    legendPositions: {
+      bottom: { name: 'Bottom' },
+      top: { name: 'Top' },
+      left: { name: 'Left' },
+      right: { name: 'Right' },
+      inside: { name: 'Inside, top right' },
+    },
+    sizePresets: {
+      preview: { name: 'Same as preview' },
+      single: { name: 'Single column (89 mm)' },
+      onehalf: { name: '1.5 columns (140 mm)' },
+      double: { name: 'Double column (183 mm)' },
+      ieee: { name: 'IEEE single column (3.5 in)' },
+      a4: { name: 'A4 paper' },
+      slide: { name: 'Slides (16:9)' },
+      custom: { name: 'Custom' },
+    },
+    stylePresets: {
+      nature: { desc: 'Single column 89 mm, Arial 7 pt' },
+      science: { desc: 'Double column 120 mm, Helvetica 7 pt' },
+      ieee: { name: 'IEEE two-column', desc: 'Single column 3.5 in, Times 8 pt' },
+      acm: { desc: 'Single column 3.33 in, serif 8 pt' },
+      neurips: { desc: 'Half width 2.75 in, Times 9 pt' },
+      slides: { name: 'Slides', desc: '16:9, sans-serif 18 pt' },
+      slidesDark: { name: 'Slides (dark)', desc: '16:9, dark background, sans-serif 18 pt' },
+    },
+    textModes: {
+      text: { name: 'Keep as text', desc: 'Uses system fonts; smallest file and still editable' },
+      embed: { name: 'Embed font', desc: 'Ships the chosen font with the file so it displays correctly anywhere' },
+      outline: { name: 'Convert to paths', desc: 'Text becomes outlines; the look is fixed and the text is no longer editable' },
+    },
+    exportFormats: {
+      png: { name: 'PNG image', desc: 'High-quality bitmap for papers' },
+      tiff: { name: 'TIFF image', desc: 'Lossless bitmap, common for journal submissions' },
+      svg: { name: 'SVG vector', desc: 'Pure vector, editable in Inkscape / Illustrator' },
+      pdf: { name: 'PDF document', desc: 'Vector PDF, optionally with the raw data' },
+      eps: { name: 'EPS vector', desc: 'PostScript vector for LaTeX and journal submissions' },
+      latex: { desc: 'TikZ figure and booktabs table, typeset in the paper\'s font' },
+      code: { name: 'Export as code', desc: 'matplotlib script, Vega-Lite or Plotly with the data inline' },
+      clipboard: { name: 'Copy to clipboard', desc: 'Paste quickly into other documents' },
+    },
+    delimiters: {
+      ';': { name: 'semicolon' },
+      ',': { name: 'comma' },
+      '|': { name: 'pipe' },
+    },
+    codeFormats: {
+      matplotlib: { desc: 'Python script, ready to run' },
+      'vega-lite': { desc: 'Vega-Lite v5 specification' },
+      plotly: { desc: 'Plotly figure JSON (data + layout)' },
+    },
+  },
+  common: {
+    cancel: 'Cancel',
+  },
+  app: {
+    subtitle: 'Scientific radar chart generator',
+    tagline: 'Import data from Excel/CSV and export publication-quality charts in one click',
+    language: 'Interface language',
+  },
+  toast: {
+    sharedOpened: 'Opened the shared chart: {name}',
+    projectCreated: 'New project created',
+    projectOpened: 'Opened project {name}',
+    projectOpenFailed: 'Cannot open the project: {message}',
+    projectSaved: 'Project file saved',
+    shareTooLong: 'Too much data for a link; save a project file instead',
+    shareCopied: 'Share link copied to the clipboard',
+    clipboardDenied: 'Cannot write to the clipboard; check the browser permissions',
+    presetApplied: 'Applied the {name} style; export size is {size}',
+    presetSaved: 'Saved style preset {name}',
+    tableImported: 'Imported table {name}',
+    statisticsExported: 'Summary statistics exported as CSV',
+    dimensionsOrdered: 'Dimensions reordered by correlation',
+    exported: 'Chart exported as {format}',
+    exportedAsRadar: 'Exported the radar version as {format}; {type} is not supported in this format',
+    exportFailed: 'Export failed: {message}',
+    exportRetry: 'Export failed, please try again',
+    fontFailed: 'Cannot read the font file: {message}',
+  },
+  data: {
+    title: 'Data (Excel/CSV)',
+    views: {
+      text: 'Text',
+      grid: 'Grid',
+    },
+    hint: 'Copy and paste straight from Excel. The first row holds the metric names and the first column the model names.',
+    delimiter: 'Delimiter: {name}',
+    decimalComma: 'decimal comma',
+    formats: 'Accepts "86.3±0.4", percent signs, and N/A, — and similar missing values',
+    uncertaintyColumns: 'Error columns: {names}',
+    listSeparator: ', ',
+  },
+  chart: {
+    title: 'Chart settings',
+    type: 'Chart type',
+    chartTitle: 'Chart title',
+    figureLocale: 'Figure language',
+    followUi: 'Same as interface',
+    figureLocaleHint: 'Used for the footer, tooltips and the PDF data page, including date and number formats',
+    altText: 'Alt text',
+    altTextHint: 'Leave empty to use the generated summary; written to the <desc> of exported SVGs and read by screen readers',
+    font: 'Font',
+    fontSize: 'Font size ({value} pt)',
+    opacity: 'Fill opacity ({value})',
+    strokeWidth: 'Line width ({value} pt)',
+    showDots: 'Show data points',
+    circleGrid: 'Circular grid',
+    connectNulls: 'Connect across missing values',
+    whiskers: 'Vertex error bars',
+  },
+  exportTips: {
+    title: 'Export tips',
+    raster: 'PNG / TIFF: rendered at the chosen DPI, with the resolution recorded in the file',
+    vector: 'SVG / EPS: pure vector, still editable',
+    pdf: 'PDF: vector chart, optionally with the raw data',
+    dpi: 'Journals usually ask for 300 DPI (photos) or 600 DPI (line art)',
+  },
+  export: {
+    button: 'Export chart',
+    title: 'Export chart',
+    format: 'Format',
+    radarFallback: 'LaTeX and code export draw the radar version of this chart; the {type} layout is only available in image formats',
+    invalidDpi: 'Please enter a valid DPI',
+    fontRequired: 'Please choose a font file first',
+    nonLatin: 'The chart contains non-Latin text such as Chinese; choose a font file to embed it or convert text to paths',
+    textMode: 'Text handling',
+    chooseFont: 'Choose font file',
+    latinOnly: 'The standard PDF / EPS fonts only cover Latin characters; embed a font or convert to paths when the chart contains Chinese',
+    latex: {
+      download: 'Download .tex file',
+      copy: 'Copy LaTeX code',
+      table: 'Include a booktabs results table',
+      bold: 'Bold the best value in each table column',
+      std: 'Write ± standard deviation in the table',
+      hint: 'Requires the tikz and booktabs packages; text uses the paper\'s body font, scaled to the export size',
+    },
+    code: {
+      copy: 'Copy code',
+      download: 'Download file',
+      hints: {
+        matplotlib: 'Requires matplotlib 3.7+ and numpy; figure size and saved DPI follow the settings above',
+        'vega-lite': 'Vega-Lite text has no sub- or superscripts; they are written as plain text in labels',
+        plotly: 'Contains data and layout; load it with Plotly.newPlot or plotly.io.from_json',
+      },
+    },
+    includeData: 'Include the raw data table',
+    includeStats: 'Include the summary statistics table',
+    exporting: 'Exporting...',
+    start: 'Export',
+  },
+  figure: {
+    models: { one: '{count} model', other: '{count} models' },
+    dimensions: { one: '{count} dimension', other: '{count} dimensions' },
+    band: '{name} error',
+    rawData: 'Raw data',
+    deltaAbsolute: '+/-: {model} vs. {baseline}',
+    deltaRelative: '+/- %: {model} vs. {baseline}',
+  },
+  a11y: {
+    chart: 'chart',
+    untitled: 'Untitled chart',
+    model: 'Model',
+    noData: 'The chart has no data',
+    overview: '{type} comparing {models} on {dimensions}',
+    models: { one: '{count} model', other: '{count} models' },
+    dimensions: { one: '{count} dimension', other: '{count} dimensions' },
+    leads: { one: '{name} leads on {wins} of {count} dimension', other: '{name} leads on {wins} of {count} dimensions' },
+    alsoLeads: '{name} leads on {wins}',
+    sentenceSeparator: '. ',
+    vertex: '{name}, {dimension}: {value} ({position}{best})',
+    position: 'dimension {index} of {count}',
+    bestSuffix: ', best on this dimension',
+    keyboardHint: 'Use Left and Right arrows to move between dimensions, Up and Down to switch models, Home and End for the first and last dimension',
+  },
+  canvas: {
+    title: 'Canvas & legend',
+    theme: 'Theme',
+    background: 'Background',
+    gridColor: 'Grid',
+    axisColor: 'Axis text',
+    followTheme: 'Reset to the theme color',
+    transparent: 'Transparent background (no fill in PNG, SVG and PDF exports)',
+    margin: 'Margin: {value} px',
+    outerRadius: 'Outer radius',
+    auto: 'Auto',
+    showTitle: 'Show title',
+    showFooter: 'Show footer',
+    legend: 'Legend',
+    legendPosition: 'Legend position',
+    legendColumns: 'Legend columns',
+    autoColumns: 'Auto columns',
+    columns: { one: '{count} column', other: '{count} columns' },
+    legendFrame: 'Frame around legend',
+  },
+  references: {
+    title: 'Reference overlays',
+    hint: 'Rows whose first cell is "Reference: name", "Target: name" or "Threshold: name" are drawn as a dashed outline, target ticks or a threshold ring. You can also add references below.',
+    layer: 'Drawing layer',
+    show: 'Show reference',
+    hide: 'Hide reference',
+    color: 'Color',
+    labelHint: 'Display name; "{name}" when empty',
+    kind: 'Style',
+    remove: 'Remove reference',
+    styleToggle: 'Style and values',
+    dash: 'Line style',
+    auto: 'Default',
+    strokeWidth: 'Line width: {value}',
+    legend: 'Show in legend',
+    tooltip: 'Show in tooltip',
+    resetColor: 'Reset color',
+    values: 'Values per dimension',
+    fillAll: 'Set all dimensions to',
+    fromData: 'Values come from a reference row in the data; edit them in the input.',
+    newName: 'New reference name, e.g. Human',
+    add: 'Add',
+    nameTaken: 'A reference with this name already exists',
+  },
+  statistics: {
+    title: 'Summary statistics',
+    baseline: 'Baseline',
+    exportCsv: 'Export CSV',
+    winsOf: '{wins} of {count}',
+    versusCell: '{wins} W / {losses} L / {ties} T',
+    isBaseline: 'Baseline',
+    versusHeader: 'vs. {name} W/L/T',
+    areaWarning: 'Area depends on the axis order and the scaling of each dimension; reordering axes or changing the normalization changes it, so do not use it alone as an overall score.',
+    hint: 'Click a header to sort, click again to reverse. Normalization, ranks and wins follow each dimension\'s direction: for reversed dimensions smaller is better.',
+  },
+  cli: {
+    usage: `Usage: sciradar render [data files or globs…] [options]
+
+Renders charts from data files and project / style settings, without a browser. Without data files the data saved in the project file is used.
+Data files can be CSV, TSV, TXT, XLSX, ODS, JSON, Markdown, LaTeX or HTML tables.
+
+Options:
+  -c, --config <file>     Project file (.sciradar.json), style preset, or settings JSON with only some options
+  -p, --preset <name>     Built-in journal style: nature, science, ieee, acm, neurips, slides, slidesDark
+  -o, --output <path>     Output file; a directory for several inputs, or a file name template containing {name}
+  -f, --format <format>   {formats}; defaults to the output file extension, otherwise svg
+      --width <length>    Figure width, e.g. 89mm, 3.5in, 8cm, 800px; defaults to the project's export size
+      --height <length>   Figure height; with only a width the aspect ratio is kept
+      --dpi <number>      Bitmap resolution; defaults to the project setting
+      --table <index>     Which table or sheet to use when a file has several; defaults to 1
+      --font <font file>  TTF / OTF / WOFF for text measurement, font embedding or outlining
+      --text-mode <mode>  Text handling in vector formats: {textModes}
+      --footer            Draw the footer (date, model and dimension counts); defaults to the project's canvas setting
+      --no-footer         Do not draw the footer
+      --no-data           Leave the raw data table out of PDFs
+      --stats             Append the summary statistics table to PDFs (sorting and baseline from the project)
+  -h, --help              Show this help
+`,
+    listSeparator: ', ',
+    unknownCommand: 'Unknown command {command}',
+    issue: '{source}:{line}: {severity}: {message}',
+    error: 'error',
+    warning: 'warning',
+  },
+};
@@ -0,0 +1,127 @@
+/**
+ * 界面语言与图中文字语言
+ *
+ * 文案按模块分组写在 zh-CN.js / en.js 中，t('export.title') 取当前语言的文案，缺失时退回中文。
+ * lib 中各选项列表 (图表类型、归一化方式等) 的中文名称与说明仍写在选项旁边，
+ * 其他语言按 id 在 options 分组中翻译；解析问题与报错同理按 code 翻译。
+ */
+import zhCN from './zh-CN.js';
+import en from './en.js';
+
+export const LOCALES = [
+  { id: 'zh-CN', name: '简体中文' },
+  { id: 'en', name: 'English' },
+];
+
+export const DEFAULT_LOCALE = 'zh-CN';
+
+const CATALOGS = { 'zh-CN': zhCN, en };
+
+const LOCALE_KEY = 'sciradar-locale';
+
+const lookup = (catalog, key) => key.split('.').reduce((node, part) => node?.[part], catalog);
+
+const interpolate = (text, params) => text.replace(/\{(\w+)\}/g, (match, name) => (
+  params[name] === undefined ? match : String(params[name])
+));
+
+/** 浏览器语言列表 (navigator.languages) 或环境变量 LANG → 支持的语言；中文以外一律为英文 */
+export const detectLocale = (languages = []) => {
+  const list = (Array.isArray(languages) ? languages : [languages]).filter(Boolean);
+  return list.some((lang) => /^zh/i.test(lang)) ? 'zh-CN' : 'en';
+};
+
+export const isLocale = (id) => Object.hasOwn(CATALOGS, id);
+
+/** 'auto' 或未知语言时使用 fallback */
+export const resolveLocale = (id, fallback = DEFAULT_LOCALE) => (isLocale(id) ? id : fallback);
+
+export const loadLocale = (storage = globalThis.localStorage) => {
+  try {
+    const saved = storage?.getItem(LOCALE_KEY);
+    if (isLocale(saved)) return saved;
+  } catch {
+    // 隐私模式下 localStorage 不可用
+  }
+  return detectLocale(globalThis.navigator?.languages ?? globalThis.navigator?.language);
+};
+
+export const saveLocale = (locale, storage = globalThis.localStorage) => {
+  try {
+    storage?.setItem(LOCALE_KEY, locale);
+  } catch (error) {
+    console.warn('保存界面语言失败:', error);
+  }
+};
+
+/** 带 code 的错误：界面按 code 翻译，message 为中文原文，供命令行与日志使用 */
+export const localizedError = (code, message, params = {}) => Object.assign(new Error(message), { code, params });
+
+/**
+ * 某一语言的翻译函数。
+ * 文案可写成 { one, other }，按 params.count 选择单复数；{name} 由 params 替换
+ */
+export const createTranslator = (locale) => {
+  const id = resolveLocale(locale);
+  const catalog = CATALOGS[id];
+  const plural = new Intl.PluralRules(id);
+
+  const format = (text, params) => {
+    const chosen = text && typeof text === 'object' ? text[plural.select(params.count ?? 0)] ?? text.other : text;
+    return typeof chosen === 'string' ? interpolate(chosen, params) : null;
+  };
+
+  const t = (key, params = {}) => format(lookup(catalog, key) ?? lookup(CATALOGS[DEFAULT_LOCALE], key), params) ?? key;
+
+  t.locale = id;
+
+  /** 选项列表中的名称或说明：options.<group>.<key 或 id>.<field>，没有翻译时使用选项自带的中文 */
+  t.option = (group, item, field = 'name') => {
+    if (!item) return '';
+    const text = id === DEFAULT_LOCALE ? null : lookup(catalog, `options.${group}.${item.key ?? item.id}.${field}`);
+    return text ?? item[field] ?? '';
+  };
+
+  /** 解析问题：issues.<code>，没有翻译时使用中文原文 */
+  t.issue = (issue) => {
+    const text = issue.code && id !== DEFAULT_LOCALE ? lookup(catalog, `issues.${issue.code}`) : null;
+    return format(text, issue.params || {}) ?? issue.message;
+  };
+
+  /** 带 code 的报错按 errors.<code> 翻译，其余原样显示 */
+  t.error = (error) => {
+    const text = error?.code && id !== DEFAULT_LOCALE ? lookup(catalog, `errors.${error.code}`) : null;
+    return format(text, error.params || {}) ?? error?.message;
+  };
+
+  t.number = (value, options) => new Intl.NumberFormat(id, options).format(value);
+
+  /** 固定小数位数，按语言加千分位；缺失值为 — */
+  t.fixed = (value, decimals = 2) => (typeof value === 'number' && Number.isFinite(value)
+    ? t.number(value, { minimumFractionDigits: decimals, maximumFractionDigits: decimals })
+    : '—');
+
+  t.date = (date = new Date(), options) => new Intl.DateTimeFormat(id, options).format(date);
+
+  return t;
+};
+
+/** 图中文字 (页脚、提示框、PDF 数据页) 的翻译函数：figureLocale 为 'auto' 时跟随 locale */
+export const figureTranslator = (figureLocale, locale) => createTranslator(resolveLocale(figureLocale, locale));
+
+/**
+ * 只能用 PDF / EPS 标准字体书写时的翻译函数：译文含 Latin-1 以外的字符 (如中文) 时改用英文，
+ * 用户数据中的非拉丁字符不受影响，仍由调用方检查
+ */
+export const latinTranslator = (t) => {
+  const en = createTranslator('en');
+  const pick = (ours, theirs) => (...args) => {
+    const text = ours(...args);
+    return typeof text === 'string' && /[^\u0000-\u00ff]/.test(text) ? theirs(...args) : text;
+  };
+  const latin = pick(t, en);
+  Object.entries(t).forEach(([name, value]) => {
+    latin[name] = typeof value === 'function' ? pick(value, en[name]) : value;
+  });
+  return latin;
+};
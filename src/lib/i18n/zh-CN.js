@@ -0,0 +1,368 @@
+/**
+ * 简体中文文案 (默认语言，其他语言缺失的条目退回这里)
+ */
+export default {
+  dimensions: {
+    title: '维度设置',
+    normalization: '归一化方式',
+    normalizationHint: '{desc}，提示框仍显示原始数值',
+    baseline: '基线模型',
+    rangeHint: '留空则自动计算范围；勾选“反向”表示数值越低越好',
+    normalizedHint: '归一化模式下使用统一刻度，“反向”仍决定优劣方向',
+    autoOrder: '按相关性排列',
+    autoOrderHint: '相关性高的维度相邻排列；有分组时同组维度排在一起',
+    resetOrder: '恢复数据顺序',
+    dragHint: '拖动调整维度顺序',
+    reverse: '反向',
+    min: '最小值',
+    max: '最大值',
+    unit: '单位',
+    group: '分组',
+    groupHint: '所属分组，用于按分组拆分子图',
+    label: '显示名称',
+    labelHint: '图中显示的名称，支持 \\\\ 换行、$F_1$ 下标、$mAP^{50}$ 上标、\\alpha 希腊字母与 \\uparrow 箭头',
+    labelDx: '标签水平偏移 (像素)',
+    labelDy: '标签垂直偏移 (像素，向下为正)',
+    integerTicks: '整数刻度值',
+    axisTicks: '显示坐标轴数字',
+    groupSectors: '按分组绘制背景扇区与分组标题',
+    labelWrap: '标签自动折行',
+    noWrap: '不折行',
+    wrapChars: '每行约 {count} 个字符',
+  },
+  series: {
+    title: '系列设置',
+    palette: '配色方案',
+    monochromeHint: '灰度方案下各系列使用不同的线型与数据点形状',
+    orderHint: '拖动排序：靠前的系列在图例中靠前，并绘制在上层',
+    dragHint: '拖动调整顺序',
+    show: '显示该系列',
+    hide: '隐藏该系列',
+    color: '颜色',
+    labelHint: '显示名称 (数据中为 {model})',
+    focus: '突出该系列，淡化其余系列',
+    unfocus: '取消聚焦',
+    styleToggle: '线型与标记',
+    dash: '线型',
+    marker: '数据点标记',
+    auto: '自动',
+    markerSize: '标记大小: {value}',
+    fillOpacity: '填充透明度: {value}',
+    band: '误差带',
+    bandHint: '显示该系列的误差带',
+    resetStyle: '恢复默认样式',
+  },
+  project: {
+    new: '新建',
+    newHint: '新建项目',
+    open: '打开',
+    openHint: '打开 .sciradar.json 项目文件',
+    save: '保存',
+    saveHint: '保存为项目文件',
+    share: '分享链接',
+    shareHint: '复制包含完整图表的链接',
+    recent: '最近',
+    recentTitle: '最近项目',
+    recentHint: '最近项目 (自动保存在本浏览器)',
+    noRecent: '暂无保存的项目',
+    untitled: '未命名项目',
+    current: '当前项目',
+    remove: '从列表中移除',
+  },
+  grid: {
+    row: '行',
+    duplicateRow: '复制行',
+    deleteRow: '删除行',
+    column: '列',
+    duplicateColumn: '复制列',
+    deleteColumn: '删除列',
+    sortAsc: '升序',
+    sortAscHint: '按选中列升序排列',
+    sortDesc: '降序',
+    sortDescHint: '按选中列降序排列',
+    transpose: '转置',
+    transposeHint: '模型 ↔ 维度',
+    hint: '行列操作作用于选中的单元格；可从 Excel 复制多个单元格后直接粘贴',
+  },
+  issueList: {
+    errors: '{count} 个错误',
+    warnings: '{count} 个警告',
+    separator: '，',
+    line: '第 {line} 行',
+    cell: '第 {line} 行，第 {column} 列',
+    colon: '：',
+  },
+  annotations: {
+    title: '数值标注',
+    labels: '顶点数值',
+    decimals: '小数位数',
+    best: '各维度最优模型',
+    bestHint: '按原始数值比较，反向维度以较小值为优；加粗只作用于已显示的数值',
+    delta: '差值标注',
+    deltaModel: '标注差值的模型',
+    deltaBaseline: '对比的基线模型',
+    none: '不标注',
+    chooseBaseline: '选择基线…',
+  },
+  panels: {
+    title: '多图排版',
+    mode: '拆分方式',
+    noGroups: '尚未设置分组：请在维度设置中填写“分组”，或在数据中加入首列为 Group 的一行',
+    columns: '列数',
+    auto: '自动',
+    letters: '子图编号',
+    compareModel: '对照模型 (叠加在每张子图中)',
+    noCompare: '无',
+    sharedScale: '各子图共用坐标刻度',
+    titles: '子图标题',
+  },
+  stylePresets: {
+    title: '期刊样式',
+    hint: '同时设置字体、字号、线宽、配色与导出尺寸，按印刷后的实际大小 (pt) 计算',
+    details: '{size}，字号 {fontSize}，线宽 {strokeWidth}',
+    summary: '{size}，{fontSize}',
+    remove: '删除预设',
+    saveAs: '当前样式另存为…',
+    save: '保存',
+  },
+  exportSize: {
+    title: '导出尺寸',
+    width: '宽度',
+    height: '高度',
+    dpi: '分辨率 (DPI)',
+    customDpi: '自定义 DPI',
+    output: '输出：{width} × {height} {unit}',
+    pixels: '{dpi} DPI = {width} × {height} 像素',
+  },
+  dataImport: {
+    button: '导入文件',
+    hint: '或拖放 CSV / TSV / XLSX / ODS / JSON / Markdown / LaTeX 文件，以及 lm-eval / OpenCompass / VLMEvalKit 评测结果',
+    drop: '松开以导入数据',
+    choose: '选择要导入的表格',
+    tableSize: '{rows} 行 × {columns} 列',
+    noTables: '文件中没有找到可用的表格',
+    mixedHarness: '评测结果文件请与普通表格分开导入',
+    failed: '导入失败：{message}',
+  },
+  harness: {
+    title: '导入评测结果',
+    tableName: '评测结果',
+    models: '模型',
+    useFileName: '用 {name}',
+    useFileNameHint: '使用结果文件中记录的模型名称',
+    tasks: '任务与指标',
+    percent: '0–1 换算为百分制',
+    stderr: '附带标准误 (±)',
+    subtasks: '显示子任务',
+    apply: '导入 {models} × {tasks}',
+    modelCount: '{count} 个模型',
+    taskCount: '{count} 个任务',
+  },
+  common: {
+    cancel: '取消',
+  },
+  app: {
+    subtitle: '科研雷达图生成器',
+    tagline: '支持 Excel/CSV 数据导入，一键导出高质量图表',
+    language: '界面语言',
+  },
+  toast: {
+    sharedOpened: '已打开分享的图表：{name}',
+    projectCreated: '已新建项目',
+    projectOpened: '已打开项目 {name}',
+    projectOpenFailed: '无法打开项目：{message}',
+    projectSaved: '项目文件已保存',
+    shareTooLong: '数据过多，链接过长，请改为保存项目文件',
+    shareCopied: '分享链接已复制到剪贴板',
+    clipboardDenied: '无法写入剪贴板，请检查浏览器权限',
+    presetApplied: '已应用 {name} 样式，导出尺寸为 {size}',
+    presetSaved: '已保存样式预设 {name}',
+    tableImported: '已导入表格 {name}',
+    statisticsExported: '已导出汇总统计 CSV',
+    dimensionsOrdered: '已按相关性重新排列维度',
+    exported: '图表已成功导出为 {format}',
+    exportedAsRadar: '已按雷达图导出为 {format}，该格式暂不支持{type}',
+    exportFailed: '导出失败：{message}',
+    exportRetry: '导出失败，请重试',
+    fontFailed: '无法读取字体文件：{message}',
+  },
+  data: {
+    title: '数据输入 (Excel/CSV)',
+    views: {
+      text: '文本',
+      grid: '表格',
+    },
+    hint: '直接从 Excel 复制并粘贴。第一行应为指标名称，第一列为模型名称。',
+    delimiter: '分隔符：{name}',
+    decimalComma: '小数逗号',
+    formats: '支持 "86.3±0.4"、百分号与 N/A、— 等缺失值',
+    uncertaintyColumns: '误差列：{names}',
+    listSeparator: '、',
+  },
+  chart: {
+    title: '图表设置',
+    type: '图表类型',
+    chartTitle: '图表标题',
+    figureLocale: '图中文字语言',
+    followUi: '跟随界面语言',
+    figureLocaleHint: '用于页脚、提示框与 PDF 数据页，日期与数字格式随之变化',
+    altText: '替代文字',
+    altTextHint: '留空时使用自动生成的摘要；写入导出 SVG 的 <desc>，并由屏幕阅读器朗读',
+    font: '字体风格',
+    fontSize: '字号 ({value} pt)',
+    opacity: '填充透明度 ({value})',
+    strokeWidth: '线条粗细 ({value} pt)',
+    showDots: '显示数据点',
+    circleGrid: '圆形网格',
+    connectNulls: '跨过缺失值连线',
+    whiskers: '顶点误差线',
+  },
+  exportTips: {
+    title: '导出提示',
+    raster: 'PNG / TIFF: 按所选 DPI 输出，并写入分辨率信息',
+    vector: 'SVG / EPS: 纯矢量，可再编辑',
+    pdf: 'PDF: 矢量图表，可附带原始数据',
+    dpi: '期刊一般要求 300 DPI (照片) 或 600 DPI (线条图)',
+  },
+  export: {
+    button: '导出图表',
+    title: '导出图表',
+    format: '导出格式',
+    radarFallback: 'LaTeX 与代码导出生成的是雷达图版本，{type}只能导出为图片或矢量格式',
+    invalidDpi: '请填写有效的 DPI',
+    fontRequired: '请先选择字体文件',
+    nonLatin: '图中含有中文等非拉丁字符，请选择字体文件后嵌入或转为路径',
+    textMode: '文字处理',
+    chooseFont: '选择字体文件',
+    latinOnly: 'PDF / EPS 的标准字体只含拉丁字符，图中有中文时请嵌入字体或转为路径',
+    latex: {
+      download: '下载 .tex 文件',
+      copy: '复制 LaTeX 代码',
+      table: '附带 booktabs 结果表格',
+      bold: '表格中各列最优值加粗',
+      std: '表格中写出 ± 标准差',
+      hint: '需要 tikz 与 booktabs 宏包；图中文字使用论文正文的字体，字号按导出尺寸换算',
+    },
+    code: {
+      copy: '复制代码',
+      download: '下载文件',
+      hints: {
+        matplotlib: '需要 matplotlib 3.7 以上与 numpy；图幅与保存图片的 DPI 取上方的设置',
+        'vega-lite': 'Vega-Lite 的文字不支持上下标，标签中的上下标写为普通文字',
+        plotly: '包含 data 与 layout，可用 Plotly.newPlot 或 plotly.io.from_json 读入',
+      },
+    },
+    includeData: '包含原始数据表格',
+    includeStats: '包含汇总统计表格',
+    exporting: '导出中...',
+    start: '立即导出',
+  },
+  figure: {
+    models: '{count} 个模型',
+    dimensions: '{count} 个维度',
+    band: '{name} 误差',
+    rawData: '原始数据',
+    deltaAbsolute: '+/-：{model} 相对 {baseline}',
+    deltaRelative: '+/- %：{model} 相对 {baseline}',
+  },
+  a11y: {
+    chart: '图表',
+    untitled: '未命名图表',
+    model: '模型',
+    noData: '图表暂无数据',
+    overview: '{type}：{models}在 {dimensions}上的比较',
+    models: '{count} 个模型',
+    dimensions: '{count} 个维度',
+    leads: '{name} 在 {count} 个维度中的 {wins} 个上领先',
+    alsoLeads: '{name} 在 {wins} 个维度上领先',
+    sentenceSeparator: '。',
+    vertex: '{name}，{dimension}：{value} ({position}{best})',
+    position: '第 {index}/{count} 个维度',
+    bestSuffix: '，该维度最优',
+    keyboardHint: '左右方向键切换维度，上下方向键切换模型，Home / End 跳到首末维度',
+  },
+  canvas: {
+    title: '画布与图例',
+    theme: '配色主题',
+    background: '背景',
+    gridColor: '网格',
+    axisColor: '坐标轴文字',
+    followTheme: '恢复为主题颜色',
+    transparent: '透明背景 (PNG、SVG、PDF 导出时不画背景)',
+    margin: '留白：{value} px',
+    outerRadius: '外半径',
+    auto: '自动',
+    showTitle: '显示标题',
+    showFooter: '显示页脚',
+    legend: '图例',
+    legendPosition: '图例位置',
+    legendColumns: '图例列数',
+    autoColumns: '自动列数',
+    columns: '{count} 列',
+    legendFrame: '图例加边框',
+  },
+  references: {
+    title: '参考线',
+    hint: '数据中首列为 "Reference: 名称"、"Target: 名称" 或 "Threshold: 名称" 的行分别画为虚线轮廓、目标刻度与阈值环，也可以在下方手动添加。',
+    layer: '绘制层次',
+    show: '显示参考线',
+    hide: '隐藏参考线',
+    color: '颜色',
+    labelHint: '显示名称，留空时使用 "{name}"',
+    kind: '画法',
+    remove: '删除参考线',
+    styleToggle: '样式与数值',
+    dash: '线型',
+    auto: '默认',
+    strokeWidth: '线宽：{value}',
+    legend: '显示在图例中',
+    tooltip: '显示在提示框中',
+    resetColor: '恢复默认颜色',
+    values: '各维度的数值',
+    fillAll: '所有维度设为',
+    fromData: '数值来自数据中的参考行，请在输入框中修改。',
+    newName: '新参考线名称，如 Human',
+    add: '添加',
+    nameTaken: '已有同名的参考线',
+  },
+  statistics: {
+    title: '汇总统计',
+    baseline: '基线',
+    exportCsv: '导出 CSV',
+    winsOf: '{wins} / {count}',
+    versusCell: '{wins} 胜 / {losses} 负 / {ties} 平',
+    isBaseline: '基线',
+    versusHeader: '对 {name} 胜/负/平',
+    areaWarning: '面积取决于轴的顺序与各维度的刻度，调整维度顺序或换算方式会改变结果，不宜单独作为综合指标。',
+    hint: '点击表头排序，再次点击反向。归一化、排名与胜负按各维度的方向计算，反转的维度越小越好。',
+  },
+  cli: {
+    usage: `用法：sciradar render [数据文件或通配符…] [选项]
+
+根据数据文件与项目 / 样式设置生成图表，无需浏览器。未给出数据文件时使用项目文件中保存的数据。
+数据文件支持 CSV、TSV、TXT、XLSX、ODS、JSON、Markdown、LaTeX 与 HTML 表格。
+
+选项：
+  -c, --config <文件>     项目文件 (.sciradar.json)、样式预设，或只含部分选项的设置 JSON
+  -p, --preset <名称>     内置期刊样式：nature、science、ieee、acm、neurips、slides、slidesDark
+  -o, --output <路径>     输出文件；多个输入时为目录，或含 {name} 的文件名模板
+  -f, --format <格式>     {formats}；默认取输出文件的扩展名，否则为 svg
+      --width <长度>      图幅宽度，如 89mm、3.5in、8cm、800px；默认取项目的导出尺寸
+      --height <长度>     图幅高度；只给出宽度时按原比例缩放
+      --dpi <数值>        位图分辨率，默认取项目设置
+      --table <序号>      文件中有多个表格或工作表时使用第几个，默认为 1
+      --font <字体文件>   TTF / OTF / WOFF，用于排版测量、嵌入字体或转为路径
+      --text-mode <模式>  矢量格式的文字处理：{textModes}
+      --footer            绘制页脚 (日期与模型、维度数)；默认取项目的画布设置
+      --no-footer         不绘制页脚
+      --no-data           PDF 不附带原始数据表格
+      --stats             PDF 附带汇总统计表格 (排序与基线取项目设置)
+  -h, --help              显示本帮助
+`,
+    listSeparator: '、',
+    unknownCommand: '未知命令 {command}',
+    issue: '{source}:{line}: {severity}：{message}',
+    error: '错误',
+    warning: '警告',
+  },
+};
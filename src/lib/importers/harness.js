@@ -0,0 +1,271 @@
+/**
+ * LLM 评测框架结果文件的导入：
+ * - lm-evaluation-harness 的 results_*.json
+ * - OpenCompass 的 summary_*.csv
+ * - VLMEvalKit 的 {model}_{dataset}_acc.csv / _score.csv / _score.json
+ *
+ * 每个文件解析为若干 run：{ source, format, name, fileModelName, tasks }，
+ * tasks 为 { [task]: { label, subtask, metrics: { [metric]: { value, stderr } } } }。
+ * 多个 run 再按模型名称合并为 模型 × 维度 的表格。
+ */
+import { splitRecords } from '../parse.js';
+import { baseName, fileExtension } from './paths.js';
+
+export const HARNESS_FORMATS = {
+  'lm-eval': 'lm-evaluation-harness',
+  opencompass: 'OpenCompass',
+  vlmevalkit: 'VLMEvalKit',
+};
+
+// 常见的多段 VLMEvalKit 数据集名，用于从文件名中切出模型名
+const VLMEVALKIT_DATASETS = [
+  'MMBench_DEV_EN', 'MMBench_TEST_EN', 'MMBench_DEV_CN', 'MMBench_TEST_CN',
+  'MMBench_DEV_EN_V11', 'MMBench_TEST_EN_V11', 'MMBench_DEV_CN_V11', 'MMBench_TEST_CN_V11',
+  'SEEDBench_IMG', 'SEEDBench2_Plus', 'MMMU_DEV_VAL', 'MMMU_TEST', 'MathVista_MINI',
+  'MathVerse_MINI', 'MathVision_MINI', 'AI2D_TEST', 'AI2D_TEST_NO_MASK', 'ScienceQA_VAL',
+  'ScienceQA_TEST', 'TextVQA_VAL', 'DocVQA_VAL', 'DocVQA_TEST', 'InfoVQA_VAL', 'InfoVQA_TEST',
+  'ChartQA_TEST', 'COCO_VAL', 'OCRVQA_TEST', 'OCRVQA_TESTCORE', 'MMT-Bench_VAL', 'MMT-Bench_ALL',
+  'Q-Bench1_VAL', 'A-Bench_VAL', 'GQA_TestDev_Balanced',
+];
+
+// 结果文件名末尾的评分后缀，如 _acc、_score、_gpt-4-turbo_score
+const VLMEVALKIT_SUFFIX = /_((?:(?:gpt|chatgpt|claude|gemini|qwen|deepseek)[A-Za-z0-9.-]*_)?(?:acc|score|rating))$/i;
+
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+
+const toNumber = (text) => {
+  const n = parseFloat(String(text).replace('%', ''));
+  return Number.isFinite(n) ? n : null;
+};
+
+// --- lm-evaluation-harness ---
+
+const lmEvalModelName = (json) => {
+  if (json.model_name) return json.model_name;
+  const args = json.config?.model_args;
+  const match = typeof args === 'string' && args.match(/(?:pretrained|model|peft)=([^,]+)/);
+  if (match) return match[1];
+  return typeof json.config?.model === 'string' ? json.config.model : null;
+};
+
+const parseLmEval = (json, source) => {
+  const subtasks = new Set(Object.values(json.group_subtasks || {}).flat());
+  const tasks = {};
+
+  Object.entries(json.results).forEach(([task, entries]) => {
+    const metrics = {};
+    Object.entries(entries).forEach(([key, value]) => {
+      // 新版写作 "acc,none"，旧版直接是 "acc"
+      const [metric, filter = 'none'] = key.split(',');
+      const isStderr = metric.endsWith('_stderr');
+      const base = isStderr ? metric.slice(0, -'_stderr'.length) : metric;
+      const label = filter === 'none' ? base : `${base} (${filter})`;
+      if (!isNumber(value)) return;
+      metrics[label] = metrics[label] || { value: null, stderr: null };
+      if (isStderr) metrics[label].stderr = value;
+      else metrics[label].value = value;
+    });
+
+    const valid = Object.fromEntries(Object.entries(metrics).filter(([, m]) => m.value !== null));
+    if (Object.keys(valid).length === 0) return;
+    const alias = typeof entries.alias === 'string' ? entries.alias.replace(/^[\s-]+/, '').trim() : '';
+    tasks[task] = { label: alias || task, subtask: subtasks.has(task), metrics: valid };
+  });
+
+  return [{
+    source,
+    format: 'lm-eval',
+    name: baseName(source),
+    fileModelName: lmEvalModelName(json),
+    ratio: true,
+    tasks,
+  }];
+};
+
+// --- OpenCompass ---
+
+const parseOpenCompass = (text, source) => {
+  const rows = splitRecords(text, ',').map((r) => r.cells);
+  const [header, ...body] = rows;
+  const modelColumns = header.slice(4);
+
+  return modelColumns.map((column, k) => {
+    const tasks = {};
+    body.forEach(([dataset, , metric, mode, ...values]) => {
+      const value = toNumber(values[k]);
+      if (!dataset || value === null) return;
+      const task = tasks[dataset] || (tasks[dataset] = { label: dataset, subtask: false, metrics: {} });
+      const label = mode && mode !== '-' ? `${metric} (${mode})` : metric;
+      task.metrics[label || 'score'] = { value, stderr: null };
+    });
+    return {
+      source,
+      format: 'opencompass',
+      // 单模型的汇总表沿用文件名，多模型时用列名区分
+      name: modelColumns.length === 1 ? baseName(source) : column,
+      fileModelName: column,
+      ratio: false,
+      tasks,
+    };
+  });
+};
+
+// --- VLMEvalKit ---
+
+export const splitVlmEvalKitName = (fileName) => {
+  const stem = baseName(fileName).replace(VLMEVALKIT_SUFFIX, '');
+  const tokens = stem.split('_');
+
+  let best = null;
+  for (let i = 1; i < tokens.length; i++) {
+    for (let j = tokens.length; j > i; j--) {
+      const candidate = tokens.slice(i, j).join('_');
+      if (VLMEVALKIT_DATASETS.includes(candidate) && (!best || candidate.length > best.dataset.length)) {
+        best = { model: tokens.slice(0, i).join('_'), dataset: candidate };
+      }
+    }
+  }
+  if (best) return best;
+  if (tokens.length === 1) return { model: stem, dataset: stem };
+  return { model: tokens.slice(0, -1).join('_'), dataset: tokens[tokens.length - 1] };
+};
+
+const PREFERRED_METRICS = /^(overall|final score|average|avg|acc|accuracy)\b/i;
+
+const vlmEvalKitMetrics = (text, ext) => {
+  const metrics = {};
+  const add = (label, value) => {
+    const n = isNumber(value) ? value : toNumber(value);
+    if (n !== null) metrics[label] = { value: n, stderr: null };
+  };
+
+  if (ext === 'json') {
+    const walk = (node, path) => {
+      if (isNumber(node)) add(path.join(' · ') || 'score', node);
+      else if (node && typeof node === 'object') Object.entries(node).forEach(([k, v]) => walk(v, [...path, k]));
+    };
+    walk(JSON.parse(text), []);
+  } else {
+    const [header, ...body] = splitRecords(text, ',').map((r) => r.cells);
+    // 第一列是 split / Category 等标签时，多行结果用 "标签 · 列名" 区分
+    const labelled = body.some((row) => row[0] !== '' && toNumber(row[0]) === null);
+    body.forEach((row) => {
+      header.forEach((column, j) => {
+        if (labelled && j === 0) return;
+        const label = labelled && body.length > 1 ? `${row[0]} · ${column}` : column;
+        add(label, row[j]);
+      });
+    });
+  }
+
+  // 总分类指标排在前面，作为默认选择
+  const rank = (label) => {
+    const parts = label.split(' · ');
+    const hits = parts.filter((p) => PREFERRED_METRICS.test(p)).length;
+    return hits === parts.length ? 0 : hits > 0 ? 1 : 2;
+  };
+  return Object.fromEntries(Object.entries(metrics).sort(([a], [b]) => rank(a) - rank(b)));
+};
+
+const parseVlmEvalKit = (text, source) => {
+  const { model, dataset } = splitVlmEvalKitName(source);
+  const metrics = vlmEvalKitMetrics(text, fileExtension(source));
+  if (Object.keys(metrics).length === 0) return null;
+  return [{
+    source,
+    format: 'vlmevalkit',
+    name: model,
+    fileModelName: model,
+    ratio: true,
+    tasks: { [dataset]: { label: dataset, subtask: false, metrics } },
+  }];
+};
+
+/**
+ * 识别并解析评测结果文件，不是评测结果时返回 null
+ */
+export const parseHarnessFile = (fileName, text) => {
+  if (typeof text !== 'string') return null;
+  const ext = fileExtension(fileName);
+
+  if (ext === 'json') {
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch {
+      return null;
+    }
+    if (json && json.results && typeof json.results === 'object' && !Array.isArray(json.results)
+      && Object.values(json.results).every((v) => v && typeof v === 'object')) {
+      return parseLmEval(json, fileName);
+    }
+    if (VLMEVALKIT_SUFFIX.test(baseName(fileName))) return parseVlmEvalKit(text, fileName);
+    return null;
+  }
+
+  if (ext === 'csv') {
+    const firstLine = text.split(/\r?\n/, 1)[0].replace(/"/g, '').toLowerCase();
+    if (/^dataset,version,metric,mode(,|$)/.test(firstLine)) return parseOpenCompass(text, fileName);
+    if (VLMEVALKIT_SUFFIX.test(baseName(fileName))) return parseVlmEvalKit(text, fileName);
+  }
+
+  return null;
+};
+
+/**
+ * 汇总所有 run 中出现的任务及其可选指标
+ * 返回 [{ task, label, subtask, metrics: string[] }]
+ */
+export const collectTasks = (runs) => {
+  const tasks = new Map();
+  runs.forEach((run) => Object.entries(run.tasks).forEach(([task, info]) => {
+    const entry = tasks.get(task) || { task, label: info.label, subtask: info.subtask, metrics: [] };
+    entry.subtask = entry.subtask && info.subtask;
+    Object.keys(info.metrics).forEach((m) => {
+      if (!entry.metrics.includes(m)) entry.metrics.push(m);
+    });
+    tasks.set(task, entry);
+  }));
+  return Array.from(tasks.values());
+};
+
+const formatValue = (value) => String(Number(value.toFixed(4)));
+
+/**
+ * 合并为 模型 × 维度 的单元格矩阵。
+ * options: { names: { [runIndex]: name }, tasks: [{ task, label, metric }], percent, stderr }
+ */
+export const harnessToRows = (runs, { names = {}, tasks, percent = true, stderr = false }) => {
+  const models = [];
+  const cells = new Map();
+
+  runs.forEach((run, i) => {
+    const name = (names[i] ?? run.name).trim() || run.name;
+    if (!models.includes(name)) models.push(name);
+    const row = cells.get(name) || {};
+    tasks.forEach(({ task, metric }) => {
+      const result = run.tasks[task]?.metrics[metric];
+      if (result) row[task] = { ...result, ratio: run.ratio };
+    });
+    cells.set(name, row);
+  });
+
+  // 0–1 的比例统一换算为百分制，仅在该任务的所有数值都不超过 1 时进行
+  const scaled = new Set(tasks
+    .filter(({ task }) => {
+      const results = models.map((m) => cells.get(m)[task]).filter(Boolean);
+      return percent && results.length > 0 && results.every((r) => r.ratio && Math.abs(r.value) <= 1);
+    })
+    .map(({ task }) => task));
+
+  return [
+    ['Model', ...tasks.map((t) => t.label)],
+    ...models.map((model) => [model, ...tasks.map(({ task }) => {
+      const result = cells.get(model)[task];
+      if (!result) return '';
+      const k = scaled.has(task) ? 100 : 1;
+      const value = formatValue(result.value * k);
+      return stderr && result.stderr !== null ? `${value}±${formatValue(result.stderr * k)}` : value;
+    })]),
+  ];
+};
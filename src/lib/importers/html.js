@@ -0,0 +1,50 @@
+/**
+ * 从 HTML 中读取 <table>，用于网页表格的粘贴和 .html 文件导入（需要 DOMParser）
+ */
+import { trimRows } from './table.js';
+
+const cellText = (cell) => cell.textContent.replace(/\s+/g, ' ').trim();
+
+const tableRows = (table) => {
+  const rows = [];
+  // rowspan 占用的位置先记下来，后续行在对应列补空
+  const spans = [];
+  Array.from(table.rows).forEach((tr, i) => {
+    const row = rows[i] || (rows[i] = []);
+    let col = 0;
+    Array.from(tr.cells).forEach((cell) => {
+      while (spans[col] > 0 || row[col] !== undefined) {
+        if (row[col] === undefined) row[col] = '';
+        col++;
+      }
+      const colSpan = Math.max(1, cell.colSpan || 1);
+      const rowSpan = Math.max(1, cell.rowSpan || 1);
+      row[col] = cellText(cell);
+      for (let k = 1; k < colSpan; k++) row[col + k] = '';
+      for (let k = 0; k < colSpan; k++) spans[col + k] = rowSpan;
+      col += colSpan;
+    });
+    for (let k = 0; k < spans.length; k++) if (spans[k] > 0) spans[k]--;
+  });
+  return Array.from(rows, (row) => Array.from(row || [], (c) => c ?? ''));
+};
+
+const tableName = (table, index) => {
+  const caption = table.caption && cellText(table.caption);
+  if (caption) return caption;
+  let node = table.previousElementSibling;
+  while (node) {
+    if (/^H[1-6]$/.test(node.tagName)) return cellText(node);
+    node = node.previousElementSibling;
+  }
+  return `Table ${index + 1}`;
+};
+
+export const readHtmlTables = (html) => {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  return Array.from(doc.querySelectorAll('table'))
+    // 嵌套表格只取最外层
+    .filter((table) => !table.parentElement?.closest('table'))
+    .map((table, i) => ({ name: tableName(table, i), rows: trimRows(tableRows(table)) }))
+    .filter((t) => t.rows.length > 0);
+};
@@ -0,0 +1,106 @@
+/**
+ * 文件导入入口：按扩展名分派，统一返回 [{ name, rows }]，rows 为字符串矩阵
+ */
+import {
+  splitRecords, detectDelimiter, parseData, rowsToText,
+} from '../parse.js';
+import { readXlsx, readOds } from './spreadsheet.js';
+import { readMarkdownTables } from './markdown.js';
+import { readLatexTables } from './latex.js';
+import { readHtmlTables } from './html.js';
+import { readJsonTables, jsonToRows } from './json.js';
+import { trimRows } from './table.js';
+import { localizedError } from '../i18n/index.js';
+import { fileExtension, baseName } from './paths.js';
+
+export { readHtmlTables } from './html.js';
+export { describeTable } from './table.js';
+export { fileExtension, baseName } from './paths.js';
+export {
+  HARNESS_FORMATS, parseHarnessFile, collectTasks, harnessToRows,
+} from './harness.js';
+
+export const IMPORT_ACCEPT = '.csv,.tsv,.txt,.xlsx,.xlsm,.ods,.json,.md,.markdown,.tex,.html,.htm';
+
+const BINARY = ['xlsx', 'xlsm', 'ods'];
+
+// 表格文件需按二进制读取，其余按文本
+export const isBinaryFile = (fileName) => BINARY.includes(fileExtension(fileName));
+
+const readDelimited = (text, delimiter) =>
+  trimRows(splitRecords(text, delimiter || detectDelimiter(text)).map((r) => r.cells));
+
+/**
+ * 解析文件内容。data 对表格文件为 ArrayBuffer/Uint8Array，其余为字符串。
+ */
+export const importTables = (fileName, data) => {
+  const ext = fileExtension(fileName);
+  const name = baseName(fileName);
+  let tables;
+
+  switch (ext) {
+    case 'csv':
+    case 'txt':
+      tables = [{ name, rows: readDelimited(data) }];
+      break;
+    case 'tsv':
+      tables = [{ name, rows: readDelimited(data, '\t') }];
+      break;
+    case 'xlsx':
+    case 'xlsm':
+      tables = readXlsx(data);
+      break;
+    case 'ods':
+      tables = readOds(data);
+      break;
+    case 'json':
+      tables = readJsonTables(data);
+      break;
+    case 'md':
+    case 'markdown':
+      tables = readMarkdownTables(data);
+      break;
+    case 'tex':
+      tables = readLatexTables(data);
+      break;
+    case 'html':
+    case 'htm':
+      tables = readHtmlTables(data);
+      break;
+    default:
+      throw localizedError('unsupportedFile', `不支持的文件类型：.${ext || '?'}`, { ext: ext || '?' });
+  }
+
+  return tables
+    .map((t) => ({ ...t, rows: trimRows(t.rows), source: fileName }))
+    .filter((t) => t.rows.length > 0);
+};
+
+// 浏览器 File 对象：表格文件读为 ArrayBuffer，其余读为文本
+export const readFileContent = async (file) => {
+  return { name: file.name, data: isBinaryFile(file.name) ? await file.arrayBuffer() : await file.text() };
+};
+
+export const readFileTables = async (file) => {
+  const { name, data } = await readFileContent(file);
+  return importTables(name, data);
+};
+
+/**
+ * 嵌入时传入的数据转为 parseData 的结果。data 可以是文本表格 (CSV、TSV 等)、JSON 文本，
+ * 或 JSON 表格对象 (二维数组、对象数组、以模型为键的对象等，见 json.js)
+ */
+export const readChartData = (data) => {
+  let json = data;
+  if (typeof data === 'string') {
+    if (!/^\s*[[{]/.test(data)) return parseData(data);
+    try {
+      json = JSON.parse(data);
+    } catch {
+      throw localizedError('invalidDataJson', '数据不是有效的 JSON');
+    }
+  }
+  const rows = jsonToRows(json);
+  if (!rows) throw localizedError('unknownDataFormat', '无法识别的数据格式');
+  return parseData(rowsToText(trimRows(rows)));
+};
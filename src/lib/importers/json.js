@@ -0,0 +1,64 @@
+/**
+ * 读取 JSON 表格。支持：
+ * - 二维数组 [["Model", "MME"], ["A", 1896]]
+ * - 对象数组 [{ "model": "A", "MME": 1896 }]
+ * - 以模型为键的对象 { "A": { "MME": 1896 } }
+ * - { "columns": [...], "data": [[...]] } / { "headers": [...], "rows": [[...]] }
+ * 数值可以写成 { "mean": 86.3, "std": 0.4 }，会转换为 "86.3±0.4"。
+ */
+
+const NAME_KEYS = ['model', 'Model', 'name', 'Name', 'method', 'Method', 'system', 'System'];
+
+const cellText = (value) => {
+  if (value == null) return '';
+  if (typeof value === 'object' && !Array.isArray(value)) {
+    const mean = value.mean ?? value.value ?? value.score;
+    const err = value.std ?? value.stderr ?? value.error ?? value.sd;
+    if (mean != null) return err != null ? `${mean}±${err}` : String(mean);
+    return '';
+  }
+  return String(value);
+};
+
+const fromObjects = (items) => {
+  const keys = [];
+  items.forEach((item) => Object.keys(item).forEach((k) => {
+    if (!keys.includes(k)) keys.push(k);
+  }));
+  const nameKey = NAME_KEYS.find((k) => keys.includes(k))
+    || keys.find((k) => items.every((item) => typeof item[k] === 'string'))
+    || keys[0];
+  const dims = keys.filter((k) => k !== nameKey);
+  return [
+    [nameKey, ...dims],
+    ...items.map((item) => [cellText(item[nameKey]), ...dims.map((d) => cellText(item[d]))]),
+  ];
+};
+
+export const jsonToRows = (json) => {
+  if (Array.isArray(json)) {
+    if (json.every(Array.isArray)) return json.map((row) => row.map(cellText));
+    if (json.every((item) => item && typeof item === 'object')) return fromObjects(json);
+    return null;
+  }
+  if (!json || typeof json !== 'object') return null;
+
+  const columns = json.columns || json.headers || json.header;
+  const data = json.data || json.rows;
+  if (Array.isArray(columns) && Array.isArray(data)) {
+    return [columns.map(cellText), ...data.map((row) => (Array.isArray(row) ? row.map(cellText) : columns.map((c) => cellText(row[c]))))];
+  }
+
+  // { model: { dim: value } }
+  const entries = Object.entries(json);
+  if (entries.length > 0 && entries.every(([, v]) => v && typeof v === 'object' && !Array.isArray(v))) {
+    return fromObjects(entries.map(([name, scores]) => ({ Model: name, ...scores })));
+  }
+  return null;
+};
+
+export const readJsonTables = (text) => {
+  const json = JSON.parse(text);
+  const rows = jsonToRows(json);
+  return rows ? [{ name: 'JSON', rows }] : [];
+};
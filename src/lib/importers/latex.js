@@ -0,0 +1,183 @@
+/**
+ * 读取 LaTeX tabular 环境，支持 booktabs、\multicolumn 和常见的字体命令
+ */
+import { trimRows } from './table.js';
+
+// 读取从 index 处 "{" 开始的配对括号内容
+const readBraced = (text, index) => {
+  if (text[index] !== '{') return null;
+  let depth = 0;
+  for (let i = index; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text[i] === '{') {
+      depth++;
+    } else if (text[i] === '}') {
+      depth--;
+      if (depth === 0) return { content: text.slice(index + 1, i), end: i + 1 };
+    }
+  }
+  return null;
+};
+
+const readArgs = (text, index, count) => {
+  const args = [];
+  let pos = index;
+  for (let k = 0; k < count; k++) {
+    while (/\s/.test(text[pos])) pos++;
+    if (text[pos] === '[') pos = text.indexOf(']', pos) + 1;
+    while (/\s/.test(text[pos])) pos++;
+    const arg = readBraced(text, pos);
+    if (!arg) return null;
+    args.push(arg.content);
+    pos = arg.end;
+  }
+  return { args, end: pos };
+};
+
+const stripComments = (text) => text.replace(/(^|[^\\])%.*$/gm, '$1');
+
+const RULES = /\\(hline|toprule|midrule|bottomrule|addlinespace|endhead|endfirsthead|endfoot|endlastfoot)\b(\[[^\]]*\])?|\\(cline|cmidrule)(\([^)]*\))?\{[^}]*\}|\\rowcolor(\[[^\]]*\])?\{[^}]*\}/g;
+const UNWRAP = ['textbf', 'textit', 'emph', 'underline', 'mathbf', 'mathrm', 'text', 'textrm', 'textsc', 'texttt', 'bm', 'boldsymbol', 'uline', 'best', 'second'];
+
+const SYMBOLS = {
+  pm: '±', mp: '∓', times: '×', uparrow: '↑', downarrow: '↓', dagger: '†', ddagger: '‡',
+};
+
+export const cleanLatexCell = (cell) => {
+  let s = cell;
+  // 连续展开字体类命令，保留内容
+  let prev;
+  do {
+    prev = s;
+    s = s.replace(new RegExp(`\\\\(${UNWRAP.join('|')})\\s*\\{([^{}]*)\\}`, 'g'), '$2');
+    s = s.replace(/\\(cellcolor|color|textcolor)(\[[^\]]*\])?\{[^}]*\}(\{([^{}]*)\})?/g, '$4');
+    s = s.replace(/\{\\(bf|it|em|bfseries|itshape)\s+([^{}]*)\}/g, '$2');
+  } while (s !== prev);
+
+  return s
+    .replace(/\\(pm|mp|times|uparrow|downarrow|dagger|ddagger)\b/g, (_, name) => SYMBOLS[name])
+    .replace(/\^\{?\\circ\}?/g, '°')
+    .replace(/(?<!\\)[_^]/g, ' ')
+    .replace(/\\([%&_#$])/g, '$1')
+    .replace(/\$([^$]*)\$/g, '$1')
+    .replace(/\\[,;: ]|~/g, ' ')
+    .replace(/[{}]/g, '')
+    .replace(/\\[a-zA-Z]+\*?/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+// 一行按未转义的 & 切分，\multicolumn 展开为多个单元格
+const splitRow = (row) => {
+  const cells = [];
+  let depth = 0;
+  let current = '';
+  for (let i = 0; i < row.length; i++) {
+    const ch = row[i];
+    if (ch === '\\') {
+      current += ch + (row[i + 1] ?? '');
+      i++;
+      continue;
+    }
+    if (ch === '{') depth++;
+    if (ch === '}') depth--;
+    if (ch === '&' && depth === 0) {
+      cells.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  cells.push(current);
+
+  return cells.flatMap((cell) => {
+    const trimmed = cell.trim();
+    const multi = trimmed.match(/^\\multicolumn\s*/);
+    if (multi) {
+      const parsed = readArgs(trimmed, multi[0].length, 3);
+      if (parsed) {
+        const span = parseInt(parsed.args[0], 10) || 1;
+        return [cleanLatexCell(parsed.args[2]), ...Array(span - 1).fill('')];
+      }
+    }
+    const multirow = trimmed.match(/^\\multirow\s*/);
+    if (multirow) {
+      const parsed = readArgs(trimmed, multirow[0].length, 3);
+      if (parsed) return [cleanLatexCell(parsed.args[2])];
+    }
+    return [cleanLatexCell(trimmed)];
+  });
+};
+
+const splitRows = (body) => {
+  const rows = [];
+  let depth = 0;
+  let current = '';
+  for (let i = 0; i < body.length; i++) {
+    const ch = body[i];
+    if (ch === '\\' && body[i + 1] === '\\' && depth === 0) {
+      rows.push(current);
+      current = '';
+      i++;
+      // 跳过 \\[2pt] 这样的行距参数
+      const rest = body.slice(i + 1).match(/^\s*\[[^\]]*\]/);
+      if (rest) i += rest[0].length;
+      continue;
+    }
+    if (ch === '\\') {
+      current += ch + (body[i + 1] ?? '');
+      i++;
+      continue;
+    }
+    if (ch === '{') depth++;
+    if (ch === '}') depth--;
+    current += ch;
+  }
+  rows.push(current);
+  return rows;
+};
+
+const findCaption = (text, index) => {
+  // 所在 table 环境里的 \caption
+  const before = text.lastIndexOf('\\begin{table', index);
+  const after = text.indexOf('\\end{table', index);
+  if (before === -1 || after === -1 || text.lastIndexOf('\\end{table', index) > before) return null;
+  const env = text.slice(before, after);
+  const at = env.indexOf('\\caption');
+  if (at === -1) return null;
+  const parsed = readArgs(env, at + '\\caption'.length, 1);
+  return parsed ? cleanLatexCell(parsed.args[0]) : null;
+};
+
+export const readLatexTables = (source) => {
+  const text = stripComments(source);
+  const tables = [];
+  const begin = /\\begin\{(tabular\*?|tabularx|tabulary|longtable|array)\}/g;
+  let m;
+
+  while ((m = begin.exec(text))) {
+    const env = m[1];
+    // tabular* / tabularx 先有宽度参数，再是列格式
+    const argCount = env === 'tabular*' || env === 'tabularx' || env === 'tabulary' ? 2 : 1;
+    const parsed = readArgs(text, m.index + m[0].length, argCount);
+    if (!parsed) continue;
+    const endTag = `\\end{${env}}`;
+    const end = text.indexOf(endTag, parsed.end);
+    if (end === -1) continue;
+
+    const body = text.slice(parsed.end, end).replace(RULES, '');
+    const rows = splitRows(body)
+      .map((row) => row.trim())
+      .filter(Boolean)
+      .map(splitRow);
+
+    tables.push({
+      name: findCaption(text, m.index) || `Table ${tables.length + 1}`,
+      rows: trimRows(rows),
+    });
+    begin.lastIndex = end + endTag.length;
+  }
+
+  return tables;
+};
@@ -0,0 +1,58 @@
+/**
+ * 读取 Markdown 管道表格，文件中每张表单独返回，表名取最近的标题
+ */
+import { trimRows } from './table.js';
+
+const SEPARATOR = /^\s*\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?\s*$/;
+
+const stripInline = (text) => text
+  .replace(/\*\*(.+?)\*\*|__(.+?)__/g, '$1$2')
+  .replace(/(^|[^\w*])\*(\S.*?)\*(?!\w)/g, '$1$2')
+  .replace(/~~(.+?)~~/g, '$1')
+  .replace(/`([^`]*)`/g, '$1')
+  .replace(/<\/?[a-z][^>]*>/gi, '')
+  .replace(/\\\|/g, '|')
+  .trim();
+
+const splitCells = (line) => {
+  const cells = line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '').split(/(?<!\\)\|/);
+  return cells.map(stripInline);
+};
+
+export const readMarkdownTables = (text) => {
+  const lines = text.split(/\r?\n/);
+  const tables = [];
+  let heading = '';
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const h = line.match(/^#{1,6}\s+(.*)$/);
+    if (h) {
+      heading = stripInline(h[1]);
+      continue;
+    }
+    if (!line.includes('|') || !SEPARATOR.test(lines[i + 1] || '')) continue;
+
+    const rows = [splitCells(line)];
+    let j = i + 2;
+    while (j < lines.length && lines[j].includes('|') && lines[j].trim()) {
+      rows.push(splitCells(lines[j]));
+      j++;
+    }
+    tables.push({
+      name: heading ? `${heading}` : `Table ${tables.length + 1}`,
+      rows: trimRows(rows),
+    });
+    i = j - 1;
+  }
+
+  // 同一标题下有多张表时加上序号
+  const counts = {};
+  tables.forEach((t) => { counts[t.name] = (counts[t.name] || 0) + 1; });
+  const seen = {};
+  return tables.map((t) => {
+    if (counts[t.name] < 2) return t;
+    seen[t.name] = (seen[t.name] || 0) + 1;
+    return { ...t, name: `${t.name} (${seen[t.name]})` };
+  });
+};
@@ -0,0 +1,3 @@
+export const fileExtension = (name) => (name.match(/\.([^.]+)$/)?.[1] || '').toLowerCase();
+
+export const baseName = (name) => name.replace(/^.*[\\/]/, '').replace(/\.[^.]+$/, '');
@@ -0,0 +1,174 @@
+/**
+ * 读取 .xlsx / .ods 工作簿，每个工作表返回一个单元格矩阵
+ */
+import { unzipSync, strFromU8 } from 'fflate';
+import { scanXml } from './xml.js';
+import { trimRows } from './table.js';
+
+const columnIndex = (ref) => {
+  const letters = ref.replace(/\d+$/, '').toUpperCase();
+  let index = 0;
+  for (const ch of letters) index = index * 26 + (ch.charCodeAt(0) - 64);
+  return index - 1;
+};
+
+// 浮点噪声如 86.299999999999997 还原为 86.3
+const formatNumber = (text) => {
+  const n = Number(text);
+  return Number.isFinite(n) ? String(n) : text;
+};
+
+const readSharedStrings = (xml) => {
+  if (!xml) return [];
+  const strings = [];
+  let current = null;
+  let inText = false;
+  let inPhonetic = false;
+  for (const node of scanXml(xml)) {
+    if (node.name === 'si') {
+      if (node.type === 'open') current = '';
+      else if (node.type === 'close') strings.push(current);
+      else strings.push('');
+    } else if (node.name === 'rPh') {
+      inPhonetic = node.type === 'open';
+    } else if (node.name === 't') {
+      inText = node.type === 'open';
+    } else if (node.type === 'text' && inText && !inPhonetic && current !== null) {
+      current += node.text;
+    }
+  }
+  return strings;
+};
+
+const readXlsxSheet = (xml, shared) => {
+  const rows = [];
+  let rowIndex = -1;
+  let cell = null;
+  let capture = null;
+
+  for (const node of scanXml(xml)) {
+    if (node.name === 'row' && node.type !== 'close') {
+      rowIndex = node.attrs.r ? Number(node.attrs.r) - 1 : rowIndex + 1;
+    } else if (node.name === 'c' && node.type !== 'close') {
+      const col = node.attrs.r ? columnIndex(node.attrs.r) : (rows[rowIndex]?.length ?? 0);
+      cell = { col, type: node.attrs.t, text: '' };
+      if (node.type === 'empty') cell = null;
+    } else if (node.name === 'c' && node.type === 'close' && cell) {
+      let value = cell.text;
+      if (cell.type === 's') value = shared[Number(value)] ?? '';
+      else if (cell.type === 'b') value = value === '1' ? 'TRUE' : 'FALSE';
+      else if (cell.type === 'e') value = '';
+      else if (!cell.type || cell.type === 'n') value = formatNumber(value);
+      if (!rows[rowIndex]) rows[rowIndex] = [];
+      rows[rowIndex][cell.col] = value;
+      cell = null;
+    } else if ((node.name === 'v' || node.name === 't') && cell) {
+      capture = node.type === 'open' ? node.name : null;
+    } else if (node.type === 'text' && capture && cell) {
+      cell.text += node.text;
+    }
+  }
+
+  return Array.from(rows, (row) => Array.from(row || [], (c) => c ?? ''));
+};
+
+export const readXlsx = (data) => {
+  const files = unzipSync(new Uint8Array(data));
+  const read = (path) => (files[path] ? strFromU8(files[path]) : null);
+
+  const shared = readSharedStrings(read('xl/sharedStrings.xml'));
+  const targets = {};
+  for (const node of scanXml(read('xl/_rels/workbook.xml.rels') || '')) {
+    if (node.name === 'Relationship' && node.attrs) targets[node.attrs.Id] = node.attrs.Target;
+  }
+
+  const sheets = [];
+  for (const node of scanXml(read('xl/workbook.xml') || '')) {
+    if (node.name === 'sheet' && node.attrs) {
+      const target = targets[node.attrs['r:id']] || '';
+      const path = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+      const xml = read(path);
+      if (xml) sheets.push({ name: node.attrs.name, rows: trimRows(readXlsxSheet(xml, shared)) });
+    }
+  }
+  return sheets;
+};
+
+export const readOds = (data) => {
+  const files = unzipSync(new Uint8Array(data));
+  const xml = files['content.xml'] ? strFromU8(files['content.xml']) : '';
+
+  const tables = [];
+  let table = null;
+  let row = null;
+  let rowRepeat = 1;
+  let pendingRows = 0;
+  let pendingCells = 0;
+  let cell = null;
+  let paragraphs = 0;
+
+  const finishCell = () => {
+    const text = cell.value ?? cell.text;
+    if (text === '') {
+      pendingCells += cell.repeat;
+    } else {
+      for (let i = 0; i < pendingCells; i++) row.push('');
+      pendingCells = 0;
+      for (let i = 0; i < Math.min(cell.repeat, 1000); i++) row.push(text);
+    }
+    cell = null;
+  };
+
+  for (const node of scanXml(xml)) {
+    const { name, type } = node;
+    if (name === 'table:table') {
+      if (type === 'open') {
+        table = { name: node.attrs['table:name'], rows: [] };
+        pendingRows = 0;
+      } else if (type === 'close' && table) {
+        tables.push({ name: table.name, rows: trimRows(table.rows) });
+        table = null;
+      }
+    } else if (name === 'table:table-row' && table) {
+      if (type === 'open') {
+        row = [];
+        pendingCells = 0;
+        rowRepeat = Number(node.attrs['table:number-rows-repeated'] || 1);
+      } else if (type === 'close' && row) {
+        // 尾部大量重复的空行只在后面还有数据时才补齐
+        if (row.length === 0) {
+          pendingRows += rowRepeat;
+        } else {
+          for (let i = 0; i < pendingRows; i++) table.rows.push([]);
+          pendingRows = 0;
+          for (let i = 0; i < Math.min(rowRepeat, 1000); i++) table.rows.push([...row]);
+        }
+        row = null;
+      } else if (type === 'empty') {
+        pendingRows += Number(node.attrs['table:number-rows-repeated'] || 1);
+      }
+    } else if ((name === 'table:table-cell' || name === 'table:covered-table-cell') && row) {
+      if (type === 'open' || type === 'empty') {
+        const valueType = node.attrs['office:value-type'];
+        const numeric = ['float', 'percentage', 'currency'].includes(valueType);
+        cell = {
+          repeat: Number(node.attrs['table:number-columns-repeated'] || 1),
+          value: numeric ? formatNumber(node.attrs['office:value']) : null,
+          text: '',
+        };
+        paragraphs = 0;
+        if (type === 'empty') finishCell();
+      } else if (type === 'close' && cell) {
+        finishCell();
+      }
+    } else if (cell) {
+      if (name === 'text:p' && type === 'open' && paragraphs++ > 0) cell.text += '\n';
+      else if (name === 'text:s' && type === 'empty') cell.text += ' '.repeat(Number(node.attrs['text:c'] || 1));
+      else if (name === 'text:tab') cell.text += '\t';
+      else if (name === 'text:line-break') cell.text += '\n';
+      else if (type === 'text') cell.text += node.text;
+    }
+  }
+
+  return tables;
+};
@@ -0,0 +1,20 @@
+/**
+ * 单元格矩阵的通用整理
+ */
+
+const isBlank = (cell) => cell == null || String(cell).trim() === '';
+
+// 去掉全空的行和列（常见于表格四周或作为分隔的空列），并把每行补齐为相同列数
+export const trimRows = (rows) => {
+  const kept = rows.filter((row) => row && row.some((c) => !isBlank(c)));
+  if (kept.length === 0) return [];
+
+  const width = Math.max(...kept.map((row) => row.length));
+  const columns = Array.from({ length: width }, (_, j) => j)
+    .filter((j) => kept.some((row) => !isBlank(row[j])));
+
+  return kept.map((row) => columns.map((j) => (isBlank(row[j]) ? '' : String(row[j]).trim())));
+};
+
+export const describeTable = (rows) =>
+  `${Math.max(rows.length - 1, 0)} 行 × ${Math.max((rows[0]?.length ?? 1) - 1, 0)} 列`;
@@ -0,0 +1,42 @@
+/**
+ * 极简 XML 扫描，只用于读取表格文件里结构固定的 XML，
+ * 不依赖 DOMParser，浏览器和 Node 中都能使用。
+ */
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+export const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (m, code) => {
+  if (code[0] === '#') {
+    const n = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+    return Number.isFinite(n) ? String.fromCodePoint(n) : m;
+  }
+  return ENTITIES[code] ?? m;
+});
+
+const parseAttrs = (text) => {
+  const attrs = {};
+  text.replace(/([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g, (_, name, __, dq, sq) => {
+    attrs[name] = decodeEntities(dq ?? sq);
+    return '';
+  });
+  return attrs;
+};
+
+/**
+ * 依次产出标签与文本节点：
+ * { type: 'open' | 'close' | 'empty', name, attrs } 或 { type: 'text', text }
+ */
+export function* scanXml(xml) {
+  const re = /<(\/?)([\w:.-]+)([^>]*?)(\/?)>|<!\[CDATA\[([\s\S]*?)\]\]>|<[?!][^>]*>|([^<]+)/g;
+  let m;
+  while ((m = re.exec(xml))) {
+    if (m[2]) {
+      if (m[1]) yield { type: 'close', name: m[2] };
+      else yield { type: m[4] ? 'empty' : 'open', name: m[2], attrs: parseAttrs(m[3]) };
+    } else if (m[5] !== undefined) {
+      yield { type: 'text', text: m[5] };
+    } else if (m[6] !== undefined) {
+      yield { type: 'text', text: decodeEntities(m[6]) };
+    }
+  }
+}
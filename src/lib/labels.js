@@ -0,0 +1,253 @@
+/**
+ * 坐标轴标签：LaTeX 风格的简单标记、换行与自动折行，以及沿角度锚定、互不重叠的排布
+ *
+ * 支持的标记：
+ *   $F_1$、$mAP^{50}$   数学模式中的下标与上标
+ *   \alpha、\Delta …    希腊字母；\uparrow、\downarrow 等箭头与常用符号
+ *   \\ 或换行符          强制换行
+ * 数学模式之外的 _ 与 ^ 原样保留，评测名中常见的下划线不受影响。
+ */
+import { estimateTextWidth } from './annotations.js';
+import { polarToCartesian } from './geometry.js';
+
+const SYMBOLS = {
+  alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ε', zeta: 'ζ', eta: 'η', theta: 'θ',
+  iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π', rho: 'ρ', sigma: 'σ',
+  tau: 'τ', upsilon: 'υ', phi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+  Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω',
+  uparrow: '↑', downarrow: '↓', rightarrow: '→', leftarrow: '←', to: '→',
+  pm: '±', times: '×', cdot: '·', leq: '≤', geq: '≥', le: '≤', ge: '≥', approx: '≈', infty: '∞', circ: '°',
+};
+
+// 符号 → 命令名，供 LaTeX 等导出写回；同一符号有多个写法时取第一个 (→ 为 rightarrow 而不是 to)
+export const SYMBOL_COMMANDS = {};
+Object.entries(SYMBOLS).forEach(([name, symbol]) => {
+  SYMBOL_COMMANDS[symbol] ??= name;
+});
+
+// 上下标相对字号与基线偏移 (以字号为单位，向上为正)
+const SHIFTS = {
+  sub: { scale: 0.7, rise: -0.25 },
+  sup: { scale: 0.7, rise: 0.4 },
+};
+
+/**
+ * 解析标记，返回若干行，每行为 [{text, shift}]，shift 为 null、'sub' 或 'sup'
+ */
+export const parseMarkup = (source) => {
+  const text = String(source ?? '');
+  const lines = [[]];
+  const push = (value, shift = null) => {
+    if (!value) return;
+    const line = lines[lines.length - 1];
+    const last = line[line.length - 1];
+    if (last && last.shift === shift) last.text += value;
+    else line.push({ text: value, shift });
+  };
+
+  // 读取 \command 或转义字符，返回 [文字, 新位置]
+  const readCommand = (i) => {
+    const name = /^[A-Za-z]+/.exec(text.slice(i + 1));
+    if (name) {
+      const symbol = SYMBOLS[name[0]];
+      return [symbol ?? `\\${name[0]}`, i + 1 + name[0].length];
+    }
+    return [text[i + 1] ?? '\\', i + 2];
+  };
+
+  // 读取 _ / ^ 之后的一个字符或 {…} 分组
+  const readScript = (i) => {
+    if (text[i] !== '{') {
+      if (text[i] === '\\') return readCommand(i);
+      return [text[i] ?? '', i + 1];
+    }
+    let out = '';
+    let j = i + 1;
+    while (j < text.length && text[j] !== '}') {
+      if (text[j] === '\\') {
+        const [value, next] = readCommand(j);
+        out += value;
+        j = next;
+      } else {
+        out += text[j];
+        j += 1;
+      }
+    }
+    return [out, j + 1];
+  };
+
+  let math = false;
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (ch === '\n' || (ch === '\\' && text[i + 1] === '\\')) {
+      lines.push([]);
+      i += ch === '\n' ? 1 : 2;
+    } else if (ch === '\\') {
+      const [value, next] = readCommand(i);
+      push(value);
+      i = next;
+    } else if (ch === '$') {
+      math = !math;
+      i += 1;
+    } else if (math && (ch === '_' || ch === '^')) {
+      const [value, next] = readScript(i + 1);
+      push(value, ch === '_' ? 'sub' : 'sup');
+      i = next;
+    } else {
+      push(ch);
+      i += 1;
+    }
+  }
+
+  // 换行符两侧的空格不占宽度
+  lines.forEach((line) => {
+    if (line.length === 0) return;
+    line[0].text = line[0].text.trimStart();
+    line[line.length - 1].text = line[line.length - 1].text.trimEnd();
+  });
+  return lines.map((line) => line.filter((run) => run.text));
+};
+
+/** 去掉标记后的纯文本，用于提示框与无障碍描述 */
+export const plainLabel = (source) => parseMarkup(source)
+  .map((line) => line.map((run) => run.text).join('').trim())
+  .join(' ');
+
+/**
+ * 自动折行：按空格把超过 maxChars 个字符的行拆开，单词本身过长时不拆；maxChars 为 0 时不折行
+ */
+export const wrapLines = (lines, maxChars) => {
+  if (!maxChars) return lines;
+  const out = [];
+  lines.forEach((line) => {
+    // 拆成单词，每个单词保留自己的上下标片段
+    const words = [[]];
+    line.forEach((run) => {
+      run.text.split(/( )/).forEach((part) => {
+        if (part === ' ') words.push([]);
+        else if (part) words[words.length - 1].push({ text: part, shift: run.shift });
+      });
+    });
+    const size = (word) => word.reduce((sum, run) => sum + run.text.length, 0);
+
+    let current = [];
+    let length = 0;
+    words.filter((w) => w.length > 0).forEach((word) => {
+      if (current.length > 0 && length + 1 + size(word) > maxChars) {
+        out.push(current);
+        current = [];
+        length = 0;
+      }
+      if (current.length > 0) {
+        current.push({ text: ' ', shift: null });
+        length += 1;
+      }
+      current.push(...word);
+      length += size(word);
+    });
+    out.push(current);
+  });
+  return out;
+};
+
+// 浏览器中用 canvas 测量文字宽度，没有 canvas 时按字符数估算
+let measureContext;
+export const measureText = (text, fontSize, fontFamily = 'sans-serif', fontWeight = 400) => {
+  if (measureContext === undefined) {
+    try {
+      measureContext = globalThis.document?.createElement('canvas').getContext('2d') || null;
+    } catch {
+      measureContext = null;
+    }
+  }
+  if (!measureContext) return estimateTextWidth(text, fontSize);
+  measureContext.font = `${fontWeight} ${fontSize}px ${fontFamily}`;
+  return measureContext.measureText(text).width;
+};
+
+const boxesOverlap = (a, b, gap) => a.x < b.x + b.width + gap && b.x < a.x + a.width + gap
+  && a.y < b.y + b.height + gap && b.y < a.y + a.height + gap;
+
+/**
+ * 排布坐标轴标签。labels 为 [{key, text, angle, dx, dy}]，angle 与 recharts 一致 (度，逆时针)。
+ * 标签框锚定在轴线延长线上、外圈之外：右侧的左对齐，左侧的右对齐，上方的向上生长，下方的向下生长，
+ * 因此不会压住网格。相邻标签重叠时，把更靠近竖直方向的那个沿轴线继续向外推。
+ * 每行拆成若干段，返回 [{key, runs: [{text, x, y, fontSize}]}]，y 为字母基线，文字左对齐。
+ */
+export const layoutAxisLabels = (labels, {
+  cx,
+  cy,
+  radius,
+  fontSize = 12,
+  gap = 8,
+  wrap = 0,
+  lineHeight = 1.2,
+  bounds = null,
+  measure = (text, size) => estimateTextWidth(text, size),
+}) => {
+  const boxes = labels.map((label) => {
+    const lines = wrapLines(parseMarkup(label.text), wrap).map((line) => {
+      const runs = line.map((run) => {
+        const size = run.shift ? fontSize * SHIFTS[run.shift].scale : fontSize;
+        return { ...run, size, width: measure(run.text, size) };
+      });
+      return { runs, width: runs.reduce((sum, r) => sum + r.width, 0) };
+    });
+    const rad = (label.angle * Math.PI) / 180;
+    return {
+      ...label,
+      lines,
+      cos: Math.cos(rad),
+      sin: Math.sin(rad),
+      width: Math.max(0, ...lines.map((l) => l.width)),
+      height: lines.length * fontSize * lineHeight,
+      distance: radius + gap,
+    };
+  });
+
+  // 锚点在轴线上，按方向决定框的哪一侧贴住锚点
+  const place = (box) => {
+    const p = polarToCartesian(cx, cy, box.distance, box.angle);
+    const x = box.cos > 0.1 ? p.x : box.cos < -0.1 ? p.x - box.width : p.x - box.width / 2;
+    const y = box.sin > 0.1 ? p.y - box.height : box.sin < -0.1 ? p.y : p.y - box.height / 2;
+    box.x = x;
+    box.y = y;
+  };
+  boxes.forEach(place);
+
+  const step = fontSize * 0.5;
+  for (let pass = 0; pass < 40; pass++) {
+    let moved = false;
+    boxes.forEach((a, i) => boxes.slice(i + 1).forEach((b) => {
+      if (!boxesOverlap(a, b, 2)) return;
+      const target = Math.abs(a.sin) >= Math.abs(b.sin) ? a : b;
+      target.distance += step;
+      place(target);
+      moved = true;
+    }));
+    if (!moved) break;
+  }
+
+  return boxes.map((box) => {
+    let x = box.x + (box.dx || 0);
+    let y = box.y + (box.dy || 0);
+    // 导出时 SVG 之外的部分会被裁掉，整体移回画布内
+    if (bounds) {
+      x = Math.min(Math.max(x, bounds.x), bounds.x + bounds.width - box.width);
+      y = Math.min(Math.max(y, bounds.y), bounds.y + bounds.height - box.height);
+    }
+    const runs = [];
+    box.lines.forEach((line, row) => {
+      // 行在框内按锚定方向对齐
+      let runX = x + (box.cos > 0.1 ? 0 : box.cos < -0.1 ? box.width - line.width : (box.width - line.width) / 2);
+      const baseline = y + fontSize * lineHeight * row + fontSize * 0.95;
+      line.runs.forEach((run) => {
+        const rise = run.shift ? SHIFTS[run.shift].rise * fontSize : 0;
+        if (run.text.trim()) runs.push({ text: run.text, x: runX, y: baseline - rise, fontSize: run.size });
+        runX += run.width;
+      });
+    });
+    return { key: box.key, runs, box: { x, y, width: box.width, height: box.height } };
+  });
+};
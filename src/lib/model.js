@@ -0,0 +1,153 @@
+/**
+ * 图表模型：由解析结果与项目设置推导出绘图所需的一切 (系列样式与顺序、维度顺序、刻度换算、
+ * 子图、最优模型与差值)。网页预览与命令行渲染共用，保证两者输出一致。
+ */
+import { scaleChartData } from './scale.js';
+import { GROUP_COLORS, getPalette, paletteColor } from './styles.js';
+import { resolveSeriesStyle } from './series.js';
+import { applyOrder } from './order.js';
+import { buildPanels, gridShape } from './panels.js';
+import { bestModels, deltaValues } from './annotations.js';
+import { collectReferences, resolveReferenceStyle } from './references.js';
+import { canvasColors } from './canvas.js';
+
+/**
+ * table 为 parseData 的 { chartData, models, groups, references }；settings 为项目设置 (DEFAULT_SETTINGS 的结构)
+ */
+export const buildChartModel = ({
+  chartData: parsedData, models, groups: dataGroups = {}, references: dataReferences = [],
+}, settings) => {
+  const {
+    palette, colors, opacity, series, seriesOrder, focusSeries, dimensionConfig, dimensionOrder,
+    normalization, baselineModel, integerTicks, panels: panelLayout, annotations, references: referenceSettings,
+  } = settings;
+
+  const activeBaseline = models.includes(baselineModel) ? baselineModel : models[0];
+
+  // 灰度方案下系列之间用线型与标记区分
+  const monochrome = !!getPalette(palette).monochrome;
+
+  // 线型与标记的默认值按模型在数据中的位置分配，排序与隐藏不影响
+  const seriesStyles = Object.fromEntries(models.map((m, i) => [
+    m,
+    resolveSeriesStyle(series[m], i, { monochrome, opacity }),
+  ]));
+
+  const orderedModels = applyOrder(models, seriesOrder);
+  const visibleModels = orderedModels.filter((m) => !seriesStyles[m]?.hidden);
+  const seriesLabel = (model) => seriesStyles[model]?.label || model;
+  const seriesColor = (model) => colors[model] || paletteColor(palette, Math.max(0, models.indexOf(model)));
+  const activeFocus = visibleModels.includes(focusSeries) ? focusSeries : '';
+
+  // 维度按用户设置的顺序排列，图表、导出与数据表共用
+  const dimensionNames = (parsedData || []).map((p) => p.subject);
+  const orderedSubjects = applyOrder(dimensionNames, dimensionOrder);
+  const chartData = parsedData && orderedSubjects.map((subject) => parsedData.find((p) => p.subject === subject));
+  const customOrder = orderedSubjects.some((subject, i) => subject !== dimensionNames[i]);
+
+  // 参考线：allReferences 含隐藏的，供设置面板列出；references 为要画的
+  const themeColors = canvasColors(settings);
+  const allReferences = collectReferences(dataReferences, referenceSettings.custom).map((ref) => ({
+    ...ref,
+    ...resolveReferenceStyle(referenceSettings.styles[ref.name], ref.kind, themeColors),
+  }));
+  const references = allReferences.filter((ref) => !ref.hidden);
+  const referenceLabel = (name) => references.find((ref) => ref.name === name)?.label || name;
+
+  const scaleOptions = {
+    dimensionConfig,
+    normalization,
+    baselineModel: activeBaseline,
+    integerTicks,
+    references,
+  };
+
+  // 把原始数据换算为半径比例，每个维度使用自己的刻度 (只考虑显示的系列)
+  const scaled = scaleChartData(chartData, visibleModels, scaleOptions);
+
+  // 有误差数据的系列 (排名模式下误差带没有意义，不会出现)
+  const bandModels = visibleModels.filter((m) => scaled.data.some((point) => point.interval[m] && point.band[m]));
+
+  const groupOf = (subject) => dimensionConfig[subject]?.group || dataGroups[subject] || '';
+
+  // 分组颜色按分组在数据中首次出现的顺序分配，调整维度顺序时保持不变
+  const groupNames = [...new Set(dimensionNames.map(groupOf).filter(Boolean))];
+  const groupColor = (name) => GROUP_COLORS[Math.max(0, groupNames.indexOf(name)) % GROUP_COLORS.length];
+
+  // 子图：共用刻度时从整体结果中截取，否则按子图自己的模型与维度重新计算
+  const panels = buildPanels({
+    mode: panelLayout.mode,
+    models: visibleModels,
+    subjects: (chartData || []).map((p) => p.subject),
+    groupOf,
+    compareModel: panelLayout.compareModel,
+    labelOf: seriesLabel,
+  }).map((panel) => {
+    const keep = (point) => !panel.subjects || panel.subjects.includes(point.subject);
+    const chart = panelLayout.mode === 'single' || panelLayout.sharedScale
+      ? { data: scaled.data.filter(keep), ranges: scaled.ranges.filter(keep), shared: scaled.shared }
+      : scaleChartData((chartData || []).filter(keep), panel.models, scaleOptions);
+    return { ...panel, ...chart, defaultTitle: panel.title, title: panelLayout.titles[panel.key] || panel.title };
+  });
+
+  // 各维度最优模型与差值按全部数据计算，与子图拆分无关
+  const bestByDimension = bestModels(parsedData, visibleModels, (subject) => !!dimensionConfig[subject]?.reverse);
+
+  const deltaModel = visibleModels.includes(annotations.deltaModel) ? annotations.deltaModel : '';
+  const deltaBaseline = models.includes(annotations.deltaBaseline) ? annotations.deltaBaseline : '';
+  const deltas = deltaValues(parsedData, deltaModel, deltaBaseline, annotations.deltaMode);
+
+  // 显示名称可含换行与上下标标记，见 lib/labels
+  const formatAxisLabel = (subject) => {
+    const { label, unit } = dimensionConfig[subject] || {};
+    const name = label || subject;
+    return unit ? `${name} (${unit})` : name;
+  };
+
+  // 列表中靠前的系列画在上层，聚焦的系列始终在最上层
+  const drawOrder = (list) => {
+    const reversed = [...list].reverse();
+    return reversed.includes(activeFocus) ? [...reversed.filter((m) => m !== activeFocus), activeFocus] : reversed;
+  };
+
+  return {
+    models,
+    activeBaseline,
+    monochrome,
+    seriesStyles,
+    orderedModels,
+    visibleModels,
+    activeFocus,
+    seriesLabel,
+    seriesColor,
+    dimensionNames,
+    orderedSubjects,
+    chartData,
+    customOrder,
+    scaled,
+    bandModels,
+    groupOf,
+    groupNames,
+    groupColor,
+    panels,
+    bestByDimension,
+    deltaModel,
+    deltaBaseline,
+    deltas,
+    showDeltas: Object.keys(deltas).length > 0,
+    multiPanel: panelLayout.mode !== 'single',
+    grid: gridShape(panels.length, panelLayout.columns),
+    formatAxisLabel,
+    drawOrder,
+    allReferences,
+    references,
+    referenceLayer: referenceSettings.layer,
+    referenceLabel,
+  };
+};
+
+// 半径轴刻度线的位置 (0–1)，层数取第一个维度
+export const radiusTicks = (ranges) => {
+  const levels = ranges[0]?.levels || 5;
+  return Array.from({ length: levels + 1 }, (_, i) => i / levels);
+};
@@ -0,0 +1,82 @@
+/**
+ * 用户自定义顺序：order 中列出的项在前，其余按原顺序追加；order 中已不存在的项被忽略
+ */
+export const applyOrder = (items, order = []) => [
+  ...order.filter((item) => items.includes(item)),
+  ...items.filter((item) => !order.includes(item)),
+];
+
+/** 把 list 中位于 from 的项移动到 to，返回新数组 */
+export const moveItem = (list, from, to) => {
+  if (from === to || from < 0 || to < 0 || from >= list.length || to >= list.length) return list;
+  const next = [...list];
+  const [item] = next.splice(from, 1);
+  next.splice(to, 0, item);
+  return next;
+};
+
+const isValue = (v) => typeof v === 'number' && Number.isFinite(v);
+
+// 只使用两个维度都有数值的模型；样本不足或方差为 0 时视为不相关
+const pearson = (xs, ys) => {
+  const pairs = xs.map((x, i) => [x, ys[i]]).filter(([x, y]) => isValue(x) && isValue(y));
+  if (pairs.length < 2) return 0;
+  const mean = (k) => pairs.reduce((sum, p) => sum + p[k], 0) / pairs.length;
+  const mx = mean(0);
+  const my = mean(1);
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  pairs.forEach(([x, y]) => {
+    sxy += (x - mx) * (y - my);
+    sxx += (x - mx) ** 2;
+    syy += (y - my) ** 2;
+  });
+  return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : 0;
+};
+
+// 贪心成链：从相关性最高的一对开始，每次把与链两端最相关的维度接到对应一端
+const chainByCorrelation = (subjects, corr) => {
+  if (subjects.length <= 2) return subjects;
+  let best = [subjects[0], subjects[1]];
+  subjects.forEach((a, i) => subjects.slice(i + 1).forEach((b) => {
+    if (corr(a, b) > corr(best[0], best[1])) best = [a, b];
+  }));
+  const chain = [...best];
+  const rest = subjects.filter((s) => !chain.includes(s));
+  while (rest.length > 0) {
+    let pick = { index: 0, score: -Infinity, atHead: false };
+    rest.forEach((s, index) => {
+      const head = corr(s, chain[0]);
+      const tail = corr(s, chain[chain.length - 1]);
+      if (head > pick.score) pick = { index, score: head, atHead: true };
+      if (tail > pick.score) pick = { index, score: tail, atHead: false };
+    });
+    const [subject] = rest.splice(pick.index, 1);
+    if (pick.atHead) chain.unshift(subject);
+    else chain.push(subject);
+  }
+  return chain;
+};
+
+/**
+ * 自动排序维度：相关性高的维度相邻，雷达图的形状更容易解读。
+ * 相关性按各模型的数值计算，reverseOf(subject) 为 true 的维度先取相反数；
+ * 有分组时同组维度排在一起 (分组按首次出现的顺序)，组内再按相关性排列。
+ */
+export const correlationOrder = (chartData, models, { groupOf = () => '', reverseOf = () => false } = {}) => {
+  const vectors = Object.fromEntries((chartData || []).map((point) => [
+    point.subject,
+    models.map((m) => (isValue(point[m]) && reverseOf(point.subject) ? -point[m] : point[m])),
+  ]));
+  const corr = (a, b) => pearson(vectors[a], vectors[b]);
+
+  const groups = [];
+  Object.keys(vectors).forEach((subject) => {
+    const name = groupOf(subject) || '';
+    const group = groups.find((g) => g.name === name);
+    if (group) group.subjects.push(subject);
+    else groups.push({ name, subjects: [subject] });
+  });
+  return groups.flatMap((g) => chainByCorrelation(g.subjects, corr));
+};
@@ -0,0 +1,84 @@
+/**
+ * 多图排版 (small multiples)：按模型或按维度分组把数据拆成若干子图
+ */
+
+export const PANEL_MODES = [
+  { id: 'single', name: '单图', desc: '所有模型画在一张图中' },
+  { id: 'model', name: '按模型拆分', desc: '每个模型一张子图，可叠加对照模型' },
+  { id: 'group', name: '按维度分组拆分', desc: '每个维度分组一张子图' },
+];
+
+export const LETTER_STYLES = [
+  { id: 'none', name: '不标注' },
+  { id: '(a)', name: '(a) (b) (c)' },
+  { id: 'a', name: 'a b c' },
+  { id: 'A', name: 'A B C' },
+  { id: '(A)', name: '(A) (B) (C)' },
+  { id: 'a)', name: 'a) b) c)' },
+];
+
+export const UNGROUPED = '未分组';
+
+// 第 26 个之后继续为 aa、ab …
+const letterAt = (index) => {
+  let n = index;
+  let out = '';
+  do {
+    out = String.fromCharCode(97 + (n % 26)) + out;
+    n = Math.floor(n / 26) - 1;
+  } while (n >= 0);
+  return out;
+};
+
+export const panelLetter = (index, style) => {
+  if (!style || style === 'none') return '';
+  const letter = letterAt(index);
+  switch (style) {
+    case 'A':
+      return letter.toUpperCase();
+    case '(A)':
+      return `(${letter.toUpperCase()})`;
+    case 'a':
+      return letter;
+    case 'a)':
+      return `${letter})`;
+    default:
+      return `(${letter})`;
+  }
+};
+
+// columns 为 0 时自动选择接近正方形的网格
+export const gridShape = (count, columns = 0) => {
+  const cols = Math.max(1, Math.min(count, columns > 0 ? columns : Math.ceil(Math.sqrt(count))));
+  return { columns: cols, rows: Math.max(1, Math.ceil(count / cols)) };
+};
+
+/**
+ * 生成子图列表：[{ key, title, models, subjects }]
+ * subjects 为 null 时表示使用全部维度；groupOf(subject) 返回维度所属分组；
+ * labelOf(model) 给出按模型拆分时的子图标题。models 中靠前的系列画在上层。
+ */
+export const buildPanels = ({ mode, models, subjects, groupOf, compareModel, labelOf = (m) => m }) => {
+  if (mode === 'model') {
+    const compare = models.includes(compareModel) ? compareModel : '';
+    return models
+      .filter((m) => m !== compare)
+      .map((m) => ({ key: `model:${m}`, title: labelOf(m), models: compare ? [m, compare] : [m], subjects: null }));
+  }
+
+  if (mode === 'group') {
+    const groups = [];
+    subjects.forEach((subject) => {
+      const name = groupOf(subject) || UNGROUPED;
+      let group = groups.find((g) => g.name === name);
+      if (!group) {
+        group = { name, subjects: [] };
+        groups.push(group);
+      }
+      group.subjects.push(subject);
+    });
+    return groups.map((g) => ({ key: `group:${g.name}`, title: g.name, models, subjects: g.subjects }));
+  }
+
+  return [{ key: 'single', title: '', models, subjects: null }];
+};
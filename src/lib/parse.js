@@ -0,0 +1,422 @@
+/**
+ * 表格数据解析
+ *
+ * 支持 RFC 4180 引号、分隔符自动识别、百分号与千分位、欧式小数逗号，
+ * 以及 "86.3±0.4" 形式的均值±误差。缺失值保留为 null，不再记为 0。
+ * 误差也可以单独成列，如 "MME_std"、"MME (CI)"、"MME min" / "MME max"。
+ * 首列为 "Group" / "分组" 的行给出各维度所属的分组，不作为模型。
+ * 首列为 "Reference: 名称"、"Target: 名称"、"Threshold: 名称" 的行是参考线 (如人类水平、论文报告值、随机水平)，
+ * 分别画为虚线轮廓、各轴上的目标刻度与阈值环，同样不作为模型。
+ */
+
+const DELIMITERS = ['\t', ';', ',', '|'];
+
+export const DELIMITER_NAMES = {
+  '\t': 'Tab',
+  ';': '分号',
+  ',': '逗号',
+  '|': '竖线',
+};
+
+const MISSING_TOKENS = new Set([
+  '', '-', '--', '—', '–', '−', 'n/a', 'na', 'nan', 'null', 'none', '?', '/', '\\',
+]);
+
+// 数字后的脚注或最佳值标记
+const TRAILING_MARKS = /[*†‡§¶#]+$/;
+const PLUS_MINUS = /^(.*?)\s*(?:±|\+\/-|\+-)\s*(.*)$/;
+const NUMBER = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+const THOUSANDS_COMMA = /^[+-]?\d{1,3}(,\d{3})+(\.\d*)?$/;
+const DECIMAL_COMMA = /^[+-]?(\d+,\d{1,2}|\d+,\d{4,}|\d{1,3}(\.\d{3})+,\d+)%?$/;
+
+const GROUP_ROW = /^(group|groups|分组|类别|category)$/i;
+
+// 首列为 "Group" / "分组" 的行给出维度分组，不是模型
+export const isGroupRow = (cells) => GROUP_ROW.test((cells[0] || '').trim());
+
+// 参考行：前缀决定画法，冒号后为名称；必须写成 "Target: 名称"，名为 Target 等的模型仍是模型
+const REFERENCE_ROW = /^(reference|ref|参考|target|目标|threshold|阈值)\s*[:：]\s*(\S.*)$/i;
+const REFERENCE_KINDS = {
+  reference: 'outline', ref: 'outline', 参考: 'outline', target: 'target', 目标: 'target', threshold: 'ring', 阈值: 'ring',
+};
+
+export const isReferenceRow = (cells) => REFERENCE_ROW.test((cells[0] || '').trim());
+
+/** 参考行首列 → { name, kind }，kind 为 outline、target 或 ring */
+export const parseReferenceLabel = (label) => {
+  const m = (label || '').trim().match(REFERENCE_ROW);
+  if (!m) return null;
+  return { name: m[2].trim(), kind: REFERENCE_KINDS[m[1].toLowerCase()] };
+};
+
+// 误差列：维度名 + 分隔符 + 后缀，后缀也可以写在括号里
+const UNCERTAINTY_COLUMN = /^(.+?)\s*(?:[_\-\s]\s*|\(\s*)(std|sd|stdev|stderr|se|sem|err|error|ci|ci95|±|min|max|lo|hi|low|high|lower|upper|ci[_\s-]?(?:lo|low|lower)|ci[_\s-]?(?:hi|high|upper))\s*\)?$/i;
+
+/**
+ * 按 RFC 4180 切分记录：引号内允许分隔符、换行和 "" 转义。
+ * 返回 [{ cells, line }]，line 为记录起始的源行号 (从 1 开始)。
+ */
+export const splitRecords = (text, delimiter) => {
+  const records = [];
+  let cells = [];
+  let cell = '';
+  let inQuotes = false;
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endCell = () => {
+    cells.push(quoted ? cell : cell.trim());
+    cell = '';
+    quoted = false;
+  };
+  const endRecord = () => {
+    endCell();
+    if (cells.some((c) => c !== '')) records.push({ cells, line: recordLine });
+    cells = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inQuotes) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        if (ch === '\n') line++;
+        cell += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"' && cell.trim() === '') {
+      inQuotes = true;
+      quoted = true;
+      cell = '';
+    } else if (ch === delimiter) {
+      endCell();
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else if (!(quoted && /\s/.test(ch))) {
+      // 闭合引号之后的空白忽略
+      cell += ch;
+    }
+  }
+  endRecord();
+
+  return records;
+};
+
+// 选出各行列数最一致的分隔符；打平时按 Tab > 分号 > 逗号 > 竖线
+export const detectDelimiter = (text) => {
+  const sample = text.split(/\r?\n/).filter((l) => l.trim()).slice(0, 30).join('\n');
+  let best = { delimiter: '\t', score: -1 };
+
+  DELIMITERS.forEach((delimiter) => {
+    const counts = splitRecords(sample, delimiter).map((r) => r.cells.length);
+    if (counts.length === 0 || counts[0] < 2) return;
+    const consistent = counts.filter((c) => c === counts[0]).length;
+    const score = consistent * 100 + Math.min(counts[0], 99);
+    if (score > best.score) best = { delimiter, score };
+  });
+
+  return best.delimiter;
+};
+
+const cleanNumberText = (text) => text
+  .replace(/−/g, '-')
+  .replace(/[\s']/g, '')
+  .replace(TRAILING_MARKS, '');
+
+// 表格里出现 "86,3" 或 "1.234,5" 这类写法时整表按小数逗号处理
+export const detectDecimalComma = (cells) =>
+  cells.some((c) => DECIMAL_COMMA.test(cleanNumberText(c.split(/±|\+\/-|\+-/)[0])));
+
+const parseNumber = (text, decimalComma) => {
+  let s = cleanNumberText(text);
+  if (s.endsWith('%')) s = s.slice(0, -1);
+  if (decimalComma) {
+    s = s.replace(/\./g, '').replace(',', '.');
+  } else if (THOUSANDS_COMMA.test(s)) {
+    s = s.replace(/,/g, '');
+  }
+  return NUMBER.test(s) ? parseFloat(s) : null;
+};
+
+/**
+ * 解析单个单元格。
+ * 返回 { value, error, missing, invalid }，value/error 为 null 表示缺失。
+ */
+export const parseCell = (raw, { decimalComma = false } = {}) => {
+  const text = (raw ?? '').toString().trim();
+  if (MISSING_TOKENS.has(text.toLowerCase())) {
+    return { value: null, error: null, missing: true, invalid: false };
+  }
+
+  const pm = text.match(PLUS_MINUS);
+  const mainText = pm ? pm[1].replace(/\($/, '') : text;
+  const value = parseNumber(mainText, decimalComma);
+  if (value === null) {
+    return { value: null, error: null, missing: false, invalid: true };
+  }
+
+  let error = null;
+  if (pm) {
+    const errText = pm[2].replace(/^\(|\)$/g, '');
+    error = parseNumber(errText, decimalComma);
+    if (error === null) {
+      return { value, error: null, missing: false, invalid: true };
+    }
+    error = Math.abs(error);
+  }
+
+  return { value, error, missing: false, invalid: false };
+};
+
+/**
+ * 判断表头是否为某个维度的误差列。
+ * 返回 { dimension, kind }，kind 为 error (对称误差)、lower 或 upper；不是误差列时返回 null。
+ */
+export const matchUncertaintyColumn = (name, dimensionNames) => {
+  const m = (name || '').trim().match(UNCERTAINTY_COLUMN);
+  if (!m || !dimensionNames.includes(m[1])) return null;
+  const suffix = m[2].toLowerCase().replace(/[_\s-]/g, '');
+  let kind = 'error';
+  if (/^(min|lo|low|lower|cilo|cilow|cilower)$/.test(suffix)) kind = 'lower';
+  else if (/^(max|hi|high|upper|cihi|cihigh|ciupper)$/.test(suffix)) kind = 'upper';
+  return { dimension: m[1], kind };
+};
+
+// 单元格的误差区间 { lower, upper, error }，error 仅在对称误差时给出
+const makeInterval = (value, { error = null, lower = null, upper = null }) => {
+  if (value === null) return null;
+  if (error !== null) return { lower: value - error, upper: value + error, error };
+  if (lower === null && upper === null) return null;
+  return {
+    lower: Math.min(lower ?? value, value),
+    upper: Math.max(upper ?? value, value),
+    error: null,
+  };
+};
+
+const uniqueName = (name, seen) => {
+  let candidate = name;
+  let n = 2;
+  while (seen.has(candidate)) candidate = `${name} (${n++})`;
+  seen.add(candidate);
+  return candidate;
+};
+
+/**
+ * 由单元格矩阵生成数据模型：第一行为维度名称，第一列为模型名称。
+ * records 为 [{ cells, line }] 或二维字符串数组。
+ */
+export const tableFromRecords = (input, meta = {}) => {
+  const records = input.map((r, i) => (Array.isArray(r) ? { cells: r, line: i + 1 } : r));
+  const issues = [];
+  const empty = {
+    dimensions: [], models: [], values: [], uncertainty: [], uncertaintyColumns: [], groups: {}, references: [], chartData: [], issues, ...meta,
+  };
+
+  if (records.length < 2) {
+    issues.push({ severity: 'error', line: records[0]?.line ?? 1, code: 'tooFewRows', message: '至少需要一行表头和一行数据' });
+    return empty;
+  }
+
+  const [header, ...rest] = records;
+  const groupRows = rest.filter((r) => isGroupRow(r.cells));
+  const referenceRows = rest.filter((r) => isReferenceRow(r.cells));
+  const body = rest.filter((r) => !groupRows.includes(r) && !referenceRows.includes(r));
+  if (header.cells.length < 2) {
+    issues.push({ severity: 'error', line: header.line, code: 'tooFewColumns', message: '表头至少需要两列：模型名称和一个维度' });
+    return empty;
+  }
+  if (body.length === 0) {
+    issues.push({ severity: 'error', line: header.line, code: 'noDataRows', message: '除分组行与参考行外至少需要一行数据' });
+    return empty;
+  }
+
+  // 先找出误差列，其余列才是维度
+  const headerNames = header.cells.slice(1);
+  const companions = headerNames.map((name) => matchUncertaintyColumn(name, headerNames));
+  const seenDims = new Set();
+  const dimensionColumns = [];
+  const dimensions = [];
+  headerNames.forEach((name, j) => {
+    if (companions[j]) return;
+    const base = name || `Dim ${j + 1}`;
+    if (!name) {
+      issues.push({
+        severity: 'warning', line: header.line, column: j + 2, code: 'unnamedDimension', params: { column: j + 2, name: base },
+        message: `第 ${j + 2} 列缺少维度名称，已命名为 "${base}"`,
+      });
+    }
+    const unique = uniqueName(base, seenDims);
+    if (unique !== base) {
+      issues.push({
+        severity: 'warning', line: header.line, column: j + 2, code: 'duplicateDimension', params: { name: base, renamed: unique },
+        message: `维度 "${base}" 重复，已重命名为 "${unique}"`,
+      });
+    }
+    dimensionColumns.push(j);
+    dimensions.push(unique);
+  });
+  const uncertaintyColumns = companions.flatMap((c, j) => (c
+    ? [{ ...c, column: j, name: headerNames[j], index: dimensionColumns.findIndex((d) => headerNames[d] === c.dimension) }]
+    : []));
+
+  // 维度分组：{ [dimension]: group }，有多行时后面的覆盖前面的
+  const groups = {};
+  groupRows.forEach(({ cells }) => {
+    dimensions.forEach((dim, j) => {
+      const group = (cells[dimensionColumns[j] + 1] || '').trim();
+      if (group) groups[dim] = group;
+    });
+  });
+
+  const decimalComma = meta.decimalComma ?? detectDecimalComma(body.flatMap((r) => r.cells.slice(1)));
+
+  // 参考线：[{ name, kind, line, values: { [dimension]: number | null } }]，重名时加序号
+  const seenReferences = new Set();
+  const references = referenceRows.map(({ cells, line }) => {
+    const { name, kind } = parseReferenceLabel(cells[0]);
+    const values = {};
+    dimensions.forEach((dim, j) => {
+      const raw = cells[dimensionColumns[j] + 1] ?? '';
+      const cell = parseCell(raw, { decimalComma });
+      if (cell.invalid && cell.value === null) {
+        issues.push({
+          severity: 'error', line, column: dimensionColumns[j] + 2, dimension: dim,
+          code: 'invalidValue', params: { value: raw },
+          message: `无法解析 "${raw}"，已按缺失处理`,
+        });
+      }
+      values[dim] = cell.value;
+    });
+    return { name: uniqueName(name, seenReferences), kind, line, values };
+  });
+
+  const seenModels = new Set();
+  const models = [];
+  const values = [];
+  const uncertainty = [];
+
+  body.forEach(({ cells, line }, i) => {
+    const base = cells[0] || `Model ${i + 1}`;
+    if (!cells[0]) {
+      issues.push({
+        severity: 'warning', line, column: 1, code: 'unnamedModel', params: { name: base },
+        message: `缺少模型名称，已命名为 "${base}"`,
+      });
+    }
+    const model = uniqueName(base, seenModels);
+    if (model !== base) {
+      issues.push({
+        severity: 'warning', line, column: 1, code: 'duplicateModel', params: { name: base, renamed: model },
+        message: `模型 "${base}" 重复，已重命名为 "${model}"`,
+      });
+    }
+
+    if (cells.length > header.cells.length) {
+      issues.push({
+        severity: 'warning', line, code: 'extraCells', params: { count: cells.length, expected: header.cells.length },
+        message: `该行有 ${cells.length} 列，多于表头的 ${header.cells.length} 列，多余部分已忽略`,
+      });
+    } else if (cells.length < header.cells.length) {
+      issues.push({
+        severity: 'warning', line, code: 'missingCells', params: { count: cells.length },
+        message: `该行只有 ${cells.length} 列，缺少的值按缺失处理`,
+      });
+    }
+
+    const rowValues = [];
+    const rowBounds = dimensions.map(() => ({}));
+    dimensions.forEach((dim, j) => {
+      const raw = cells[dimensionColumns[j] + 1] ?? '';
+      const cell = parseCell(raw, { decimalComma });
+      if (cell.invalid) {
+        issues.push({
+          severity: 'error',
+          line,
+          column: dimensionColumns[j] + 2,
+          model,
+          dimension: dim,
+          code: cell.value === null ? 'invalidValue' : 'invalidError',
+          params: { value: raw },
+          message: cell.value === null ? `无法解析 "${raw}"，已按缺失处理` : `无法解析 "${raw}" 中的误差部分，已忽略`,
+        });
+      }
+      rowValues.push(cell.value);
+      rowBounds[j].error = cell.error;
+    });
+
+    // 误差列覆盖单元格内的 ± 写法
+    uncertaintyColumns.forEach(({ column, kind, index, name }) => {
+      const raw = cells[column + 1] ?? '';
+      const cell = parseCell(raw, { decimalComma });
+      if (cell.invalid || cell.error !== null) {
+        issues.push({
+          severity: 'error', line, column: column + 2, model, dimension: dimensions[index],
+          code: 'invalidUncertainty',
+          params: { name, value: raw },
+          message: `误差列 "${name}" 的值 "${raw}" 无法解析，已忽略`,
+        });
+        return;
+      }
+      if (cell.value === null) return;
+      if (kind === 'error') rowBounds[index].error = Math.abs(cell.value);
+      else rowBounds[index][kind] = cell.value;
+    });
+    const rowIntervals = rowValues.map((value, j) => makeInterval(value, rowBounds[j]));
+
+    models.push(model);
+    values.push(rowValues);
+    uncertainty.push(rowIntervals);
+  });
+
+  dimensions.forEach((dim, j) => {
+    if (values.every((row) => row[j] === null)) {
+      issues.push({
+        severity: 'warning', line: header.line, column: dimensionColumns[j] + 2, dimension: dim, code: 'emptyDimension', params: { name: dim },
+        message: `维度 "${dim}" 没有任何有效数值`,
+      });
+    }
+  });
+
+  const chartData = dimensions.map((dim, j) => {
+    const point = { subject: dim, uncertainty: {} };
+    models.forEach((model, i) => {
+      point[model] = values[i][j];
+      point.uncertainty[model] = uncertainty[i][j];
+    });
+    return point;
+  });
+
+  return {
+    dimensions, models, values, uncertainty, uncertaintyColumns, groups, references, chartData, issues, decimalComma, ...meta,
+  };
+};
+
+/**
+ * 解析粘贴的文本表格
+ */
+export const parseData = (text) => {
+  const delimiter = detectDelimiter(text);
+  return tableFromRecords(splitRecords(text, delimiter), { delimiter });
+};
+
+// 单元格矩阵写回分隔文本 (默认 Tab)，必要时加引号，保证能被 parseData 还原
+export const rowsToText = (rows, delimiter = '\t') => rows
+  .map((row) => row.map((cell) => {
+    const s = cell == null ? '' : String(cell);
+    return /["\n\r]/.test(s) || s.includes(delimiter) ? `"${s.replace(/"/g, '""')}"` : s;
+  }).join(delimiter))
+  .join('\n');
@@ -0,0 +1,268 @@
+/**
+ * 项目文件 (.sciradar.json)、本地自动保存与分享链接
+ *
+ * 项目文件带有版本号；读取时先按 MIGRATIONS 逐级升级，再用默认值补全缺失的选项，
+ * 因此新增选项后旧文件仍能打开。
+ */
+import { deflateSync, inflateSync, strToU8, strFromU8 } from 'fflate';
+import { localizedError } from './i18n/index.js';
+
+export const PROJECT_FORMAT = 'sciradar';
+export const PROJECT_VERSION = 1;
+export const PROJECT_EXTENSION = '.sciradar.json';
+export const PROJECT_ACCEPT = '.json';
+
+export const DEFAULT_SETTINGS = {
+  title: 'Model Performance Comparison',
+  figureLocale: 'auto',
+  altText: '',
+  chartType: 'radar',
+  font: 'font-sans',
+  fontSize: 12,
+  opacity: 0.2,
+  strokeWidth: 2,
+  showDots: true,
+  palette: 'default',
+  colors: {},
+  series: {},
+  seriesOrder: [],
+  focusSeries: '',
+  gridType: 'polygon',
+  connectNulls: false,
+  dimensionConfig: {},
+  dimensionOrder: [],
+  groupSectors: true,
+  labelWrap: 16,
+  normalization: 'none',
+  baselineModel: '',
+  integerTicks: true,
+  showAxisTicks: true,
+  hiddenBands: {},
+  showWhiskers: false,
+  // 参考线：layer 为 below / above (画在模型之下或之上)；custom 为手动输入的 [{ name, kind, values }]；
+  // styles 以名称为键，见 lib/references 的 resolveReferenceStyle
+  references: { layer: 'below', custom: [], styles: {} },
+  // 汇总统计面板：baseline 为比较胜负的模型 (留空为第一个系列)，sort / descending 为排序列与方向，见 lib/stats
+  statistics: {
+    show: true, baseline: '', sort: 'mean', descending: true,
+  },
+  canvas: {
+    theme: 'light',
+    background: '',
+    transparent: false,
+    gridColor: '',
+    axisColor: '',
+    margin: 32,
+    outerRadius: 0,
+    showTitle: true,
+    showFooter: true,
+    legend: { position: 'bottom', columns: 0, frame: false },
+  },
+  panels: {
+    mode: 'single',
+    columns: 0,
+    compareModel: '',
+    letters: '(a)',
+    sharedScale: true,
+    titles: {},
+  },
+  annotations: {
+    labels: 'none',
+    decimals: 2,
+    best: 'none',
+    deltaModel: '',
+    deltaBaseline: '',
+    deltaMode: 'absolute',
+  },
+};
+
+// 导出用的字体文件不保存在项目中
+export const DEFAULT_EXPORT = {
+  format: 'png',
+  dpi: 300,
+  includeData: true,
+  includeStats: false,
+  size: { preset: 'preview', width: 89, height: 89, unit: 'mm' },
+  textMode: 'text',
+  // LaTeX 导出：output 为 download 或 clipboard
+  latex: { output: 'download', table: true, bold: true, std: true },
+  // 导出为代码：language 为 matplotlib、vega-lite 或 plotly
+  code: { language: 'matplotlib', output: 'clipboard' },
+};
+
+// 键为旧版本号，函数把该版本的项目升级到下一版本
+const MIGRATIONS = {};
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+// 只保留已知选项，类型不符的值回退为默认值
+const mergeDefaults = (defaults, value) => {
+  const source = isPlainObject(value) ? value : {};
+  return Object.fromEntries(Object.entries(defaults).map(([key, fallback]) => {
+    const v = source[key];
+    if (Array.isArray(fallback)) return [key, Array.isArray(v) ? v : fallback];
+    if (isPlainObject(fallback)) {
+      if (!isPlainObject(v)) return [key, fallback];
+      // 空对象表示任意键 (如按模型名保存的颜色)
+      return [key, Object.keys(fallback).length ? mergeDefaults(fallback, v) : v];
+    }
+    return [key, typeof v === typeof fallback ? v : fallback];
+  }));
+};
+
+export const createProject = ({ name, data, settings, exportSettings }) => ({
+  format: PROJECT_FORMAT,
+  version: PROJECT_VERSION,
+  name: name || settings.title || '未命名项目',
+  savedAt: new Date().toISOString(),
+  data,
+  settings,
+  export: exportSettings,
+});
+
+/**
+ * 校验并升级任意来源的项目对象，返回当前版本的完整项目
+ */
+export const normalizeProject = (raw) => {
+  if (!isPlainObject(raw) || raw.format !== PROJECT_FORMAT) {
+    throw localizedError('notProject', '不是 SciRadar 项目文件');
+  }
+  let project = raw;
+  let version = Number(raw.version);
+  if (!Number.isInteger(version) || version < 1) throw localizedError('missingVersion', '项目文件缺少有效的版本号');
+  if (version > PROJECT_VERSION) {
+    throw localizedError('newerVersion', `项目文件版本 ${version} 高于当前支持的版本 ${PROJECT_VERSION}，请更新 SciRadar`, {
+      version, supported: PROJECT_VERSION,
+    });
+  }
+  while (version < PROJECT_VERSION) {
+    project = MIGRATIONS[version](project);
+    version += 1;
+  }
+
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    name: typeof project.name === 'string' ? project.name : '',
+    savedAt: typeof project.savedAt === 'string' ? project.savedAt : null,
+    data: typeof project.data === 'string' ? project.data : '',
+    settings: mergeDefaults(DEFAULT_SETTINGS, project.settings),
+    export: mergeDefaults(DEFAULT_EXPORT, project.export),
+  };
+};
+
+/**
+ * 嵌入用的选项对象转为完整项目：可以是保存的项目、{ settings, export }，或直接是 settings；
+ * 缺失的选项取默认值
+ */
+export const projectFromOptions = (options) => {
+  if (options?.format === PROJECT_FORMAT) return normalizeProject(options);
+  const source = isPlainObject(options) ? options : {};
+  const settings = isPlainObject(source.settings) || isPlainObject(source.export) ? source.settings : source;
+  return normalizeProject({
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    data: source.data,
+    settings,
+    export: source.export,
+  });
+};
+
+export const serializeProject = (project) => JSON.stringify(project, null, 2);
+
+export const parseProjectFile = (text) => {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch {
+    throw localizedError('invalidProjectJson', '项目文件不是有效的 JSON');
+  }
+  return normalizeProject(raw);
+};
+
+export const projectFileName = (project) =>
+  `${(project.name || 'SciRadar').replace(/[\\/:*?"<>|]+/g, '_').trim() || 'SciRadar'}${PROJECT_EXTENSION}`;
+
+// --- 分享链接 ---
+const SHARE_KEY = 'project';
+
+const toBase64Url = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+};
+
+/**
+ * 整个项目压缩后放入 URL hash，返回不含 # 的 hash 字符串
+ */
+export const encodeShareHash = (project) => {
+  const { savedAt, ...rest } = project;
+  return `${SHARE_KEY}=${toBase64Url(deflateSync(strToU8(JSON.stringify(rest)), { level: 9 }))}`;
+};
+
+/**
+ * hash 中没有项目时返回 null，内容损坏时抛出错误
+ */
+export const decodeShareHash = (hash) => {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const encoded = params.get(SHARE_KEY);
+  if (!encoded) return null;
+  let raw;
+  try {
+    raw = JSON.parse(strFromU8(inflateSync(fromBase64Url(encoded))));
+  } catch {
+    throw localizedError('brokenShareLink', '分享链接已损坏或不完整');
+  }
+  return normalizeProject(raw);
+};
+
+// --- 自动保存与最近项目 ---
+const RECENT_KEY = 'sciradar:recent';
+export const MAX_RECENT = 8;
+
+export const createProjectId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * 最近项目按保存时间倒序：[{ id, project }]；读取失败时返回空列表
+ */
+export const loadRecentProjects = (storage = globalThis.localStorage) => {
+  try {
+    const list = JSON.parse(storage?.getItem(RECENT_KEY) || '[]');
+    if (!Array.isArray(list)) return [];
+    return list.flatMap((entry) => {
+      try {
+        return [{ id: String(entry.id), project: normalizeProject(entry.project) }];
+      } catch {
+        return [];
+      }
+    });
+  } catch {
+    return [];
+  }
+};
+
+const writeRecent = (list, storage) => {
+  try {
+    storage?.setItem(RECENT_KEY, JSON.stringify(list));
+  } catch (error) {
+    // 存储空间已满或被禁用时不影响编辑
+    console.warn('自动保存失败:', error);
+  }
+  return list;
+};
+
+export const saveRecentProject = (id, project, storage = globalThis.localStorage) => {
+  const list = loadRecentProjects(storage).filter((entry) => entry.id !== id);
+  return writeRecent([{ id, project }, ...list].slice(0, MAX_RECENT), storage);
+};
+
+export const removeRecentProject = (id, storage = globalThis.localStorage) =>
+  writeRecent(loadRecentProjects(storage).filter((entry) => entry.id !== id), storage);
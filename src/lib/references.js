@@ -0,0 +1,53 @@
+/**
+ * 参考线：人类水平或此前 SOTA 的虚线轮廓、论文报告值等各轴上的目标刻度、随机水平等阈值环。
+ *
+ * 参考线可以来自数据中的参考行 (见 lib/parse)，也可以在界面中按维度手动输入 (settings.references.custom)；
+ * 两者的样式都保存在 settings.references.styles，以名称为键。换算与模型相同，见 scaleChartData。
+ */
+
+export const REFERENCE_KINDS = [
+  { id: 'outline', name: '虚线轮廓', desc: '如人类水平、此前的 SOTA' },
+  { id: 'target', name: '目标刻度', desc: '各轴上的短横，如论文报告的数值' },
+  { id: 'ring', name: '阈值环', desc: '带标注的环，如随机水平' },
+];
+
+export const REFERENCE_LAYERS = [
+  { id: 'below', name: '模型下方' },
+  { id: 'above', name: '模型上方' },
+];
+
+// 各画法的默认线型；目标刻度为实线
+const DEFAULT_DASH = { outline: '6 4', target: '', ring: '2 3' };
+const TARGET_COLOR = '#dc2626';
+
+/**
+ * 合并数据中的参考行与手动输入的参考线，返回 [{ name, kind, values, source }]；
+ * 手动输入的名称与参考行重复时忽略，source 为 data 或 custom
+ */
+export const collectReferences = (dataReferences = [], custom = []) => {
+  const names = new Set(dataReferences.map((ref) => ref.name));
+  return [
+    ...dataReferences.map(({ name, kind, values }) => ({ name, kind, values, source: 'data' })),
+    ...custom
+      .filter((ref) => ref.name && !names.has(ref.name))
+      .map(({ name, kind, values }) => ({ name, kind: kind || 'outline', values: values || {}, source: 'custom' })),
+  ];
+};
+
+/**
+ * 合并单条参考线的样式与默认值；color 留空时按画法取主题颜色 (轮廓用 ink，阈值环用 muted)
+ */
+export const resolveReferenceStyle = (style = {}, kind, colors) => {
+  const resolvedKind = style.kind || kind || 'outline';
+  const fallback = { outline: colors.ink, ring: colors.muted, target: TARGET_COLOR }[resolvedKind];
+  return {
+    kind: resolvedKind,
+    label: style.label || '',
+    color: style.color || fallback,
+    dash: style.dash ?? DEFAULT_DASH[resolvedKind],
+    strokeWidth: style.strokeWidth ?? 1.5,
+    hidden: !!style.hidden,
+    legend: style.legend ?? true,
+    tooltip: style.tooltip ?? true,
+  };
+};
@@ -0,0 +1,278 @@
+/**
+ * 维度刻度与归一化
+ *
+ * 雷达图只有一个半径方向，因此所有维度都先映射到 [0, 1] 的半径比例，
+ * 每个维度再各自记录显示用的刻度范围（原始值或归一化后的值）。
+ */
+
+export const NORMALIZATION_MODES = [
+  { id: 'none', name: '按维度范围', desc: '每个维度使用独立的最小值/最大值' },
+  { id: 'minmax', name: 'Min–Max (0–1)', desc: '各维度内最差为 0，最优为 1' },
+  { id: 'percentBest', name: '最优值百分比', desc: '相对该维度最优模型的百分比' },
+  { id: 'zscore', name: 'Z-score', desc: '减去均值后除以标准差' },
+  { id: 'rank', name: '排名', desc: '第 1 名位于最外环' },
+  { id: 'baseline', name: '相对基线模型', desc: '基线模型记为 100%' },
+];
+
+export const GRID_LEVELS = 5;
+
+const isValue = (v) => typeof v === 'number' && Number.isFinite(v);
+
+// 按数据范围留出 10% 余量，与旧版 D3 页面的自动刻度保持一致
+export const autoRange = (values, integerTicks = true) => {
+  const valid = values.filter(isValue);
+  if (valid.length === 0) return { min: 0, max: 1 };
+
+  const dataMin = Math.min(...valid);
+  const dataMax = Math.max(...valid);
+  let min = dataMin - Math.abs(dataMin) * 0.1;
+  let max = dataMax + Math.abs(dataMax) * 0.1;
+
+  if (integerTicks) {
+    min = Math.floor(min / 10) * 10;
+    max = Math.ceil(max / 10) * 10;
+  } else {
+    min = Math.floor(min);
+    max = Math.ceil(max);
+  }
+  if (min < 0 && dataMin >= 0) min = 0;
+  if (max <= min) max = min + (integerTicks ? 10 : 1);
+
+  return { min, max };
+};
+
+export const formatTickValue = (value, integerTicks = true) => {
+  if (!isValue(value)) return '';
+  if (integerTicks) return Math.round(value).toString();
+  if (Math.abs(value) < 1) return value.toFixed(2);
+  if (Math.abs(value) < 10) return value.toFixed(1);
+  return Math.round(value).toString();
+};
+
+// 数值在区间内的半径比例，reverse 时内环为最大值
+export const toRatio = (value, range) => {
+  if (!isValue(value)) return null;
+  const span = range.max - range.min;
+  if (span === 0) return 1;
+  const ratio = range.reverse ? (range.max - value) / span : (value - range.min) / span;
+  return Math.max(0, Math.min(1, ratio));
+};
+
+export const tickValues = (range, levels = GRID_LEVELS) =>
+  Array.from({ length: levels + 1 }, (_, level) => {
+    const t = level / levels;
+    return range.reverse
+      ? range.max - (range.max - range.min) * t
+      : range.min + (range.max - range.min) * t;
+  });
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+// 竞赛排名 (1, 2, 2, 4)，higherIsBetter 表示数值越大越好
+export const rankValues = (values, higherIsBetter) =>
+  values.map((v) => {
+    if (!isValue(v)) return null;
+    return 1 + values.filter((o) => isValue(o) && (higherIsBetter ? o > v : o < v)).length;
+  });
+
+// 一个维度的换算函数：原始值 → 归一化分数，方向统一为“越大越好”。
+// 排名不是逐值换算，返回 null，由 normalizeDimension 单独处理。
+const dimensionTransform = (values, mode, { reverse, baselineValue }) => {
+  const valid = values.filter(isValue);
+  if (valid.length === 0) return () => null;
+
+  switch (mode) {
+    case 'minmax': {
+      const lo = Math.min(...valid);
+      const hi = Math.max(...valid);
+      return (v) => {
+        if (!isValue(v)) return null;
+        if (hi === lo) return 1;
+        return reverse ? (hi - v) / (hi - lo) : (v - lo) / (hi - lo);
+      };
+    }
+    case 'percentBest': {
+      const best = reverse ? Math.min(...valid) : Math.max(...valid);
+      // 只有除数为 0 时无法换算；正向维度上 0 分仍为 0%
+      return (v) => {
+        if (!isValue(v)) return null;
+        if (reverse) return v === 0 ? null : (best / v) * 100;
+        return best === 0 ? null : (v / best) * 100;
+      };
+    }
+    case 'zscore': {
+      const mu = mean(valid);
+      const sd = Math.sqrt(mean(valid.map((v) => (v - mu) ** 2)));
+      return (v) => {
+        if (!isValue(v)) return null;
+        if (sd === 0) return 0;
+        const z = (v - mu) / sd;
+        return reverse ? -z : z;
+      };
+    }
+    case 'rank':
+      return null;
+    case 'baseline':
+      return (v) => {
+        if (!isValue(v) || !isValue(baselineValue)) return null;
+        if (reverse) return v === 0 ? null : (baselineValue / v) * 100;
+        return baselineValue === 0 ? null : (v / baselineValue) * 100;
+      };
+    default:
+      return (v) => v;
+  }
+};
+
+const normalizeDimension = (values, mode, options) => {
+  if (mode === 'rank') return rankValues(values, !options.reverse);
+  return values.map(dimensionTransform(values, mode, options));
+};
+
+// 误差区间换算到半径比例；排名模式下没有意义，返回 null
+const bandRatios = (interval, transform, range) => {
+  if (!interval || !transform) return null;
+  const a = toRatio(transform(interval.lower), range);
+  const b = toRatio(transform(interval.upper), range);
+  if (a === null || b === null) return null;
+  return [Math.min(a, b), Math.max(a, b)];
+};
+
+// 归一化模式下所有维度共用的刻度范围
+const sharedRange = (mode, allValues, modelCount, integerTicks) => {
+  const valid = allValues.filter(isValue);
+  switch (mode) {
+    case 'minmax':
+      return { min: 0, max: 1, levels: GRID_LEVELS };
+    case 'percentBest': {
+      const lo = valid.length ? Math.min(...valid) : 0;
+      return { min: Math.max(0, Math.floor(lo * 0.9 / 10) * 10), max: 100, levels: GRID_LEVELS };
+    }
+    case 'zscore': {
+      const extent = valid.length ? Math.max(...valid.map(Math.abs)) : 1;
+      const bound = Math.max(1, Math.ceil(extent * 2) / 2);
+      return { min: -bound, max: bound, levels: GRID_LEVELS };
+    }
+    case 'rank':
+      // 最后一名不压到圆心，留出一圈
+      return { min: 1, max: modelCount + 1, reverse: true, levels: Math.max(1, modelCount), hideCenterTick: true };
+    case 'baseline': {
+      const range = autoRange([...valid, 100], integerTicks);
+      return { ...range, levels: GRID_LEVELS };
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * 生成绘图数据。
+ * 返回的每个数据点里，模型键对应半径比例 (0–1)，raw / normalized 保存原始值与归一化值，
+ * interval 为原始误差区间，band 为误差带的 [内, 外] 半径比例；
+ * ranges 给出每个维度显示刻度所用的区间。
+ * references 为参考线 [{ name, values: { [subject]: 原始值 } }]，按同样的换算放进 reference (半径比例)、
+ * referenceRaw 与 referenceNormalized；按维度范围时参与自动刻度，排名模式下取插入模型之间的名次。
+ */
+export const scaleChartData = (chartData, models, options = {}) => {
+  const {
+    dimensionConfig = {},
+    normalization = 'none',
+    baselineModel,
+    integerTicks = true,
+    references = [],
+  } = options;
+
+  if (!chartData || chartData.length === 0) return { data: [], ranges: [], shared: false };
+
+  const transforms = [];
+  const normalized = chartData.map((point) => {
+    const config = dimensionConfig[point.subject] || {};
+    const values = models.map((m) => point[m]);
+    const options = { reverse: !!config.reverse, baselineValue: point[baselineModel] };
+    transforms.push(dimensionTransform(values, normalization, options));
+    if (normalization === 'none') return values;
+    return normalizeDimension(values, normalization, options);
+  });
+
+  // 参考值换算到与模型相同的刻度
+  const referenceValues = chartData.map((point, i) => references.map((ref) => {
+    const v = ref.values?.[point.subject];
+    if (!isValue(v)) return null;
+    if (normalization === 'none') return v;
+    if (normalization === 'rank') {
+      const reverse = !!dimensionConfig[point.subject]?.reverse;
+      const better = models.filter((m) => isValue(point[m]) && (reverse ? point[m] < v : point[m] > v));
+      return 1 + better.length;
+    }
+    return transforms[i](v);
+  }));
+
+  const shared = normalization === 'none'
+    ? null
+    : sharedRange(normalization, normalized.flat(), models.length, integerTicks);
+
+  const ranges = chartData.map((point, i) => {
+    const config = dimensionConfig[point.subject] || {};
+    if (shared) return { subject: point.subject, unit: '', ...shared };
+
+    const auto = autoRange([...normalized[i], ...referenceValues[i]], integerTicks);
+    const min = isValue(config.min) ? config.min : auto.min;
+    let max = isValue(config.max) ? config.max : auto.max;
+    if (max <= min) max = min + (integerTicks ? 1 : 0.1);
+    return {
+      subject: point.subject,
+      unit: config.unit || '',
+      min,
+      max,
+      reverse: !!config.reverse,
+      levels: GRID_LEVELS,
+      auto,
+    };
+  });
+
+  const data = chartData.map((point, i) => {
+    const scaled = {
+      subject: point.subject, raw: {}, normalized: {}, interval: {}, band: {}, reference: {}, referenceRaw: {}, referenceNormalized: {},
+    };
+    models.forEach((m, j) => {
+      scaled.raw[m] = point[m];
+      scaled.normalized[m] = normalized[i][j];
+      scaled[m] = toRatio(normalized[i][j], ranges[i]);
+      scaled.interval[m] = point.uncertainty?.[m] ?? null;
+      // 没有误差的单元格按零宽度处理，误差带在该轴上收成一点而不是断开
+      scaled.band[m] = scaled.interval[m]
+        ? bandRatios(scaled.interval[m], transforms[i], ranges[i])
+        : (transforms[i] && scaled[m] !== null ? [scaled[m], scaled[m]] : null);
+    });
+    references.forEach((ref, j) => {
+      scaled.referenceRaw[ref.name] = ref.values?.[point.subject] ?? null;
+      scaled.referenceNormalized[ref.name] = referenceValues[i][j];
+      scaled.reference[ref.name] = toRatio(referenceValues[i][j], ranges[i]);
+    });
+    return scaled;
+  });
+
+  return { data, ranges, shared: !!shared };
+};
+
+// 提示框中归一化值的写法
+export const formatNormalized = (value, mode) => {
+  if (!isValue(value)) return '—';
+  switch (mode) {
+    case 'rank':
+      return `#${value}`;
+    case 'percentBest':
+    case 'baseline':
+      return `${value.toFixed(1)}%`;
+    case 'zscore':
+      return `${value >= 0 ? '+' : ''}${value.toFixed(2)}σ`;
+    default:
+      return value.toFixed(2);
+  }
+};
+
+// 误差区间的写法：对称误差为 "± e"，否则为 "[下限, 上限]"
+export const formatInterval = (interval, format = (v) => v.toFixed(2)) => {
+  if (!interval) return '';
+  if (interval.error !== null) return `± ${format(interval.error)}`;
+  return `[${format(interval.lower)}, ${format(interval.upper)}]`;
+};
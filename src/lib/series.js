@@ -0,0 +1,45 @@
+/**
+ * 系列样式：显示名称、可见性、线型、标记与填充透明度。
+ * 未单独设置的项按配色方案决定，灰度方案下线型与标记按系列位置轮换。
+ */
+import { DASHES, MARKERS, seriesPattern } from './styles.js';
+
+// id 为 SVG 虚线数组，key 供界面翻译使用
+const DASH_NAMES = [
+  { key: 'solid', name: '实线' },
+  { key: 'dashed', name: '虚线' },
+  { key: 'dotted', name: '点线' },
+  { key: 'dashDot', name: '点划线' },
+  { key: 'longDash', name: '长虚线' },
+  { key: 'dashDotDot', name: '双点划线' },
+];
+const MARKER_NAMES = {
+  circle: '圆形', square: '方形', triangle: '三角', diamond: '菱形', cross: '十字', x: '叉形',
+};
+
+export const DASH_OPTIONS = DASHES.map((id, i) => ({ id, ...DASH_NAMES[i] }));
+
+export const MARKER_OPTIONS = [
+  ...MARKERS.map((id) => ({ id, name: MARKER_NAMES[id] })),
+  { id: 'none', name: '无标记' },
+];
+
+// 聚焦模式下其余系列的不透明度倍数
+export const MUTED_OPACITY = 0.3;
+
+/**
+ * 合并单个系列的设置与默认值；style 中为 null / undefined 的项使用默认值
+ * custom 表示不是默认的实线 + 圆点，数据点改用 SeriesMarker 绘制，图例画线段与标记
+ */
+export const resolveSeriesStyle = (style = {}, index, { monochrome = false, opacity = 0.2 } = {}) => {
+  const pattern = monochrome ? seriesPattern(index) : { dash: '', marker: 'circle' };
+  return {
+    label: style.label || '',
+    hidden: !!style.hidden,
+    dash: style.dash ?? pattern.dash,
+    marker: style.marker ?? pattern.marker,
+    markerSize: style.markerSize ?? (monochrome ? 3.5 : 3),
+    fillOpacity: style.fillOpacity ?? opacity,
+    custom: monochrome || style.marker != null || !!style.dash,
+  };
+};
@@ -0,0 +1,138 @@
+/**
+ * 汇总统计：各模型的平均值、归一化平均值、平均排名、领先维度数与多边形面积，以及相对基线模型的胜负。
+ * 由图表模型计算 (只含显示的系列，维度按图中顺序)，网页面板、CSV 与 PDF 附页共用。
+ * 越小越好的维度 (dimensionConfig.reverse) 在归一化、排名与胜负中按方向处理；平均值仍为原始数值的平均。
+ */
+import { rankValues } from './scale.js';
+import { plainLabel } from './labels.js';
+
+// 可排序的列；lowerIsBetter 的列升序时最好的排在前面
+export const STAT_COLUMNS = [
+  { id: 'model', name: '模型', desc: '按名称排序' },
+  { id: 'mean', name: '平均值', desc: '各维度原始数值的平均，量纲不同时仅供参考' },
+  { id: 'normalizedMean', name: '归一化平均值', desc: '各维度 Min–Max 归一化 (最差为 0，最优为 1) 后的平均' },
+  { id: 'meanRank', name: '平均排名', desc: '各维度排名的平均，越小越好', lowerIsBetter: true },
+  { id: 'wins', name: '领先维度', desc: '取得最优 (含并列) 的维度数' },
+  { id: 'area', name: '面积', desc: '多边形面积占满分的比例，取决于轴的顺序与刻度' },
+  { id: 'versus', name: '对基线 胜/负/平', desc: '逐维度与基线模型比较' },
+];
+
+const isValue = (v) => typeof v === 'number' && Number.isFinite(v);
+
+const mean = (values) => {
+  const valid = values.filter(isValue);
+  return valid.length ? valid.reduce((sum, v) => sum + v, 0) / valid.length : null;
+};
+
+/**
+ * 多边形面积占满分多边形 (各轴都在外圈) 的比例，0–1。ratios 为按轴顺序的半径比例，缺失按 0 计。
+ * 相邻两轴的三角形面积与两半径之积成正比，因此结果随轴的顺序与各维度刻度而变
+ */
+export const polygonArea = (ratios) => {
+  const n = ratios.length;
+  if (n < 3) return null;
+  const r = ratios.map((v) => (isValue(v) ? v : 0));
+  return r.reduce((sum, v, i) => sum + v * r[(i + 1) % n], 0) / n;
+};
+
+/**
+ * 计算各模型的统计量。baseline 为比较胜负的模型，不在显示的系列中时取第一个系列。
+ * 返回 { rows: [{ model, label, mean, normalizedMean, meanRank, wins, area, versus }], baseline, dimensions }；
+ * versus 为 { wins, losses, ties }，基线自身为 null
+ */
+export const summaryStatistics = (chart, settings, baseline) => {
+  const models = chart.visibleModels;
+  const points = chart.chartData || [];
+  const activeBaseline = models.includes(baseline) ? baseline : models[0] || '';
+  const reverseOf = (subject) => !!settings.dimensionConfig[subject]?.reverse;
+
+  // 每个维度的 Min–Max 分数与排名，方向统一为越大越好
+  const scores = points.map((point) => {
+    const values = models.map((m) => point[m]);
+    const valid = values.filter(isValue);
+    const lo = Math.min(...valid);
+    const hi = Math.max(...valid);
+    const reverse = reverseOf(point.subject);
+    return {
+      normalized: values.map((v) => {
+        if (!isValue(v)) return null;
+        if (hi === lo) return 1;
+        return reverse ? (hi - v) / (hi - lo) : (v - lo) / (hi - lo);
+      }),
+      ranks: rankValues(values, !reverse),
+    };
+  });
+
+  // 两者都有数值的维度才计入胜负
+  const compare = (point, model) => {
+    const a = point[model];
+    const b = point[activeBaseline];
+    if (!isValue(a) || !isValue(b)) return null;
+    const diff = reverseOf(point.subject) ? b - a : a - b;
+    return diff > 0 ? 'wins' : diff < 0 ? 'losses' : 'ties';
+  };
+
+  const rows = models.map((model, j) => {
+    const outcomes = model === activeBaseline ? null : points.map((point) => compare(point, model));
+    return {
+      model,
+      label: plainLabel(chart.seriesLabel(model)),
+      mean: mean(points.map((point) => point[model])),
+      normalizedMean: mean(scores.map((s) => s.normalized[j])),
+      meanRank: mean(scores.map((s) => s.ranks[j])),
+      wins: points.filter((point) => chart.bestByDimension[point.subject]?.includes(model)).length,
+      area: polygonArea(chart.scaled.data.map((point) => point[model])),
+      versus: outcomes && {
+        wins: outcomes.filter((o) => o === 'wins').length,
+        losses: outcomes.filter((o) => o === 'losses').length,
+        ties: outcomes.filter((o) => o === 'ties').length,
+      },
+    };
+  });
+
+  return { rows, baseline: activeBaseline, dimensions: points.length };
+};
+
+// 排序用的数值：胜负按净胜数，基线排在最后
+const sortValue = (row, key) => {
+  if (key === 'versus') return row.versus ? row.versus.wins - row.versus.losses : null;
+  return row[key];
+};
+
+/**
+ * 按列排序，缺失值总排在最后；descending 为 false 时升序
+ */
+export const sortStatistics = (rows, key, descending = true) => {
+  const sign = descending ? -1 : 1;
+  return [...rows].sort((a, b) => {
+    if (key === 'model') return sign * a.label.localeCompare(b.label, undefined, { numeric: true });
+    const x = sortValue(a, key);
+    const y = sortValue(b, key);
+    if (!isValue(x) || !isValue(y)) return isValue(y) - isValue(x);
+    return sign * (x - y);
+  });
+};
+
+/**
+ * 统计表的单元格矩阵 (含表头)，供 CSV 与 PDF 附页使用。
+ * t 为 lib/i18n 的翻译函数；数值不按语言分组，便于表格软件读取
+ */
+export const statisticsTable = (stats, { t, decimals = 2 }) => {
+  const fixed = (v, d = decimals) => (isValue(v) ? v.toFixed(d) : '');
+  const baseline = stats.rows.find((row) => row.model === stats.baseline)?.label || stats.baseline;
+  const header = STAT_COLUMNS.map((column) => (column.id === 'versus'
+    ? t('statistics.versusHeader', { name: baseline })
+    : t.option('statColumns', column)));
+  return [
+    header,
+    ...stats.rows.map((row) => [
+      row.label,
+      fixed(row.mean),
+      fixed(row.normalizedMean, 3),
+      fixed(row.meanRank),
+      String(row.wins),
+      fixed(row.area, 3),
+      row.versus ? `${row.versus.wins}/${row.versus.losses}/${row.versus.ties}` : '',
+    ]),
+  ];
+};
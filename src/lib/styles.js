@@ -0,0 +1,191 @@
+/**
+ * 配色方案与期刊样式预设
+ *
+ * 预设中的字号与线宽按印刷常用的 pt 给出，换算为 96 dpi 下的 CSS 像素保存，
+ * 配合导出时的物理尺寸即可得到期刊要求的实际大小。
+ */
+
+const PX_PER_PT = 96 / 72;
+
+export const pt = (value) => value * PX_PER_PT;
+
+export const toPt = (px) => px / PX_PER_PT;
+
+export const PALETTES = [
+  {
+    id: 'default',
+    name: '默认',
+    colors: ['#34a853', '#ea4335', '#4285f4', '#fbbc05', '#8e44ad', '#2c3e50', '#e67e22'],
+  },
+  {
+    id: 'okabeIto',
+    name: 'Okabe–Ito (色盲友好)',
+    colors: ['#E69F00', '#56B4E9', '#009E73', '#F0E442', '#0072B2', '#D55E00', '#CC79A7', '#000000'],
+  },
+  {
+    id: 'tolBright',
+    name: 'Tol Bright (色盲友好)',
+    colors: ['#4477AA', '#EE6677', '#228833', '#CCBB44', '#66CCEE', '#AA3377', '#BBBBBB'],
+  },
+  {
+    id: 'tolMuted',
+    name: 'Tol Muted (色盲友好)',
+    colors: ['#332288', '#88CCEE', '#44AA99', '#117733', '#999933', '#DDCC77', '#CC6677', '#882255', '#AA4499'],
+  },
+  {
+    id: 'viridis',
+    name: 'Viridis (灰度打印可区分)',
+    colors: ['#440154', '#443983', '#31688E', '#21918C', '#35B779', '#90D743', '#FDE725'],
+  },
+  {
+    // 黑白印刷：系列之间靠线型和标记区分
+    id: 'grayscale',
+    name: '灰度 (线型 + 标记)',
+    colors: ['#000000', '#555555', '#808080', '#2b2b2b', '#6b6b6b', '#999999', '#404040'],
+    monochrome: true,
+  },
+];
+
+export const getPalette = (id) => PALETTES.find((p) => p.id === id) || PALETTES[0];
+
+export const paletteColor = (paletteId, index) => {
+  const { colors } = getPalette(paletteId);
+  return colors[index % colors.length];
+};
+
+// value 为 Tailwind 字体类名，css 为图表内文字使用的字体族
+export const FONTS = [
+  { name: 'Sans-Serif (Arial)', value: 'font-sans', css: "'Segoe UI', Roboto, 'Helvetica Neue', Arial" },
+  { name: 'Serif (Times New Roman)', value: 'font-serif', css: "'Times New Roman', Times, serif" },
+  { name: 'Monospace (Courier)', value: 'font-mono', css: "'Courier New', Courier, monospace" },
+];
+
+export const fontStack = (value) => (FONTS.find((f) => f.value === value) || FONTS[0]).css;
+
+// 维度分组扇区与分组标题的颜色，扇区以很低的不透明度填充
+export const GROUP_COLORS = ['#6366f1', '#f59e0b', '#10b981', '#ef4444', '#0ea5e9', '#a855f7', '#64748b'];
+
+// 灰度模式下的线型 (strokeDasharray) 与标记形状
+export const DASHES = ['', '6 3', '2 2', '8 3 2 3', '12 4', '4 2 1 2 1 2'];
+export const MARKERS = ['circle', 'square', 'triangle', 'diamond', 'cross', 'x'];
+
+export const seriesPattern = (index) => ({
+  dash: DASHES[index % DASHES.length],
+  marker: MARKERS[index % MARKERS.length],
+});
+
+// font 对应 FONTS 的 value；theme 对应 lib/canvas 的 THEMES，省略时为浅色
+export const STYLE_PRESETS = [
+  {
+    id: 'nature',
+    name: 'Nature',
+    desc: '单栏 89 mm，Arial 7 pt',
+    font: 'font-sans',
+    fontSize: pt(7),
+    strokeWidth: pt(1),
+    opacity: 0.15,
+    palette: 'okabeIto',
+    size: { width: 89, height: 89, unit: 'mm' },
+  },
+  {
+    id: 'science',
+    name: 'Science',
+    desc: '双栏 120 mm，Helvetica 7 pt',
+    font: 'font-sans',
+    fontSize: pt(7),
+    strokeWidth: pt(1),
+    opacity: 0.15,
+    palette: 'tolBright',
+    size: { width: 120, height: 110, unit: 'mm' },
+  },
+  {
+    id: 'ieee',
+    name: 'IEEE 双栏',
+    desc: '单栏 3.5 in，Times 8 pt',
+    font: 'font-serif',
+    fontSize: pt(8),
+    strokeWidth: pt(1),
+    opacity: 0.1,
+    palette: 'okabeIto',
+    size: { width: 3.5, height: 3.5, unit: 'in' },
+  },
+  {
+    id: 'acm',
+    name: 'ACM',
+    desc: '单栏 3.33 in，衬线 8 pt',
+    font: 'font-serif',
+    fontSize: pt(8),
+    strokeWidth: pt(1),
+    opacity: 0.15,
+    palette: 'tolMuted',
+    size: { width: 3.33, height: 3.33, unit: 'in' },
+  },
+  {
+    id: 'neurips',
+    name: 'NeurIPS / ICLR',
+    desc: '半版宽 2.75 in，Times 9 pt',
+    font: 'font-serif',
+    fontSize: pt(9),
+    strokeWidth: pt(1.25),
+    opacity: 0.15,
+    palette: 'tolBright',
+    size: { width: 2.75, height: 2.75, unit: 'in' },
+  },
+  {
+    id: 'slides',
+    name: '演示文稿',
+    desc: '16:9，无衬线 18 pt',
+    font: 'font-sans',
+    fontSize: pt(18),
+    strokeWidth: pt(3),
+    opacity: 0.25,
+    palette: 'default',
+    size: { width: 13.333, height: 7.5, unit: 'in' },
+  },
+  {
+    id: 'slidesDark',
+    name: '演示文稿 (深色)',
+    desc: '16:9，深色背景，无衬线 18 pt',
+    font: 'font-sans',
+    fontSize: pt(18),
+    strokeWidth: pt(3),
+    opacity: 0.25,
+    palette: 'tolBright',
+    theme: 'dark',
+    size: { width: 13.333, height: 7.5, unit: 'in' },
+  },
+];
+
+// --- 用户自定义预设 (保存在 localStorage) ---
+const USER_PRESETS_KEY = 'sciradar:presets';
+
+const isPreset = (p) => p && typeof p.id === 'string' && typeof p.name === 'string'
+  && typeof p.fontSize === 'number' && typeof p.strokeWidth === 'number';
+
+export const loadUserPresets = (storage = globalThis.localStorage) => {
+  try {
+    const list = JSON.parse(storage?.getItem(USER_PRESETS_KEY) || '[]');
+    return Array.isArray(list) ? list.filter(isPreset) : [];
+  } catch {
+    return [];
+  }
+};
+
+const writeUserPresets = (list, storage) => {
+  try {
+    storage?.setItem(USER_PRESETS_KEY, JSON.stringify(list));
+  } catch (error) {
+    console.warn('保存预设失败:', error);
+  }
+  return list;
+};
+
+// 同名预设会被覆盖
+export const saveUserPreset = (preset, storage = globalThis.localStorage) => {
+  const list = loadUserPresets(storage).filter((p) => p.name !== preset.name);
+  const id = `user-${Date.now().toString(36)}`;
+  return writeUserPresets([...list, { ...preset, id, user: true }], storage);
+};
+
+export const removeUserPreset = (id, storage = globalThis.localStorage) =>
+  writeUserPresets(loadUserPresets(storage).filter((p) => p.id !== id), storage);
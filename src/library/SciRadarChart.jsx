@@ -0,0 +1,55 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import SvgTree from '../components/SvgTree';
+import { prepareChart, drawChart } from './chart';
+
+/**
+ * 只含图表的 React 组件，供看板等页面嵌入。
+ * data：文本表格 (CSV、TSV 等)、JSON 文本或 JSON 表格对象；省略时使用 options 中保存的数据。
+ * options：与项目文件相同的选项对象 (完整项目、{ settings, export } 或 settings)。
+ * 未给出 width 时随容器宽度缩放，height 默认按网页预览的宽高比计算。
+ */
+export default function SciRadarChart({
+  data,
+  options,
+  width,
+  height,
+  className,
+  style,
+}) {
+  const containerRef = useRef(null);
+  const [containerWidth, setContainerWidth] = useState(0);
+
+  useEffect(() => {
+    const element = containerRef.current;
+    if (width || !element) return undefined;
+    const update = () => setContainerWidth(element.clientWidth);
+    update();
+    if (typeof ResizeObserver === 'undefined') return undefined;
+    const observer = new ResizeObserver(update);
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, [width]);
+
+  const prepared = useMemo(() => {
+    try {
+      return { value: prepareChart(data, options) };
+    } catch (error) {
+      return { error };
+    }
+  }, [data, options]);
+
+  const tree = useMemo(
+    () => prepared.value && drawChart(prepared.value, { width: width || containerWidth || undefined, height }),
+    [prepared, width, height, containerWidth],
+  );
+
+  return (
+    <div ref={containerRef} className={className} style={style}>
+      {prepared.error ? (
+        <p role="alert" style={{ color: '#dc2626', fontSize: 14 }}>{prepared.error.message}</p>
+      ) : (
+        <SvgTree node={tree} />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,43 @@
+/**
+ * 嵌入用的图表：数据与选项 → 图表模型 → SVG 元素树。
+ * SciRadarChart、renderRadar 与 <sci-radar> 共用，画法与命令行相同 (lib/draw/figure.js)
+ */
+import { readChartData } from '../lib/importers/index.js';
+import { projectFromOptions } from '../lib/project.js';
+import { buildChartModel } from '../lib/model.js';
+import { renderFigure } from '../lib/draw/figure.js';
+import { fontStack } from '../lib/styles.js';
+import { measureText } from '../lib/labels.js';
+import { localizedError } from '../lib/i18n/index.js';
+
+// 容器宽度未知 (尚未排版) 时使用的宽度，CSS 像素
+export const DEFAULT_WIDTH = 600;
+
+/**
+ * 解析数据与选项。options 与保存的项目文件结构相同，见 projectFromOptions；
+ * data 为空时使用项目中保存的数据
+ */
+export const prepareChart = (data, options) => {
+  const project = projectFromOptions(options);
+  const table = readChartData(data ?? project.data);
+  const error = table.issues.find((issue) => issue.severity === 'error');
+  if (table.models.length === 0) throw error ? new Error(error.message) : localizedError('noChartData', '没有可绘制的数据');
+  return { project, table, chart: buildChartModel(table, project.settings) };
+};
+
+// 宽高比与网页预览卡片一致：单图为正方形，多图按子图网格
+export const chartAspect = ({ chart }) => (chart.multiPanel ? chart.grid.columns / (chart.grid.rows + 0.3) : 1);
+
+/**
+ * 按给定宽度生成元素树；未给出高度时按 chartAspect 计算
+ */
+export const drawChart = (prepared, { width = DEFAULT_WIDTH, height } = {}) => {
+  const { settings } = prepared.project;
+  const fontFamily = fontStack(settings.font);
+  return renderFigure(prepared.chart, settings, {
+    width,
+    height: height || width / chartAspect(prepared),
+    fontFamily,
+    measure: (text, fontSize, fontWeight) => measureText(text, fontSize, fontFamily, fontWeight),
+  });
+};
@@ -0,0 +1,125 @@
+/**
+ * <sci-radar> 自定义元素，无需 React 即可在 wiki 等页面中使用：
+ *
+ *   <sci-radar options='{"title": "Results", "palette": "okabeIto"}'>
+ *     <script type="text/csv">
+ *       Model,MME,POPE
+ *       LLaVA-1.5,1510.7,85.9
+ *     </script>
+ *   </sci-radar>
+ *
+ * 数据依次取 data 属性 (JS 对象或文本)、data 特性、子元素 <script>；
+ * 选项依次取 options 属性、options 特性 (JSON)、带 data-options 的子元素 <script>。
+ * 子元素或特性变化时自动重画。
+ */
+import { renderRadar } from './render.js';
+
+export const ELEMENT_NAME = 'sci-radar';
+
+// 在 Node 中导入时没有 HTMLElement，类本身不会被使用
+const Base = globalThis.HTMLElement ?? class {};
+
+// 去掉共同的缩进，使 HTML 中对齐书写的表格也能解析
+const dedent = (text) => {
+  const lines = text.split('\n');
+  const indent = Math.min(...lines.filter((l) => l.trim()).map((l) => /^[ \t]*/.exec(l)[0].length));
+  return Number.isFinite(indent) ? lines.map((l) => l.slice(indent)).join('\n') : text;
+};
+
+const STYLE = ':host { display: block; } .error { color: #dc2626; font: 14px sans-serif; }';
+
+export class SciRadarElement extends Base {
+  static observedAttributes = ['data', 'options'];
+
+  #data;
+  #options;
+  #chart = null;
+  #mount = null;
+  #observer = null;
+
+  get data() {
+    return this.#data;
+  }
+
+  set data(value) {
+    this.#data = value;
+    this.#render();
+  }
+
+  get options() {
+    return this.#options;
+  }
+
+  set options(value) {
+    this.#options = value;
+    this.#render();
+  }
+
+  connectedCallback() {
+    if (!this.shadowRoot) {
+      this.attachShadow({ mode: 'open' }).innerHTML = `<style>${STYLE}</style><div part="chart"></div>`;
+      this.#mount = this.shadowRoot.querySelector('div');
+    }
+    // 元素可能在子元素解析完之前就已连接，子元素变化时重新读取
+    this.#observer = new MutationObserver(() => this.#render());
+    this.#observer.observe(this, { childList: true, subtree: true, characterData: true });
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    this.#observer?.disconnect();
+    this.#chart?.destroy();
+    this.#chart = null;
+  }
+
+  attributeChangedCallback() {
+    this.#render();
+  }
+
+  #script(isOptions) {
+    return [...this.querySelectorAll(':scope > script')].find((s) => s.hasAttribute('data-options') === isOptions);
+  }
+
+  #readData() {
+    if (this.#data != null) return this.#data;
+    if (this.hasAttribute('data')) return this.getAttribute('data');
+    const script = this.#script(false);
+    return script ? dedent(script.textContent) : null;
+  }
+
+  #readOptions() {
+    if (this.#options != null) return this.#options;
+    const text = this.getAttribute('options') ?? this.#script(true)?.textContent;
+    if (!text?.trim()) return undefined;
+    try {
+      return JSON.parse(text);
+    } catch {
+      throw new Error('options 不是有效的 JSON');
+    }
+  }
+
+  #render() {
+    if (!this.#mount || !this.isConnected) return;
+    this.#chart?.destroy();
+    this.#chart = null;
+    try {
+      const data = this.#readData();
+      if (data == null && !this.#options && !this.hasAttribute('options') && !this.#script(true)) return;
+      this.#chart = renderRadar(this.#mount, data, this.#readOptions());
+    } catch (error) {
+      this.#mount.innerHTML = '';
+      const message = document.createElement('p');
+      message.className = 'error';
+      message.setAttribute('role', 'alert');
+      message.textContent = error.message;
+      this.#mount.append(message);
+    }
+  }
+}
+
+/**
+ * 注册自定义元素；重复调用不会报错
+ */
+export const defineSciRadarElement = (name = ELEMENT_NAME) => {
+  if (!customElements.get(name)) customElements.define(name, SciRadarElement);
+};
@@ -0,0 +1,9 @@
+/**
+ * SciRadar 嵌入接口：只含图表的 React 组件、命令式的 renderRadar 与 <sci-radar> 自定义元素。
+ * 三者接受相同的数据与选项，选项与网页中保存的项目文件结构相同
+ */
+export { default as SciRadarChart } from './SciRadarChart.jsx';
+export { renderRadar } from './render.js';
+export { SciRadarElement, defineSciRadarElement, ELEMENT_NAME } from './element.js';
+export { prepareChart, drawChart } from './chart.js';
+export { DEFAULT_SETTINGS, DEFAULT_EXPORT, projectFromOptions } from '../lib/project.js';
@@ -0,0 +1,4 @@
+// 独立脚本入口：<script type="module" src="sci-radar.js"> 加载后即可使用 <sci-radar>
+import { defineSciRadarElement } from './element.js';
+
+defineSciRadarElement();
@@ -0,0 +1,38 @@
+/**
+ * 不依赖框架的渲染：把图表画进任意 DOM 元素，随元素宽度重新排版
+ */
+import { serializeTree } from '../lib/draw/tree.js';
+import { prepareChart, drawChart } from './chart.js';
+
+/**
+ * 在 element 中渲染图表，参数含义同 SciRadarChart。返回 { update(data, options), destroy() }；
+ * 数据或选项无效时抛出错误，element 保持原样
+ */
+export const renderRadar = (element, data, options) => {
+  let prepared = prepareChart(data, options);
+  let width = 0;
+
+  const draw = () => {
+    width = element.clientWidth;
+    element.innerHTML = serializeTree(drawChart(prepared, { width: width || undefined }));
+  };
+
+  // 只在宽度变化时重画；高度由宽度决定，不会反复触发
+  const observer = typeof ResizeObserver === 'undefined' ? null : new ResizeObserver(() => {
+    if (element.clientWidth !== width) draw();
+  });
+
+  draw();
+  observer?.observe(element);
+
+  return {
+    update: (nextData, nextOptions) => {
+      prepared = prepareChart(nextData, nextOptions);
+      draw();
+    },
+    destroy: () => {
+      observer?.disconnect();
+      element.innerHTML = '';
+    },
+  };
+};
@@ -0,0 +1,21 @@
+import { defineConfig } from 'vite'
+import react from '@vitejs/plugin-react'
+
+// 嵌入用的库：sciradar.js (React 组件、renderRadar 等) 与自动注册 <sci-radar> 的 sci-radar.js
+export default defineConfig({
+  plugins: [react()],
+  publicDir: false,
+  build: {
+    outDir: 'dist/lib',
+    lib: {
+      entry: {
+        sciradar: 'src/library/index.js',
+        'sci-radar': 'src/library/register.js',
+      },
+      formats: ['es'],
+    },
+    rollupOptions: {
+      external: ['react', 'react-dom', 'react/jsx-runtime'],
+    },
+  },
+})